@@ -0,0 +1,64 @@
+/* audio/bitcrusher-processor.js
+   BitcrusherProcessor - bit depth / sample rate reduction AudioWorkletProcessor
+
+   Loaded by EffectsChain via audioWorklet.addModule('audio/bitcrusher-processor.js').
+   Input 0 is processed into output 0, channel for channel.
+
+   AudioParams (k-rate):
+     bits        1..16   quantization depth
+     downsample  1..50   each held sample is repeated for this many frames (fractional allowed)
+
+   Message protocol (node -> processor):
+     { type: 'dispose' }
+*/
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+      { name: 'downsample', defaultValue: 4, minValue: 1, maxValue: 50, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.phase = 0;              // frames since the held sample was taken, shared by all channels
+    this.held = [];              // per-channel held value
+    this.alive = true;
+    this.port.onmessage = (ev) => {
+      if (ev.data && ev.data.type === 'dispose') this.alive = false;
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const steps = Math.pow(2, Math.max(1, parameters.bits[0]) - 1);
+    const hold = Math.max(1, parameters.downsample[0]);
+    let phase = this.phase;
+
+    for (let ch = 0; ch < output.length; ch++) {
+      const inData = input[ch] || input[0];
+      const outData = output[ch];
+      if (!inData) {
+        outData.fill(0);
+        continue;
+      }
+      let held = this.held[ch] || 0;
+      phase = this.phase;
+      for (let i = 0; i < outData.length; i++) {
+        if (phase <= 0) {
+          held = Math.round(inData[i] * steps) / steps;
+          phase += hold;
+        }
+        phase -= 1;
+        outData[i] = held;
+      }
+      this.held[ch] = held;
+    }
+    this.phase = phase;
+    return this.alive;
+  }
+}
+
+registerProcessor('bitcrusher-processor', BitcrusherProcessor);
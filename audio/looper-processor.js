@@ -0,0 +1,368 @@
+/* audio/looper-processor.js
+   LooperProcessor - loop recording / overdub AudioWorkletProcessor
+
+   Loaded by LooperNode via audioWorklet.addModule('audio/looper-processor.js').
+   Input 0 carries the signal to record (synth output, optionally mic); output 0 is loop playback only.
+
+   Message protocol (node -> processor):
+     { type: 'record', time, left?, right? }
+                                        // empty: start first take | recording: close loop | playing: toggle overdub
+     { type: 'overdub', time, left?, right? }
+                                        // toggle overdub on an existing loop
+     { type: 'play', time }             // restart playback from the loop start
+     { type: 'stop', time }             // stop playback (and any recording in progress)
+     { type: 'undo' }                   // drop the most recent layer
+     { type: 'multiply', factor }       // loop length * factor (layers repeat to fill)
+     { type: 'divide', factor }         // loop length / factor
+     { type: 'clear' }
+     { type: 'set-length', seconds }    // fixed length for the first take (0 = free length)
+     { type: 'level', value }           // playback gain
+     { type: 'export', requestId }      // mix every layer down to one loop (as heard, level applied)
+     { type: 'trim', id, left, right }  // right-sized storage for layer `id` (answers the processor's trim)
+     { type: 'dispose' }
+
+   Nothing is allocated on the render thread for audio: a record / overdub that may start a take
+   brings its record buffer (left / right Float32Arrays, transferred by the node) and is ignored as
+   a take without one. A take recorded into more storage than its loop needs (a free-length first
+   take, an overdub sent before the loop length was known) asks the node for a buffer of its length
+   and is copied over a slice per render quantum, so a layer only keeps its own frames.
+
+   Processor -> node:
+     { ready: true }
+     { type: 'state', state, length, layers, position, time, sampleRate, commands, pending }
+                                        // position (frames into the loop) is where the playhead is at
+                                        // context time `time`, so the loop started at time - position / sampleRate;
+                                        // commands = COMMANDS messages received, pending = scheduled ones not applied yet
+     { type: 'trim', id, length }       // layer `id` holds more than `length` frames: send storage that size
+     { type: 'export', requestId, left, right, sampleRate }   // left/right empty when there is no loop
+*/
+
+const DEFAULT_MAX_SECONDS = 120;
+const TRIM_FRAMES = 8192;           // frames copied into right-sized layer storage per render quantum
+const COMMANDS = ['record', 'overdub', 'play', 'stop', 'undo', 'multiply', 'divide', 'clear'];   // change the state
+
+class LooperProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const procOpts = (options && options.processorOptions) || {};
+
+    this.maxFrames = Math.round((procOpts.maxSeconds || DEFAULT_MAX_SECONDS) * sampleRate);
+    this.state = 'empty';        // empty | recording | playing | overdubbing | stopped
+    this.layers = [];            // { left: Float32Array, right: Float32Array, length }
+    this.take = null;            // layer currently being written
+    this.nextLayerId = 1;
+    this.trims = [];             // { layer, left, right, copied } right-sized storage being filled
+    this.takeFrames = 0;         // frames written into the first take
+    this.loopLength = 0;         // frames
+    this.fixedLength = 0;        // frames, 0 = free length
+    this.position = 0;           // playhead within the loop, in frames
+    this.frame = 0;              // context frame the state being changed applies at
+    this.level = 1.0;
+    this.events = [];
+    this.commands = 0;
+    this.alive = true;
+
+    this.port.onmessage = (ev) => this._onMessage(ev.data);
+    this.port.postMessage({ ready: true });
+  }
+
+  /* -------------------------
+     Messages
+     ------------------------- */
+  _onMessage(msg) {
+    if (!msg || !msg.type) return;
+    if (COMMANDS.includes(msg.type)) this.commands++;
+    this.frame = currentFrame;
+    switch (msg.type) {
+      case 'record':
+      case 'overdub':
+      case 'play':
+      case 'stop':
+        this._schedule(msg);
+        break;
+      case 'undo':
+        this._undo();
+        break;
+      case 'multiply':
+        this._resize(this.loopLength * Math.max(1, msg.factor | 0));
+        break;
+      case 'divide':
+        this._resize(Math.floor(this.loopLength / Math.max(1, msg.factor | 0)));
+        break;
+      case 'clear':
+        this.layers = [];
+        this.take = null;
+        this.trims = [];
+        this.loopLength = 0;
+        this.position = 0;
+        this._setState('empty');
+        break;
+      case 'set-length':
+        this.fixedLength = Math.min(this.maxFrames, Math.max(0, Math.round((msg.seconds || 0) * sampleRate)));
+        break;
+      case 'level':
+        this.level = Math.max(0, +msg.value || 0);
+        break;
+      case 'export':
+        this._export(msg.requestId);
+        break;
+      case 'trim': {
+        const layer = this.layers.find(l => l.id === msg.id);
+        if (layer && msg.left && msg.left.length === layer.length) {
+          this.trims.push({ layer, left: msg.left, right: msg.right, copied: 0 });
+        }
+        break;
+      }
+      case 'dispose':
+        this.layers = [];
+        this.take = null;
+        this.events = [];
+        this.trims = [];
+        this.alive = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  _schedule(msg) {
+    const frame = msg.time > 0 ? Math.round(msg.time * sampleRate) : 0;
+    let i = this.events.length;
+    while (i > 0 && this.events[i - 1].frame > frame) i--;
+    this.events.splice(i, 0, { frame, msg });
+  }
+
+  _setState(state) {
+    this.state = state;
+    this.port.postMessage({
+      type: 'state',
+      state,
+      length: this.loopLength,
+      layers: this.layers.length,
+      position: this.position,
+      time: this.frame / sampleRate,
+      sampleRate,
+      commands: this.commands,
+      pending: this.events.length
+    });
+  }
+
+  /* -------------------------
+     Transport / layer management
+     ------------------------- */
+  _applyEvent(msg) {
+    switch (msg.type) {
+      case 'record':
+        if (this.state === 'empty') this._startFirstTake(msg);
+        else if (this.state === 'recording') this._closeFirstTake();
+        else this._toggleOverdub(msg);
+        break;
+      case 'overdub':
+        if (this.loopLength > 0) this._toggleOverdub(msg);
+        break;
+      case 'play':
+        if (this.state === 'recording') this._closeFirstTake();
+        if (this.loopLength > 0) {
+          this._finishOverdub();
+          this.position = 0;
+          this._setState('playing');
+        }
+        break;
+      case 'stop':
+        if (this.state === 'recording') this._closeFirstTake();
+        this._finishOverdub();
+        if (this.loopLength > 0) this._setState('stopped');
+        break;
+      default:
+        break;
+    }
+  }
+
+  // msg.left / msg.right: the record buffer the node sent along, if it expected a take
+  _startFirstTake(msg) {
+    if (!msg.left) return;
+    const frames = Math.min(msg.left.length, this.fixedLength || this.maxFrames);
+    this.take = { left: msg.left, right: msg.right, length: frames };
+    this.takeFrames = 0;
+    this.position = 0;
+    this._setState('recording');
+  }
+
+  _closeFirstTake() {
+    const take = this.take;
+    this.take = null;
+    if (!take || this.takeFrames === 0) {
+      this._setState('empty');
+      return;
+    }
+    const length = this.takeFrames;
+    this._addLayer(take.left, take.right, length);
+    this.loopLength = length;
+    this.position = 0;
+    this._setState('playing');
+  }
+
+  _toggleOverdub(msg) {
+    if (this.state === 'overdubbing') {
+      this._finishOverdub();
+      this._setState('playing');
+      return;
+    }
+    if (!msg.left || msg.left.length < this.loopLength) return;
+    this.take = this._addLayer(msg.left, msg.right, this.loopLength);
+    this._setState('overdubbing');
+  }
+
+  _addLayer(left, right, length) {
+    const layer = { id: this.nextLayerId++, left, right, length };
+    this.layers.push(layer);
+    if (left.length > length) this.port.postMessage({ type: 'trim', id: layer.id, length });
+    return layer;
+  }
+
+  // Copy the next slice into right-sized storage; a layer still being overdubbed waits, so no
+  // write can land behind the copy
+  _copyTrim() {
+    const trim = this.trims[0];
+    const layer = trim.layer;
+    if (layer === this.take) return;
+    if (this.layers.indexOf(layer) < 0) {
+      this.trims.shift();
+      return;
+    }
+    const end = Math.min(layer.length, trim.copied + TRIM_FRAMES);
+    for (let i = trim.copied; i < end; i++) {
+      trim.left[i] = layer.left[i];
+      trim.right[i] = layer.right[i];
+    }
+    trim.copied = end;
+    if (end === layer.length) {
+      layer.left = trim.left;
+      layer.right = trim.right;
+      this.trims.shift();
+    }
+  }
+
+  _finishOverdub() {
+    if (this.state === 'overdubbing') this.take = null;
+  }
+
+  _undo() {
+    if (this.state === 'recording') {
+      this.take = null;
+      this._setState('empty');
+      return;
+    }
+    if (!this.layers.length) return;
+    const removed = this.layers.pop();
+    if (removed === this.take) this.take = null;
+    if (!this.layers.length) {
+      this.loopLength = 0;
+      this.position = 0;
+      this._setState('empty');
+    } else {
+      this._setState(this.state === 'overdubbing' ? 'playing' : this.state);
+    }
+  }
+
+  _export(requestId) {
+    const length = this.layers.length ? this.loopLength : 0;
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    for (const layer of this.layers) {
+      for (let i = 0; i < length; i++) {
+        const idx = i % layer.length;
+        left[i] += layer.left[idx] * this.level;
+        right[i] += layer.right[idx] * this.level;
+      }
+    }
+    this.port.postMessage({ type: 'export', requestId, left, right, sampleRate }, [left.buffer, right.buffer]);
+  }
+
+  _resize(length) {
+    if (this.loopLength === 0 || this.state === 'recording') return;
+    this._finishOverdub();
+    this.loopLength = Math.max(128, Math.min(this.maxFrames, length));
+    this.position %= this.loopLength;
+    this._setState(this.state === 'overdubbing' ? 'playing' : this.state);
+  }
+
+  /* -------------------------
+     Audio
+     ------------------------- */
+  _renderSegment(inL, inR, outL, outR, from, to) {
+    if (to <= from) return;
+    const state = this.state;
+
+    if (state === 'recording') {
+      const take = this.take;
+      for (let i = from; i < to; i++) {
+        take.left[this.takeFrames] = inL ? inL[i] : 0;
+        take.right[this.takeFrames] = inR ? inR[i] : 0;
+        this.takeFrames++;
+        if (this.takeFrames >= take.length) {
+          // fixed length (or the record buffer) is full: close the loop and keep going
+          this.frame = currentFrame + i + 1;
+          this._closeFirstTake();
+          this._renderSegment(inL, inR, outL, outR, i + 1, to);
+          return;
+        }
+      }
+      return;
+    }
+
+    if (state !== 'playing' && state !== 'overdubbing') return;
+
+    const layers = this.layers;
+    const take = state === 'overdubbing' ? this.take : null;
+    const level = this.level;
+    for (let i = from; i < to; i++) {
+      const p = this.position;
+      let l = 0, r = 0;
+      for (let k = 0; k < layers.length; k++) {
+        const layer = layers[k];
+        const idx = p % layer.length;
+        l += layer.left[idx];
+        r += layer.right[idx];
+      }
+      outL[i] += l * level;
+      outR[i] += r * level;
+      if (take) {
+        const idx = p % take.length;
+        take.left[idx] += inL ? inL[i] : 0;
+        take.right[idx] += inR ? inR[i] : 0;
+      }
+      this.position = p + 1 >= this.loopLength ? 0 : p + 1;
+    }
+  }
+
+  process(inputs, outputs) {
+    if (!this.alive) return false;
+
+    const input = inputs[0] || [];
+    const inL = input[0] || null;
+    const inR = input[1] || input[0] || null;
+    const output = outputs[0];
+    const outL = output[0];
+    const outR = output[1] || output[0];
+    const blockSize = outL.length;
+    outL.fill(0);
+    if (outR !== outL) outR.fill(0);
+
+    const blockEnd = currentFrame + blockSize;
+    let cursor = 0;
+    while (this.events.length && this.events[0].frame < blockEnd) {
+      const ev = this.events.shift();
+      const offset = Math.max(cursor, ev.frame - currentFrame);
+      this._renderSegment(inL, inR, outL, outR, cursor, offset);
+      cursor = offset;
+      this.frame = currentFrame + offset;
+      this._applyEvent(ev.msg);
+    }
+    this._renderSegment(inL, inR, outL, outR, cursor, blockSize);
+    if (this.trims.length) this._copyTrim();
+    return true;
+  }
+}
+
+registerProcessor('looper-processor', LooperProcessor);
@@ -0,0 +1,873 @@
+/* audio/mini-synth-processor.js
+   MiniSynthProcessor - polyphonic sample-playback AudioWorkletProcessor
+
+   Loaded by MiniSynthNode via audioWorklet.addModule('audio/mini-synth-processor.js').
+
+   Message protocol (node -> processor, via port.postMessage):
+     { type: 'noteOn', midi, freq, velocity, time,    // time in context seconds (0 = now); midi may be
+                                                      // fractional, freq is only used when midi is absent
+       sampleId,                                      // optional: bypasses the keymap
+       attack, decay, sustain, release }              // optional per-note envelope (seconds / level)
+     { type: 'noteOff', midi, freq, time }            // starts the voice's release tail
+     { type: 'param', name, value }                   // non-AudioParam settings (gain, sample,
+                                                      // maxVoices, pitchBend (semitones),
+                                                      // attack/decay/sustain/release,
+                                                      // modWheel (0..1), tempo (BPM, for synced LFOs))
+     { type: 'load-sample', id, channels,            // channels: Float32Array[] (transferred), plus
+       sampleRate, rootNote, fineTune, ...region }    // the optional region / tuning / slices fields
+     { type: 'sample-region', id, ...region }         // applies to voices started afterwards
+       region: { start, end,                          // playable region in frames
+                 loopStart, loopEnd,                  // sustain loop in frames, inside the region
+                 loopMode,                            // 'off' | 'forward' | 'pingpong'
+                 crossfade }                          // forward-loop crossfade length in frames
+     { type: 'sample-tuning', id, rootNote, fineTune } // MIDI note the sample sounds at unshifted, plus
+                                                      // a correction in cents; applies to new voices
+     { type: 'slices', id, baseNote, slices }         // slice mode: [{ start, end, reverse }] in frames;
+                                                      // slice i plays on key baseNote + i at its
+                                                      // recorded pitch. Empty / missing slices = off
+     { type: 'unload-sample', id }
+     { type: 'zones', zones }                         // keymap: [{ sampleId, lowKey, highKey,
+                                                      //   lowVel, highVel }] (MIDI note / velocity 1..127)
+     { type: 'lfo', index, shape, rate, sync }        // LFO 0..3: shape 'sine' | 'triangle' | 'saw' |
+                                                      // 'square' | 'sampleHold', rate in Hz, or sync
+                                                      // ('1/4', '1/8t', ...) to follow the tempo
+     { type: 'mod-envelope', index, attack, decay,    // modulation envelope 0..1 (seconds / level);
+       sustain, release }                             // applies to notes started afterwards
+     { type: 'mod-routes', routes }                   // mod matrix: [{ source, destination, depth }]
+     { type: 'sync', requestId }                      // no-op; its ack means every earlier message is applied
+     { type: 'dispose' }
+   Any message may carry a requestId; it is answered with an ack once applied, or an error.
+
+   Processor -> node:
+     { ready: true, protocol, capabilities }          // handshake, posted once from the constructor:
+                                                      // PROTOCOL_VERSION and the CAPABILITIES list
+     { type: 'ack', requestId }                       // the message with this requestId was applied
+     { type: 'error', code, message,                  // a message could not be applied; code is
+       requestType, requestId }                       // 'invalid-message' or 'unknown-message'
+     { type: 'playhead', id, positions }              // frame position of each sounding voice (first
+                                                      // unison copy), ~30x per second while playing;
+                                                      // one last message with positions: [] when they stop
+     { type: 'voices', active, releasing, max }       // voice count (releasing ones included in active)
+                                                      // whenever it changes, at most ~30x per second
+
+   AudioParams: filterCutoff, filterQ, unisonCount, unisonDetune (k-rate)
+
+   Zones: with a keymap loaded, each noteOn plays the zones nearest to its key (an exact key range
+   match wins, otherwise the closest range), then the nearest velocity layer. Layers whose velocity
+   ranges overlap crossfade (equal power) across the overlap; zones with identical ranges stack.
+   Without zones every note plays the most recently loaded sample.
+
+   Slices: a sliced sample ignores its region, sustain loop and root note. Each key from baseNote up
+   plays one slice once through (backwards when reversed); keys without a slice are silent.
+
+   Modulation: each route adds source * depth * range to its destination, where depth is -1..1 and
+   range is the destination's span in MOD_DESTINATIONS. Sources are four free-running LFOs (-1..1),
+   two per-voice envelopes, the note's velocity and the mod wheel (0..1). Sources are computed for
+   every frame; pitch and gain follow them per frame, while a voice's filter and unison detune are
+   recalculated every MOD_CONTROL_INTERVAL frames (cheap enough for full polyphony, still far above
+   any LFO rate). Modulated cutoff / Q / detune start from the current AudioParam values.
+*/
+
+const PROTOCOL_VERSION = 2;     // bumped whenever the message protocol changes incompatibly
+const CAPABILITIES = ['load-sample', 'zones', 'slices', 'modulation', 'playhead', 'voices', 'ack'];
+const MIN_ENV_TIME = 0.002;   // seconds - shortest envelope stage, keeps starts/stops click-free
+const STEAL_TIME = 0.005;     // seconds - fade applied to a voice taken by voice stealing
+const SUSTAIN_GLIDE = 0.002;  // per-sample smoothing when the sustain level changes live
+const MAX_UNISON = 8;
+const DEFAULT_ROOT_NOTE = 60;   // C4, the usual sampler default when a sample's pitch is unknown
+const LFO_COUNT = 4;
+const MOD_ENVELOPE_COUNT = 2;
+const MOD_CONTROL_INTERVAL = 16; // frames between filter / detune updates of a modulated voice
+const LFO_SHAPES = ['sine', 'triangle', 'saw', 'square', 'sampleHold'];
+const LFO_SYNC = {               // note value -> beats per LFO cycle
+  '4/1': 16, '2/1': 8, '1/1': 4, '1/2': 2, '1/4': 1, '1/4t': 2 / 3, '1/8': 0.5, '1/8t': 1 / 3, '1/16': 0.25
+};
+// source name -> slot in the per-frame source array
+const MOD_SOURCES = ['lfo1', 'lfo2', 'lfo3', 'lfo4', 'env1', 'env2', 'velocity', 'modWheel'];
+const SRC_VELOCITY = 6, SRC_MOD_WHEEL = 7;
+// destination -> change at depth 1, in the destination's unit
+const MOD_DESTINATIONS = {
+  filterCutoff: 5,               // octaves
+  filterQ: 10,
+  unisonDetune: 50,              // cents
+  gain: 1,                       // fraction of the voice level
+  pitchBend: 12                  // semitones
+};
+const MOD_DESTINATION_NAMES = Object.keys(MOD_DESTINATIONS);
+const DEST_CUTOFF = 0, DEST_Q = 1, DEST_DETUNE = 2, DEST_GAIN = 3, DEST_PITCH = 4;
+
+// MIDI note of a noteOn / noteOff (fractional when only a frequency was given)
+function noteNumber(msg) {
+  if (Number.isFinite(msg.midi)) return msg.midi;
+  return msg.freq > 0 ? 69 + 12 * Math.log2(msg.freq / 440) : 69;
+}
+
+// Zones whose [lowKey, highKey] range (or lowVel / highVel) is closest to value - all exact matches
+// when there are any. In a gap, ties go to the range above (for keys: pitching a sample down
+// sounds more natural than pitching one up).
+function nearestZones(zones, value, lowField, highField) {
+  let best = Infinity;
+  let result = [];
+  for (const z of zones) {
+    const distance = value < z[lowField] ? z[lowField] - value : (value > z[highField] ? value - z[highField] + 0.5 : 0);
+    if (distance < best) {
+      best = distance;
+      result = [z];
+    } else if (distance === best) {
+      result.push(z);
+    }
+  }
+  return result;
+}
+
+// RBJ cookbook low-pass coefficients into out
+function lowpassCoefficients(cutoff, q, out) {
+  const fc = Math.max(20, Math.min(cutoff, sampleRate * 0.49));
+  const w0 = 2 * Math.PI * fc / sampleRate;
+  const alpha = Math.sin(w0) / (2 * Math.max(0.0001, q));
+  const cosw = Math.cos(w0);
+  const a0 = 1 + alpha;
+  out.b0 = ((1 - cosw) / 2) / a0;
+  out.b1 = (1 - cosw) / a0;
+  out.b2 = ((1 - cosw) / 2) / a0;
+  out.a1 = (-2 * cosw) / a0;
+  out.a2 = (1 - alpha) / a0;
+  return out;
+}
+
+// Advance a modulation envelope by one frame (linear segments, like the amp envelope)
+function stepModEnvelope(e) {
+  switch (e.stage) {
+    case 'attack':
+      e.value += e.attackStep;
+      if (e.value >= 1) { e.value = 1; e.stage = 'decay'; }
+      break;
+    case 'decay':
+      e.value -= e.decayStep;
+      if (e.value <= e.sustain) { e.value = e.sustain; e.stage = 'sustain'; }
+      break;
+    case 'release':
+      e.value -= e.releaseStep;
+      if (e.value <= 0) { e.value = 0; e.stage = 'done'; }
+      break;
+    default:
+      break;
+  }
+  return e.value;
+}
+const PLAYHEAD_INTERVAL = 1 / 30; // seconds between playhead reports
+const ENVELOPE_PARAMS = ['attack', 'decay', 'sustain', 'release'];
+
+class MiniSynthProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'filterCutoff', defaultValue: 1000, minValue: 20, maxValue: 20000, automationRate: 'k-rate' },
+      { name: 'filterQ', defaultValue: 1.0, minValue: 0.1, maxValue: 30, automationRate: 'k-rate' },
+      { name: 'unisonCount', defaultValue: 1, minValue: 1, maxValue: MAX_UNISON, automationRate: 'k-rate' },
+      { name: 'unisonDetune', defaultValue: 12.0, minValue: 0, maxValue: 100, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const procOpts = (options && options.processorOptions) || {};
+
+    this.samples = new Map();       // id -> { channels: Float32Array[], sampleRate, length, start, end, loop }
+    this.currentSampleId = null;    // most recently loaded sample (used when noteOn has no sampleId)
+    this.zones = [];                // keymap, see _layersFor
+    this.voices = [];
+    this.events = [];               // scheduled note events, sorted by frame
+    this.settings = {
+      gain: 0.8,
+      pitchBend: 0,                 // semitones, applied to every sounding voice
+      // default envelope for notes that don't carry their own
+      attack: 0.05,
+      decay: 0.1,
+      sustain: 0.7,
+      release: 0.5,
+      modWheel: 0,
+      tempo: 120
+    };
+    this.maxVoices = procOpts.maxVoices || 32;
+    this.alive = true;
+    this._nextPlayheadFrame = 0;
+    this._reportedPlayheads = new Set(); // sample ids whose last report had sounding voices
+    this._nextVoicesFrame = 0;
+    this._reportedVoices = { active: -1, releasing: -1, max: -1 };   // counts of the last voices report
+
+    // filter coefficients shared by all voices for the current block
+    this.coeffs = { b0: 1, b1: 0, b2: 0, a1: 0, a2: 0 };
+    this._lastCutoff = -1;
+    this._lastQ = -1;
+    this._cutoff = 1000;            // AudioParam values of the current block, the base for modulation
+    this._q = 1;
+
+    // modulation matrix, see "Modulation" above
+    this.lfos = [];
+    for (let k = 0; k < LFO_COUNT; k++) {
+      this.lfos.push({ shape: 'sine', rate: 1, sync: null, phase: 0, held: 0, buffer: new Float32Array(128) });
+    }
+    this.modEnvelopes = [];
+    for (let k = 0; k < MOD_ENVELOPE_COUNT; k++) {
+      this.modEnvelopes.push({ attack: 0.01, decay: 0.3, sustain: 0, release: 0.3 });
+    }
+    this.routes = [];               // { source, destination (indexes), amount (depth * range) }
+    this._lfosInUse = [];           // LFO indexes some route reads
+    this._sources = new Float64Array(MOD_SOURCES.length);
+    this._mod = new Float64Array(MOD_DESTINATION_NAMES.length);
+
+    this.port.onmessage = (ev) => this._receive(ev.data);
+    this.port.postMessage({ ready: true, protocol: PROTOCOL_VERSION, capabilities: CAPABILITIES });
+  }
+
+  /* -------------------------
+     Messages
+     ------------------------- */
+  // apply one message and answer its requestId, if any
+  _receive(msg) {
+    if (!msg || !msg.type) return;
+    try {
+      this._onMessage(msg);
+    } catch (err) {
+      this.port.postMessage({
+        type: 'error',
+        code: err.code || 'invalid-message',
+        message: err.message,
+        requestType: msg.type,
+        requestId: msg.requestId
+      });
+      return;
+    }
+    if (msg.requestId !== undefined) this.port.postMessage({ type: 'ack', requestId: msg.requestId });
+  }
+
+  _onMessage(msg) {
+    switch (msg.type) {
+      case 'noteOn':
+      case 'noteOff':
+        this._schedule(msg);
+        break;
+      case 'param':
+        this._setSetting(msg.name, msg.value);
+        break;
+      case 'load-sample':
+        this._storeSample(msg);
+        break;
+      case 'sample-region': {
+        const sample = this.samples.get(msg.id);
+        if (sample) this._setRegion(sample, msg);
+        break;
+      }
+      case 'sample-tuning': {
+        const sample = this.samples.get(msg.id);
+        if (sample) this._setTuning(sample, msg);
+        break;
+      }
+      case 'slices': {
+        const sample = this.samples.get(msg.id);
+        if (sample) this._setSlices(sample, msg);
+        break;
+      }
+      case 'unload-sample':
+        // sounding voices keep their reference to the data and finish normally
+        this.samples.delete(msg.id);
+        if (this.currentSampleId === msg.id) {
+          this.currentSampleId = this.samples.size ? Array.from(this.samples.keys()).pop() : null;
+        }
+        break;
+      case 'zones':
+        this.zones = (msg.zones || []).map(z => ({
+          sampleId: z.sampleId,
+          lowKey: z.lowKey ?? 0,
+          highKey: z.highKey ?? 127,
+          lowVel: z.lowVel ?? 1,
+          highVel: z.highVel ?? 127
+        }));
+        break;
+      case 'lfo':
+        this._setLfo(msg);
+        break;
+      case 'mod-envelope': {
+        const env = this.modEnvelopes[msg.index];
+        if (!env) break;
+        for (const name of ENVELOPE_PARAMS) {
+          if (typeof msg[name] === 'number') env[name] = msg[name];
+        }
+        break;
+      }
+      case 'mod-routes':
+        this._setRoutes(msg.routes);
+        break;
+      case 'sync':
+        // messages are handled in order, so everything posted before this one is in place
+        break;
+      case 'dispose':
+        this.voices = [];
+        this.events = [];
+        this.samples.clear();
+        this.zones = [];
+        this.alive = false;
+        break;
+      default: {
+        const err = new Error(`unknown message type "${msg.type}"`);
+        err.code = 'unknown-message';
+        throw err;
+      }
+    }
+  }
+
+  _setSetting(name, value) {
+    if (name === 'sample') {
+      if (this.samples.has(value)) this.currentSampleId = value;
+      return;
+    }
+    if (name === 'maxVoices') {
+      this.maxVoices = Math.max(1, value | 0);
+      return;
+    }
+    this.settings[name] = value;
+    if (ENVELOPE_PARAMS.includes(name)) {
+      // envelope changes apply to held voices too, not only to the next note
+      for (const v of this.voices) {
+        if (v.stolen) continue;
+        v.envelope[name] = value;
+        this._updateEnvelopeRates(v);
+      }
+    }
+  }
+
+  // msg: a load-sample message - the channel data plus its region / tuning / slices
+  _storeSample(msg) {
+    const { id, channels } = msg;
+    if (!Array.isArray(channels) || !channels.length || !channels.every(ch => ArrayBuffer.isView(ch))) {
+      throw new Error(`load-sample "${id}": channels must be a non-empty array of Float32Array`);
+    }
+    const length = channels.reduce((n, ch) => Math.min(n, ch.length), Infinity);
+    if (!length) throw new Error(`load-sample "${id}": no sample data`);
+    const sample = {
+      channels,
+      sampleRate: msg.sampleRate || sampleRate,
+      length,
+      start: 0,
+      end: length,
+      loop: null,
+      rootNote: DEFAULT_ROOT_NOTE,
+      fineTune: 0,
+      slices: null,                 // slice mode, see _setSlices
+      sliceBase: 0
+    };
+    this._setRegion(sample, msg);
+    this._setTuning(sample, msg);
+    this._setSlices(sample, msg);
+    this.samples.set(id, sample);
+    // voices already playing keep their reference to the previous data
+    this.currentSampleId = id;
+  }
+
+  // Clamp a region (and its optional sustain loop) to the sample data
+  _setRegion(sample, region) {
+    const { start, end } = region;
+    const s = Number.isFinite(start) ? Math.max(0, Math.min(sample.length - 1, Math.floor(start))) : 0;
+    const e = Number.isFinite(end) ? Math.max(s + 1, Math.min(sample.length, Math.floor(end))) : sample.length;
+    sample.start = s;
+    sample.end = e;
+    sample.loop = null;
+
+    const mode = region.loopMode;
+    if (mode !== 'forward' && mode !== 'pingpong') return;
+    const ls = Number.isFinite(region.loopStart) ? Math.max(s, Math.min(e - 2, Math.floor(region.loopStart))) : s;
+    // the loop stays one frame short of the region end so interpolation never reads past it
+    const le = Number.isFinite(region.loopEnd) ? Math.max(ls + 1, Math.min(e - 1, Math.floor(region.loopEnd))) : e - 1;
+    const length = le - ls;
+    // the crossfade reads the frames just before loopStart, so it can't be longer than what precedes it
+    const crossfade = mode === 'forward' ? Math.max(0, Math.min(region.crossfade || 0, length, ls)) : 0;
+    sample.loop = { mode, start: ls, end: le, length, crossfade, crossfadeStart: le - crossfade };
+  }
+
+  // Clamp slices to the data; each keeps at least two frames so interpolation has a neighbour
+  _setSlices(sample, msg) {
+    if (!Array.isArray(msg.slices) || !msg.slices.length) {
+      sample.slices = null;
+      return;
+    }
+    sample.sliceBase = Number.isFinite(msg.baseNote) ? Math.round(msg.baseNote) : DEFAULT_ROOT_NOTE;
+    sample.slices = msg.slices.map((slice) => {
+      const start = Math.max(0, Math.min(sample.length - 2, Math.floor(slice.start) || 0));
+      const end = Math.max(start + 2, Math.min(sample.length, Math.floor(slice.end) || sample.length));
+      return { start, end, reverse: !!slice.reverse };
+    });
+  }
+
+  _setTuning(sample, tuning) {
+    if (Number.isFinite(tuning.rootNote)) sample.rootNote = tuning.rootNote;
+    if (Number.isFinite(tuning.fineTune)) sample.fineTune = tuning.fineTune;
+  }
+
+  // Insert a note event keeping this.events ordered by frame
+  _schedule(msg) {
+    const frame = msg.time > 0 ? Math.round(msg.time * sampleRate) : 0;
+    const ev = { frame, msg };
+    let i = this.events.length;
+    while (i > 0 && this.events[i - 1].frame > frame) i--;
+    this.events.splice(i, 0, ev);
+  }
+
+  /* -------------------------
+     Zones
+     ------------------------- */
+  // Samples a note should play, each with its layer gain
+  _layersFor(msg) {
+    if (msg.sampleId || !this.zones.length) {
+      return [{ sampleId: msg.sampleId || this.currentSampleId, gain: 1 }];
+    }
+    const note = Math.round(noteNumber(msg));
+    const velocity = Math.max(1, Math.min(127, Math.round((msg.velocity ?? 1) * 127)));
+    const loaded = this.zones.filter(z => this.samples.has(z.sampleId));
+    const layers = nearestZones(nearestZones(loaded, note, 'lowKey', 'highKey'), velocity, 'lowVel', 'highVel');
+
+    const result = [];
+    for (const z of layers) {
+      let weight = 1;
+      for (const o of layers) {
+        if (o === z) continue;
+        const lo = Math.max(z.lowVel, o.lowVel);
+        const hi = Math.min(z.highVel, o.highVel);
+        if (hi <= lo) continue;
+        const t = Math.max(0, Math.min(1, (velocity - lo) / (hi - lo)));
+        // the softer layer fades out across the overlap while the louder one fades in
+        if (z.lowVel < o.lowVel || (z.lowVel === o.lowVel && z.highVel < o.highVel)) weight *= 1 - t;
+        else if (z.lowVel > o.lowVel || z.highVel > o.highVel) weight *= t;
+      }
+      if (weight > 0) result.push({ sampleId: z.sampleId, gain: Math.sqrt(weight) });
+    }
+    return result;
+  }
+
+  _startNote(msg, unisonCount, unisonDetune) {
+    for (const layer of this._layersFor(msg)) {
+      this._startVoice(msg, layer.sampleId, layer.gain, unisonCount, unisonDetune);
+    }
+  }
+
+  /* -------------------------
+     Modulation
+     ------------------------- */
+  _setLfo(msg) {
+    const lfo = this.lfos[msg.index];
+    if (!lfo) return;
+    if (LFO_SHAPES.includes(msg.shape)) lfo.shape = msg.shape;
+    if (Number.isFinite(msg.rate)) lfo.rate = Math.max(0, msg.rate);
+    if (msg.sync !== undefined) lfo.sync = LFO_SYNC[msg.sync] ? msg.sync : null;
+  }
+
+  _setRoutes(routes) {
+    this.routes = [];
+    for (const r of routes || []) {
+      const source = MOD_SOURCES.indexOf(r.source);
+      const destination = MOD_DESTINATION_NAMES.indexOf(r.destination);
+      const depth = Math.max(-1, Math.min(1, +r.depth || 0));
+      if (source < 0 || destination < 0 || depth === 0) continue;
+      this.routes.push({ source, destination, amount: depth * MOD_DESTINATIONS[r.destination] });
+    }
+    this._lfosInUse = [];
+    for (let k = 0; k < LFO_COUNT; k++) {
+      if (this.routes.some(r => r.source === k)) this._lfosInUse.push(k);
+    }
+    // voices drop modulation that no route drives any more
+    for (const v of this.voices) this._applyVoiceModulation(v, null);
+  }
+
+  // Fill the block's buffer of every LFO a route reads
+  _renderLfos(blockSize) {
+    const beatsPerSecond = this.settings.tempo / 60;
+    for (const k of this._lfosInUse) {
+      const lfo = this.lfos[k];
+      if (lfo.buffer.length < blockSize) lfo.buffer = new Float32Array(blockSize);
+      const hz = lfo.sync ? beatsPerSecond / LFO_SYNC[lfo.sync] : lfo.rate;
+      const step = hz / sampleRate;
+      const out = lfo.buffer;
+      let phase = lfo.phase;
+      for (let i = 0; i < blockSize; i++) {
+        switch (lfo.shape) {
+          case 'triangle': out[i] = 1 - 4 * Math.abs(phase - 0.5); break;
+          case 'saw': out[i] = 2 * phase - 1; break;
+          case 'square': out[i] = phase < 0.5 ? 1 : -1; break;
+          case 'sampleHold': out[i] = lfo.held; break;
+          default: out[i] = Math.sin(2 * Math.PI * phase); break;
+        }
+        phase += step;
+        if (phase >= 1) {
+          phase -= Math.floor(phase);
+          lfo.held = Math.random() * 2 - 1;
+        }
+      }
+      lfo.phase = phase;
+    }
+  }
+
+  // Per-voice envelope state for the modulation envelopes, timed like the amp envelope
+  _startModEnvelopes() {
+    return this.modEnvelopes.map((e) => {
+      const sustain = Math.max(0, Math.min(1, e.sustain));
+      return {
+        stage: 'attack',
+        value: 0,
+        sustain,
+        release: e.release,
+        attackStep: 1 / (Math.max(MIN_ENV_TIME, e.attack) * sampleRate),
+        decayStep: Math.max(0.000001, 1 - sustain) / (Math.max(MIN_ENV_TIME, e.decay) * sampleRate),
+        releaseStep: 0
+      };
+    });
+  }
+
+  // Filter and unison detune of a voice for the modulation amounts in mod (null = none)
+  _applyVoiceModulation(v, mod) {
+    const cutoff = mod ? mod[DEST_CUTOFF] : 0;
+    const q = mod ? mod[DEST_Q] : 0;
+    if (cutoff !== 0 || q !== 0) {
+      v.coeffs = lowpassCoefficients(this._cutoff * Math.pow(2, cutoff), Math.max(0.1, this._q + q), v.coeffs || {});
+    } else {
+      v.coeffs = null;
+    }
+    const detune = mod ? mod[DEST_DETUNE] : 0;
+    if (detune !== 0 || v.detuneModulated) {
+      for (const c of v.copies) c.rate = v.baseRate * Math.pow(2, (c.spread * Math.max(0, v.detune + detune)) / 1200);
+      v.detuneModulated = detune !== 0;
+    }
+  }
+
+  /* -------------------------
+     Voices
+     ------------------------- */
+  _startVoice(msg, sampleId, layerGain, unisonCount, unisonDetune) {
+    const sample = this.samples.get(sampleId);
+    if (!sample) return;
+
+    // key -> rate comes from the sample's root note: playing rootNote reproduces the recording,
+    // fineTune (cents) corrects a sample that sits between two notes
+    const note = noteNumber(msg);
+    let semitones = note - sample.rootNote + sample.fineTune / 100;
+    let region = { start: sample.start, end: sample.end, loop: sample.loop, reverse: false };
+    if (sample.slices) {
+      // slice mode: the key picks a slice, which plays at its recorded pitch
+      const slice = sample.slices[Math.round(note) - sample.sliceBase];
+      if (!slice) return;
+      region = { start: slice.start, end: slice.end, loop: null, reverse: slice.reverse };
+      semitones = 0;
+    }
+    const baseRate = Math.pow(2, semitones / 12) * (sample.sampleRate / sampleRate);
+
+    // spread unison copies evenly across +/- unisonDetune/2 cents, panned left to right
+    const count = Math.max(1, Math.min(MAX_UNISON, Math.round(unisonCount)));
+    const copies = [];
+    for (let u = 0; u < count; u++) {
+      const spread = count === 1 ? 0 : (u / (count - 1)) - 0.5;
+      const pan = count === 1 ? 0 : spread * 2;
+      copies.push({
+        spread,
+        // reversed slices start one frame short of the end so interpolation stays inside
+        pos: region.reverse ? region.end - 2 : region.start,
+        dir: region.reverse ? -1 : 1, // -1 while a ping-pong loop or a reversed slice plays backwards
+        rate: baseRate * Math.pow(2, (spread * unisonDetune) / 1200),
+        gainL: Math.sqrt((1 - pan) / 2) * Math.SQRT2,
+        gainR: Math.sqrt((1 + pan) / 2) * Math.SQRT2
+      });
+    }
+
+    this._stealVoices();
+
+    const envelope = {};
+    for (const name of ENVELOPE_PARAMS) {
+      envelope[name] = typeof msg[name] === 'number' ? msg[name] : this.settings[name];
+    }
+
+    const voice = {
+      midi: msg.midi,
+      freq: msg.freq,
+      sampleId,
+      sample,
+      start: region.start,          // region and loop captured at note start
+      end: region.end,
+      loop: region.loop,
+      copies,
+      velocity: (msg.velocity ?? 1.0) * layerGain,
+      noteVelocity: msg.velocity ?? 1.0, // mod source, without the layer crossfade
+      unisonNorm: 1 / Math.sqrt(count),
+      baseRate,
+      detune: unisonDetune,
+      detuneModulated: false,
+      modEnvelopes: this._startModEnvelopes(),
+      modCountdown: 0,              // frames until the filter / detune modulation is recalculated
+      coeffs: null,                 // own filter coefficients while cutoff / Q are modulated
+      envelope,
+      stage: 'attack',              // attack | decay | sustain | release
+      env: 0,
+      attackStep: 0,
+      decayStep: 0,
+      releaseStep: 0,
+      released: false,
+      stolen: false,
+      done: false,
+      // per-channel biquad state
+      zL1: 0, zL2: 0, zR1: 0, zR2: 0
+    };
+    this._updateEnvelopeRates(voice);
+    this.voices.push(voice);
+  }
+
+  // Per-sample increments for the voice's current envelope settings
+  _updateEnvelopeRates(v) {
+    const e = v.envelope;
+    const sustain = Math.max(0, Math.min(1, e.sustain));
+    v.attackStep = 1 / (Math.max(MIN_ENV_TIME, e.attack) * sampleRate);
+    v.decayStep = Math.max(0.000001, 1 - sustain) / (Math.max(MIN_ENV_TIME, e.decay) * sampleRate);
+    if (v.stage === 'release' && !v.stolen) {
+      // re-time the remaining tail from the current level
+      v.releaseStep = Math.max(v.env, 0.000001) / (Math.max(MIN_ENV_TIME, e.release) * sampleRate);
+    }
+  }
+
+  _enterRelease(v, seconds) {
+    v.released = true;
+    v.stage = 'release';
+    v.releaseStep = Math.max(v.env, 0.000001) / (Math.max(MIN_ENV_TIME, seconds) * sampleRate);
+    for (const e of v.modEnvelopes) {
+      e.stage = 'release';
+      e.releaseStep = Math.max(e.value, 0.000001) / (Math.max(MIN_ENV_TIME, v.stolen ? seconds : e.release) * sampleRate);
+    }
+  }
+
+  _releaseVoices(msg) {
+    for (const v of this.voices) {
+      if (v.released) continue;
+      const match = msg.midi !== undefined ? v.midi === msg.midi : v.freq === msg.freq;
+      if (match) this._enterRelease(v, v.envelope.release);
+    }
+  }
+
+  // Make room for one more voice: fade out released voices first, then the oldest held one
+  _stealVoices() {
+    const live = this.voices.filter(v => !v.done && !v.stolen);
+    let excess = live.length - this.maxVoices + 1;
+    if (excess <= 0) return;
+    const candidates = live.filter(v => v.released).concat(live.filter(v => !v.released));
+    for (const v of candidates) {
+      if (excess-- <= 0) break;
+      v.stolen = true;
+      this._enterRelease(v, STEAL_TIME);
+    }
+  }
+
+  _applyEvent(ev, params) {
+    if (ev.msg.type === 'noteOn') {
+      this._startNote(ev.msg, params.unisonCount[0], params.unisonDetune[0]);
+    } else {
+      this._releaseVoices(ev.msg);
+    }
+  }
+
+  /* -------------------------
+     DSP helpers
+     ------------------------- */
+  // Shared low-pass coefficients, recomputed only when cutoff or Q change
+  _updateFilter(cutoff, q) {
+    this._cutoff = cutoff;
+    this._q = q;
+    if (cutoff === this._lastCutoff && q === this._lastQ) return;
+    this._lastCutoff = cutoff;
+    this._lastQ = q;
+    lowpassCoefficients(cutoff, q, this.coeffs);
+  }
+
+  _renderVoice(v, outL, outR, from, to) {
+    const { channels } = v.sample;
+    const start = v.start;
+    const end = v.end;
+    const left = channels[0];
+    const right = channels[1] || channels[0];
+    const gain = this.settings.gain * v.velocity * v.unisonNorm;
+    const bend = this.settings.pitchBend ? Math.pow(2, this.settings.pitchBend / 12) : 1;
+    const loop = v.loop;
+    const routes = this.routes;
+    const sources = this._sources;
+    const mod = this._mod;
+    sources[SRC_VELOCITY] = v.noteVelocity;
+    sources[SRC_MOD_WHEEL] = this.settings.modWheel;
+
+    for (let i = from; i < to; i++) {
+      // linear ADSR
+      switch (v.stage) {
+        case 'attack':
+          v.env += v.attackStep;
+          if (v.env >= 1) { v.env = 1; v.stage = 'decay'; }
+          break;
+        case 'decay': {
+          const sustain = v.envelope.sustain;
+          v.env -= v.decayStep;
+          if (v.env <= sustain) { v.env = sustain; v.stage = 'sustain'; }
+          break;
+        }
+        case 'sustain':
+          v.env += (v.envelope.sustain - v.env) * SUSTAIN_GLIDE;
+          break;
+        default:
+          v.env -= v.releaseStep;
+          if (v.env <= 0) { v.env = 0; v.done = true; }
+          break;
+      }
+      if (v.done) break;
+
+      let pitch = bend;
+      let level = v.env;
+      if (routes.length) {
+        for (const k of this._lfosInUse) sources[k] = this.lfos[k].buffer[i];
+        for (let k = 0; k < MOD_ENVELOPE_COUNT; k++) sources[LFO_COUNT + k] = stepModEnvelope(v.modEnvelopes[k]);
+        mod.fill(0);
+        for (const r of routes) mod[r.destination] += sources[r.source] * r.amount;
+        if (mod[DEST_PITCH] !== 0) pitch *= Math.pow(2, mod[DEST_PITCH] / 12);
+        level *= Math.max(0, 1 + mod[DEST_GAIN]);
+        if (--v.modCountdown <= 0) {
+          v.modCountdown = MOD_CONTROL_INTERVAL;
+          this._applyVoiceModulation(v, mod);
+        }
+      }
+
+      // the sustain loop holds only while the key is down; after noteOff playback runs on to the region end
+      const looping = loop !== null && !v.released;
+      let l = 0, r = 0, playing = 0;
+      for (const c of v.copies) {
+        let pos = c.pos;
+        const idx = pos | 0;
+        if (idx >= end - 1 || idx < start) continue;
+        const frac = pos - idx;
+        let sl = left[idx] + (left[idx + 1] - left[idx]) * frac;
+        let sr = right[idx] + (right[idx + 1] - right[idx]) * frac;
+
+        if (looping && loop.crossfade > 0 && pos >= loop.crossfadeStart) {
+          // blend towards the audio just before loopStart so the wrap lands on matching material
+          const t = (pos - loop.crossfadeStart) / loop.crossfade;
+          const p2 = pos - loop.length;
+          const i2 = p2 | 0;
+          const f2 = p2 - i2;
+          sl += ((left[i2] + (left[i2 + 1] - left[i2]) * f2) - sl) * t;
+          sr += ((right[i2] + (right[i2 + 1] - right[i2]) * f2) - sr) * t;
+        }
+        l += sl * c.gainL;
+        r += sr * c.gainR;
+
+        pos += c.rate * pitch * c.dir;
+        if (looping && c.dir > 0 && pos >= loop.end) {
+          if (loop.mode === 'forward') pos -= loop.length;
+          else { pos = 2 * loop.end - pos; c.dir = -1; }
+        }
+        if (c.dir < 0 && loop !== null && pos <= loop.start) {
+          // ping-pong turns forward again at loopStart, also during the release tail
+          pos = 2 * loop.start - pos;
+          c.dir = 1;
+        }
+        c.pos = pos;
+        playing++;
+      }
+      if (playing === 0) { v.done = true; break; }
+
+      // transposed direct form II biquad per channel
+      const { b0, b1, b2, a1, a2 } = v.coeffs || this.coeffs;
+      const yl = b0 * l + v.zL1;
+      v.zL1 = b1 * l - a1 * yl + v.zL2;
+      v.zL2 = b2 * l - a2 * yl;
+      const yr = b0 * r + v.zR1;
+      v.zR1 = b1 * r - a1 * yr + v.zR2;
+      v.zR2 = b2 * r - a2 * yr;
+
+      const g = gain * level;
+      outL[i] += yl * g;
+      outR[i] += yr * g;
+    }
+  }
+
+  _renderSegment(outL, outR, from, to) {
+    if (to <= from) return;
+    for (const v of this.voices) {
+      if (!v.done) this._renderVoice(v, outL, outR, from, to);
+    }
+  }
+
+  /* -------------------------
+     Audio callback
+     ------------------------- */
+  // throttled to PLAYHEAD_INTERVAL so the UI thread isn't flooded with a message per block
+  _reportPlayheads(frame) {
+    if (frame < this._nextPlayheadFrame) return;
+    if (!this.voices.length && !this._reportedPlayheads.size) return;
+    this._nextPlayheadFrame = frame + PLAYHEAD_INTERVAL * sampleRate;
+
+    const bySample = new Map();
+    for (const v of this.voices) {
+      if (!bySample.has(v.sampleId)) bySample.set(v.sampleId, []);
+      bySample.get(v.sampleId).push(v.copies[0].pos);
+    }
+    // samples that went silent since the last report get one empty update
+    for (const id of this._reportedPlayheads) {
+      if (!bySample.has(id)) this.port.postMessage({ type: 'playhead', id, positions: [] });
+    }
+    bySample.forEach((positions, id) => this.port.postMessage({ type: 'playhead', id, positions }));
+    this._reportedPlayheads = new Set(bySample.keys());
+  }
+
+  // only on change, throttled like the playheads; a change held back is sent with a later block
+  _reportVoices(frame) {
+    if (frame < this._nextVoicesFrame) return;
+    let releasing = 0;
+    for (const v of this.voices) {
+      if (v.stage === 'release') releasing++;
+    }
+    const active = this.voices.length;
+    const max = this.maxVoices;
+    const last = this._reportedVoices;
+    if (active === last.active && releasing === last.releasing && max === last.max) return;
+    last.active = active;
+    last.releasing = releasing;
+    last.max = max;
+    this._nextVoicesFrame = frame + PLAYHEAD_INTERVAL * sampleRate;
+    this.port.postMessage({ type: 'voices', active, releasing, max });
+  }
+
+  process(inputs, outputs, parameters) {
+    if (!this.alive) return false;
+
+    const output = outputs[0];
+    const outL = output[0];
+    const outR = output[1] || output[0];
+    const blockSize = outL.length;
+    outL.fill(0);
+    if (outR !== outL) outR.fill(0);
+
+    this._updateFilter(parameters.filterCutoff[0], parameters.filterQ[0]);
+    if (this._lfosInUse.length) this._renderLfos(blockSize);
+
+    // render between scheduled events so note timing is sample-accurate
+    const blockEnd = currentFrame + blockSize;
+    let cursor = 0;
+    while (this.events.length && this.events[0].frame < blockEnd) {
+      const ev = this.events.shift();
+      const offset = Math.max(0, ev.frame - currentFrame);
+      this._renderSegment(outL, outR, cursor, offset);
+      cursor = Math.max(cursor, offset);
+      this._applyEvent(ev, parameters);
+    }
+    this._renderSegment(outL, outR, cursor, blockSize);
+
+    if (this.voices.some(v => v.done)) this.voices = this.voices.filter(v => !v.done);
+    this._reportPlayheads(blockEnd);
+    this._reportVoices(blockEnd);
+
+    if (outR === outL) {
+      // mono output: the left and right sums were accumulated into the same buffer
+      for (let i = 0; i < blockSize; i++) outL[i] *= 0.5;
+    }
+    return true;
+  }
+}
+
+registerProcessor('mini-synth-processor', MiniSynthProcessor);
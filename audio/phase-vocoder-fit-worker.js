@@ -0,0 +1,37 @@
+/* audio/phase-vocoder-fit-worker.js
+   Phase vocoder fitting off the audio thread - the Worker behind PhaseVocoderBundle.fitToLength
+
+   Started by the bundle with new Worker('audio/phase-vocoder-fit-worker.js'). Stretching a whole
+   sample takes far longer than a render quantum, so it runs here, on the same kernel as the
+   worklet's voices (audio/phase-vocoder-kernel.js): PhaseVocoderModule.wasm when the request
+   carries the compiled module and it instantiates, the JS frame kernel otherwise.
+
+   Message protocol (bundle -> worker):
+     { requestId, data, target, module }    // data: Float32Array (transferred), target: frames,
+                                            // module: compiled WebAssembly.Module or null
+   Worker -> bundle:
+     { requestId, data, engine }            // the fitted sample (transferred); engine: 'wasm' | 'js'
+     { requestId, error }
+*/
+
+importScripts('phase-vocoder-kernel.js');
+
+let wasmKernel = null;              // stream slot of the instantiated module, kept for later requests
+
+self.onmessage = (ev) => {
+  const { requestId, data, target, module } = ev.data || {};
+  try {
+    if (module && !wasmKernel) {
+      try {
+        [wasmKernel] = PhaseVocoderKernel.instantiateWasm(module, 1);
+      } catch (err) {
+        wasmKernel = null;          // fit on the JS kernel instead
+      }
+    }
+    const kernel = module && wasmKernel ? wasmKernel : new PhaseVocoderKernel.JsFrameKernel();
+    const out = PhaseVocoderKernel.stretch(data, target, kernel);
+    self.postMessage({ requestId, data: out, engine: kernel === wasmKernel ? 'wasm' : 'js' }, [out.buffer]);
+  } catch (err) {
+    self.postMessage({ requestId, error: String(err && err.message || err) });
+  }
+};
@@ -0,0 +1,341 @@
+/* audio/phase-vocoder-kernel.js
+   PhaseVocoderKernel - the streaming phase vocoder shared by the worklet and the fit worker
+
+   Loaded with audioWorklet.addModule('audio/phase-vocoder-kernel.js') before the processor, and
+   with importScripts('phase-vocoder-kernel.js') by audio/phase-vocoder-fit-worker.js. It defines
+   globalThis.PhaseVocoderKernel = { FFT_SIZE, HOP, VocoderStream, JsFrameKernel, instantiateWasm,
+   stretch }.
+
+   A VocoderStream walks its source and resamples; each analysis / resynthesis hop is done by a
+   frame kernel: JsFrameKernel, or one stream slot of PhaseVocoderModule.wasm (built from
+   wasm/phase-vocoder.ts) once instantiateWasm() has set it up. Both kernels keep all their state
+   in buffers made up front, so a stream can be reset and reused without allocating.
+
+   Pitch shifting is time-stretch + resample: the vocoder stretches by pitch / tempo and a linear
+   resampler reads the result `pitch` times faster. Formant preservation gives bin k the envelope
+   found at k * pitch, which is where the resampler moves it.
+*/
+
+const FFT_SIZE = 2048;
+const HOP = FFT_SIZE / 4;
+const BINS = FFT_SIZE / 2 + 1;
+const FORMANT_SMOOTH_BINS = 24;             // half width of the spectral-envelope smoothing (~500Hz)
+const OLA_GAIN = 2 / 3;                     // 1 / sum of squared Hann windows at 75% overlap
+const WASM_EXPORTS = ['memory', 'init', 'input_ptr', 'output_ptr', 'reset', 'frame', 'drain'];
+
+/* -------------------------
+   FFT (in-place, iterative radix-2)
+   ------------------------- */
+class FFT {
+  constructor(size) {
+    this.size = size;
+    this.cos = new Float32Array(size / 2);
+    this.sin = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sin[i] = Math.sin((2 * Math.PI * i) / size);
+    }
+    this.rev = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      this.rev[i] = r;
+    }
+  }
+
+  // inverse = true computes the unscaled inverse transform
+  transform(re, im, inverse = false) {
+    const n = this.size;
+    for (let i = 0; i < n; i++) {
+      const j = this.rev[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    const sign = inverse ? 1 : -1;
+    for (let len = 2; len <= n; len <<= 1) {
+      const half = len >> 1;
+      const step = n / len;
+      for (let start = 0; start < n; start += len) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cos[k * step];
+          const wi = sign * this.sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr; im[b] = im[a] - ti;
+          re[a] += tr; im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+const fft = new FFT(FFT_SIZE);
+const hann = new Float32Array(FFT_SIZE);
+for (let i = 0; i < FFT_SIZE; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE);
+
+const wrapPhase = (p) => p - 2 * Math.PI * Math.round(p / (2 * Math.PI));
+
+/* -------------------------
+   Frame kernels: `input` (FFT_SIZE samples) in, `output` (HOP samples) out
+   ------------------------- */
+class JsFrameKernel {
+  constructor() {
+    this.input = new Float32Array(FFT_SIZE);
+    this.output = new Float32Array(HOP);
+    this.re = new Float32Array(FFT_SIZE);
+    this.im = new Float32Array(FFT_SIZE);
+    this.ola = new Float32Array(FFT_SIZE);
+    this.mag = new Float32Array(BINS);
+    this.freq = new Float32Array(BINS);     // true frequency, radians per sample
+    this.prevPhase = new Float32Array(BINS);
+    this.synthPhase = new Float32Array(BINS);
+    this.envelope = new Float32Array(BINS);
+    this.prefix = new Float32Array(BINS);
+  }
+
+  reset() {
+    this.ola.fill(0);
+    this.output.fill(0);
+    this.freq.fill(0);
+    this.prevPhase.fill(0);
+    this.synthPhase.fill(0);
+  }
+
+  /**
+   * One hop.
+   * @param {Number} hop - analysis advance since the previous frame, in frames
+   * @param {Boolean} first - there is no previous frame
+   * @param {Number} warp - formant correction ratio, 0 = off
+   */
+  frame(hop, first, warp) {
+    const { input, re, im, mag, freq, prevPhase, synthPhase, envelope, prefix } = this;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = input[i] * hann[i];
+      im[i] = 0;
+    }
+    fft.transform(re, im);
+
+    for (let k = 0; k < BINS; k++) {
+      const phase = Math.atan2(im[k], re[k]);
+      const omega = (2 * Math.PI * k) / FFT_SIZE;
+      mag[k] = Math.hypot(re[k], im[k]);
+      if (hop > 0) {
+        freq[k] = omega + wrapPhase(phase - prevPhase[k] - omega * hop) / hop;
+        synthPhase[k] += freq[k] * HOP;
+      } else if (first) {
+        freq[k] = omega;
+        synthPhase[k] = phase;
+      } else {
+        // frozen (tempo 0): keep spinning at the last frequency estimate
+        synthPhase[k] += freq[k] * HOP;
+      }
+      prevPhase[k] = phase;
+    }
+
+    if (warp) {
+      // spectral envelope: moving average of the magnitudes (prefix sums keep it O(bins))
+      let acc = 0;
+      for (let k = 0; k < BINS; k++) { acc += mag[k]; prefix[k] = acc; }
+      for (let k = 0; k < BINS; k++) {
+        const lo = Math.max(0, k - FORMANT_SMOOTH_BINS);
+        const hi = Math.min(BINS - 1, k + FORMANT_SMOOTH_BINS);
+        envelope[k] = (prefix[hi] - (lo > 0 ? prefix[lo - 1] : 0)) / (hi - lo + 1) + 1e-9;
+      }
+      // swap the envelope at k for the one at k * warp (linear interpolation), then restore the
+      // frame's energy so the correction changes timbre, not loudness
+      let before = 0, after = 0;
+      for (let k = 0; k < BINS; k++) {
+        const w = Math.min(BINS - 1, k * warp);
+        const w0 = Math.floor(w);
+        const w1 = Math.min(BINS - 1, w0 + 1);
+        const target = envelope[w0] + (envelope[w1] - envelope[w0]) * (w - w0);
+        before += mag[k] * mag[k];
+        mag[k] *= target / envelope[k];
+        after += mag[k] * mag[k];
+      }
+      const norm = after > 0 ? Math.sqrt(before / after) : 0;
+      for (let k = 0; k < BINS; k++) mag[k] *= norm;
+    }
+
+    for (let k = 0; k < BINS; k++) {
+      re[k] = mag[k] * Math.cos(synthPhase[k]);
+      im[k] = mag[k] * Math.sin(synthPhase[k]);
+    }
+    // Hermitian mirror so the inverse transform is real
+    for (let k = BINS; k < FFT_SIZE; k++) {
+      re[k] = re[FFT_SIZE - k];
+      im[k] = -im[FFT_SIZE - k];
+    }
+    fft.transform(re, im, true);
+    for (let i = 0; i < FFT_SIZE; i++) re[i] = (re[i] / FFT_SIZE) * hann[i] * OLA_GAIN;
+    this._emit();
+  }
+
+  // one hop of the overlap-add tail, no new input
+  drain() {
+    this.re.fill(0);
+    this._emit();
+  }
+
+  // overlap-add re[] into the tail and hand out the completed first hop
+  _emit() {
+    const { ola, re, output } = this;
+    for (let i = 0; i < FFT_SIZE; i++) ola[i] += re[i];
+    for (let i = 0; i < HOP; i++) output[i] = ola[i];
+    ola.copyWithin(0, HOP);
+    ola.fill(0, FFT_SIZE - HOP);
+  }
+}
+
+// One stream slot of the instantiated module, with the JsFrameKernel interface
+class WasmFrameKernel {
+  constructor(exports, slot) {
+    this.exports = exports;
+    this.slot = slot;
+    this.input = new Float32Array(exports.memory.buffer, exports.input_ptr(slot), FFT_SIZE);
+    this.output = new Float32Array(exports.memory.buffer, exports.output_ptr(slot), HOP);
+  }
+
+  reset() {
+    this.exports.reset(this.slot);
+  }
+
+  frame(hop, first, warp) {
+    this.exports.frame(this.slot, hop, first ? 1 : 0, warp || 0);
+  }
+
+  drain() {
+    this.exports.drain(this.slot);
+  }
+}
+
+/**
+ * Instantiate PhaseVocoderModule.wasm with room for `streams` streams.
+ * @param {WebAssembly.Module} module
+ * @returns {WasmFrameKernel[]} one kernel per stream; throws when the module does not fit the ABI
+ */
+function instantiateWasm(module, streams) {
+  const names = WebAssembly.Module.exports(module).map(e => e.name);
+  const missing = WASM_EXPORTS.filter(n => !names.includes(n));
+  if (missing.length) throw new Error(`missing exports ${missing.join(', ')}`);
+  const { exports } = new WebAssembly.Instance(module, {});
+  // the memory grows here, once: the kernels' views stay valid afterwards
+  exports.init(streams);
+  return Array.from({ length: streams }, (_, slot) => new WasmFrameKernel(exports, slot));
+}
+
+/* -------------------------
+   Streaming phase vocoder over one source buffer
+   ------------------------- */
+class VocoderStream {
+  /**
+   * @param {Object} kernel - JsFrameKernel or WasmFrameKernel, owned by this stream
+   */
+  constructor(kernel = new JsFrameKernel()) {
+    this.kernel = kernel;
+    this.reset(new Float32Array(0));
+  }
+
+  /**
+   * Start over on `source`.
+   * @param {Float32Array} source
+   * @param {Object} opts - start / end frames, loop (bool), kernel (switch to another frame kernel)
+   */
+  reset(source, opts = {}) {
+    if (opts.kernel) this.kernel = opts.kernel;
+    this.source = source;
+    this.start = opts.start || 0;
+    this.end = opts.end ?? source.length;
+    this.loop = !!opts.loop;
+    // analysis position (frames, fractional): the first window starts on `start`, so output
+    // sample 0 lines up with it instead of lagging half a window behind
+    this.srcPos = this.start + FFT_SIZE / 2;
+    this.lastIndex = null;             // integer analysis position of the previous frame
+    this.finished = false;             // source consumed, overlap-add tail still draining
+    this.tailFrames = 0;
+    this.ended = false;
+    this.readyPos = HOP;               // nothing buffered yet
+    // resampler state: interpolating between s0 and s1 of the stretched stream
+    this.s0 = 0;
+    this.s1 = 0;
+    this.frac = 1;
+    this.kernel.reset();
+  }
+
+  /**
+   * Write `count` output samples into out[offset..].
+   * @param {Object} opts
+   *   - pitch: resampling ratio (1 = unchanged)
+   *   - rate: source frames consumed per output frame (1 = original speed)
+   *   - formant: envelope warp factor to undo (the musical pitch ratio), 0 = off
+   * @returns {Boolean} false once the source has run out and its tail has been played
+   */
+  render(out, offset, count, { pitch, rate, formant }) {
+    const advance = (HOP * rate) / pitch;
+    const warp = formant || 0;
+    const ready = this.kernel.output;
+    for (let i = 0; i < count; i++) {
+      while (this.frac >= 1) {
+        if (this.readyPos >= HOP) this._frame(advance, warp);
+        this.s0 = this.s1;
+        this.s1 = ready[this.readyPos++];
+        this.frac -= 1;
+      }
+      out[offset + i] = this.s0 + (this.s1 - this.s0) * this.frac;
+      this.frac += pitch;
+    }
+    return !this.ended;
+  }
+
+  _sampleAt(i) {
+    if (this.loop) {
+      const len = this.end - this.start;
+      i = this.start + ((((i - this.start) % len) + len) % len);
+    } else if (i < this.start || i >= this.end) {
+      return 0;
+    }
+    return this.source[i] || 0;
+  }
+
+  // one hop: HOP finished samples in the kernel's output
+  _frame(advance, warp) {
+    this.readyPos = 0;
+    if (this.finished) {
+      // source exhausted: let the overlap-add buffer drain, then stay silent
+      if (++this.tailFrames >= FFT_SIZE / HOP) this.ended = true;
+      this.kernel.drain();
+      return;
+    }
+
+    const center = Math.round(this.srcPos);
+    const first = center - FFT_SIZE / 2;
+    const input = this.kernel.input;
+    for (let i = 0; i < FFT_SIZE; i++) input[i] = this._sampleAt(first + i);
+    const hop = this.lastIndex === null ? 0 : center - this.lastIndex;
+    this.kernel.frame(hop, this.lastIndex === null, warp);
+
+    this.lastIndex = center;
+    this.srcPos += advance;
+    if (!this.loop && this.srcPos - FFT_SIZE / 2 >= this.end) this.finished = true;
+  }
+}
+
+/**
+ * Stretch `data` to `target` frames at the same pitch (offline fitting).
+ * @param {Object} kernel - frame kernel to run on (default: a new JsFrameKernel)
+ * @returns {Float32Array}
+ */
+function stretch(data, target, kernel) {
+  const out = new Float32Array(target);
+  const stream = new VocoderStream(kernel);
+  stream.reset(data);
+  stream.render(out, 0, target, { pitch: 1, rate: data.length / target, formant: 0 });
+  return out;
+}
+
+globalThis.PhaseVocoderKernel = { FFT_SIZE, HOP, VocoderStream, JsFrameKernel, instantiateWasm, stretch };
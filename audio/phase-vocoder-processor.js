@@ -0,0 +1,226 @@
+/* audio/phase-vocoder-processor.js
+   PhaseVocoderProcessor - time-stretch / pitch-shift sample player (AudioWorkletProcessor)
+
+   Loaded by PhaseVocoderBundle via audioWorklet.addModule('audio/phase-vocoder-processor.js'),
+   after audio/phase-vocoder-kernel.js (PhaseVocoderKernel).
+
+   Every voice runs its own streaming phase vocoder over the loaded (mono) sample, so pitch and
+   tempo are independent: tempo sets how fast the analysis walks through the sample, pitch is a
+   stretch followed by resampling. With formant preservation the spectral envelope is warped
+   against the shift, so high notes keep the timbre of the recording instead of chipmunking.
+
+   The voices' streams are made once, with the processor: a noteOn resets a free one. They run on
+   the JS frame kernel until a 'wasm' message brings PhaseVocoderModule.wasm, whose stream slots
+   take over from each voice's next note on. A voice taken by voice stealing fades out first.
+   Fitting a sample to a length happens off the audio thread (see PhaseVocoderBundle.fitToLength);
+   the result arrives as a new 'load-sample'.
+
+   Message protocol (node -> processor):
+     { type: 'wasm', module }                          // compiled WebAssembly.Module to instantiate
+     { type: 'load-sample', data, sampleRate }         // data: Float32Array (transferred)
+     { type: 'noteOn', id, semitones, gain, time,      // semitones relative to the sample's pitch
+       attack, decay, sustain, release }
+     { type: 'noteOff', id, time }
+     { type: 'param', name, value }                    // tempo (1 = original speed), pitch (semitones,
+                                                       // added to every voice), formant (bool), loop (bool)
+     { type: 'dispose' }
+
+   Processor -> node:
+     { ready: true }
+     { type: 'wasm-status', ok, error }
+*/
+
+const MAX_VOICES = 8;                       // each voice costs two FFTs per hop
+const STREAMS = MAX_VOICES * 2;             // a stolen voice keeps its stream while it fades out
+const MIN_ENV_TIME = 0.002;                 // seconds
+const STEAL_TIME = 0.005;                   // seconds - fade applied to a voice taken by voice stealing
+
+class PhaseVocoderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.sample = null;             // { data: Float32Array, sampleRate }
+    // every voice there can be, each with its stream; `voices` holds the sounding ones
+    this.pool = [];
+    for (let slot = 0; slot < STREAMS; slot++) {
+      const jsKernel = new PhaseVocoderKernel.JsFrameKernel();
+      this.pool.push({ slot, jsKernel, stream: new PhaseVocoderKernel.VocoderStream(jsKernel), inUse: false });
+    }
+    this.voices = [];
+    this.events = [];
+    this.settings = { tempo: 1, pitch: 0, formant: true, loop: false };
+    this.wasmKernels = null;        // WasmFrameKernel per pool slot, once instantiated
+    this.alive = true;
+    this.scratch = new Float32Array(128);
+
+    this.port.onmessage = (ev) => this._onMessage(ev.data);
+    this.port.postMessage({ ready: true });
+  }
+
+  _onMessage(msg) {
+    if (!msg || !msg.type) return;
+    switch (msg.type) {
+      case 'wasm':
+        this._instantiateWasm(msg.module);
+        break;
+      case 'load-sample':
+        this.sample = { data: msg.data, sampleRate: msg.sampleRate || sampleRate };
+        break;
+      case 'noteOn':
+      case 'noteOff': {
+        const frame = msg.time > 0 ? Math.round(msg.time * sampleRate) : 0;
+        let i = this.events.length;
+        while (i > 0 && this.events[i - 1].frame > frame) i--;
+        this.events.splice(i, 0, { frame, msg });
+        break;
+      }
+      case 'param':
+        if (msg.name in this.settings) this.settings[msg.name] = msg.value;
+        break;
+      case 'dispose':
+        this.voices = [];
+        this.events = [];
+        this.sample = null;
+        this.alive = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  _instantiateWasm(module) {
+    try {
+      this.wasmKernels = PhaseVocoderKernel.instantiateWasm(module, STREAMS);
+      this.port.postMessage({ type: 'wasm-status', ok: true });
+    } catch (err) {
+      this.wasmKernels = null;
+      this.port.postMessage({ type: 'wasm-status', ok: false, error: String(err && err.message || err) });
+    }
+  }
+
+  /* -------------------------
+     Voices
+     ------------------------- */
+  _applyEvent(msg) {
+    if (msg.type === 'noteOn') {
+      if (this.sample) this._startVoice(msg);
+      return;
+    }
+    for (const v of this.voices) {
+      if (v.id === msg.id && v.stage !== 'release') this._enterRelease(v, v.release);
+    }
+  }
+
+  _startVoice(msg) {
+    this._stealVoice();
+    let v = this.pool.find(p => !p.inUse);
+    if (!v) {
+      // every stream is still fading out: cut the oldest stolen voice short
+      v = this.voices.find(p => p.stolen || p.done);
+      this.voices.splice(this.voices.indexOf(v), 1);
+    }
+    const kernel = this.wasmKernels ? this.wasmKernels[v.slot] : v.jsKernel;
+    v.stream.reset(this.sample.data, { loop: this.settings.loop, kernel });
+    v.id = msg.id;
+    v.semitones = msg.semitones || 0;
+    v.gain = msg.gain ?? 1;
+    v.rateScale = this.sample.sampleRate / sampleRate;
+    v.attack = Math.max(MIN_ENV_TIME, msg.attack ?? 0.01);
+    v.decay = Math.max(MIN_ENV_TIME, msg.decay ?? 0.1);
+    v.sustain = Math.max(0, Math.min(1, msg.sustain ?? 1));
+    v.release = Math.max(MIN_ENV_TIME, msg.release ?? 0.2);
+    v.stage = 'attack';
+    v.level = 0;
+    v.releaseStep = 0;
+    v.stolen = false;
+    v.done = false;
+    v.inUse = true;
+    this.voices.push(v);
+  }
+
+  _enterRelease(v, seconds) {
+    v.stage = 'release';
+    v.releaseStep = Math.max(v.level, 1e-6) / (Math.max(MIN_ENV_TIME, seconds) * sampleRate);
+  }
+
+  // Make room for one more voice: fade out a released voice first, else the oldest held one
+  _stealVoice() {
+    let live = 0;
+    let victim = null;
+    for (const v of this.voices) {
+      if (v.stolen || v.done) continue;
+      live++;
+      if (!victim || (v.stage === 'release' && victim.stage !== 'release')) victim = v;
+    }
+    if (live < MAX_VOICES) return;
+    victim.stolen = true;
+    this._enterRelease(victim, STEAL_TIME);
+  }
+
+  _renderVoices(outL, outR, from, to) {
+    if (to <= from) return;
+    const count = to - from;
+    if (this.scratch.length < count) this.scratch = new Float32Array(count);
+    const buf = this.scratch;
+    const { tempo, pitch, formant } = this.settings;
+    for (const v of this.voices) {
+      if (v.done) continue;
+      // the resampler also converts from the sample's rate to the context's
+      const ratio = Math.pow(2, (v.semitones + pitch) / 12);
+      const alive = v.stream.render(buf, 0, count, {
+        pitch: ratio * v.rateScale,
+        rate: tempo * v.rateScale,
+        formant: formant ? ratio : 0
+      });
+      const attackStep = 1 / (v.attack * sampleRate);
+      const decayStep = (1 - v.sustain) / (v.decay * sampleRate);
+      for (let i = 0; i < count; i++) {
+        if (v.stage === 'attack') {
+          v.level += attackStep;
+          if (v.level >= 1) { v.level = 1; v.stage = 'decay'; }
+        } else if (v.stage === 'decay') {
+          v.level -= decayStep;
+          if (v.level <= v.sustain) { v.level = v.sustain; v.stage = 'sustain'; }
+        } else if (v.stage === 'release') {
+          v.level -= v.releaseStep;
+          if (v.level <= 0) { v.level = 0; v.done = true; }
+        }
+        const s = buf[i] * v.level * v.gain;
+        outL[from + i] += s;
+        if (outR !== outL) outR[from + i] += s;
+      }
+      if (!alive) v.done = true;
+    }
+  }
+
+  process(inputs, outputs) {
+    if (!this.alive) return false;
+    const output = outputs[0];
+    const outL = output[0];
+    const outR = output[1] || output[0];
+    const blockSize = outL.length;
+    outL.fill(0);
+    if (outR !== outL) outR.fill(0);
+
+    const blockEnd = currentFrame + blockSize;
+    let cursor = 0;
+    while (this.events.length && this.events[0].frame < blockEnd) {
+      const ev = this.events.shift();
+      const offset = Math.max(0, ev.frame - currentFrame);
+      this._renderVoices(outL, outR, cursor, offset);
+      cursor = Math.max(cursor, offset);
+      this._applyEvent(ev.msg);
+    }
+    this._renderVoices(outL, outR, cursor, blockSize);
+
+    // finished voices go back to the pool
+    for (let i = this.voices.length - 1; i >= 0; i--) {
+      const v = this.voices[i];
+      if (!v.done) continue;
+      v.inUse = false;
+      this.voices.splice(i, 1);
+    }
+    return true;
+  }
+}
+
+registerProcessor('phase-vocoder-processor', PhaseVocoderProcessor);
@@ -0,0 +1,185 @@
+/* audio/recorder-processor.js
+   RecorderProcessor - sample capture AudioWorkletProcessor (mic / line-in into the sampler)
+
+   Loaded by SampleRecorder via audioWorklet.addModule('audio/recorder-processor.js').
+   Input 0 is the signal to capture (2 channels, a mono source is up-mixed). Output 0 is silent; it
+   only exists so the node can be connected to the destination and keeps being processed.
+
+   Message protocol (node -> processor):
+     { type: 'record', time, threshold, preRoll }  // start at context time `time` (0 = now). With
+                                                    // threshold > 0 (linear peak) the take only begins
+                                                    // once the input reaches it, keeping `preRoll`
+                                                    // seconds from before the trigger
+     { type: 'stop' }                               // end the take (or cancel a waiting / armed one)
+     { type: 'dispose' }
+
+   Processor -> node:
+     { ready: true }
+     { type: 'level', peak, rms }                   // input level since the last report (linear),
+                                                    // ~30x per second whether recording or not
+     { type: 'state', state, frame }                // idle | waiting (count-in) | armed (threshold) |
+                                                    // recording; frame = context frame of the change
+     { type: 'data', channels }                     // next chunk of the take (Float32Array per channel)
+     { type: 'stopped', length, reason }            // take complete after its last chunk; reason is
+                                                    // 'stop' or 'max-length'
+*/
+
+const DEFAULT_MAX_SECONDS = 60;
+const MAX_PRE_ROLL = 0.5;           // seconds
+const CHUNK_FRAMES = 16384;         // frames per data message
+const LEVEL_INTERVAL = 1 / 30;      // seconds between level reports
+const CHANNELS = 2;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const procOpts = (options && options.processorOptions) || {};
+
+    this.maxFrames = Math.round((procOpts.maxSeconds || DEFAULT_MAX_SECONDS) * sampleRate);
+    this.state = 'idle';
+    this.startFrame = 0;
+    this.threshold = 0;
+    this.preRollFrames = 0;
+    this.recorded = 0;              // frames of the current take
+    // the last MAX_PRE_ROLL seconds while armed, so a triggered take keeps its attack
+    this.ringSize = Math.ceil(MAX_PRE_ROLL * sampleRate);
+    this.ring = [];
+    this.ringPos = 0;
+    this.ringFill = 0;
+    this.chunk = [];
+    for (let ch = 0; ch < CHANNELS; ch++) {
+      this.ring.push(new Float32Array(this.ringSize));
+      this.chunk.push(new Float32Array(CHUNK_FRAMES));
+    }
+    this.chunkFill = 0;
+
+    this.levelPeak = 0;
+    this.levelSum = 0;
+    this.levelCount = 0;
+    this.nextLevelFrame = 0;
+    this.alive = true;
+
+    this.port.onmessage = (ev) => this._onMessage(ev.data);
+    this.port.postMessage({ ready: true });
+  }
+
+  /* -------------------------
+     Messages
+     ------------------------- */
+  _onMessage(msg) {
+    if (!msg || !msg.type) return;
+    switch (msg.type) {
+      case 'record':
+        if (this.state !== 'idle') break;
+        this.startFrame = msg.time > 0 ? Math.round(msg.time * sampleRate) : currentFrame;
+        this.threshold = Math.max(0, msg.threshold || 0);
+        this.preRollFrames = Math.round(Math.max(0, Math.min(MAX_PRE_ROLL, msg.preRoll ?? 0.05)) * sampleRate);
+        this.recorded = 0;
+        this.chunkFill = 0;
+        this.ringFill = 0;
+        this._setState('waiting', currentFrame);
+        break;
+      case 'stop':
+        if (this.state !== 'idle') this._finish('stop');
+        break;
+      case 'dispose':
+        this.alive = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  _setState(state, frame) {
+    this.state = state;
+    this.port.postMessage({ type: 'state', state, frame });
+  }
+
+  /* -------------------------
+     Capture
+     ------------------------- */
+  _append(l, r) {
+    this.chunk[0][this.chunkFill] = l;
+    this.chunk[1][this.chunkFill] = r;
+    this.chunkFill++;
+    this.recorded++;
+    if (this.chunkFill === CHUNK_FRAMES) this._flushChunk();
+  }
+
+  _flushChunk() {
+    if (!this.chunkFill) return;
+    const channels = this.chunk.map(ch => ch.slice(0, this.chunkFill));
+    this.port.postMessage({ type: 'data', channels }, channels.map(ch => ch.buffer));
+    this.chunkFill = 0;
+  }
+
+  // The take begins: copy the pre-roll out of the ring first
+  _trigger(frame) {
+    const count = Math.min(this.preRollFrames, this.ringFill);
+    for (let k = count; k > 0; k--) {
+      const idx = (this.ringPos - k + this.ringSize) % this.ringSize;
+      this._append(this.ring[0][idx], this.ring[1][idx]);
+    }
+    this._setState('recording', frame - count);
+  }
+
+  _finish(reason) {
+    this._flushChunk();
+    this.port.postMessage({ type: 'stopped', length: this.recorded, reason });
+    this._setState('idle', currentFrame);
+  }
+
+  process(inputs, outputs) {
+    if (!this.alive) return false;
+    const input = inputs[0] || [];
+    const inL = input[0] || null;
+    const inR = input[1] || inL;
+    const blockSize = outputs[0] && outputs[0][0] ? outputs[0][0].length : 128;
+
+    for (let i = 0; i < blockSize; i++) {
+      const l = inL ? inL[i] : 0;
+      const r = inR ? inR[i] : 0;
+      const peak = Math.max(Math.abs(l), Math.abs(r));
+      if (peak > this.levelPeak) this.levelPeak = peak;
+      this.levelSum += (l * l + r * r) / 2;
+      this.levelCount++;
+
+      const frame = currentFrame + i;
+      if (this.state === 'waiting' && frame >= this.startFrame) {
+        if (this.threshold > 0) this._setState('armed', frame);
+        else this._setState('recording', frame);
+      }
+      if (this.state === 'armed') {
+        if (peak >= this.threshold) {
+          this._trigger(frame);
+        } else {
+          this.ring[0][this.ringPos] = l;
+          this.ring[1][this.ringPos] = r;
+          this.ringPos = (this.ringPos + 1) % this.ringSize;
+          this.ringFill = Math.min(this.ringSize, this.ringFill + 1);
+          continue;
+        }
+      }
+      if (this.state === 'recording') {
+        this._append(l, r);
+        if (this.recorded >= this.maxFrames) this._finish('max-length');
+      }
+    }
+
+    const blockEnd = currentFrame + blockSize;
+    if (blockEnd >= this.nextLevelFrame) {
+      this.nextLevelFrame = blockEnd + LEVEL_INTERVAL * sampleRate;
+      this.port.postMessage({
+        type: 'level',
+        peak: this.levelPeak,
+        rms: Math.sqrt(this.levelSum / Math.max(1, this.levelCount))
+      });
+      this.levelPeak = 0;
+      this.levelSum = 0;
+      this.levelCount = 0;
+    }
+    return true;
+  }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
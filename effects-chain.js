@@ -0,0 +1,477 @@
+/* effects-chain.js
+   EffectsChain - reorderable insert chain (filter, delay, reverb, compressor, bitcrusher)
+
+   Usage:
+     const fx = new EffectsChain(audioContext, { bitcrusherUrl: 'audio/bitcrusher-processor.js' });
+     await fx.init();                          // loads the bitcrusher worklet
+     synthNode.connect(fx.input);
+     fx.connect(audioContext.destination);
+     const id = fx.add('delay', { mix: 0.3, params: { division: '1/8', feedback: 0.4 } });
+     fx.setParam(id, 'feedback', 0.6); fx.setMix(id, 0.5); fx.setBypass(id, true);
+     fx.move(id, 0);                           // first in the chain
+     fx.setTempo(96);                          // delays follow the tempo
+     const saved = fx.getState();              // [{ type, bypass, mix, params }] - goes into presets
+     fx.setState(saved);
+
+   Every effect sits between a dry and a wet gain that meet at its output: mix 0 is the input
+   unchanged, 1 is only the processed signal, and bypass passes the input through untouched.
+   EffectsChain.describe(type) lists an effect's parameters with their ranges, so the UI can be
+   built from it. Reverb impulse responses are generated (seeded noise with an exponential decay and
+   damping that darkens the tail), so a saved chain sounds the same every time it is loaded.
+*/
+
+const DELAY_DIVISIONS = {         // note value -> beats
+  '1/2': 2, '1/4': 1, '1/4d': 1.5, '1/4t': 2 / 3,
+  '1/8': 0.5, '1/8d': 0.75, '1/8t': 1 / 3, '1/16': 0.25
+};
+const MAX_DELAY = 4;              // seconds
+const MAX_ECHO_TAIL = 20;         // seconds, cap for feedback close to 1
+const SMOOTHING = 0.01;           // time constant for gain / param changes, seconds
+
+const EFFECTS = {
+  filter: {
+    label: 'Filter',
+    mix: 1,
+    params: [
+      { name: 'type', label: 'Type', options: ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking'], value: 'lowpass' },
+      { name: 'frequency', label: 'Freq', min: 20, max: 20000, step: 1, value: 2000, unit: 'Hz', log: true },
+      { name: 'Q', label: 'Q', min: 0.1, max: 20, step: 0.1, value: 1 },
+      { name: 'gain', label: 'Gain', min: -24, max: 24, step: 0.5, value: 0, unit: 'dB' }
+    ]
+  },
+  delay: {
+    label: 'Delay',
+    mix: 0.3,
+    params: [
+      { name: 'division', label: 'Time', options: Object.keys(DELAY_DIVISIONS), value: '1/8' },
+      { name: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, value: 0.4 },
+      { name: 'tone', label: 'Tone', min: 200, max: 20000, step: 1, value: 6000, unit: 'Hz', log: true }
+    ]
+  },
+  reverb: {
+    label: 'Reverb',
+    mix: 0.25,
+    params: [
+      { name: 'decay', label: 'Decay', min: 0.1, max: 8, step: 0.1, value: 2, unit: 's' },
+      { name: 'damping', label: 'Damping', min: 0, max: 1, step: 0.01, value: 0.5 },
+      { name: 'preDelay', label: 'Pre-delay', min: 0, max: 0.2, step: 0.005, value: 0.01, unit: 's' }
+    ]
+  },
+  compressor: {
+    label: 'Compressor',
+    mix: 1,
+    params: [
+      { name: 'limit', label: 'Limiter', options: ['off', 'on'], value: 'off' },
+      { name: 'threshold', label: 'Threshold', min: -60, max: 0, step: 0.5, value: -18, unit: 'dB' },
+      { name: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, value: 4 },
+      { name: 'attack', label: 'Attack', min: 0.001, max: 0.5, step: 0.001, value: 0.01, unit: 's' },
+      { name: 'release', label: 'Release', min: 0.01, max: 1, step: 0.01, value: 0.2, unit: 's' },
+      { name: 'makeup', label: 'Makeup', min: 0, max: 24, step: 0.5, value: 0, unit: 'dB' }
+    ]
+  },
+  bitcrusher: {
+    label: 'Bitcrusher',
+    mix: 1,
+    params: [
+      { name: 'bits', label: 'Bits', min: 1, max: 16, step: 1, value: 8 },
+      { name: 'downsample', label: 'Downsample', min: 1, max: 50, step: 1, value: 4 }
+    ]
+  }
+};
+
+// Small seeded PRNG (mulberry32) for reproducible impulse responses
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+class EffectsChain {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - bitcrusherUrl: bitcrusher processor module (default 'audio/bitcrusher-processor.js')
+   *   - tempo: BPM for tempo-synced delays (default 120)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.bitcrusherUrl = opts.bitcrusherUrl || 'audio/bitcrusher-processor.js';
+    this.tempo = opts.tempo || 120;
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+    this.effects = [];             // in signal order: { id, type, bypass, mix, params, input, output, dry, wet, ... }
+    this._idCounter = 0;
+    this._workletReady = false;
+    this._onmessageHandlers = [];
+    this.input.connect(this.output);
+  }
+
+  /**
+   * Load the bitcrusher worklet. Without it the bitcrusher passes its input through.
+   */
+  async init() {
+    try {
+      await this.context.audioWorklet.addModule(this.bitcrusherUrl);
+      this._workletReady = true;
+    } catch (err) {
+      console.warn('EffectsChain: bitcrusher worklet unavailable', err);
+    }
+  }
+
+  static get TYPES() {
+    return Object.keys(EFFECTS);
+  }
+
+  static get DELAY_DIVISIONS() {
+    return Object.keys(DELAY_DIVISIONS);
+  }
+
+  /**
+   * UI description of an effect type.
+   * @returns {Object} { label, mix, params: [{ name, label, value, min, max, step, unit, log } |
+   *   { name, label, value, options }] } - `value` is the default
+   */
+  static describe(type) {
+    const spec = EFFECTS[type];
+    if (!spec) throw new Error(`EffectsChain: unknown effect "${type}"`);
+    return { label: spec.label, mix: spec.mix, params: spec.params.map(p => ({ ...p })) };
+  }
+
+  /**
+   * Register an event handler: fn(data). Events: 'change' ({ effects: getState() }) after any
+   * add / remove / move / setState. Use '*' for every event.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    this._onmessageHandlers.slice().forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('EffectsChain handler error', e); }
+      }
+    });
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /**
+   * Append an effect.
+   * @param {String} type - one of EffectsChain.TYPES
+   * @param {Object} opts - params (missing ones get their defaults), mix (0..1), bypass
+   * @returns {Number} effect id
+   */
+  add(type, opts = {}) {
+    const spec = EFFECTS[type];
+    if (!spec) throw new Error(`EffectsChain: unknown effect "${type}"`);
+    const params = {};
+    spec.params.forEach(p => { params[p.name] = p.value; });
+    Object.keys(opts.params || {}).forEach(name => {
+      if (name in params) params[name] = opts.params[name];
+    });
+
+    const ctx = this.context;
+    const effect = {
+      id: ++this._idCounter,
+      type,
+      bypass: !!opts.bypass,
+      mix: Number.isFinite(opts.mix) ? Math.max(0, Math.min(1, opts.mix)) : spec.mix,
+      params,
+      input: ctx.createGain(),
+      output: ctx.createGain(),
+      dry: ctx.createGain(),
+      wet: ctx.createGain()
+    };
+    // input -> dry -> output, input -> processing -> wet -> output
+    effect.input.connect(effect.dry);
+    effect.dry.connect(effect.output);
+    effect.wet.connect(effect.output);
+    this[`_build_${type}`](effect);
+    effect.input.connect(effect.head);
+    effect.tail.connect(effect.wet);
+    this._applyAll(effect);
+    this._applyMix(effect, true);
+
+    this.effects.push(effect);
+    this._rewire();
+    this._callHandlers('change', { effects: this.getState() });
+    return effect.id;
+  }
+
+  remove(id) {
+    const index = this.effects.findIndex(e => e.id === id);
+    if (index < 0) return;
+    const [effect] = this.effects.splice(index, 1);
+    this._rewire();
+    this._teardown(effect);
+    this._callHandlers('change', { effects: this.getState() });
+  }
+
+  /** Move an effect to a position in the chain (0 = first). */
+  move(id, index) {
+    const from = this.effects.findIndex(e => e.id === id);
+    if (from < 0) return;
+    const [effect] = this.effects.splice(from, 1);
+    this.effects.splice(Math.max(0, Math.min(this.effects.length, index)), 0, effect);
+    this._rewire();
+    this._callHandlers('change', { effects: this.getState() });
+  }
+
+  get(id) {
+    return this.effects.find(e => e.id === id) || null;
+  }
+
+  setParam(id, name, value) {
+    const effect = this.get(id);
+    if (!effect || !(name in effect.params)) return;
+    effect.params[name] = value;
+    this._apply(effect, name);
+  }
+
+  setMix(id, mix) {
+    const effect = this.get(id);
+    if (!effect) return;
+    effect.mix = Math.max(0, Math.min(1, +mix || 0));
+    this._applyMix(effect);
+  }
+
+  setBypass(id, bypass) {
+    const effect = this.get(id);
+    if (!effect) return;
+    effect.bypass = !!bypass;
+    this._applyMix(effect);
+  }
+
+  /** Tempo in BPM for tempo-synced delays. */
+  setTempo(bpm) {
+    this.tempo = Math.max(20, Math.min(300, +bpm || 120));
+    this.effects.filter(e => e.type === 'delay').forEach(e => this._apply(e, 'division'));
+  }
+
+  /** Serializable chain: [{ type, bypass, mix, params }] in signal order. */
+  getState() {
+    return this.effects.map(e => ({ type: e.type, bypass: e.bypass, mix: e.mix, params: { ...e.params } }));
+  }
+
+  /** Replace the chain. Unknown effect types are skipped. */
+  setState(state) {
+    this.effects.splice(0).forEach(e => this._teardown(e));
+    this._rewire();
+    (state || []).forEach((saved) => {
+      if (!EFFECTS[saved.type]) {
+        console.warn(`EffectsChain: skipping unknown effect "${saved.type}"`);
+        return;
+      }
+      this.add(saved.type, saved);
+    });
+    this._callHandlers('change', { effects: this.getState() });
+  }
+
+  dispose() {
+    this.effects.splice(0).forEach(e => this._teardown(e));
+    this.input.disconnect();
+    this.output.disconnect();
+    this._onmessageHandlers = [];
+  }
+
+  /**
+   * How long a chain keeps ringing after its input goes silent (delay repeats down to -60 dB,
+   * reverb decay), e.g. to size an offline render.
+   * @param {Object[]} state - as returned by getState()
+   * @param {Number} tempo - BPM (default 120)
+   * @returns {Number} seconds
+   */
+  static tailLength(state, tempo = 120) {
+    return (state || []).reduce((total, e) => {
+      if (e.bypass || !e.params) return total;
+      if (e.type === 'reverb') return total + (e.params.decay ?? 2) + (e.params.preDelay ?? 0);
+      if (e.type === 'delay') {
+        const time = Math.min(MAX_DELAY, ((DELAY_DIVISIONS[e.params.division] ?? 0.5) * 60) / (tempo || 120));
+        const feedback = Math.max(0.01, Math.min(0.95, e.params.feedback ?? 0.4));
+        return total + Math.min(MAX_ECHO_TAIL, time * Math.ceil(Math.log(0.001) / Math.log(feedback)));
+      }
+      return total;
+    }, 0);
+  }
+
+  /**
+   * Generate a stereo reverb impulse response.
+   * @param {BaseAudioContext} context
+   * @param {Object} opts - decay (seconds to -60 dB), damping (0..1), preDelay (seconds), seed
+   * @returns {AudioBuffer}
+   */
+  static impulseResponse(context, opts = {}) {
+    const rate = context.sampleRate;
+    const decay = Math.max(0.05, opts.decay ?? 2);
+    const damping = Math.max(0, Math.min(1, opts.damping ?? 0.5));
+    const preDelay = Math.round(Math.max(0, opts.preDelay ?? 0) * rate);
+    const tail = Math.round(decay * rate);
+    const buffer = context.createBuffer(2, preDelay + tail, rate);
+    for (let ch = 0; ch < 2; ch++) {
+      const data = buffer.getChannelData(ch);
+      const next = random((opts.seed ?? 1) + ch * 7919);
+      let lowpassed = 0;
+      for (let i = 0; i < tail; i++) {
+        const t = i / tail;
+        // -60 dB at the end of the tail; the lowpass closes over time so the tail darkens
+        const envelope = Math.exp(-6.9 * t);
+        const coeff = 1 - damping * 0.95 * t;
+        lowpassed += coeff * ((next() * 2 - 1) - lowpassed);
+        data[preDelay + i] = lowpassed * envelope;
+      }
+    }
+    return buffer;
+  }
+
+  /* -------------------------
+     Effect builders: each sets effect.head (where the input goes) and effect.tail (into wet)
+     ------------------------- */
+  _build_filter(effect) {
+    effect.filter = this.context.createBiquadFilter();
+    effect.head = effect.tail = effect.filter;
+  }
+
+  _build_delay(effect) {
+    const ctx = this.context;
+    effect.delay = ctx.createDelay(MAX_DELAY);
+    effect.tone = ctx.createBiquadFilter();
+    effect.tone.type = 'lowpass';
+    effect.feedback = ctx.createGain();
+    // delay -> tone -> feedback -> delay; every repeat is darker than the last
+    effect.delay.connect(effect.tone);
+    effect.tone.connect(effect.feedback);
+    effect.feedback.connect(effect.delay);
+    effect.head = effect.delay;
+    effect.tail = effect.tone;
+  }
+
+  _build_reverb(effect) {
+    effect.convolver = this.context.createConvolver();
+    effect.head = effect.tail = effect.convolver;
+  }
+
+  _build_compressor(effect) {
+    effect.compressor = this.context.createDynamicsCompressor();
+    effect.makeup = this.context.createGain();
+    effect.compressor.connect(effect.makeup);
+    effect.head = effect.compressor;
+    effect.tail = effect.makeup;
+  }
+
+  _build_bitcrusher(effect) {
+    if (this._workletReady) {
+      effect.crusher = new AudioWorkletNode(this.context, 'bitcrusher-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2]
+      });
+    } else {
+      effect.crusher = this.context.createGain();
+    }
+    effect.head = effect.tail = effect.crusher;
+  }
+
+  /* -------------------------
+     Parameters
+     ------------------------- */
+  _applyAll(effect) {
+    // one impulse response covers all reverb params
+    const names = effect.type === 'reverb' ? ['decay'] : Object.keys(effect.params);
+    names.forEach(name => this._apply(effect, name));
+  }
+
+  _apply(effect, name) {
+    const p = effect.params;
+    const now = this.context.currentTime;
+    const set = (param, value) => param.setTargetAtTime(value, now, SMOOTHING);
+    switch (effect.type) {
+      case 'filter':
+        if (name === 'type') effect.filter.type = p.type;
+        else set(effect.filter[name], +p[name]);
+        break;
+      case 'delay':
+        if (name === 'division') {
+          const beats = DELAY_DIVISIONS[p.division] ?? 0.5;
+          set(effect.delay.delayTime, Math.min(MAX_DELAY, (beats * 60) / this.tempo));
+        } else if (name === 'feedback') {
+          set(effect.feedback.gain, Math.max(0, Math.min(0.95, +p.feedback)));
+        } else if (name === 'tone') {
+          set(effect.tone.frequency, +p.tone);
+        }
+        break;
+      case 'reverb':
+        // every param shapes the whole response, so it is generated again
+        effect.convolver.buffer = EffectsChain.impulseResponse(this.context, {
+          decay: p.decay, damping: p.damping, preDelay: p.preDelay
+        });
+        break;
+      case 'compressor': {
+        const c = effect.compressor;
+        const limiting = p.limit === 'on';
+        // the limiter is a fast, hard-kneed, maximum-ratio compressor
+        set(c.threshold, +p.threshold);
+        set(c.ratio, limiting ? 20 : +p.ratio);
+        set(c.knee, limiting ? 0 : 6);
+        set(c.attack, limiting ? 0.001 : +p.attack);
+        set(c.release, +p.release);
+        set(effect.makeup.gain, dbToGain(+p.makeup));
+        break;
+      }
+      case 'bitcrusher':
+        if (effect.crusher.parameters) set(effect.crusher.parameters.get(name), +p[name]);
+        break;
+    }
+  }
+
+  _applyMix(effect, immediate = false) {
+    const dry = effect.bypass ? 1 : 1 - effect.mix;
+    const wet = effect.bypass ? 0 : effect.mix;
+    if (immediate) {
+      effect.dry.gain.value = dry;
+      effect.wet.gain.value = wet;
+      return;
+    }
+    const now = this.context.currentTime;
+    effect.dry.gain.setTargetAtTime(dry, now, SMOOTHING);
+    effect.wet.gain.setTargetAtTime(wet, now, SMOOTHING);
+  }
+
+  /* -------------------------
+     Routing
+     ------------------------- */
+  _rewire() {
+    this.input.disconnect();
+    this.effects.forEach(e => e.output.disconnect());
+    let previous = this.input;
+    this.effects.forEach((e) => {
+      previous.connect(e.input);
+      previous = e.output;
+    });
+    previous.connect(this.output);
+  }
+
+  _teardown(effect) {
+    effect.input.disconnect();
+    effect.output.disconnect();
+    if (effect.type === 'delay') effect.feedback.disconnect();
+    if (effect.type === 'bitcrusher' && effect.crusher.port) effect.crusher.port.postMessage({ type: 'dispose' });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.EffectsChain = EffectsChain;
+}
+export default EffectsChain;
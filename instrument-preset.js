@@ -0,0 +1,181 @@
+/* instrument-preset.js
+   InstrumentPreset - portable instrument format (JSON manifest with embedded audio) and migrations
+
+   Usage:
+     const preset = InstrumentPreset.create({ name: 'Pad', envelope, params, zones });
+     const blob = InstrumentPreset.toBlob(preset);        // download as "<name>.xtron.json"
+     const loaded = await InstrumentPreset.fromFile(file); // parses, validates and migrates
+
+   In memory (and in IndexedDB) audio is kept as Float32Array channels. In files each channel is
+   little-endian float32 PCM, base64 encoded, so a round trip is lossless.
+
+   Manifest (version 3):
+     { format: 'xtron-instrument', version: 3, name, created,
+       envelope: { attack, decay, sustain, release },
+       params: { filterCutoff, filterQ, unisonCount, unisonDetune },
+       effects: [{ type, bypass, mix, params }],   // insert chain in signal order (see effects-chain.js)
+       modulation: { lfos: [{ shape, rate, sync }],          // 4 LFOs, see MiniSynthNode.setLfo
+                     envelopes: [{ attack, decay, sustain, release }],  // 2 mod envelopes
+                     routes: [{ source, destination, depth }] },        // see MiniSynthNode.setModRoutes
+       zones: [{ name, lowKey, highKey, lowVel, highVel, rootNote, fineTune,
+                 region: { start, end, loopStart, loopEnd, loopMode, crossfade,    // frames
+                           slices: [{ start, end, reverse }] },  // optional, frames; slice n on lowKey + n
+                 sample: { sampleRate, channels: Float32Array[] } }] }
+*/
+
+const PRESET_FORMAT = 'xtron-instrument';
+const PRESET_VERSION = 3;
+const FILE_SUFFIX = '.xtron.json';
+
+// MIGRATIONS[n] upgrades a manifest from version n to n + 1. Add an entry (and bump
+// PRESET_VERSION) whenever the manifest shape changes; old files are never rewritten in place.
+const MIGRATIONS = {
+  // v2 adds the effects chain; version 1 instruments played dry
+  1: (preset) => ({ ...preset, effects: [] }),
+  // v3 adds the mod matrix; earlier instruments had no modulation
+  2: (preset) => ({ ...preset, modulation: InstrumentPreset.defaultModulation() })
+};
+
+class InstrumentPreset {
+  static get VERSION() {
+    return PRESET_VERSION;
+  }
+
+  static get FILE_SUFFIX() {
+    return FILE_SUFFIX;
+  }
+
+  /** Modulation settings of an instrument with no routes. */
+  static defaultModulation() {
+    return {
+      lfos: [0, 1, 2, 3].map(() => ({ shape: 'sine', rate: 1, sync: null })),
+      envelopes: [0, 1].map(() => ({ attack: 0.01, decay: 0.3, sustain: 0, release: 0.3 })),
+      routes: []
+    };
+  }
+
+  /**
+   * Build a current-version preset.
+   * @param {Object} fields - name, envelope, params, effects, modulation, zones (see manifest above)
+   */
+  static create(fields) {
+    return {
+      format: PRESET_FORMAT,
+      version: PRESET_VERSION,
+      name: fields.name || 'Untitled',
+      created: fields.created || new Date().toISOString(),
+      envelope: { ...fields.envelope },
+      params: { ...fields.params },
+      effects: (fields.effects || []).map(e => ({ ...e, params: { ...e.params } })),
+      modulation: InstrumentPreset._copyModulation(fields.modulation || InstrumentPreset.defaultModulation()),
+      zones: (fields.zones || []).map(z => ({ ...z, region: { ...z.region } }))
+    };
+  }
+
+  /**
+   * Upgrade a manifest of any earlier version to the current one.
+   * @throws {Error} for unknown formats and for files written by a newer version
+   */
+  static migrate(manifest) {
+    if (!manifest || manifest.format !== PRESET_FORMAT) {
+      throw new Error('InstrumentPreset: not an instrument preset');
+    }
+    let version = manifest.version;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`InstrumentPreset: invalid version "${version}"`);
+    }
+    if (version > PRESET_VERSION) {
+      throw new Error(`InstrumentPreset: preset version ${version} is newer than supported (${PRESET_VERSION})`);
+    }
+    let preset = manifest;
+    while (version < PRESET_VERSION) {
+      const step = MIGRATIONS[version];
+      if (!step) throw new Error(`InstrumentPreset: no migration from version ${version}`);
+      preset = step(preset);
+      version++;
+      preset.version = version;
+    }
+    return preset;
+  }
+
+  /* -------------------------
+     File encoding
+     ------------------------- */
+  static serialize(preset) {
+    const manifest = {
+      ...preset,
+      zones: preset.zones.map(z => ({
+        ...z,
+        sample: {
+          sampleRate: z.sample.sampleRate,
+          encoding: 'f32le-base64',
+          channels: z.sample.channels.map(InstrumentPreset._encodeChannel)
+        }
+      }))
+    };
+    return JSON.stringify(manifest);
+  }
+
+  static parse(text) {
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (e) {
+      throw new Error('InstrumentPreset: file is not valid JSON');
+    }
+    const preset = InstrumentPreset.migrate(manifest);
+    preset.zones = (preset.zones || []).map(z => {
+      if (!z.sample || z.sample.encoding !== 'f32le-base64' || !Array.isArray(z.sample.channels)) {
+        throw new Error('InstrumentPreset: zone without readable audio');
+      }
+      return {
+        ...z,
+        sample: { sampleRate: z.sample.sampleRate, channels: z.sample.channels.map(InstrumentPreset._decodeChannel) }
+      };
+    });
+    return preset;
+  }
+
+  static toBlob(preset) {
+    return new Blob([InstrumentPreset.serialize(preset)], { type: 'application/json' });
+  }
+
+  static fileNameFor(preset) {
+    return `${(preset.name || 'instrument').replace(/[^\w\- ]+/g, '_').trim() || 'instrument'}${FILE_SUFFIX}`;
+  }
+
+  static async fromFile(file) {
+    return InstrumentPreset.parse(await file.text());
+  }
+
+  static _copyModulation(m) {
+    return {
+      lfos: m.lfos.map(l => ({ ...l })),
+      envelopes: m.envelopes.map(e => ({ ...e })),
+      routes: m.routes.map(r => ({ ...r }))
+    };
+  }
+
+  // float32 PCM -> base64 (little-endian, as on every platform Web Audio runs on)
+  static _encodeChannel(data) {
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    let binary = '';
+    const CHUNK = 0x8000; // keeps String.fromCharCode under the argument limit
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+  }
+
+  static _decodeChannel(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length - (binary.length % 4));
+    for (let i = 0; i < bytes.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Float32Array(bytes.buffer);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.InstrumentPreset = InstrumentPreset;
+}
+export default InstrumentPreset;
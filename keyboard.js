@@ -0,0 +1,201 @@
+/* keyboard.js
+   PianoKeyboard - generated on-screen keyboard plus computer-keyboard (QWERTY) playing
+
+   Usage:
+     const kb = new PianoKeyboard(document.getElementById('piano-container'), {
+       octaves: 2, baseOctave: 4,
+       onNoteOn: (midi, keyElement) => ..., onNoteOff: (midi, keyElement) => ...
+     });
+     kb.render();
+     kb.attachComputerKeyboard(window);
+     kb.shiftOctave(+1);
+
+   Keys carry data-note (e.g. "C#4") and data-midi so pointer handlers can read either.
+   The QWERTY layout follows the usual DAW convention: A W S E D F T G Y H U J K O L P ; play
+   C..E across an octave and a half; Z / X shift the octave down / up.
+*/
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BLACK_PITCH_CLASSES = new Set([1, 3, 6, 8, 10]);
+
+// KeyboardEvent.code -> semitones above the keyboard's lowest C
+const QWERTY_LAYOUT = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7,
+  KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11, KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16
+};
+
+const MIN_OCTAVE = 0;
+const MAX_OCTAVE = 8;
+
+class PianoKeyboard {
+  /**
+   * @param {HTMLElement} container - element the keys are rendered into
+   * @param {Object} opts
+   *   - octaves: number of octaves shown (a closing C is added on top)
+   *   - baseOctave: octave of the lowest C (4 = middle C)
+   *   - onNoteOn(midi, keyElement), onNoteOff(midi, keyElement): callbacks for computer-keyboard input
+   *   - onOctaveChange(baseOctave): called after shiftOctave / setRange
+   */
+  constructor(container, opts = {}) {
+    this.container = container;
+    this.octaves = opts.octaves || 2;
+    this.baseOctave = opts.baseOctave ?? 4;
+    this.onNoteOn = opts.onNoteOn || (() => {});
+    this.onNoteOff = opts.onNoteOff || (() => {});
+    this.onOctaveChange = opts.onOctaveChange || (() => {});
+    this.keyElements = new Map(); // midi -> element
+    this.heldCodes = new Map();   // KeyboardEvent.code -> midi it started (so octave changes can't strand notes)
+    this._target = null;
+    this._onKeyDown = (e) => this._handleKeyDown(e);
+    this._onKeyUp = (e) => this._handleKeyUp(e);
+    this._onBlur = () => this.releaseComputerKeys();
+  }
+
+  static midiToNoteName(midi) {
+    return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+  }
+
+  static noteNameToMidi(note) {
+    const m = /^([A-G]#?)(-?\d+)$/.exec(note);
+    return m ? (parseInt(m[2], 10) + 1) * 12 + NOTE_NAMES.indexOf(m[1]) : NaN;
+  }
+
+  get lowNote() {
+    return (this.baseOctave + 1) * 12;
+  }
+
+  get highNote() {
+    return this.lowNote + this.octaves * 12;
+  }
+
+  /**
+   * Change the visible range and re-render.
+   */
+  setRange(baseOctave, octaves = this.octaves) {
+    this.baseOctave = Math.max(MIN_OCTAVE, Math.min(MAX_OCTAVE - octaves + 1, baseOctave));
+    this.octaves = Math.max(1, octaves);
+    this.render();
+    this.onOctaveChange(this.baseOctave);
+  }
+
+  shiftOctave(delta) {
+    this.setRange(this.baseOctave + delta, this.octaves);
+  }
+
+  keyElementFor(midi) {
+    return this.keyElements.get(midi) || null;
+  }
+
+  /**
+   * Build the key elements for the current range.
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.keyElements.clear();
+
+    const notes = [];
+    for (let midi = this.lowNote; midi <= this.highNote; midi++) notes.push(midi);
+    const whiteCount = notes.filter(m => !BLACK_PITCH_CLASSES.has(m % 12)).length;
+    const whiteWidth = 100 / whiteCount;
+    const blackWidth = whiteWidth * 0.6;
+
+    let whiteIndex = 0;
+    for (const midi of notes) {
+      const name = PianoKeyboard.midiToNoteName(midi);
+      const isBlack = BLACK_PITCH_CLASSES.has(midi % 12);
+      const key = document.createElement('div');
+      key.className = isBlack ? 'black-key' : 'white-key';
+      key.dataset.note = name;
+      key.dataset.midi = String(midi);
+      if (isBlack) {
+        // centred on the boundary between the two neighbouring white keys
+        key.style.left = `${whiteIndex * whiteWidth - blackWidth / 2}%`;
+        key.style.width = `${blackWidth}%`;
+      } else {
+        key.style.left = `${whiteIndex * whiteWidth}%`;
+        key.style.width = `${whiteWidth}%`;
+        whiteIndex++;
+      }
+      const label = document.createElement('span');
+      label.className = 'note-label text-xs font-semibold text-gray-700';
+      label.textContent = name;
+      key.appendChild(label);
+      this.container.appendChild(key);
+      this.keyElements.set(midi, key);
+    }
+  }
+
+  /**
+   * Listen for QWERTY playing on target (usually window).
+   */
+  attachComputerKeyboard(target) {
+    this.detachComputerKeyboard();
+    this._target = target;
+    target.addEventListener('keydown', this._onKeyDown);
+    target.addEventListener('keyup', this._onKeyUp);
+    target.addEventListener('blur', this._onBlur);
+  }
+
+  detachComputerKeyboard() {
+    if (!this._target) return;
+    this.releaseComputerKeys();
+    this._target.removeEventListener('keydown', this._onKeyDown);
+    this._target.removeEventListener('keyup', this._onKeyUp);
+    this._target.removeEventListener('blur', this._onBlur);
+    this._target = null;
+  }
+
+  /**
+   * Release everything held on the computer keyboard (e.g. when the window loses focus).
+   */
+  releaseComputerKeys() {
+    new Set(this.heldCodes.values()).forEach(midi => this.onNoteOff(midi, this.keyElementFor(midi)));
+    this.heldCodes.clear();
+  }
+
+  _isTypingTarget(e) {
+    const el = e.target;
+    if (!el || !el.tagName) return false;
+    return el.isContentEditable ||
+      (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) && el.type !== 'range' && el.type !== 'checkbox');
+  }
+
+  _handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || this._isTypingTarget(e)) return;
+    // auto-repeat and keys already down never retrigger
+    if (e.repeat || this.heldCodes.has(e.code)) {
+      if (e.code in QWERTY_LAYOUT) e.preventDefault();
+      return;
+    }
+    if (e.code === 'KeyZ' || e.code === 'KeyX') {
+      this.shiftOctave(e.code === 'KeyZ' ? -1 : 1);
+      e.preventDefault();
+      return;
+    }
+    const offset = QWERTY_LAYOUT[e.code];
+    if (offset === undefined) return;
+    e.preventDefault();
+    const midi = this.lowNote + offset;
+    // after an octave shift two keys can play the same note: it starts with the first, stops with the last
+    const sounding = this._isHeld(midi);
+    this.heldCodes.set(e.code, midi);
+    if (!sounding) this.onNoteOn(midi, this.keyElementFor(midi));
+  }
+
+  _handleKeyUp(e) {
+    if (!this.heldCodes.has(e.code)) return;
+    const midi = this.heldCodes.get(e.code);
+    this.heldCodes.delete(e.code);
+    if (!this._isHeld(midi)) this.onNoteOff(midi, this.keyElementFor(midi));
+  }
+
+  _isHeld(midi) {
+    for (const held of this.heldCodes.values()) if (held === midi) return true;
+    return false;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PianoKeyboard = PianoKeyboard;
+}
+export default PianoKeyboard;
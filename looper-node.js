@@ -0,0 +1,266 @@
+/* looper-node.js
+   LooperNode - convenience wrapper around the looper AudioWorkletNode
+
+   Usage:
+     const looper = new LooperNode(audioContext, { workletUrl: 'audio/looper-processor.js' });
+     await looper.init();
+     synthNode.connect(looper.input);           // what gets recorded
+     looper.connect(audioContext.destination);  // loop playback
+     looper.record();                           // start first take, call again to close the loop
+     looper.overdub(); looper.undo(); looper.multiply(2);
+
+   Record buffers are allocated here, on the main thread, and transferred with the record / overdub
+   message that may start a take. What a message will do depends on the ones before it, so the node
+   follows the processor's state from the commands it sends, and takes the reported state back once
+   the processor has applied all of them. Layers recorded into more storage than they need are
+   trimmed by the processor with buffers it asks for here (the 'trim' message).
+*/
+
+class LooperNode {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - processorName: name registered in the worklet processor (string)
+   *   - workletUrl: path to the processor module (string). If provided, init() calls addModule.
+   *   - maxSeconds: (number) - longest take; a first take of unknown length gets a record buffer this long
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.processorName = opts.processorName || 'looper-processor';
+    this.workletUrl = opts.workletUrl || null;
+    this.maxSeconds = opts.maxSeconds || 120;
+    this.maxFrames = Math.round(this.maxSeconds * audioContext.sampleRate);
+    this.node = null;
+    this._ready = false;
+    this._pendingMessages = [];     // [msg, transfer] until the processor is ready
+    this._onmessageHandlers = [];
+    this._exportCounter = 0;
+    this._commands = 0;             // state-changing messages sent (see the processor's COMMANDS)
+    this._fixedLength = 0;          // frames, as sent with setLength()
+    // the state once every message sent so far is applied (length 0 = not known yet)
+    this._expected = { state: 'empty', length: 0, layers: 0 };
+    // last state reported by the processor
+    this.state = { state: 'empty', length: 0, layers: 0, position: 0, time: 0, sampleRate: audioContext.sampleRate };
+  }
+
+  /**
+   * Add the module (if workletUrl provided), create the node and wait for { ready: true }.
+   */
+  async init() {
+    if (this.workletUrl) {
+      await this.context.audioWorklet.addModule(this.workletUrl);
+    }
+
+    this.node = new AudioWorkletNode(this.context, this.processorName, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      processorOptions: { maxSeconds: this.maxSeconds }
+    });
+
+    return new Promise((resolve) => {
+      this.node.port.onmessage = (ev) => {
+        const data = ev.data;
+        if (data && data.ready && !this._ready) {
+          this._ready = true;
+          this._pendingMessages.forEach(([m, transfer]) => this.node.port.postMessage(m, transfer));
+          this._pendingMessages = [];
+          this._callHandlers('ready', data);
+          resolve();
+          return;
+        }
+        this._handleMessage(data);
+      };
+    });
+  }
+
+  _handleMessage(data) {
+    if (!data || !data.type) return;
+    if (data.type === 'trim') {
+      const left = new Float32Array(data.length);
+      const right = new Float32Array(data.length);
+      this.postMessage({ type: 'trim', id: data.id, left, right }, [left.buffer, right.buffer]);
+      return;
+    }
+    if (data.type === 'state') {
+      this.state = data;
+      if (data.commands === this._commands && data.pending === 0) {
+        this._expected = { state: data.state, length: data.length, layers: data.layers };
+      }
+    }
+    this._callHandlers(data.type, data);
+  }
+
+  /**
+   * Register a message-type handler: fn(typeData). Use '*' for every message.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    // copy: a handler may remove itself (see exportLoop)
+    this._onmessageHandlers.slice().forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('LooperNode handler error', e); }
+      }
+    });
+  }
+
+  /**
+   * The AudioNode to connect sources into for recording.
+   */
+  get input() {
+    return this.node;
+  }
+
+  connect(destination) {
+    if (!this.node) {
+      console.warn('LooperNode: connect called before init');
+      return;
+    }
+    this.node.connect(destination);
+  }
+
+  disconnect() {
+    if (this.node) this.node.disconnect();
+  }
+
+  postMessage(msg, transfer = []) {
+    if (!this.node || !this._ready) {
+      this._pendingMessages.push([msg, transfer]);
+      return;
+    }
+    this.node.port.postMessage(msg, transfer);
+  }
+
+  // Send a command, with record buffers when it may start a take
+  _command(msg) {
+    this._commands++;
+    const frames = this._expect(msg);
+    if (!frames) {
+      this.postMessage(msg);
+      return;
+    }
+    msg.left = new Float32Array(frames);
+    msg.right = new Float32Array(frames);
+    this.postMessage(msg, [msg.left.buffer, msg.right.buffer]);
+  }
+
+  // Apply a command to the expected state, as the processor will; returns the frames of record
+  // buffer it needs (0 = it cannot start a take). An unknown loop length gets the longest take.
+  _expect(msg) {
+    const e = this._expected;
+    const { type } = msg;
+    if (type === 'clear' || (type === 'undo' && (e.state === 'recording' || e.layers <= 1))) {
+      this._expected = { state: 'empty', length: 0, layers: 0 };
+      return 0;
+    }
+    switch (e.state) {
+      case 'empty':
+        if (type !== 'record') return 0;
+        e.state = 'recording';
+        e.length = this._fixedLength;
+        return this._fixedLength || this.maxFrames;
+      case 'recording':
+        // a fixed-length take may have closed by itself first; then an overdub starts instead
+        if (type === 'overdub') return e.length;
+        if (type === 'record' || type === 'play' || type === 'stop') {
+          e.state = type === 'stop' ? 'stopped' : 'playing';
+          e.layers++;
+          return type === 'record' ? e.length : 0;
+        }
+        return 0;
+      default:
+        break;
+    }
+    const overdubbing = e.state === 'overdubbing';
+    if (type === 'record' || type === 'overdub') {
+      e.state = overdubbing ? 'playing' : 'overdubbing';
+      if (overdubbing) return 0;
+      e.layers++;
+      return e.length || this.maxFrames;
+    }
+    if (type === 'play' || type === 'stop') {
+      e.state = type === 'play' ? 'playing' : 'stopped';
+    } else if (type === 'undo') {
+      e.layers--;
+      if (overdubbing) e.state = 'playing';
+    } else if ((type === 'multiply' || type === 'divide') && e.length) {
+      const factor = Math.max(1, msg.factor | 0);
+      const length = type === 'multiply' ? e.length * factor : Math.floor(e.length / factor);
+      e.length = Math.max(128, Math.min(this.maxFrames, length));
+      if (overdubbing) e.state = 'playing';
+    }
+    return 0;
+  }
+
+  /**
+   * Transport commands. `time` is in context seconds; omit (or 0) for "now".
+   */
+  record(time = 0) { this._command({ type: 'record', time }); }
+  overdub(time = 0) { this._command({ type: 'overdub', time }); }
+  play(time = 0) { this._command({ type: 'play', time }); }
+  stop(time = 0) { this._command({ type: 'stop', time }); }
+
+  /**
+   * Layer / length editing
+   */
+  undo() { this._command({ type: 'undo' }); }
+  multiply(factor = 2) { this._command({ type: 'multiply', factor }); }
+  divide(factor = 2) { this._command({ type: 'divide', factor }); }
+  clear() { this._command({ type: 'clear' }); }
+
+  /**
+   * Fixed length for the first take, in seconds (0 = free length, closed by the next record()).
+   */
+  setLength(seconds) {
+    this._fixedLength = Math.min(this.maxFrames, Math.max(0, Math.round((seconds || 0) * this.context.sampleRate)));
+    this.postMessage({ type: 'set-length', seconds });
+  }
+
+  setLevel(value) { this.postMessage({ type: 'level', value }); }
+
+  /**
+   * Context time the running loop last passed its start, from the latest state report; later passes
+   * follow every length / sampleRate seconds. null while nothing plays.
+   */
+  get loopStartTime() {
+    const s = this.state;
+    if (!s.length || (s.state !== 'playing' && s.state !== 'overdubbing')) return null;
+    return s.time - s.position / s.sampleRate;
+  }
+
+  /**
+   * Mixdown of the current loop, one pass long, as it plays back.
+   * @returns {Promise<{ channels: Float32Array[], sampleRate: Number }>} channels are empty without a loop
+   */
+  exportLoop() {
+    const requestId = ++this._exportCounter;
+    return new Promise((resolve) => {
+      const handler = { type: 'export', fn: (data) => {
+        if (data.requestId !== requestId) return;
+        this._onmessageHandlers.splice(this._onmessageHandlers.indexOf(handler), 1);
+        resolve({ channels: [data.left, data.right], sampleRate: data.sampleRate });
+      } };
+      this._onmessageHandlers.push(handler);
+      this.postMessage({ type: 'export', requestId });
+    });
+  }
+
+  dispose() {
+    if (this.node) {
+      try { this.node.port.postMessage({ type: 'dispose' }); } catch {}
+      try { this.node.disconnect(); } catch {}
+      this.node = null;
+    }
+    this._ready = false;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.LooperNode = LooperNode;
+}
+export default LooperNode;
@@ -10,18 +10,110 @@ document.addEventListener('DOMContentLoaded', async () => {
      ------------------------- */
   let audioCtx = null;
   let synthNode = null;            // MiniSynthNode instance (wrapper)
+  let looperNode = null;           // LooperNode of the armed track (loop record / overdub)
+  let effectsChain = null;         // EffectsChain between the instrument and its mixer channel
+  let mixer = null;                // Mixer: a channel strip per track, send buses, master volume
+  const tracks = [];               // see "Tracks / mixer"; tracks[0] is the Instrument track
+  let armedTrack = null;           // track that gets the keyboard, MIDI, sequencer and looper controls
+  let outputMeter = null;          // OutputMeter tapping the master output (levels, spectrum)
+  let sampleRecorder = null;       // SampleRecorder capturing mic / line-in into the sampler (on first use)
+  let micSource = null;            // MediaStreamAudioSourceNode feeding the looper (optional)
+  let midiInput = null;            // MidiInput instance (Web MIDI)
   let audioBuffer = null;          // decoded AudioBuffer of uploaded file
   let sampleStart = 0;             // 0..1 normalized selection
   let sampleEnd = 1;               // 0..1 normalized selection
-  const activeNotes = new Map();   // map note -> { noteId, keyElement }
+  let sustainLoopStart = 0.5;      // 0..1 normalized, kept inside the selection
+  let sustainLoopEnd = 1;          // 0..1 normalized, kept inside the selection
+  let rootNote = 60;               // MIDI note the sample sounds at when played unshifted
+  let fineTune = 0;                // cents, corrects a sample that sits between two notes
+  let sliceMode = false;           // chop the selection into slices played on successive keys
+  let slices = [];                 // [{ start (0..1), reverse }] ascending; each ends where the next starts
+  let selectedSlice = -1;          // index into slices, edited by the reverse / delete controls
+  const zones = [];                // keymap: one zone per loaded sample (see "Zones / keymap")
+  let selectedZone = null;         // zone shown in the waveform editor; the editor globals above mirror it
+  const activeNotes = new Map();   // note -> what sounds: { keyElement, midi, via, holders, ... }
   const MAX_POLYPHONY = 12;
 
   // DOM refs
   const audioFile = document.getElementById('audioFile');
   const waveformCanvas = document.getElementById('waveformCanvas');
-  const ctx = waveformCanvas.getContext('2d');
   const piano = document.getElementById('piano');
 
+  // Output monitor
+  const spectrumCanvas = document.getElementById('spectrumCanvas');
+  const monitorModeSelect = document.getElementById('monitorModeSelect');
+  const meterPeakValue = document.getElementById('meterPeakValue');
+  const voiceCountValue = document.getElementById('voiceCountValue');
+  const meterChannels = ['L', 'R'].map(ch => ({
+    fill: document.getElementById(`meterFill${ch}`),
+    hold: document.getElementById(`meterHold${ch}`),
+    clip: document.getElementById(`meterClip${ch}`)
+  }));
+
+  // Sample recording
+  const recSampleBtn = document.getElementById('recSampleBtn');
+  const recInputToggle = document.getElementById('recInputToggle');
+  const recLevelMeter = document.getElementById('recLevelMeter');
+  const recLevelValue = document.getElementById('recLevelValue');
+  const recThresholdToggle = document.getElementById('recThresholdToggle');
+  const recThresholdSlider = document.getElementById('recThresholdSlider');
+  const recThresholdValue = document.getElementById('recThresholdValue');
+  const recCountInSelect = document.getElementById('recCountInSelect');
+  const recStatus = document.getElementById('recStatus');
+
+  // Selection readout / snapping
+  const selectionStartValue = document.getElementById('selectionStartValue');
+  const selectionEndValue = document.getElementById('selectionEndValue');
+  const selectionLengthValue = document.getElementById('selectionLengthValue');
+  const snapZeroCrossingToggle = document.getElementById('snapZeroCrossing');
+
+  // Sustain loop controls
+  const sustainLoopModeSelect = document.getElementById('sustainLoopMode');
+  const loopCrossfadeSlider = document.getElementById('loopCrossfadeSlider');
+  const loopCrossfadeValue = document.getElementById('loopCrossfadeValue');
+  const loopStartMarker = document.getElementById('loopStartMarker');
+  const loopEndMarker = document.getElementById('loopEndMarker');
+
+  // Root note / fine tune
+  const rootNoteInput = document.getElementById('rootNoteInput');
+  const detectRootBtn = document.getElementById('detectRootBtn');
+  const fineTuneSlider = document.getElementById('fineTuneSlider');
+  const fineTuneValue = document.getElementById('fineTuneValue');
+  const rootNoteStatus = document.getElementById('rootNoteStatus');
+
+  // Slice mode
+  const sliceModeToggle = document.getElementById('sliceModeToggle');
+  const sliceSensitivitySlider = document.getElementById('sliceSensitivitySlider');
+  const sliceDetectBtn = document.getElementById('sliceDetectBtn');
+  const sliceReverseToggle = document.getElementById('sliceReverseToggle');
+  const sliceDeleteBtn = document.getElementById('sliceDeleteBtn');
+  const sliceStatus = document.getElementById('sliceStatus');
+
+  // Zone (keymap) editor
+  const zoneList = document.getElementById('zoneList');
+  const addZoneBtn = document.getElementById('addZoneBtn');
+  const zoneFile = document.getElementById('zoneFile');
+
+  // Presets
+  const presetSelect = document.getElementById('presetSelect');
+  const presetLoadBtn = document.getElementById('presetLoadBtn');
+  const presetDeleteBtn = document.getElementById('presetDeleteBtn');
+  const presetNameInput = document.getElementById('presetNameInput');
+  const presetSaveBtn = document.getElementById('presetSaveBtn');
+  const presetExportBtn = document.getElementById('presetExportBtn');
+  const presetImportBtn = document.getElementById('presetImportBtn');
+  const presetFile = document.getElementById('presetFile');
+
+  // Pitch engine (resampling synth vs phase vocoder)
+  const pitchEngineSelect = document.getElementById('pitchEngineSelect');
+  const pvTempoSlider = document.getElementById('pvTempoSlider');
+  const pvTempoValue = document.getElementById('pvTempoValue');
+  const pvFormantToggle = document.getElementById('pvFormantToggle');
+  const pvBpmInput = document.getElementById('pvBpmInput');
+  const pvBeatsInput = document.getElementById('pvBeatsInput');
+  const pvFitBtn = document.getElementById('pvFitBtn');
+  const pvEngineStatus = document.getElementById('pvEngineStatus');
+
   // ADSR controls
   const attackSlider = document.getElementById('attackSlider');
   const decaySlider = document.getElementById('decaySlider');
@@ -32,6 +124,94 @@ document.addEventListener('DOMContentLoaded', async () => {
   const sustainValue = document.getElementById('sustainValue');
   const releaseValue = document.getElementById('releaseValue');
 
+  // Transport
+  const transportPlayBtn = document.getElementById('transportPlayBtn');
+  const transportPosition = document.getElementById('transportPosition');
+  const transportTempoInput = document.getElementById('transportTempoInput');
+  const tapTempoBtn = document.getElementById('tapTempoBtn');
+  const transportBeatsInput = document.getElementById('transportBeatsInput');
+  const transportUnitSelect = document.getElementById('transportUnitSelect');
+  const metronomeToggle = document.getElementById('metronomeToggle');
+  const noteQuantizeSelect = document.getElementById('noteQuantizeSelect');
+  const loopQuantizeSelect = document.getElementById('loopQuantizeSelect');
+
+  // Tracks / mixer
+  const addTrackBtn = document.getElementById('addTrackBtn');
+  const trackFile = document.getElementById('trackFile');
+  const trackList = document.getElementById('trackList');
+  const busList = document.getElementById('busList');
+  const masterVolumeSlider = document.getElementById('masterVolumeSlider');
+  const masterVolumeValue = document.getElementById('masterVolumeValue');
+
+  // Looper controls
+  const loopRecordBtn = document.getElementById('loopRecordBtn');
+  const loopOverdubBtn = document.getElementById('loopOverdubBtn');
+  const loopPlayBtn = document.getElementById('loopPlayBtn');
+  const loopStopBtn = document.getElementById('loopStopBtn');
+  const loopUndoBtn = document.getElementById('loopUndoBtn');
+  const loopMultiplyBtn = document.getElementById('loopMultiplyBtn');
+  const loopDivideBtn = document.getElementById('loopDivideBtn');
+  const loopClearBtn = document.getElementById('loopClearBtn');
+  const loopLengthInput = document.getElementById('loopLengthInput');
+  const loopMicToggle = document.getElementById('loopMicToggle');
+  const loopStatus = document.getElementById('loopStatus');
+
+  // Step sequencer
+  const seqPlayBtn = document.getElementById('seqPlayBtn');
+  const seqSwingSlider = document.getElementById('seqSwingSlider');
+  const seqSwingValue = document.getElementById('seqSwingValue');
+  const seqPatternSelect = document.getElementById('seqPatternSelect');
+  const seqLengthSelect = document.getElementById('seqLengthSelect');
+  const seqChainInput = document.getElementById('seqChainInput');
+  const seqGrid = document.getElementById('seqGrid');
+  const seqStepLabel = document.getElementById('seqStepLabel');
+  const seqNoteInput = document.getElementById('seqNoteInput');
+  const seqVelocitySlider = document.getElementById('seqVelocitySlider');
+  const seqGateSlider = document.getElementById('seqGateSlider');
+
+  // Effects chain
+  const fxTypeSelect = document.getElementById('fxTypeSelect');
+  const fxAddBtn = document.getElementById('fxAddBtn');
+  const fxList = document.getElementById('fxList');
+
+  // Modulation
+  const modLfoList = document.getElementById('modLfoList');
+  const modEnvList = document.getElementById('modEnvList');
+  const modRouteList = document.getElementById('modRouteList');
+  const modAddRouteBtn = document.getElementById('modAddRouteBtn');
+  const modWheelSlider = document.getElementById('modWheelSlider');
+
+  // Export / bounce
+  const takeRecordBtn = document.getElementById('takeRecordBtn');
+  const takeStatus = document.getElementById('takeStatus');
+  const exportFormatSelect = document.getElementById('exportFormatSelect');
+  const bounceTakeBtn = document.getElementById('bounceTakeBtn');
+  const bounceLoopBtn = document.getElementById('bounceLoopBtn');
+  const exportRegionBtn = document.getElementById('exportRegionBtn');
+
+  // Performance (piano roll / MIDI files)
+  const takePlayBtn = document.getElementById('takePlayBtn');
+  const rollSnapSelect = document.getElementById('rollSnapSelect');
+  const midiFormatSelect = document.getElementById('midiFormatSelect');
+  const exportMidiBtn = document.getElementById('exportMidiBtn');
+  const importMidiBtn = document.getElementById('importMidiBtn');
+  const midiFile = document.getElementById('midiFile');
+  const pianoRollCanvas = document.getElementById('pianoRollCanvas');
+
+  // MIDI controls
+  const midiInputSelect = document.getElementById('midiInputSelect');
+  const midiLearnTarget = document.getElementById('midiLearnTarget');
+  const midiLearnBtn = document.getElementById('midiLearnBtn');
+  const midiStatus = document.getElementById('midiStatus');
+
+  // current slider envelope, as sent with each noteOn
+  const getEnvelope = () => ({
+    attack: parseFloat(attackSlider.value),
+    decay: parseFloat(decaySlider.value),
+    sustain: parseFloat(sustainSlider.value),
+    release: parseFloat(releaseSlider.value)
+  });
+
   // ADSR UI update
   const updateAdsrDisplays = () => {
     attackValue.textContent = `${parseFloat(attackSlider.value).toFixed(2)}s`;
@@ -39,17 +219,30 @@ document.addEventListener('DOMContentLoaded', async () => {
     sustainValue.textContent = `${parseFloat(sustainSlider.value).toFixed(2)}`;
     releaseValue.textContent = `${parseFloat(releaseSlider.value).toFixed(2)}s`;
   };
-  attackSlider.oninput = updateAdsrDisplays;
-  decaySlider.oninput = updateAdsrDisplays;
-  sustainSlider.oninput = updateAdsrDisplays;
-  releaseSlider.oninput = updateAdsrDisplays;
-  updateAdsrDisplays();
 
-  // semitone offsets used by piano (relative to A4 = 440Hz)
-  const noteSemitoneOffsets = {
-    'C4': -9, 'C#4': -8, 'D4': -7, 'D#4': -6, 'E4': -5, 'F4': -4, 'F#4': -3,
-    'G4': -2, 'G#4': -1, 'A4': 0, 'A#4': 1, 'B4': 2, 'C5': 3, 'C#5': 4
+  // push slider changes to the worklet so held voices follow them live
+  const sendEnvelope = () => {
+    if (!synthNode) return;
+    Object.entries(getEnvelope()).forEach(([name, value]) => synthNode.setParam(name, value));
+  };
+  const onAdsrInput = () => {
+    updateAdsrDisplays();
+    sendEnvelope();
   };
+  attackSlider.oninput = onAdsrInput;
+  decaySlider.oninput = onAdsrInput;
+  sustainSlider.oninput = onAdsrInput;
+  releaseSlider.oninput = onAdsrInput;
+  updateAdsrDisplays();
+
+  // Keyboard range / transpose controls
+  const pianoContainer = document.getElementById('piano-container');
+  const octaveDownBtn = document.getElementById('octaveDownBtn');
+  const octaveUpBtn = document.getElementById('octaveUpBtn');
+  const octaveDisplay = document.getElementById('octaveDisplay');
+  const keyboardOctavesSelect = document.getElementById('keyboardOctaves');
+  const transposeInput = document.getElementById('transposeInput');
+  let transpose = 0;               // semitones added to every key played
 
   /* -------------------------
      Small helper functions
@@ -74,8 +267,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 3500);
   };
 
-  // frequency from semitone offset relative to A4(440Hz)
-  const freqFromSemitones = (semitones) => 440 * Math.pow(2, semitones / 12);
+  // save a Blob through a temporary download link
+  const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // linear amplitude -> dBFS for the level displays
+  const linearToDb = (v) => (v > 0 ? 20 * Math.log10(v) : -Infinity);
+
+  // note names <-> MIDI numbers (C4 = 60)
+  const { midiToNoteName, noteNameToMidi } = window.PianoKeyboard;
 
   /* -------------------------
      Audio & Worklet initialization
@@ -90,103 +296,210 @@ document.addEventListener('DOMContentLoaded', async () => {
   const initEngine = async () => {
     await ensureAudioContext();
 
+    // everything audible passes the master tap that drives the meters and the spectrum
+    if (typeof window.OutputMeter !== 'undefined') {
+      outputMeter = new window.OutputMeter(audioCtx);
+      outputMeter.connect(audioCtx.destination);
+      startMonitor();
+    }
+    const masterOutput = outputMeter ? outputMeter.input : audioCtx.destination;
+    transport.connect(masterOutput);
+
+    // every track plays into its own mixer channel; the send buses return into the master
+    if (typeof window.Mixer !== 'undefined') {
+      mixer = new window.Mixer(audioCtx, { busCount: SEND_BUSES.length });
+      mixer.connect(masterOutput);
+      mixer.setMasterVolume(parseFloat(masterVolumeSlider.value));
+      await initSendBuses();
+    }
+    const instrumentChannel = mixer ? mixer.addChannel('Instrument') : null;
+    const trackOutput = mixer ? mixer.channelInput(instrumentChannel) : masterOutput;
+
+    // Insert effects sit between every sound source and the track, so the looper records them too
+    if (typeof window.EffectsChain !== 'undefined') {
+      try {
+        effectsChain = new window.EffectsChain(audioCtx, {
+          bitcrusherUrl: 'audio/bitcrusher-processor.js',
+          tempo: transport.tempo
+        });
+        await effectsChain.init();
+        effectsChain.connect(trackOutput);
+        effectsChain.on('change', renderEffectsList);
+        renderEffectsList();
+      } catch (err) {
+        console.warn('EffectsChain failed to initialize:', err);
+        effectsChain = null;
+      }
+    }
+    const instrumentOutput = effectsChain ? effectsChain.input : trackOutput;
+
     // If MiniSynthNode wrapper is available, use it.
     // We pass workletUrl so the wrapper will call addModule for the worklet processor.
     if (typeof window.MiniSynthNode !== 'undefined') {
       try {
         synthNode = new window.MiniSynthNode(audioCtx, {
           workletUrl: 'audio/mini-synth-processor.js',
+          maxVoices: MAX_POLYPHONY,
         });
         await synthNode.init();
-        synthNode.connect(audioCtx.destination);
+        synthNode.connect(instrumentOutput);
+        sendEnvelope();
+        sendModulation();
+        synthNode.on('playhead', (data) => {
+          if (!selectedZone || data.id !== selectedZone.sampleId) return;
+          playheads = audioBuffer ? data.positions.map(f => f / audioBuffer.length) : [];
+          requestDraw();
+        });
+        synthNode.on('voices', updateVoiceCount);
+        synthNode.on('error', handleSynthError);
         createMessageBox('MiniSynth worklet initialized', 'success');
       } catch (err) {
         console.warn('MiniSynthNode failed to initialize:', err);
-        createMessageBox('MiniSynth worklet failed. See console.', 'error');
+        createMessageBox(`MiniSynth worklet failed (${err.code || err.message}). See console.`, 'error');
+        if (synthNode) synthNode.dispose();
+        synthNode = null;
       }
     } else {
       console.warn('MiniSynthNode wrapper not found; falling back to PhaseVocoderBundle if available.');
     }
 
+    // Looper records the synth output and plays loops back next to it
+    let instrumentLooper = null;
+    if (synthNode && typeof window.LooperNode !== 'undefined') {
+      try {
+        instrumentLooper = await createTrackLooper(effectsChain ? effectsChain.output : synthNode, trackOutput);
+      } catch (err) {
+        console.warn('LooperNode failed to initialize:', err);
+      }
+    }
+    addTrack({ name: 'Instrument', channel: instrumentChannel, looper: instrumentLooper });
+
     // If the PhaseVocoderBundle exists in the global scope, call its init paths.
     if (typeof PhaseVocoderBundle !== 'undefined') {
       try {
         if (!audioCtx) await ensureAudioContext();
-        await PhaseVocoderBundle.init(audioCtx); // some bundles require this pattern
+        await PhaseVocoderBundle.init(audioCtx, { workletUrl: 'audio/phase-vocoder-processor.js' });
+        PhaseVocoderBundle.connect(instrumentOutput);
+        if (instrumentLooper && !effectsChain) PhaseVocoderBundle.connect(instrumentLooper.input);
+        sendPhaseVocoderParams();
+        if (audioBuffer) sendSliceToPhaseVocoder();
         createMessageBox('PhaseVocoderBundle initialized', 'success');
 
-        // Try load wasm (if the bundle exposes loadWasmFromUrl). Might throw if not present.
-        if (typeof PhaseVocoderBundle.loadWasmFromUrl === 'function') {
-          try {
-            await PhaseVocoderBundle.loadWasmFromUrl('./PhaseVocoderModule.wasm');
-            createMessageBox('Phase vocoder WASM loaded', 'success');
-          } catch (err) {
-            console.warn('WASM load failed:', err);
-            createMessageBox('PhaseVocoder WASM load failed (check console).', 'error');
-          }
+        // The worklet runs on its JS kernel until the WASM module instantiates; failing here is not fatal
+        try {
+          await PhaseVocoderBundle.loadWasmFromUrl('./PhaseVocoderModule.wasm');
+          createMessageBox('Phase vocoder WASM loaded', 'success');
+        } catch (err) {
+          console.warn('WASM load failed:', err);
+          createMessageBox('Phase vocoder WASM unavailable - using the JS fallback.', 'info');
         }
       } catch (err) {
         console.warn('PhaseVocoderBundle init failed or not present:', err);
       }
+      updatePhaseVocoderStatus();
     } else {
       console.debug('PhaseVocoderBundle not found (it may be optional).');
     }
   };
 
+  // A processor that threw is gone for good: start a fresh one and send it the instrument again.
+  // The wrapper restores its connections and params itself; samples, zones and modulation are ours.
+  const MAX_SYNTH_RESTARTS = 3;
+  let synthRestarts = 0;
+
+  async function handleSynthError(err) {
+    console.warn('MiniSynthNode error:', err);
+    if (err.code !== 'processor-error') {
+      createMessageBox(err.message, 'error');
+      return;
+    }
+    if (synthRestarts >= MAX_SYNTH_RESTARTS) {
+      createMessageBox('The synth engine keeps crashing - reload the page to start over.', 'error');
+      return;
+    }
+    synthRestarts++;
+    createMessageBox('The synth engine crashed - restarting it.', 'error');
+    try {
+      await synthNode.reconnect();
+      sendModulation();
+      resendSamples();
+      createMessageBox('Synth engine restarted', 'success');
+    } catch (reconnectErr) {
+      console.warn('MiniSynthNode reconnect failed:', reconnectErr);
+      createMessageBox('Restarting the synth engine failed. See console.', 'error');
+    }
+  }
+
+  // every zone's sample into a fresh processor; sendSampleToEngine works on the zone in the editor
+  const resendSamples = () => {
+    const current = selectedZone;
+    if (current) storeEditorState();
+    zones.forEach((zone) => {
+      if (!zone.buffer) return;
+      showZone(zone);
+      sendSampleToEngine({ quiet: true });
+    });
+    showZone(current);
+    sendZonesToEngine();
+  };
+
   // call init but don't block UI
   initEngine().catch(err => {
     console.error('initEngine error', err);
   });
 
+  // the context starts suspended until the page gets a user gesture
+  const resumeAudio = () => {
+    if (audioCtx && audioCtx.state === 'suspended') audioCtx.resume();
+  };
+  document.addEventListener('pointerdown', resumeAudio);
+  document.addEventListener('keydown', resumeAudio);
+
   /* -------------------------
      Waveform drawing utilities
      ------------------------- */
+  // peak-cached renderer: zoom / scroll live in the view, positions stay normalized 0..1
+  const waveformView = new window.WaveformView(waveformCanvas);
+  let playheads = [];              // normalized positions of sounding voices (from the worklet)
+  let drawPending = false;
+
   const drawWaveform = () => {
-    if (!audioBuffer) {
-      // clear canvas
-      ctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
-      return;
-    }
-    const width = waveformCanvas.width;
-    const height = waveformCanvas.height;
-    const data = audioBuffer.getChannelData(0);
-    const step = Math.max(1, Math.floor(data.length / width));
-    const amp = height / 2;
-
-    // background
-    ctx.fillStyle = '#2b2f33';
-    ctx.fillRect(0, 0, width, height);
-
-    // waveform
-    ctx.lineWidth = 1.5;
-    ctx.strokeStyle = '#35f29a';
-    ctx.beginPath();
-
-    for (let i = 0; i < width; i++) {
-      const start = i * step;
-      let min = 1.0, max = -1.0;
-      for (let j = 0; j < step && (start + j) < data.length; j++) {
-        const v = data[start + j];
-        if (v < min) min = v;
-        if (v > max) max = v;
-      }
-      const y = Math.round((1 + ((min + max) / 2)) * amp);
-      if (i === 0) ctx.moveTo(i, y);
-      else ctx.lineTo(i, y);
-    }
-    ctx.stroke();
+    // slices play once through, so the sustain loop is hidden while slicing
+    const looping = !sliceMode && sustainLoopModeSelect.value !== 'off';
+    waveformView.draw(audioBuffer ? {
+      selection: { start: sampleStart, end: sampleEnd },
+      loop: looping ? { start: sustainLoopStart, end: sustainLoopEnd } : null,
+      slices: sliceMode ? {
+        starts: slices.map(sl => sl.start),
+        end: sampleEnd,
+        reversed: slices.map(sl => sl.reverse),
+        selected: selectedSlice
+      } : null,
+      playheads
+    } : {});
 
-    // selection overlay
-    const sx = Math.round(sampleStart * width);
-    const ex = Math.round(sampleEnd * width);
-    ctx.fillStyle = 'rgba(15, 185, 129, 0.12)';
-    ctx.fillRect(sx, 0, Math.max(2, ex - sx), height);
+    // markers (hidden when scrolled out of view)
+    const width = waveformCanvas.width;
+    const placeMarker = (el, p, show = true) => {
+      if (!el) return;
+      el.style.display = show && audioBuffer && waveformView.isVisible(p) ? '' : 'none';
+      el.style.left = `${waveformView.positionToX(p, width)}px`;
+    };
+    placeMarker(document.getElementById('startMarker'), sampleStart);
+    placeMarker(document.getElementById('endMarker'), sampleEnd);
+    placeMarker(loopStartMarker, sustainLoopStart, looping);
+    placeMarker(loopEndMarker, sustainLoopEnd, looping);
+    updateSelectionReadout();
+  };
 
-    // markers
-    const startMarker = document.getElementById('startMarker');
-    const endMarker = document.getElementById('endMarker');
-    if (startMarker) startMarker.style.left = `${sx}px`;
-    if (endMarker) endMarker.style.left = `${ex}px`;
+  // coalesce redraws from pointer moves / playhead updates into one per animation frame
+  const requestDraw = () => {
+    if (drawPending) return;
+    drawPending = true;
+    requestAnimationFrame(() => {
+      drawPending = false;
+      drawWaveform();
+    });
   };
 
   // Resizing handler
@@ -198,268 +511,2540 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.addEventListener('resize', resizeCanvas);
   resizeCanvas();
 
+  /* -------------------------
+     Output monitor
+     Level meters and the spectrum / scope are read from the master tap once per animation frame
+     while the engine runs; the voice count comes from the worklet's 'voices' messages.
+     ------------------------- */
+  const METER_FLOOR_DB = -60;      // bottom of the level meters
+  const spectrumView = new window.SpectrumView(spectrumCanvas);
+  let spectrumData = null;
+  let scopeData = null;
+
+  const meterHeight = (linear) => {
+    const db = Math.max(METER_FLOOR_DB, linearToDb(linear));
+    return `${((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100}%`;
+  };
+
+  const drawMonitor = () => {
+    const levels = outputMeter.read();
+    levels.forEach((level, ch) => {
+      const el = meterChannels[ch];
+      el.fill.style.height = meterHeight(level.peak);
+      el.hold.style.bottom = meterHeight(level.hold);
+      el.clip.classList.toggle('clipped', level.clipped);
+    });
+    const hold = Math.max(...levels.map(l => l.hold));
+    meterPeakValue.textContent = hold > 0 ? `${linearToDb(hold).toFixed(1)} dB` : '-\u221e dB';
+
+    if (monitorModeSelect.value === 'spectrum') {
+      spectrumView.drawSpectrum(outputMeter.getSpectrum(spectrumData), outputMeter.sampleRate);
+    } else if (monitorModeSelect.value === 'scope') {
+      spectrumView.drawScope(outputMeter.getWaveform(scopeData));
+    }
+  };
+
+  function startMonitor() {
+    spectrumData = new Float32Array(outputMeter.binCount);
+    scopeData = new Float32Array(outputMeter.fftSize);
+    const frame = () => {
+      if (!outputMeter) return;
+      drawMonitor();
+      requestAnimationFrame(frame);
+    };
+    requestAnimationFrame(frame);
+  }
+
+  function updateVoiceCount({ active, releasing, max }) {
+    voiceCountValue.textContent = `${active} / ${max}${releasing ? ` (${releasing} releasing)` : ''}`;
+  }
+
+  meterChannels.forEach(el => el.clip.addEventListener('click', () => {
+    if (outputMeter) outputMeter.resetClip();
+  }));
+
+  monitorModeSelect.addEventListener('change', () => {
+    if (monitorModeSelect.value === 'off') spectrumView.clear();
+  });
+
+  const resizeSpectrum = () => {
+    spectrumCanvas.width = spectrumCanvas.clientWidth;
+    spectrumCanvas.height = spectrumCanvas.clientHeight;
+  };
+  window.addEventListener('resize', resizeSpectrum);
+  resizeSpectrum();
+
   /* -------------------------
      Marker drag / selection interactions
      ------------------------- */
+  // Pointer Events cover mouse, pen and touch. Listeners sit on the canvas wrapper so
+  // grabbing the marker elements themselves works too; one pointer drives a drag at a time.
+  const waveWrap = waveformCanvas.parentElement;
   let activeMarker = null;
-  let dragStartX = 0;
-  waveformCanvas.addEventListener('mousedown', (e) => {
-    const rect = waveformCanvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const width = rect.width;
-    const sx = sampleStart * width;
-    const ex = sampleEnd * width;
-
-    // within 12px of marker -> drag
-    if (Math.abs(x - sx) < 12) activeMarker = 'start';
-    else if (Math.abs(x - ex) < 12) activeMarker = 'end';
-    else {
+  let dragStartPos = 0;
+  let dragSlice = -1;              // slice whose start is being dragged
+  let dragPointerId = null;
+
+  // the sustain loop always sits inside the selection, with at least a sliver of length
+  const clampSustainLoop = () => {
+    const minLength = Math.min(0.001, (sampleEnd - sampleStart) / 2);
+    sustainLoopStart = Math.max(sampleStart, Math.min(sampleEnd - minLength, sustainLoopStart));
+    sustainLoopEnd = Math.max(sustainLoopStart + minLength, Math.min(sampleEnd, sustainLoopEnd));
+  };
+
+  // slice starts stay inside the selection, in order, at least MIN_SLICE apart; the first one is the
+  // selection start
+  const MIN_SLICE = 0.001;
+  const clampSlices = () => {
+    if (!slices.length) return;
+    slices[0].start = sampleStart;
+    slices = slices.filter((sl, i) => i === 0 || (sl.start > sampleStart + MIN_SLICE && sl.start < sampleEnd - MIN_SLICE));
+    if (selectedSlice >= slices.length) selectedSlice = slices.length - 1;
+  };
+
+  const sliceAt = (p) => {
+    for (let i = slices.length - 1; i >= 0; i--) if (p >= slices[i].start) return i;
+    return -1;
+  };
+
+  const beginDrag = (x, width) => {
+    const near = (p) => waveformView.isVisible(p) && Math.abs(x - waveformView.positionToX(p, width)) < 12;
+    const looping = !sliceMode && sustainLoopModeSelect.value !== 'off';
+    const nearSlice = sliceMode ? slices.findIndex((sl, i) => i > 0 && near(sl.start)) : -1;
+    // within 12px of marker -> drag (loop and slice markers win, they sit inside the selection)
+    if (nearSlice > 0) {
+      activeMarker = 'slice';
+      dragSlice = selectedSlice = nearSlice;
+      updateSliceUI();
+    } else if (looping && near(sustainLoopStart)) activeMarker = 'loopStart';
+    else if (looping && near(sustainLoopEnd)) activeMarker = 'loopEnd';
+    else if (near(sampleStart)) activeMarker = 'start';
+    else if (near(sampleEnd)) activeMarker = 'end';
+    else if (sliceMode && slices.length) {
+      // clicking inside the selection picks a slice instead of starting a new selection
+      const p = waveformView.xToPosition(x, width);
+      selectedSlice = p >= sampleStart && p <= sampleEnd ? sliceAt(p) : -1;
+      activeMarker = null;
+      updateSliceUI();
+    } else {
       // start new selection
       activeMarker = 'new';
-      dragStartX = x;
-      sampleStart = Math.max(0, Math.min(1, x / width));
+      dragStartPos = waveformView.xToPosition(x, width);
+      sampleStart = dragStartPos;
       sampleEnd = sampleStart;
     }
-    e.preventDefault();
-  });
+  };
 
-  waveformCanvas.addEventListener('mousemove', (e) => {
-    if (!activeMarker) return;
-    const rect = waveformCanvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const width = rect.width;
-    let p = Math.max(0, Math.min(1, x / width));
+  const moveDrag = (x, width) => {
+    let p = waveformView.xToPosition(x, width);
     if (activeMarker === 'start') {
       if (p < sampleEnd) sampleStart = p;
     } else if (activeMarker === 'end') {
       if (p > sampleStart) sampleEnd = p;
     } else if (activeMarker === 'new') {
-      const p0 = Math.max(0, Math.min(1, dragStartX / width));
-      sampleStart = Math.min(p0, p);
-      sampleEnd = Math.max(p0, p);
+      sampleStart = Math.min(dragStartPos, p);
+      sampleEnd = Math.max(dragStartPos, p);
+    } else if (activeMarker === 'loopStart') {
+      if (p < sustainLoopEnd) sustainLoopStart = p;
+    } else if (activeMarker === 'loopEnd') {
+      if (p > sustainLoopStart) sustainLoopEnd = p;
+    } else if (activeMarker === 'slice') {
+      const lo = slices[dragSlice - 1].start + MIN_SLICE;
+      const hi = (dragSlice + 1 < slices.length ? slices[dragSlice + 1].start : sampleEnd) - MIN_SLICE;
+      slices[dragSlice].start = Math.max(lo, Math.min(hi, p));
     }
+    clampSustainLoop();
+    clampSlices();
+    requestDraw();
+  };
+
+  waveWrap.addEventListener('pointerdown', (e) => {
+    if (dragPointerId !== null || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    const rect = waveformCanvas.getBoundingClientRect();
+    dragPointerId = e.pointerId;
+    waveWrap.setPointerCapture(e.pointerId);
+    beginDrag(e.clientX - rect.left, rect.width);
     drawWaveform();
+    e.preventDefault();
+  });
+
+  waveWrap.addEventListener('pointermove', (e) => {
+    if (e.pointerId !== dragPointerId || !activeMarker) return;
+    const rect = waveformCanvas.getBoundingClientRect();
+    moveDrag(e.clientX - rect.left, rect.width);
   });
 
-  const finishDragging = () => {
+  const finishDragging = (e) => {
+    if (e.pointerId !== dragPointerId) return;
+    dragPointerId = null;
     if (!activeMarker) return;
     activeMarker = null;
-    // optional: notify engine to update sample region if required
+    if (!audioBuffer) return;
+    if (snapZeroCrossingToggle.checked) snapSelectionToZeroCrossings();
+    clampSlices();
+    drawWaveform();
+    sendRegionToEngine();
+    if (sliceMode) fitZoneToSlices();
   };
-  waveformCanvas.addEventListener('mouseup', finishDragging);
-  waveformCanvas.addEventListener('mouseleave', finishDragging);
+  waveWrap.addEventListener('pointerup', finishDragging);
+  waveWrap.addEventListener('pointercancel', finishDragging);
 
-  // touch support for mobile
-  waveformCanvas.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const rect = waveformCanvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const width = rect.width;
-    const sx = sampleStart * width;
-    const ex = sampleEnd * width;
-    if (Math.abs(x - sx) < 12) activeMarker = 'start';
-    else if (Math.abs(x - ex) < 12) activeMarker = 'end';
-    else {
-      activeMarker = 'new';
-      dragStartX = x;
-      sampleStart = Math.max(0, Math.min(1, x / width));
-      sampleEnd = sampleStart;
-    }
-  });
-  waveformCanvas.addEventListener('touchmove', (e) => {
+  // wheel zooms around the cursor; horizontal wheel / trackpad swipe (or shift+wheel) scrolls
+  waveWrap.addEventListener('wheel', (e) => {
+    if (!audioBuffer) return;
     e.preventDefault();
-    if (!activeMarker) return;
-    const touch = e.touches[0];
     const rect = waveformCanvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const width = rect.width;
-    let p = Math.max(0, Math.min(1, x / width));
-    if (activeMarker === 'start') {
-      if (p < sampleEnd) sampleStart = p;
-    } else if (activeMarker === 'end') {
-      if (p > sampleStart) sampleEnd = p;
-    } else if (activeMarker === 'new') {
-      const p0 = Math.max(0, Math.min(1, dragStartX / width));
-      sampleStart = Math.min(p0, p);
-      sampleEnd = Math.max(p0, p);
+    const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : (e.shiftKey ? e.deltaY : 0);
+    if (horizontal) {
+      waveformView.scrollBy(horizontal / rect.width);
+    } else {
+      const anchor = waveformView.xToPosition(e.clientX - rect.left, rect.width);
+      waveformView.zoomAt(Math.pow(1.0015, -e.deltaY), anchor);
     }
-    drawWaveform();
-  });
-  waveformCanvas.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    finishDragging();
-  });
+    requestDraw();
+  }, { passive: false });
 
   /* -------------------------
      Sample loading and transfer to worklet / WASM
      ------------------------- */
-  audioFile.addEventListener('change', async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    try {
-      await ensureAudioContext();
-      const arrayBuffer = await file.arrayBuffer();
+  const ZERO_CROSSING_WINDOW = 0.01; // seconds searched either side of a marker when snapping
 
-      // decodeAudioData - MDN recommended pattern returns a Promise
-      // See: https://developer.mozilla.org/en-US/docs/Web/API/BaseAudioContext/decodeAudioData
-      const buffer = await audioCtx.decodeAudioData(arrayBuffer);
-      audioBuffer = buffer;
-      sampleStart = 0; sampleEnd = 1;
-      resizeCanvas();
-      drawWaveform();
-      createMessageBox('Sample loaded and decoded', 'success');
+  // current selection in frames of audioBuffer
+  const selectionFrames = () => {
+    const start = Math.floor(sampleStart * audioBuffer.length);
+    const end = Math.max(start + 1, Math.floor(sampleEnd * audioBuffer.length));
+    return { start, end };
+  };
 
-      // Prepare selected segment (mono) as Float32Array
-      const startFrame = Math.floor(sampleStart * audioBuffer.length);
-      const endFrame = Math.floor(sampleEnd * audioBuffer.length);
-      const length = Math.max(1, endFrame - startFrame);
-      const channels = Math.min(2, audioBuffer.numberOfChannels); // send up to stereo
-      const channelArrays = [];
-      for (let ch = 0; ch < channels; ch++) {
-        const src = audioBuffer.getChannelData(ch).subarray(startFrame, endFrame);
-        // Copy into a new Float32Array (transferable)
-        const arr = new Float32Array(src.length);
-        arr.set(src);
-        channelArrays.push(arr);
+  // nearest frame to `frame` where the (channel-summed) signal crosses zero, or `frame` if none is close
+  const findZeroCrossing = (frame) => {
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) channels.push(audioBuffer.getChannelData(ch));
+    const valueAt = (i) => channels.reduce((sum, data) => sum + data[i], 0);
+    const radius = Math.round(ZERO_CROSSING_WINDOW * audioBuffer.sampleRate);
+    const last = audioBuffer.length - 1;
+    for (let d = 0; d <= radius; d++) {
+      for (const i of [frame - d, frame + d]) {
+        if (i < 0 || i >= last) continue;
+        const a = valueAt(i), b = valueAt(i + 1);
+        if (a === 0 || (a < 0) !== (b < 0)) return Math.abs(a) <= Math.abs(b) ? i : i + 1;
       }
+    }
+    return frame;
+  };
 
-      // If synthNode exists, use its loadSample helper to transfer
-      if (synthNode && typeof synthNode.loadSample === 'function') {
-        try {
-          synthNode.loadSample('user-sample', channelArrays, audioBuffer.sampleRate);
-          createMessageBox('Sample transferred to synth worklet', 'success');
-        } catch (err) {
-          console.warn('synthNode.loadSample failed, falling back to PhaseVocoderBundle:', err);
-          // fallback to PhaseVocoderBundle if available
-          if (typeof PhaseVocoderBundle !== 'undefined' && PhaseVocoderBundle.isWasmReady && PhaseVocoderBundle.isWasmReady()) {
-            try {
-              PhaseVocoderBundle.loadSample(channelArrays[0], audioBuffer.sampleRate);
-              createMessageBox('Sample loaded into PhaseVocoderBundle', 'success');
-            } catch (e) {
-              console.error('PhaseVocoderBundle.loadSample failed', e);
-              createMessageBox('Failed to load sample into PhaseVocoderBundle (see console)', 'error');
-            }
-          }
-        }
-      } else if (typeof PhaseVocoderBundle !== 'undefined' && PhaseVocoderBundle.isWasmReady && PhaseVocoderBundle.isWasmReady()) {
-        // No worklet wrapper; try PhaseVocoder directly
-        try {
-          PhaseVocoderBundle.loadSample(channelArrays[0], audioBuffer.sampleRate);
-          createMessageBox('Sample loaded into PhaseVocoderBundle', 'success');
-        } catch (err) {
-          console.error('PhaseVocoder load failed', err);
-          createMessageBox('PhaseVocoder sample load failed (see console)', 'error');
-        }
-      } else {
-        createMessageBox('No synth or phase vocoder available to receive sample.', 'error');
-      }
-    } catch (err) {
-      console.error('Error loading sample:', err);
-      createMessageBox('Failed to load audio file. See console for details.', 'error');
+  const snapSelectionToZeroCrossings = () => {
+    const len = audioBuffer.length;
+    const snap = (p) => findZeroCrossing(Math.floor(p * len)) / len;
+    const snappedStart = snap(sampleStart);
+    const snappedEnd = snap(sampleEnd);
+    if (snappedEnd > snappedStart) {
+      sampleStart = snappedStart;
+      sampleEnd = snappedEnd;
     }
-  });
+    const snappedLoopStart = snap(sustainLoopStart);
+    const snappedLoopEnd = snap(sustainLoopEnd);
+    if (snappedLoopEnd > snappedLoopStart) {
+      sustainLoopStart = snappedLoopStart;
+      sustainLoopEnd = snappedLoopEnd;
+    }
+    clampSustainLoop();
+    slices.forEach((sl, i) => { if (i > 0) sl.start = snap(sl.start); });
+    slices.sort((a, b) => a.start - b.start);
+  };
 
-  /* -------------------------
-     Piano keyboard play / stop
-     - uses synthNode.noteOn/noteOff when available
-     - otherwise uses PhaseVocoderBundle.startNote / stopNote if available
-     ------------------------- */
-  const playNote = (note, keyElement) => {
+  // selection plus sustain loop, in frames, as the engine's loadSample / setSampleRegion expect
+  const playbackRegion = () => {
+    const { start, end } = selectionFrames();
+    return {
+      start,
+      end,
+      loopStart: Math.floor(sustainLoopStart * audioBuffer.length),
+      loopEnd: Math.floor(sustainLoopEnd * audioBuffer.length),
+      loopMode: sustainLoopModeSelect.value,
+      crossfade: Math.round(parseFloat(loopCrossfadeSlider.value) / 1000 * audioBuffer.sampleRate)
+    };
+  };
+
+  const updateSelectionReadout = () => {
     if (!audioBuffer) {
-      createMessageBox('Upload a sample first.', 'error');
+      selectionStartValue.textContent = selectionEndValue.textContent = selectionLengthValue.textContent = '–';
       return;
     }
+    const { start, end } = selectionFrames();
+    const sr = audioBuffer.sampleRate;
+    selectionStartValue.textContent = `${(start / sr).toFixed(3)}s`;
+    selectionEndValue.textContent = `${(end / sr).toFixed(3)}s`;
+    selectionLengthValue.textContent = `${((end - start) / sr).toFixed(3)}s`;
+  };
+
+  const phaseVocoderReady = () =>
+    typeof PhaseVocoderBundle !== 'undefined' && PhaseVocoderBundle.isReady();
 
-    keyElement.classList.add('active');
-    const semitoneOffset = noteSemitoneOffsets[note];
-    const freq = freqFromSemitones(semitoneOffset);
+  // PhaseVocoderBundle has no region concept - it is (re)loaded with the selected slice itself
+  const sendSliceToPhaseVocoder = () => {
+    const { start, end } = selectionFrames();
+    const slice = new Float32Array(audioBuffer.getChannelData(0).subarray(start, end));
+    PhaseVocoderBundle.loadSample(slice, audioBuffer.sampleRate);
+  };
+
+  // Transfer the whole decoded buffer once; the selection travels as region frames
+  const sendSampleToEngine = ({ quiet = false } = {}) => {
+    const channels = Math.min(2, audioBuffer.numberOfChannels); // send up to stereo
+    const channelArrays = [];
+    for (let ch = 0; ch < channels; ch++) {
+      // Copy into a new Float32Array (transferable) - the AudioBuffer keeps its own data
+      channelArrays.push(new Float32Array(audioBuffer.getChannelData(ch)));
+    }
 
-    // If we have a synthNode wrapper, ask it to play the note
-    if (synthNode && typeof synthNode.noteOn === 'function') {
+    // the phase vocoder always gets the slice too, so switching the pitch engine needs no reload
+    if (synthNode && phaseVocoderReady()) {
       try {
-        synthNode.noteOn({ midi: 60 + semitoneOffset, freq, velocity: 1.0 });
-        activeNotes.set(note, { keyElement, via: 'synth' });
-        return;
+        sendSliceToPhaseVocoder();
       } catch (err) {
-        console.warn('synthNode.noteOn error', err);
+        console.warn('PhaseVocoderBundle.loadSample failed', err);
       }
     }
 
-    // fallback to PhaseVocoderBundle if present
-    if (typeof PhaseVocoderBundle !== 'undefined' && PhaseVocoderBundle.isWasmReady && PhaseVocoderBundle.isWasmReady()) {
+    // If synthNode exists, use its loadSample helper to transfer
+    if (synthNode && typeof synthNode.loadSample === 'function') {
       try {
-        // startNote usually expects semitone offset and optional options
-        const noteId = PhaseVocoderBundle.startNote('note-' + note, semitoneOffset, {
-          gain: 1.0,
-          attack: parseFloat(attackSlider.value),
-          decay: parseFloat(decaySlider.value),
-          sustain: parseFloat(sustainSlider.value),
-          release: parseFloat(releaseSlider.value)
+        synthNode.loadSample(selectedZone.sampleId, channelArrays, audioBuffer.sampleRate, {
+          ...playbackRegion(), rootNote, fineTune, slices: zoneSlices(selectedZone), baseNote: selectedZone.lowKey
+        }).then(() => {
+          if (!quiet) createMessageBox('Sample transferred to synth worklet', 'success');
+        }).catch((err) => {
+          console.warn('synthNode.loadSample failed:', err);
+          if (err.code !== 'disposed') createMessageBox(`Sample transfer failed: ${err.message}`, 'error');
         });
-        activeNotes.set(note, { noteId, keyElement, via: 'pv' });
         return;
       } catch (err) {
-        console.error('PhaseVocoderBundle.startNote failed', err);
-        createMessageBox('Failed to start note with PhaseVocoderBundle (console).', 'error');
+        console.warn('synthNode.loadSample failed, falling back to PhaseVocoderBundle:', err);
       }
     }
 
-    // If no engine is available, warn the user
-    createMessageBox('No synthesis engine available — initialize the engine first.', 'error');
+    if (phaseVocoderReady()) {
+      try {
+        sendSliceToPhaseVocoder();
+        if (!quiet) createMessageBox('Sample loaded into PhaseVocoderBundle', 'success');
+      } catch (err) {
+        console.error('PhaseVocoderBundle.loadSample failed', err);
+        createMessageBox('Failed to load sample into PhaseVocoderBundle (see console)', 'error');
+      }
+    } else {
+      createMessageBox('No synth or phase vocoder available to receive sample.', 'error');
+    }
   };
 
-  const stopNote = (note) => {
-    if (!activeNotes.has(note)) return;
-    const info = activeNotes.get(note);
-    if (info.via === 'synth' && synthNode && typeof synthNode.noteOff === 'function') {
-      synthNode.noteOff({ midi: 60 + noteSemitoneOffsets[note] });
-    } else if (info.via === 'pv' && typeof PhaseVocoderBundle !== 'undefined') {
+  // Called whenever the markers settle: only region frames go to the worklet, no audio is re-sent
+  const sendRegionToEngine = () => {
+    if (!audioBuffer) return;
+    storeEditorState();
+    if (synthNode && typeof synthNode.setSampleRegion === 'function') {
+      synthNode.setSampleRegion(selectedZone.sampleId, playbackRegion());
+      synthNode.setSlices(selectedZone.sampleId, zoneSlices(selectedZone), selectedZone.lowKey);
+    }
+    if (phaseVocoderReady()) {
       try {
-        PhaseVocoderBundle.stopNote(info.noteId);
+        sendSliceToPhaseVocoder();
       } catch (err) {
-        console.warn('PhaseVocoderBundle.stopNote error', err);
+        console.warn('PhaseVocoderBundle region update failed', err);
       }
     }
-    if (info.keyElement) info.keyElement.classList.remove('active');
-    activeNotes.delete(note);
   };
 
-  // Mouse / touch events on piano UI
-  piano.addEventListener('mousedown', (e) => {
-    const targetKey = e.target.closest('.white-key, .black-key');
-    if (!targetKey) return;
-    const note = targetKey.dataset.note;
-    if (!note) return;
-    if (!activeNotes.has(note)) playNote(note, targetKey);
-  }, false);
-
-  piano.addEventListener('mouseup', (e) => {
-    const targetKey = e.target.closest('.white-key, .black-key');
-    if (!targetKey) return;
-    const note = targetKey.dataset.note;
-    if (!note) return;
-    stopNote(note);
-  }, false);
-
-  // touch support: track each touch separately (simple approach)
-  piano.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    for (const t of Array.from(e.touches)) {
-      const el = document.elementFromPoint(t.clientX, t.clientY);
-      const key = el && el.closest && el.closest('.white-key, .black-key');
-      if (key) {
-        const note = key.dataset.note;
-        if (!activeNotes.has(note)) playNote(note, key);
+  const updateCrossfadeDisplay = () => {
+    loopCrossfadeValue.textContent = `${parseFloat(loopCrossfadeSlider.value).toFixed(0)}ms`;
+  };
+  sustainLoopModeSelect.addEventListener('change', () => {
+    clampSustainLoop();
+    drawWaveform();
+    sendRegionToEngine();
+    sendPhaseVocoderParams();
+  });
+  loopCrossfadeSlider.addEventListener('input', updateCrossfadeDisplay);
+  loopCrossfadeSlider.addEventListener('change', sendRegionToEngine);
+  updateCrossfadeDisplay();
+
+  // put `buffer` into `zone` (a new one when null) and make it the zone being edited
+  const loadBufferIntoZone = (buffer, name, zone) => {
+    const isNew = !zone;
+    if (isNew) {
+      zone = createZone();
+      zones.push(zone);
+    }
+    Object.assign(zone, freshZoneState(), { name, buffer });
+    showZone(zone);
+
+    // a new zone starts out on its detected root key; the nearest-zone rule covers the rest
+    const detected = detectRootNote({ quiet: true });
+    if (isNew && detected) zone.lowKey = zone.highKey = detected.rootNote;
+    storeEditorState();
+    sendSampleToEngine();
+    sendZonesToEngine();
+    renderZoneList();
+  };
+
+  // decode a file into `zone` (a new one when null) and make it the zone being edited
+  const loadFileIntoZone = async (file, zone) => {
+    try {
+      await ensureAudioContext();
+      const arrayBuffer = await file.arrayBuffer();
+
+      // decodeAudioData - MDN recommended pattern returns a Promise
+      // See: https://developer.mozilla.org/en-US/docs/Web/API/BaseAudioContext/decodeAudioData
+      const buffer = await audioCtx.decodeAudioData(arrayBuffer);
+      createMessageBox('Sample loaded and decoded', 'success');
+      loadBufferIntoZone(buffer, file.name, zone);
+    } catch (err) {
+      console.error('Error loading sample:', err);
+      createMessageBox('Failed to load audio file. See console for details.', 'error');
+    }
+  };
+
+  // the main file input replaces the sample of the zone being edited (creating the first zone)
+  audioFile.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) loadFileIntoZone(file, selectedZone);
+  });
+
+  /* -------------------------
+     Sample recording
+     Mic / line-in runs through the recorder worklet (see sample-recorder.js). A finished take
+     replaces the sample of the zone being edited, just like loading a file.
+     ------------------------- */
+  const LEVEL_FLOOR_DB = -60;      // left end of the input meter
+  let recorderReady = null;        // Promise of the initialized SampleRecorder
+  let recInputAuto = false;        // the input was opened by Record and closes again after the take
+  let recCountInClicks = [];       // scheduled count-in oscillators, stopped when the take is cancelled
+  let recordingCounter = 0;
+
+  const ensureSampleRecorder = () => {
+    if (!recorderReady) {
+      recorderReady = (async () => {
+        await ensureAudioContext();
+        const rec = new window.SampleRecorder(audioCtx, { workletUrl: 'audio/recorder-processor.js' });
+        await rec.init();
+        rec.on('level', updateRecLevel);
+        rec.on('state', ({ state }) => updateRecStatus(state));
+        // every take ends up here, whether stopped by hand or at the length limit
+        rec.on('take', loadTake);
+        sampleRecorder = rec;
+        return rec;
+      })();
+      recorderReady.catch(() => { recorderReady = null; });
+    }
+    return recorderReady;
+  };
+
+  function updateRecLevel({ peak }) {
+    const db = Math.max(LEVEL_FLOOR_DB, linearToDb(peak));
+    recLevelMeter.style.width = `${((db - LEVEL_FLOOR_DB) / -LEVEL_FLOOR_DB) * 100}%`;
+    const clipping = peak >= 0.99;
+    recLevelMeter.classList.toggle('bg-red-500', clipping);
+    recLevelMeter.classList.toggle('bg-emerald-500', !clipping);
+    recLevelValue.textContent = peak > 0 ? `${linearToDb(peak).toFixed(1)} dB` : '-\u221e dB';
+  }
+
+  function updateRecStatus(state) {
+    const open = sampleRecorder && sampleRecorder.isOpen;
+    const labels = {
+      idle: open ? 'input on' : 'input off',
+      waiting: recCountInClicks.length ? 'count-in\u2026' : 'starting\u2026',
+      armed: 'waiting for signal\u2026',
+      recording: 'recording'
+    };
+    recStatus.textContent = labels[state] || state;
+    recSampleBtn.textContent = state === 'idle' ? 'Record sample' : 'Stop';
+  }
+
+  const openRecInput = async () => {
+    const rec = await ensureSampleRecorder();
+    if (!rec.isOpen) await rec.open();
+    recInputToggle.checked = true;
+    updateRecStatus(rec.state);
+  };
+
+  const closeRecInput = () => {
+    recInputAuto = false;
+    recInputToggle.checked = false;
+    if (!sampleRecorder) return;
+    if (sampleRecorder.state !== 'idle') sampleRecorder.stop();
+    sampleRecorder.close();
+    updateRecStatus(sampleRecorder.state);
+  };
+
+  // `bars` of transport clicks from `startTime`, the first of each bar accented (the running
+  // metronome counts in by itself); returns when the count-in ends
+  const scheduleCountIn = (startTime, bars) => {
+    const beats = bars * transport.beatsPerBar;
+    if (!(transport.playing && transport.metronome)) {
+      for (let i = 0; i < beats; i++) {
+        recCountInClicks.push(transport.click(startTime + i * transport.beatDuration, i % transport.beatsPerBar === 0));
       }
     }
-  }, { passive: false });
+    return startTime + beats * transport.beatDuration;
+  };
 
-  piano.addEventListener('touchend', (e) => {
-    e.preventDefault();
-    // release all notes - a more refined implementation would match touch identifiers
-    activeNotes.forEach((v, k) => stopNote(k));
-  }, { passive: false });
+  const cancelCountIn = () => {
+    recCountInClicks.forEach(osc => {
+      try { osc.stop(); } catch (e) { /* already stopped */ }
+    });
+    recCountInClicks = [];
+  };
+
+  function loadTake(take) {
+    cancelCountIn();
+    if (recInputAuto) closeRecInput();
+    if (!take.length) {
+      createMessageBox('Nothing was recorded.', 'info');
+      return;
+    }
+    const buffer = audioCtx.createBuffer(take.channels.length, take.length, take.sampleRate);
+    take.channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+    recordingCounter++;
+    loadBufferIntoZone(buffer, `Recording ${recordingCounter}`, selectedZone);
+    if (take.reason === 'max-length') {
+      createMessageBox(`Recording stopped at the ${sampleRecorder.maxSeconds}s limit`, 'info');
+    } else {
+      createMessageBox(`Recorded ${(take.length / take.sampleRate).toFixed(2)}s`, 'success');
+    }
+  }
+
+  recSampleBtn.addEventListener('click', async () => {
+    try {
+      const rec = await ensureSampleRecorder();
+      if (rec.state !== 'idle') {
+        cancelCountIn();
+        rec.stop();
+        return;
+      }
+      if (!rec.isOpen) {
+        await openRecInput();
+        recInputAuto = true;
+      }
+      if (audioCtx.state === 'suspended') await audioCtx.resume();
+
+      const bars = parseInt(recCountInSelect.value, 10) || 0;
+      let time = 0;
+      if (bars > 0) {
+        // from the next bar line while the transport plays, so the take starts on one
+        time = scheduleCountIn(transport.quantize('bar', audioCtx.currentTime + 0.1), bars);
+      }
+      const threshold = recThresholdToggle.checked ? Math.pow(10, parseFloat(recThresholdSlider.value) / 20) : 0;
+      rec.record({ time, threshold });
+      updateRecStatus(rec.state);
+    } catch (err) {
+      console.warn('Sample recording failed:', err);
+      cancelCountIn();
+      createMessageBox('Microphone access denied or unavailable.', 'error');
+    }
+  });
+
+  recInputToggle.addEventListener('change', async () => {
+    if (!recInputToggle.checked) {
+      closeRecInput();
+      return;
+    }
+    recInputAuto = false;
+    try {
+      await openRecInput();
+    } catch (err) {
+      console.warn('Microphone access failed:', err);
+      recInputToggle.checked = false;
+      createMessageBox('Microphone access denied or unavailable.', 'error');
+    }
+  });
+
+  recThresholdSlider.addEventListener('input', () => {
+    recThresholdValue.textContent = `${recThresholdSlider.value} dB`;
+  });
+
+  /* -------------------------
+     Root note / fine tune
+     Key-to-rate mapping is relative to the sample's root: playing rootNote reproduces the
+     recording. The root can be typed in (e.g. "A3" or 57) or detected from the selection.
+     ------------------------- */
+  const updateTuningUI = () => {
+    rootNoteInput.value = midiToNoteName(rootNote);
+    fineTuneSlider.value = fineTune;
+    fineTuneValue.textContent = `${fineTune > 0 ? '+' : ''}${fineTune} ct`;
+  };
+
+  const sendTuningToEngine = () => {
+    if (!audioBuffer) return;
+    storeEditorState();
+    renderZoneList();
+    if (synthNode && typeof synthNode.setSampleTuning === 'function') {
+      synthNode.setSampleTuning(selectedZone.sampleId, rootNote, fineTune);
+    }
+  };
+
+  // run YIN on the current selection; quiet skips the toast (used right after loading a file).
+  // Returns the detection result, or null when no clear pitch was found.
+  function detectRootNote({ quiet = false } = {}) {
+    if (!audioBuffer) {
+      if (!quiet) createMessageBox('Upload a sample first.', 'error');
+      return null;
+    }
+    const { start, end } = selectionFrames();
+    const result = window.PitchDetector.detect(audioBuffer, { start, end });
+    if (!result) {
+      rootNoteStatus.textContent = 'no clear pitch';
+      if (!quiet) createMessageBox('No clear pitch found — set the root note by hand.', 'error');
+      return null;
+    }
+    rootNote = result.rootNote;
+    fineTune = result.fineTune;
+    rootNoteStatus.textContent = `detected ${result.freq.toFixed(1)} Hz`;
+    updateTuningUI();
+    sendTuningToEngine();
+    if (!quiet) createMessageBox(`Root note ${midiToNoteName(rootNote)} (${fineTune > 0 ? '+' : ''}${fineTune} ct)`, 'success');
+    return result;
+  }
+
+  detectRootBtn.addEventListener('click', () => detectRootNote());
+
+  rootNoteInput.addEventListener('change', () => {
+    const text = rootNoteInput.value.trim().toUpperCase();
+    const parsed = /^\d+$/.test(text) ? parseInt(text, 10) : noteNameToMidi(text);
+    if (Number.isFinite(parsed) && parsed >= 0 && parsed <= 127) {
+      rootNote = parsed;
+      rootNoteStatus.textContent = '';
+      sendTuningToEngine();
+    }
+    updateTuningUI();
+  });
+
+  fineTuneSlider.addEventListener('input', () => {
+    fineTune = parseInt(fineTuneSlider.value, 10) || 0;
+    updateTuningUI();
+    sendTuningToEngine();
+  });
+
+  updateTuningUI();
+
+  /* -------------------------
+     Slice mode
+     The selection is chopped at its transients (or by hand) and slice n plays on the zone's low
+     key + n, once through at its recorded pitch. Slices are kept as normalized starts; each runs
+     to the next start, the last one to the selection end.
+     ------------------------- */
+  // a zone's slices in frames, as the engine expects them ([] when the zone isn't sliced)
+  function zoneSlices(zone) {
+    if (!zone.sliceMode || !zone.buffer) return [];
+    const len = zone.buffer.length;
+    return zone.slices.map((sl, i) => ({
+      start: Math.floor(sl.start * len),
+      end: Math.floor((i + 1 < zone.slices.length ? zone.slices[i + 1].start : zone.sampleEnd) * len),
+      reverse: sl.reverse
+    }));
+  }
+
+  function updateSliceUI() {
+    sliceModeToggle.checked = sliceMode;
+    const hasSlice = sliceMode && selectedSlice >= 0;
+    sliceReverseToggle.disabled = !hasSlice;
+    sliceDeleteBtn.disabled = !hasSlice || selectedSlice === 0;
+    sliceReverseToggle.checked = hasSlice && slices[selectedSlice].reverse;
+    if (sliceMode && selectedZone) {
+      const first = selectedZone.lowKey;
+      sliceStatus.textContent = `${slices.length} slices on ${midiToNoteName(first)}–${midiToNoteName(first + slices.length - 1)}`
+        + (hasSlice ? ` — slice ${selectedSlice + 1} plays on ${midiToNoteName(first + selectedSlice)}` : '');
+    } else {
+      sliceStatus.textContent = 'Double-click the waveform to add a slice, drag a slice line to move it.';
+    }
+  }
+
+  // a sliced zone spans exactly one key per slice
+  function fitZoneToSlices() {
+    if (!selectedZone) return;
+    storeEditorState();
+    if (sliceMode) selectedZone.highKey = Math.min(127, selectedZone.lowKey + slices.length - 1);
+    sendRegionToEngine();
+    onZoneRangeChange();
+    updateSliceUI();
+  }
+
+  const chopSelection = () => {
+    const { start, end } = selectionFrames();
+    const onsets = window.OnsetDetector.detect(audioBuffer, {
+      start, end, sensitivity: parseFloat(sliceSensitivitySlider.value)
+    });
+    slices = onsets.map(frame => ({ start: frame / audioBuffer.length, reverse: false }));
+    // the first slice always starts exactly on the selection
+    slices[0].start = sampleStart;
+    selectedSlice = -1;
+    drawWaveform();
+    fitZoneToSlices();
+  };
+
+  sliceModeToggle.addEventListener('change', () => {
+    if (!audioBuffer) {
+      sliceModeToggle.checked = false;
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    sliceMode = sliceModeToggle.checked;
+    if (sliceMode) {
+      // full-range zones start slicing at C2, the usual drum-pad key
+      if (selectedZone.lowKey === 0) selectedZone.lowKey = 36;
+      if (!slices.length) {
+        chopSelection();
+        return;
+      }
+    }
+    drawWaveform();
+    fitZoneToSlices();
+  });
+
+  sliceDetectBtn.addEventListener('click', () => {
+    if (!audioBuffer) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    if (!sliceMode) {
+      sliceMode = true;
+      if (selectedZone.lowKey === 0) selectedZone.lowKey = 36;
+    }
+    chopSelection();
+  });
+
+  sliceReverseToggle.addEventListener('change', () => {
+    if (selectedSlice < 0) return;
+    slices[selectedSlice].reverse = sliceReverseToggle.checked;
+    drawWaveform();
+    sendRegionToEngine();
+    renderZoneList();
+  });
+
+  // deleting a slice merges it into the one before
+  sliceDeleteBtn.addEventListener('click', () => {
+    if (selectedSlice <= 0) return;
+    slices.splice(selectedSlice, 1);
+    selectedSlice--;
+    drawWaveform();
+    fitZoneToSlices();
+  });
+
+  waveWrap.addEventListener('dblclick', (e) => {
+    if (!sliceMode || !audioBuffer) return;
+    const rect = waveformCanvas.getBoundingClientRect();
+    const p = waveformView.xToPosition(e.clientX - rect.left, rect.width);
+    if (p <= sampleStart + MIN_SLICE || p >= sampleEnd - MIN_SLICE) return;
+    const i = sliceAt(p);
+    const next = i + 1 < slices.length ? slices[i + 1].start : sampleEnd;
+    if (p - slices[i].start < MIN_SLICE || next - p < MIN_SLICE) return;
+    slices.splice(i + 1, 0, { start: p, reverse: false });
+    selectedSlice = i + 1;
+    drawWaveform();
+    fitZoneToSlices();
+  });
+
+  /* -------------------------
+     Zones / keymap
+     Each zone is one sample with its own region, loop and tuning plus the key and velocity
+     range it answers to. The waveform editor works on the selected zone through the editor
+     globals; storeEditorState() copies them back before anything is sent to the engine.
+     ------------------------- */
+  let zoneCounter = 0;
+
+  const freshZoneState = () => ({
+    sampleStart: 0, sampleEnd: 1,
+    sustainLoopStart: 0.5, sustainLoopEnd: 1,
+    loopMode: 'off', crossfadeMs: 20,
+    rootNote: 60, fineTune: 0,
+    sliceMode: false, slices: []
+  });
+
+  function createZone() {
+    zoneCounter++;
+    return {
+      id: zoneCounter,
+      sampleId: `zone-${zoneCounter}`,
+      name: '',
+      buffer: null,
+      lowKey: 0, highKey: 127,
+      lowVel: 1, highVel: 127,
+      ...freshZoneState()
+    };
+  }
+
+  function storeEditorState() {
+    if (!selectedZone) return;
+    Object.assign(selectedZone, {
+      sampleStart, sampleEnd, sustainLoopStart, sustainLoopEnd,
+      loopMode: sustainLoopModeSelect.value,
+      crossfadeMs: parseFloat(loopCrossfadeSlider.value),
+      rootNote, fineTune,
+      sliceMode, slices
+    });
+  }
+
+  // load a zone's state into the editor (null clears it)
+  function showZone(zone) {
+    selectedZone = zone;
+    audioBuffer = zone ? zone.buffer : null;
+    if (zone) {
+      ({ sampleStart, sampleEnd, sustainLoopStart, sustainLoopEnd, rootNote, fineTune, sliceMode, slices } = zone);
+      sustainLoopModeSelect.value = zone.loopMode;
+      loopCrossfadeSlider.value = zone.crossfadeMs;
+    }
+    rootNoteStatus.textContent = '';
+    selectedSlice = -1;
+    updateSliceUI();
+    waveformView.setBuffer(audioBuffer);
+    playheads = [];
+    updateCrossfadeDisplay();
+    updateTuningUI();
+    resizeCanvas();
+    highlightZoneKeys();
+    renderZoneList();
+  }
+
+  function sendZonesToEngine() {
+    if (!synthNode || typeof synthNode.setZones !== 'function') return;
+    synthNode.setZones(zones.map(z => ({
+      sampleId: z.sampleId, lowKey: z.lowKey, highKey: z.highKey, lowVel: z.lowVel, highVel: z.highVel
+    })));
+  }
+
+  const removeZone = (zone) => {
+    zones.splice(zones.indexOf(zone), 1);
+    if (synthNode && typeof synthNode.unloadSample === 'function') synthNode.unloadSample(zone.sampleId);
+    sendZonesToEngine();
+    if (zone === selectedZone) showZone(zones[0] || null);
+    else renderZoneList();
+  };
+
+  // mark the piano keys the selected zone answers to
+  function highlightZoneKeys() {
+    pianoContainer.querySelectorAll('.zone-key').forEach(el => el.classList.remove('zone-key'));
+    if (!selectedZone) return;
+    for (let midi = selectedZone.lowKey; midi <= selectedZone.highKey; midi++) {
+      const el = keyboard.keyElementFor(midi);
+      if (el) el.classList.add('zone-key');
+    }
+  }
+
+  // one row per zone: sample name (click to edit), key range, velocity range, root, remove
+  function renderZoneList() {
+    zoneList.innerHTML = '';
+    if (!zones.length) {
+      const row = zoneList.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.className = 'py-2 text-gray-500';
+      cell.textContent = 'No zones yet — upload a sample or add a zone.';
+      return;
+    }
+
+    const input = (value, onChange, attrs = {}) => {
+      const el = document.createElement('input');
+      Object.assign(el, { value, ...attrs });
+      el.className = 'w-14 bg-gray-800 text-gray-200 rounded px-1 py-0.5';
+      el.addEventListener('change', () => onChange(el));
+      return el;
+    };
+    const keyInput = (zone, field) => input(midiToNoteName(zone[field]), (el) => {
+      const text = el.value.trim().toUpperCase();
+      const midi = /^\d+$/.test(text) ? parseInt(text, 10) : noteNameToMidi(text);
+      if (Number.isFinite(midi) && midi >= 0 && midi <= 127) zone[field] = midi;
+      // keep the range the right way round
+      if (zone.lowKey > zone.highKey) [zone.lowKey, zone.highKey] = [zone.highKey, zone.lowKey];
+      onZoneRangeChange();
+    }, { type: 'text', size: 4 });
+    const velInput = (zone, field) => input(zone[field], (el) => {
+      zone[field] = Math.max(1, Math.min(127, parseInt(el.value, 10) || zone[field]));
+      if (zone.lowVel > zone.highVel) [zone.lowVel, zone.highVel] = [zone.highVel, zone.lowVel];
+      onZoneRangeChange();
+    }, { type: 'number', min: 1, max: 127 });
+    const pair = (a, b) => {
+      const span = document.createElement('span');
+      span.className = 'flex items-center gap-1';
+      span.append(a, '–', b);
+      return span;
+    };
+
+    zones.forEach((zone) => {
+      const row = zoneList.insertRow();
+      row.className = zone === selectedZone ? 'bg-gray-700' : '';
+
+      const nameCell = row.insertCell();
+      const nameBtn = document.createElement('button');
+      nameBtn.className = 'text-left text-gray-200 hover:text-emerald-400 truncate max-w-xs';
+      nameBtn.textContent = zone.name || `Zone ${zone.id}`;
+      nameBtn.title = 'Edit in the waveform view';
+      nameBtn.addEventListener('click', () => {
+        if (zone === selectedZone) return;
+        storeEditorState();
+        showZone(zone);
+      });
+      nameCell.appendChild(nameBtn);
+
+      row.insertCell().appendChild(pair(keyInput(zone, 'lowKey'), keyInput(zone, 'highKey')));
+      row.insertCell().appendChild(pair(velInput(zone, 'lowVel'), velInput(zone, 'highVel')));
+      const rootCell = row.insertCell();
+      rootCell.className = 'text-gray-400';
+      rootCell.textContent = zone.sliceMode
+        ? `${zone.slices.length} slices`
+        : midiToNoteName(zone.rootNote) + (zone.fineTune ? ` ${zone.fineTune > 0 ? '+' : ''}${zone.fineTune}ct` : '');
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'px-2 text-gray-400 hover:text-red-400';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove zone';
+      removeBtn.addEventListener('click', () => removeZone(zone));
+      row.insertCell().appendChild(removeBtn);
+    });
+  }
+
+  const onZoneRangeChange = () => {
+    // a sliced zone's first slice sits on its low key
+    if (synthNode) zones.filter(z => z.sliceMode).forEach(z => synthNode.setSlices(z.sampleId, zoneSlices(z), z.lowKey));
+    sendZonesToEngine();
+    highlightZoneKeys();
+    renderZoneList();
+  };
+
+  addZoneBtn.addEventListener('click', () => zoneFile.click());
+  zoneFile.addEventListener('change', async (e) => {
+    const files = Array.from(e.target.files);
+    zoneFile.value = '';
+    if (selectedZone) storeEditorState();
+    // several files at once build a multisample in one go
+    for (const file of files) await loadFileIntoZone(file, null);
+  });
+
+  /* -------------------------
+     Presets
+     A preset captures the whole instrument: every zone with its audio, region, loop and tuning,
+     plus the envelope and the filter / unison params. Saved presets live in IndexedDB; export /
+     import moves them between machines as single files (see instrument-preset.js).
+     ------------------------- */
+  const presetStore = new window.PresetStore();
+  const SYNTH_PARAM_DEFAULTS = { filterCutoff: 1000, filterQ: 1, unisonCount: 1, unisonDetune: 12 };
+  const envelopeSliders = { attack: attackSlider, decay: decaySlider, sustain: sustainSlider, release: releaseSlider };
+
+  const collectPreset = (name) => {
+    storeEditorState();
+    const params = {};
+    Object.entries(SYNTH_PARAM_DEFAULTS).forEach(([key, fallback]) => {
+      const value = synthNode ? synthNode.getParam(key) : undefined;
+      params[key] = Number.isFinite(value) ? value : fallback;
+    });
+    return window.InstrumentPreset.create({
+      name,
+      envelope: getEnvelope(),
+      params,
+      effects: effectsChain ? effectsChain.getState() : [],
+      modulation,
+      zones: zones.map((zone) => {
+        const { buffer } = zone;
+        const frame = (p) => Math.floor(p * buffer.length);
+        const channels = [];
+        for (let ch = 0; ch < Math.min(2, buffer.numberOfChannels); ch++) {
+          channels.push(new Float32Array(buffer.getChannelData(ch)));
+        }
+        return {
+          name: zone.name,
+          lowKey: zone.lowKey, highKey: zone.highKey,
+          lowVel: zone.lowVel, highVel: zone.highVel,
+          rootNote: zone.rootNote, fineTune: zone.fineTune,
+          region: {
+            start: frame(zone.sampleStart),
+            end: frame(zone.sampleEnd),
+            loopStart: frame(zone.sustainLoopStart),
+            loopEnd: frame(zone.sustainLoopEnd),
+            loopMode: zone.loopMode,
+            crossfade: Math.round(zone.crossfadeMs / 1000 * buffer.sampleRate),
+            slices: zoneSlices(zone)
+          },
+          sample: { sampleRate: buffer.sampleRate, channels }
+        };
+      })
+    });
+  };
+
+  // replace the current instrument with a (migrated) preset
+  const applyPreset = async (preset) => {
+    await ensureAudioContext();
+    zones.splice(0).forEach((zone) => {
+      if (synthNode && typeof synthNode.unloadSample === 'function') synthNode.unloadSample(zone.sampleId);
+    });
+
+    Object.entries(envelopeSliders).forEach(([name, slider]) => {
+      if (Number.isFinite(preset.envelope[name])) slider.value = preset.envelope[name];
+    });
+    onAdsrInput();
+    if (synthNode) Object.entries(preset.params).forEach(([name, value]) => synthNode.setParam(name, value));
+    if (effectsChain) effectsChain.setState(preset.effects);
+    modulation = structuredClone(preset.modulation);
+    renderModulation();
+    sendModulation();
+
+    for (const saved of preset.zones) {
+      const { sampleRate, channels } = saved.sample;
+      const length = channels.reduce((n, ch) => Math.min(n, ch.length), Infinity);
+      const buffer = audioCtx.createBuffer(channels.length, length, sampleRate);
+      channels.forEach((data, ch) => buffer.copyToChannel(data.subarray(0, length), ch));
+      const zone = createZone();
+      const { region } = saved;
+      Object.assign(zone, {
+        name: saved.name,
+        buffer,
+        lowKey: saved.lowKey, highKey: saved.highKey,
+        lowVel: saved.lowVel, highVel: saved.highVel,
+        rootNote: saved.rootNote, fineTune: saved.fineTune,
+        sampleStart: region.start / length,
+        sampleEnd: region.end / length,
+        sustainLoopStart: region.loopStart / length,
+        sustainLoopEnd: region.loopEnd / length,
+        loopMode: region.loopMode || 'off',
+        crossfadeMs: (region.crossfade || 0) / sampleRate * 1000,
+        sliceMode: !!(region.slices && region.slices.length),
+        slices: (region.slices || []).map(sl => ({ start: sl.start / length, reverse: !!sl.reverse }))
+      });
+      zones.push(zone);
+      showZone(zone);
+      sendSampleToEngine({ quiet: true });
+    }
+    sendZonesToEngine();
+    showZone(zones[0] || null);
+    presetNameInput.value = preset.name;
+  };
+
+  const refreshPresetList = async () => {
+    const presets = await presetStore.list();
+    presetSelect.innerHTML = '';
+    presetSelect.appendChild(new Option('Saved presets…', ''));
+    presets.forEach(p => presetSelect.appendChild(new Option(p.name, String(p.id))));
+  };
+
+  presetStore.open()
+    .then(ok => (ok ? refreshPresetList() : console.warn('IndexedDB unavailable: presets can only be exported / imported')))
+    .catch(err => console.warn('Preset store failed to open:', err));
+
+  presetSaveBtn.addEventListener('click', async () => {
+    if (!zones.length) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    const name = presetNameInput.value.trim() || 'Untitled';
+    try {
+      const preset = collectPreset(name);
+      // saving under an existing name overwrites that preset
+      const existing = (await presetStore.list()).find(p => p.name === name);
+      if (existing) preset.id = existing.id;
+      const id = await presetStore.save(preset);
+      await refreshPresetList();
+      presetSelect.value = String(id);
+      createMessageBox(`Preset "${name}" saved`, 'success');
+    } catch (err) {
+      console.error('Preset save failed:', err);
+      createMessageBox('Could not save preset (see console).', 'error');
+    }
+  });
+
+  presetLoadBtn.addEventListener('click', async () => {
+    if (!presetSelect.value) return;
+    try {
+      await applyPreset(await presetStore.load(Number(presetSelect.value)));
+      createMessageBox('Preset loaded', 'success');
+    } catch (err) {
+      console.error('Preset load failed:', err);
+      createMessageBox(`Could not load preset: ${err.message}`, 'error');
+    }
+  });
+
+  presetDeleteBtn.addEventListener('click', async () => {
+    if (!presetSelect.value) return;
+    const name = presetSelect.selectedOptions[0].textContent;
+    if (!confirm(`Delete preset "${name}"?`)) return;
+    try {
+      await presetStore.remove(Number(presetSelect.value));
+      await refreshPresetList();
+    } catch (err) {
+      console.error('Preset delete failed:', err);
+      createMessageBox('Could not delete preset (see console).', 'error');
+    }
+  });
+
+  presetExportBtn.addEventListener('click', () => {
+    if (!zones.length) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    const preset = collectPreset(presetNameInput.value.trim() || 'Untitled');
+    downloadBlob(window.InstrumentPreset.toBlob(preset), window.InstrumentPreset.fileNameFor(preset));
+  });
+
+  presetImportBtn.addEventListener('click', () => presetFile.click());
+  presetFile.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    presetFile.value = '';
+    if (!file) return;
+    try {
+      await applyPreset(await window.InstrumentPreset.fromFile(file));
+      createMessageBox(`Imported "${presetNameInput.value}" — Save to keep it in the browser`, 'success');
+    } catch (err) {
+      console.error('Preset import failed:', err);
+      createMessageBox(`Could not import preset: ${err.message}`, 'error');
+    }
+  });
+
+  /* -------------------------
+     Effects chain
+     The list is rebuilt from effectsChain on every add / remove / move; param, mix and bypass
+     changes go straight to the chain. Drag an effect by its name to reorder it.
+     ------------------------- */
+  let draggedEffect = null;        // id of the effect being dragged
+
+  const formatParamValue = (spec, value) => {
+    if (spec.options) return value;
+    const digits = spec.step >= 1 ? 0 : spec.step >= 0.1 ? 1 : spec.step >= 0.01 ? 2 : 3;
+    return `${Number(value).toFixed(digits)}${spec.unit ? ` ${spec.unit}` : ''}`;
+  };
+
+  // log params (frequencies, rates) use a 0..1000 slider mapped exponentially onto min..max
+  const sliderToParam = (spec, position) => {
+    if (!spec.log) return position;
+    const value = spec.min * Math.pow(spec.max / spec.min, position / 1000);
+    return Math.round(value / spec.step) * spec.step;
+  };
+  const paramToSlider = (spec, value) => {
+    if (!spec.log) return value;
+    return Math.round((1000 * Math.log(value / spec.min)) / Math.log(spec.max / spec.min));
+  };
+
+  const paramControl = (spec, value, onChange) => {
+    const label = document.createElement('label');
+    label.className = 'flex items-center gap-1';
+    label.append(spec.label);
+    let input;
+    const display = document.createElement('span');
+    display.className = 'text-xs text-gray-500 w-16';
+    if (spec.options) {
+      input = document.createElement('select');
+      input.className = 'bg-gray-800 text-gray-200 rounded px-1 py-0.5';
+      spec.options.forEach((option) => input.add(new Option(option, option)));
+      input.value = value;
+      input.addEventListener('change', () => onChange(input.value));
+      label.appendChild(input);
+      return label;
+    }
+    input = document.createElement('input');
+    Object.assign(input, {
+      type: 'range',
+      min: spec.log ? 0 : spec.min,
+      max: spec.log ? 1000 : spec.max,
+      step: spec.log ? 1 : spec.step,
+      value: paramToSlider(spec, value)
+    });
+    input.className = 'w-24 h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer';
+    display.textContent = formatParamValue(spec, value);
+    input.addEventListener('input', () => {
+      const next = sliderToParam(spec, parseFloat(input.value));
+      display.textContent = formatParamValue(spec, next);
+      onChange(next);
+    });
+    label.append(input, display);
+    return label;
+  };
+
+  function renderEffectsList() {
+    fxList.innerHTML = '';
+    if (!effectsChain || !effectsChain.effects.length) {
+      const empty = document.createElement('li');
+      empty.className = 'text-sm text-gray-500';
+      empty.textContent = effectsChain ? 'No effects — the instrument plays dry.' : 'Effects are not available.';
+      fxList.appendChild(empty);
+      return;
+    }
+
+    effectsChain.effects.forEach((effect, index) => {
+      const description = window.EffectsChain.describe(effect.type);
+      const item = document.createElement('li');
+      item.className = 'fx-item bg-gray-800 rounded-lg p-2 text-sm text-gray-400';
+
+      const header = document.createElement('div');
+      header.className = 'flex flex-wrap items-center gap-3 mb-1';
+      const handle = document.createElement('span');
+      handle.className = 'fx-handle text-gray-200 font-semibold w-28';
+      handle.textContent = `${index + 1}. ${description.label}`;
+      handle.draggable = true;
+      handle.title = 'Drag to reorder';
+      handle.addEventListener('dragstart', (e) => {
+        draggedEffect = effect.id;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(effect.id));
+      });
+      handle.addEventListener('dragend', () => { draggedEffect = null; });
+
+      const bypass = document.createElement('label');
+      bypass.className = 'flex items-center gap-1';
+      const bypassToggle = document.createElement('input');
+      bypassToggle.type = 'checkbox';
+      bypassToggle.checked = effect.bypass;
+      bypassToggle.addEventListener('change', () => effectsChain.setBypass(effect.id, bypassToggle.checked));
+      bypass.append(bypassToggle, 'Bypass');
+
+      const mix = paramControl({ label: 'Mix', min: 0, max: 1, step: 0.01 }, effect.mix,
+        (value) => effectsChain.setMix(effect.id, value));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'ml-auto px-2 text-gray-400 hover:text-red-400';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove effect';
+      removeBtn.addEventListener('click', () => effectsChain.remove(effect.id));
+      header.append(handle, bypass, mix, removeBtn);
+
+      const params = document.createElement('div');
+      params.className = 'flex flex-wrap items-center gap-3';
+      description.params.forEach((spec) => params.appendChild(
+        paramControl(spec, effect.params[spec.name], (value) => effectsChain.setParam(effect.id, spec.name, value))
+      ));
+      item.append(header, params);
+
+      item.addEventListener('dragover', (e) => {
+        if (draggedEffect === null) return;
+        e.preventDefault();
+        item.classList.add('drag-over');
+      });
+      item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        item.classList.remove('drag-over');
+        if (draggedEffect !== null && draggedEffect !== effect.id) effectsChain.move(draggedEffect, index);
+        draggedEffect = null;
+      });
+      fxList.appendChild(item);
+    });
+  }
+
+  fxAddBtn.addEventListener('click', () => {
+    if (!effectsChain) {
+      createMessageBox('Effects are not available (audio engine not running).', 'error');
+      return;
+    }
+    effectsChain.add(fxTypeSelect.value);
+  });
+
+  /* -------------------------
+     Modulation matrix
+     LFOs, mod envelopes and routes live in `modulation` (the shape presets store) and are pushed
+     to the worklet whole; the worklet computes the modulation itself.
+     - one matrix for every synth: the Instrument's and each sample track's
+     ------------------------- */
+  let modulation = window.InstrumentPreset.defaultModulation();
+  const MOD_SOURCE_LABELS = {
+    lfo1: 'LFO 1', lfo2: 'LFO 2', lfo3: 'LFO 3', lfo4: 'LFO 4',
+    env1: 'Env 1', env2: 'Env 2', velocity: 'Velocity', modWheel: 'Mod wheel'
+  };
+  const MOD_DESTINATION_LABELS = {
+    filterCutoff: 'Filter cutoff', filterQ: 'Filter Q', unisonDetune: 'Unison detune',
+    gain: 'Level', pitchBend: 'Pitch'
+  };
+
+  const modulatedSynths = () => [synthNode, ...tracks.map(t => t.synth)].filter(Boolean);
+
+  // the whole matrix, to one synth (a new track's) or to all of them
+  function sendModulation(synths = modulatedSynths()) {
+    [].concat(synths).forEach((synth) => {
+      synth.setTempo(transport.tempo);
+      modulation.lfos.forEach((lfo, i) => synth.setLfo(i, lfo));
+      modulation.envelopes.forEach((env, i) => synth.setModEnvelope(i, env));
+      synth.setModRoutes(modulation.routes);
+    });
+  }
+
+  const selectControl = (label, options, value, onChange) => {
+    const wrap = document.createElement('label');
+    wrap.className = 'flex items-center gap-1';
+    const select = document.createElement('select');
+    select.className = 'bg-gray-800 text-gray-200 rounded px-1 py-0.5';
+    Object.entries(options).forEach(([optionValue, text]) => select.add(new Option(text, optionValue)));
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    if (label) wrap.append(label);
+    wrap.appendChild(select);
+    return wrap;
+  };
+
+  const renderModulation = () => {
+    modLfoList.innerHTML = '';
+    modulation.lfos.forEach((lfo, i) => {
+      const row = document.createElement('div');
+      row.className = 'flex flex-wrap items-center gap-3';
+      const name = document.createElement('span');
+      name.className = 'text-gray-200 w-12';
+      name.textContent = `LFO ${i + 1}`;
+      const shapes = Object.fromEntries(window.MiniSynthNode.LFO_SHAPES.map(s => [s, s === 'sampleHold' ? 'S&H' : s]));
+      const syncs = { '': 'Free', ...Object.fromEntries(window.MiniSynthNode.LFO_SYNC.map(d => [d, d])) };
+      const rate = paramControl({ label: 'Rate', min: 0.05, max: 20, step: 0.01, unit: 'Hz', log: true }, lfo.rate, (value) => {
+        lfo.rate = value;
+        modulatedSynths().forEach(synth => synth.setLfo(i, lfo));
+      });
+      rate.classList.toggle('opacity-40', !!lfo.sync);
+      row.append(
+        name,
+        selectControl('', shapes, lfo.shape, (value) => {
+          lfo.shape = value;
+          modulatedSynths().forEach(synth => synth.setLfo(i, lfo));
+        }),
+        rate,
+        selectControl('Sync', syncs, lfo.sync || '', (value) => {
+          lfo.sync = value || null;
+          rate.classList.toggle('opacity-40', !!lfo.sync);
+          modulatedSynths().forEach(synth => synth.setLfo(i, lfo));
+        })
+      );
+      modLfoList.appendChild(row);
+    });
+
+    modEnvList.innerHTML = '';
+    modulation.envelopes.forEach((env, i) => {
+      const row = document.createElement('div');
+      row.className = 'flex flex-wrap items-center gap-3';
+      const name = document.createElement('span');
+      name.className = 'text-gray-200 w-12';
+      name.textContent = `Env ${i + 1}`;
+      row.appendChild(name);
+      [
+        { name: 'attack', label: 'A', min: 0.001, max: 4, step: 0.001, unit: 's', log: true },
+        { name: 'decay', label: 'D', min: 0.001, max: 4, step: 0.001, unit: 's', log: true },
+        { name: 'sustain', label: 'S', min: 0, max: 1, step: 0.01 },
+        { name: 'release', label: 'R', min: 0.001, max: 4, step: 0.001, unit: 's', log: true }
+      ].forEach((spec) => row.appendChild(paramControl(spec, env[spec.name], (value) => {
+        env[spec.name] = value;
+        modulatedSynths().forEach(synth => synth.setModEnvelope(i, env));
+      })));
+      modEnvList.appendChild(row);
+    });
+
+    renderModRoutes();
+  };
+
+  const renderModRoutes = () => {
+    modRouteList.innerHTML = '';
+    if (!modulation.routes.length) {
+      const empty = document.createElement('div');
+      empty.className = 'text-gray-500';
+      empty.textContent = 'No routes — add one to modulate a parameter.';
+      modRouteList.appendChild(empty);
+      return;
+    }
+    const sendRoutes = () => modulatedSynths().forEach(synth => synth.setModRoutes(modulation.routes));
+    modulation.routes.forEach((route, i) => {
+      const row = document.createElement('div');
+      row.className = 'flex flex-wrap items-center gap-3';
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'px-2 text-gray-400 hover:text-red-400';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove route';
+      removeBtn.addEventListener('click', () => {
+        modulation.routes.splice(i, 1);
+        sendRoutes();
+        renderModRoutes();
+      });
+      row.append(
+        selectControl('', MOD_SOURCE_LABELS, route.source, (value) => { route.source = value; sendRoutes(); }),
+        '→',
+        selectControl('', MOD_DESTINATION_LABELS, route.destination, (value) => { route.destination = value; sendRoutes(); }),
+        paramControl({ label: 'Depth', min: -1, max: 1, step: 0.01 }, route.depth, (value) => { route.depth = value; sendRoutes(); }),
+        removeBtn
+      );
+      modRouteList.appendChild(row);
+    });
+  };
+
+  modAddRouteBtn.addEventListener('click', () => {
+    modulation.routes.push({ source: 'lfo1', destination: 'filterCutoff', depth: 0.5 });
+    modulatedSynths().forEach(synth => synth.setModRoutes(modulation.routes));
+    renderModRoutes();
+  });
+
+  // the synth keyboard / MIDI notes go to: the armed sample track's own, else the Instrument's
+  const performanceSynth = () => (armedTrack && armedTrack.synth) || synthNode;
+
+  modWheelSlider.addEventListener('input', () => {
+    const synth = performanceSynth();
+    if (synth) synth.setModWheel(parseFloat(modWheelSlider.value));
+  });
+
+  renderModulation();
+
+  /* -------------------------
+     Phase vocoder: tempo, formant preservation and fit-to-tempo
+     ------------------------- */
+  function updatePhaseVocoderStatus() {
+    if (!phaseVocoderReady()) {
+      pvEngineStatus.textContent = 'not running';
+      return;
+    }
+    pvEngineStatus.textContent = PhaseVocoderBundle.isWasmReady() ? 'WASM' : 'JS fallback';
+  }
+
+  // tempo / formant / loop are global to the vocoder; pitch travels per note
+  function sendPhaseVocoderParams() {
+    if (!phaseVocoderReady()) return;
+    PhaseVocoderBundle.setTempo(parseFloat(pvTempoSlider.value));
+    PhaseVocoderBundle.setFormantPreserve(pvFormantToggle.checked);
+    PhaseVocoderBundle.setLoop(sustainLoopModeSelect.value !== 'off');
+  }
+
+  const updateTempoDisplay = () => {
+    pvTempoValue.textContent = `${parseFloat(pvTempoSlider.value).toFixed(2)}x`;
+  };
+  pvTempoSlider.addEventListener('input', () => {
+    updateTempoDisplay();
+    sendPhaseVocoderParams();
+  });
+  pvFormantToggle.addEventListener('change', sendPhaseVocoderParams);
+  updateTempoDisplay();
+
+  // stretch the selected slice so it lasts `beats` at `bpm`; always starts from the untouched slice
+  pvFitBtn.addEventListener('click', async () => {
+    const bpm = parseFloat(pvBpmInput.value);
+    const beats = parseFloat(pvBeatsInput.value);
+    if (!audioBuffer) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    if (!phaseVocoderReady()) {
+      createMessageBox('Phase vocoder not available — initialize the engine first.', 'error');
+      return;
+    }
+    if (!(bpm > 0) || !(beats > 0)) {
+      createMessageBox('Enter a tempo and a number of beats.', 'error');
+      return;
+    }
+    try {
+      sendSliceToPhaseVocoder();
+      const result = await PhaseVocoderBundle.fitToTempo(bpm, beats);
+      pitchEngineSelect.value = 'vocoder';
+      createMessageBox(`Fitted to ${beats} beats at ${bpm} BPM (${result.engine.toUpperCase()})`, 'success');
+    } catch (err) {
+      console.error('PhaseVocoderBundle.fitToTempo failed', err);
+      createMessageBox('Fit to tempo failed (see console).', 'error');
+    }
+  });
+
+  /* -------------------------
+     Transport
+     - one tempo and time signature for the sequencer, synced delays and LFOs, loop lengths and the
+       recording count-in (see transport.js)
+     - while it plays, keyboard / MIDI notes (note quantize) and loop commands (loop quantize) wait
+       for the next beat or bar; stopped, everything plays right away
+     ------------------------- */
+  // audioCtx already exists: initEngine creates it before its first await
+  const transport = new window.Transport(audioCtx, {
+    tempo: parseFloat(transportTempoInput.value),
+    beatsPerBar: parseInt(transportBeatsInput.value, 10),
+    beatUnit: parseInt(transportUnitSelect.value, 10)
+  });
+
+  const updateTransportButton = () => {
+    transportPlayBtn.textContent = transport.playing ? 'Stop' : 'Play';
+  };
+
+  // everything tempo-synced follows the transport
+  transport.on('tempo', ({ tempo }) => {
+    transportTempoInput.value = tempo;
+    pvBpmInput.value = tempo;
+    sequencer.setTempo(tempo);
+    if (effectsChain) effectsChain.setTempo(tempo);
+    busChains.forEach(chain => chain && chain.setTempo(tempo));
+    modulatedSynths().forEach(synth => synth.setTempo(tempo));
+  });
+  transport.on('signature', ({ beatsPerBar, beatUnit }) => {
+    transportBeatsInput.value = beatsPerBar;
+    transportUnitSelect.value = beatUnit;
+  });
+
+  // show the position when the beat sounds, not when it is scheduled
+  transport.on('beat', ({ bar, beat, time }) => {
+    setTimeout(() => {
+      if (transport.playing) transportPosition.textContent = `${bar}.${beat}`;
+    }, Math.max(0, (time - audioCtx.currentTime) * 1000));
+  });
+  transport.on('stop', () => {
+    transportPosition.textContent = '-.-';
+  });
+
+  async function startTransport() {
+    if (transport.playing) return;
+    if (audioCtx.state === 'suspended') await audioCtx.resume();
+    transport.start();
+    updateTransportButton();
+  }
+
+  transportPlayBtn.addEventListener('click', async () => {
+    if (transport.playing) {
+      // the sequencer runs on the transport's bars, so it stops with it
+      sequencer.stop();
+      seqPlayBtn.textContent = 'Play';
+      transport.stop();
+      updateTransportButton();
+    } else {
+      await startTransport();
+    }
+  });
+  transportTempoInput.addEventListener('change', () => {
+    transport.setTempo(parseFloat(transportTempoInput.value));
+    transportTempoInput.value = transport.tempo;
+  });
+  tapTempoBtn.addEventListener('click', () => transport.tap());
+  const changeTimeSignature = () => {
+    transport.setTimeSignature(parseInt(transportBeatsInput.value, 10), parseInt(transportUnitSelect.value, 10));
+  };
+  transportBeatsInput.addEventListener('change', changeTimeSignature);
+  transportUnitSelect.addEventListener('change', changeTimeSignature);
+  metronomeToggle.addEventListener('change', () => transport.setMetronome(metronomeToggle.checked));
+
+  /* -------------------------
+     Looper controls
+     - they drive the armed track's looper (see "Tracks / mixer")
+     - while the transport plays, record / overdub / play / stop wait for the next beat or bar (loop
+       quantize), and a first take with a length in bars closes by itself after that many bars
+     - the first loop running is the clock for the others: a track records exactly one pass of it
+       and starts its take, or its playback, where that loop starts its next pass, so every loop
+       stays in phase
+     ------------------------- */
+  const LAUNCH_MARGIN = 0.05;      // seconds: a loop start closer than this waits for the one after
+
+  const loopLengthSeconds = () => transport.barsToSeconds(parseFloat(loopLengthInput.value) || 0);
+  const loopLaunchTime = () => transport.quantize(loopQuantizeSelect.value);
+
+  const loopSummary = (info) => {
+    const seconds = info.length && info.sampleRate ? (info.length / info.sampleRate).toFixed(2) : '0.00';
+    return `${info.state} - ${seconds}s, ${info.layers} layer${info.layers === 1 ? '' : 's'}`;
+  };
+
+  function updateLoopStatus() {
+    loopStatus.textContent = looperNode ? `${armedTrack.name}: ${loopSummary(looperNode.state)}` : 'no looper';
+  }
+
+  // the first track (in list order) other than `looper`'s whose loop is running
+  const clockLooper = (looper) => {
+    const track = tracks.find(t => t.looper && t.looper !== looper && t.looper.loopStartTime !== null);
+    return track ? track.looper : null;
+  };
+
+  // context time of the clock loop's next pass, at least LAUNCH_MARGIN ahead
+  const nextLoopStart = (clock) => {
+    const length = clock.state.length / clock.state.sampleRate;
+    const passes = Math.ceil((audioCtx.currentTime + LAUNCH_MARGIN - clock.loopStartTime) / length);
+    return clock.loopStartTime + Math.max(0, passes) * length;
+  };
+
+  const recordLoop = (looper) => {
+    const clock = clockLooper(looper);
+    if (looper.state.state !== 'empty') {
+      looper.record(loopLaunchTime());
+    } else if (clock) {
+      looper.setLength(clock.state.length / clock.state.sampleRate);
+      looper.record(nextLoopStart(clock));
+    } else {
+      looper.setLength(loopLengthSeconds());
+      looper.record(loopLaunchTime());
+    }
+  };
+
+  const playLoop = (looper) => {
+    const clock = clockLooper(looper);
+    looper.play(clock ? nextLoopStart(clock) : loopLaunchTime());
+  };
+
+  // run a looper command, warning if the engine isn't up
+  const withLooper = (fn) => () => {
+    if (!looperNode) {
+      createMessageBox('Looper not available — initialize the engine first.', 'error');
+      return;
+    }
+    fn(looperNode);
+  };
+
+  loopRecordBtn.addEventListener('click', withLooper(recordLoop));
+  loopOverdubBtn.addEventListener('click', withLooper(l => l.overdub(loopLaunchTime())));
+  loopPlayBtn.addEventListener('click', withLooper(playLoop));
+  loopStopBtn.addEventListener('click', withLooper(l => l.stop(loopLaunchTime())));
+  loopUndoBtn.addEventListener('click', withLooper(l => l.undo()));
+  loopMultiplyBtn.addEventListener('click', withLooper(l => l.multiply(2)));
+  loopDivideBtn.addEventListener('click', withLooper(l => l.divide(2)));
+  loopClearBtn.addEventListener('click', withLooper(l => l.clear()));
+  loopLengthInput.addEventListener('change', () => {
+    if (looperNode) looperNode.setLength(loopLengthSeconds());
+  });
+
+  // optional mic input mixed into what the looper records (not monitored to the speakers)
+  loopMicToggle.addEventListener('change', async () => {
+    if (!loopMicToggle.checked) {
+      if (micSource) {
+        micSource.disconnect();
+        micSource.mediaStream.getTracks().forEach(t => t.stop());
+        micSource = null;
+      }
+      return;
+    }
+    if (!looperNode) {
+      loopMicToggle.checked = false;
+      createMessageBox('Looper not available — initialize the engine first.', 'error');
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      micSource = audioCtx.createMediaStreamSource(stream);
+      micSource.connect(looperNode.input);
+    } catch (err) {
+      console.warn('Microphone access failed:', err);
+      loopMicToggle.checked = false;
+      createMessageBox('Microphone access denied or unavailable.', 'error');
+    }
+  });
+
+  /* -------------------------
+     Tracks / mixer
+     - every track is a mixer channel with its own looper. The Instrument track plays the instrument
+       edited on this page; a sample track plays one sample through its own MiniSynthNode
+     - the armed track gets the keyboard, MIDI and sequencer notes and the looper controls
+     - channels send post-fader to shared buses, each running one effect at full mix
+     - strips are rebuilt when tracks come and go; mixer changes only refresh the toggles
+     ------------------------- */
+  const SEND_BUSES = [
+    { name: 'A', effect: 'reverb' },
+    { name: 'B', effect: 'delay' }
+  ];
+  const busChains = [];            // EffectsChain per send bus, null when effects are unavailable
+  let trackCounter = 0;
+
+  async function initSendBuses() {
+    for (let i = 0; i < SEND_BUSES.length; i++) {
+      let chain = null;
+      if (typeof window.EffectsChain !== 'undefined') {
+        chain = new window.EffectsChain(audioCtx, {
+          bitcrusherUrl: 'audio/bitcrusher-processor.js',
+          tempo: transport.tempo
+        });
+        await chain.init();
+        chain.setState([{ type: SEND_BUSES[i].effect, mix: 1 }]);
+        mixer.setBusInsert(i, chain);
+      }
+      busChains.push(chain);
+    }
+    mixer.on('change', refreshTrackRows);
+    renderBuses();
+  }
+
+  // a looper that records `source` and plays into `output` (the track's channel)
+  async function createTrackLooper(source, output) {
+    const looper = new window.LooperNode(audioCtx, { workletUrl: 'audio/looper-processor.js' });
+    await looper.init();
+    source.connect(looper.input);
+    looper.connect(output);
+    looper.setLength(loopLengthSeconds());
+    return looper;
+  }
+
+  // fields: name, channel (mixer channel id), looper, and for sample tracks synth / fileName
+  function addTrack(fields) {
+    const track = { id: ++trackCounter, synth: null, looper: null, row: null, ...fields };
+    tracks.push(track);
+    if (track.looper) {
+      track.looper.on('state', () => {
+        if (track === armedTrack) updateLoopStatus();
+        refreshTrackRows();
+      });
+    }
+    renderTracks();
+    if (!armedTrack) armTrack(track);
+    return track;
+  }
+
+  function armTrack(track) {
+    armedTrack = track;
+    looperNode = track.looper;
+    if (micSource) {
+      micSource.disconnect();
+      if (looperNode) micSource.connect(looperNode.input);
+    }
+    updateLoopStatus();
+    refreshTrackRows();
+  }
+
+  const removeTrack = (track) => {
+    if (!track.synth) return;      // the Instrument track stays
+    tracks.splice(tracks.indexOf(track), 1);
+    track.synth.dispose();
+    if (track.looper) track.looper.dispose();
+    mixer.removeChannel(track.channel);
+    if (track === armedTrack) armTrack(tracks[0]);
+    renderTracks();
+  };
+
+  const addSampleTrack = async (file) => {
+    if (!mixer || typeof window.MiniSynthNode === 'undefined') {
+      createMessageBox('Tracks need the audio engine — initialize it first.', 'error');
+      return;
+    }
+    const name = file.name.replace(/\.[^.]+$/, '') || `Track ${trackCounter + 1}`;
+    let synth = null;
+    try {
+      const buffer = await audioCtx.decodeAudioData(await file.arrayBuffer());
+      synth = new window.MiniSynthNode(audioCtx, { workletUrl: 'audio/mini-synth-processor.js', maxVoices: MAX_POLYPHONY });
+      await synth.init();
+      const channels = [];
+      for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(new Float32Array(buffer.getChannelData(ch)));
+      await synth.loadSample(name, channels, buffer.sampleRate);
+    } catch (err) {
+      console.error('Adding a sample track failed:', err);
+      createMessageBox('Failed to load the track sample. See console for details.', 'error');
+      if (synth) synth.dispose();
+      return;
+    }
+    synth.on('error', (err) => createMessageBox(`Track "${name}": ${err.message}`, 'error'));
+    sendModulation(synth);
+
+    const channel = mixer.addChannel(name);
+    synth.connect(mixer.channelInput(channel));
+    let looper = null;
+    try {
+      looper = await createTrackLooper(synth, mixer.channelInput(channel));
+    } catch (err) {
+      console.warn('LooperNode failed to initialize:', err);
+    }
+    armTrack(addTrack({ name, channel, synth, looper, fileName: file.name }));
+    createMessageBox(`Added track "${name}"`, 'success');
+  };
+
+  const stripToggle = (text, kind, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = `track-toggle ${kind}`;
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  };
+
+  function renderTracks() {
+    trackList.innerHTML = '';
+    if (!tracks.length) {
+      const empty = document.createElement('li');
+      empty.className = 'text-sm text-gray-500';
+      empty.textContent = 'Tracks appear once the audio engine is running.';
+      trackList.appendChild(empty);
+      return;
+    }
+    tracks.forEach((track) => {
+      const channel = mixer ? mixer.getChannel(track.channel) : null;
+      const item = document.createElement('li');
+      item.className = 'track-row bg-gray-800 rounded-lg p-2 flex flex-wrap items-center gap-3';
+
+      const name = document.createElement('button');
+      name.className = 'track-name text-left text-gray-200 font-semibold w-28 truncate';
+      name.textContent = track.name;
+      name.title = track.synth ? `${track.fileName} - click to arm` : 'The instrument edited above - click to arm';
+      name.addEventListener('click', () => armTrack(track));
+      const status = document.createElement('span');
+      status.className = 'text-xs text-gray-500 w-36';
+      item.append(name, status);
+      track.row = { item, status, mute: null, solo: null };
+
+      if (channel) {
+        track.row.mute = stripToggle('M', 'mute', 'Mute', () => mixer.setMute(channel.id, !channel.mute));
+        track.row.solo = stripToggle('S', 'solo', 'Solo', () => mixer.setSolo(channel.id, !channel.solo));
+        item.append(
+          track.row.mute,
+          track.row.solo,
+          paramControl({ label: 'Vol', min: 0, max: 2, step: 0.01 }, channel.volume, v => mixer.setVolume(channel.id, v)),
+          paramControl({ label: 'Pan', min: -1, max: 1, step: 0.01 }, channel.pan, v => mixer.setPan(channel.id, v)),
+          ...SEND_BUSES.map((bus, i) => paramControl({ label: `Send ${bus.name}`, min: 0, max: 1, step: 0.01 },
+            channel.sends[i], v => mixer.setSend(channel.id, i, v)))
+        );
+      }
+      if (track.synth) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'ml-auto px-2 text-gray-400 hover:text-red-400';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove track';
+        removeBtn.addEventListener('click', () => removeTrack(track));
+        item.appendChild(removeBtn);
+      }
+      trackList.appendChild(item);
+    });
+    refreshTrackRows();
+  }
+
+  function refreshTrackRows() {
+    tracks.forEach((track) => {
+      if (!track.row) return;
+      const channel = mixer ? mixer.getChannel(track.channel) : null;
+      track.row.item.classList.toggle('armed', track === armedTrack);
+      track.row.item.classList.toggle('silenced', !!channel && !mixer.isAudible(channel.id));
+      if (track.row.mute) track.row.mute.classList.toggle('on', channel.mute);
+      if (track.row.solo) track.row.solo.classList.toggle('on', channel.solo);
+      track.row.status.textContent = track.looper ? loopSummary(track.looper.state) : 'no looper';
+    });
+  }
+
+  function renderBuses() {
+    busList.innerHTML = '';
+    SEND_BUSES.forEach((bus, i) => {
+      const chain = busChains[i];
+      if (chain) {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-1';
+        label.append(`Bus ${bus.name}`);
+        const select = document.createElement('select');
+        select.className = 'bg-gray-800 text-gray-200 rounded px-1 py-0.5';
+        select.add(new Option('none', ''));
+        window.EffectsChain.TYPES.forEach(type => select.add(new Option(window.EffectsChain.describe(type).label, type)));
+        select.value = chain.effects.length ? chain.effects[0].type : '';
+        select.addEventListener('change', () => chain.setState(select.value ? [{ type: select.value, mix: 1 }] : []));
+        label.appendChild(select);
+        busList.appendChild(label);
+      }
+      busList.appendChild(paramControl({ label: chain ? 'Return' : `Bus ${bus.name}`, min: 0, max: 2, step: 0.01 },
+        mixer.buses[i].level, v => mixer.setBusLevel(i, v)));
+    });
+  }
+
+  const updateMasterVolumeDisplay = () => {
+    const db = linearToDb(parseFloat(masterVolumeSlider.value));
+    masterVolumeValue.textContent = Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-\u221e dB';
+  };
+  masterVolumeSlider.addEventListener('input', () => {
+    updateMasterVolumeDisplay();
+    if (mixer) mixer.setMasterVolume(parseFloat(masterVolumeSlider.value));
+  });
+  updateMasterVolumeDisplay();
+
+  addTrackBtn.addEventListener('click', () => trackFile.click());
+  trackFile.addEventListener('change', () => {
+    const file = trackFile.files[0];
+    trackFile.value = '';
+    if (file) addSampleTrack(file);
+  });
+  renderTracks();
+
+  /* -------------------------
+     Step sequencer
+     Notes are scheduled ahead with exact context times (see step-sequencer.js), so they go straight
+     to the engine rather than through playNote, which plays "now" or on the note quantize grid.
+     ------------------------- */
+  const PATTERN_NAMES = ['A', 'B', 'C', 'D'];
+  const SEQ_START_MARGIN = 0.05;   // seconds: a bar line closer than this waits for the next one
+  const seqPvNotes = new Map();    // midi -> phase vocoder note ids, oldest first
+
+  // routes timed notes to whichever engine the keyboard would use
+  const sequencerTarget = {
+    noteOn: ({ midi, velocity, time }) => {
+      if (armedTrack && armedTrack.synth) {
+        armedTrack.synth.noteOn({ midi, velocity, time, ...getEnvelope() });
+        return;
+      }
+      if (!zones.length) return;
+      if (pitchEngineSelect.value === 'vocoder' && phaseVocoderReady()) {
+        const id = PhaseVocoderBundle.startNote(`seq-${midi}`, midi - rootNote + fineTune / 100, {
+          gain: velocity, time, ...getEnvelope()
+        });
+        if (!seqPvNotes.has(midi)) seqPvNotes.set(midi, []);
+        seqPvNotes.get(midi).push(id);
+      } else if (synthNode) {
+        synthNode.noteOn({ midi, velocity, time, ...getEnvelope() });
+      }
+    },
+    noteOff: ({ midi, time }) => {
+      if (armedTrack && armedTrack.synth) {
+        armedTrack.synth.noteOff({ midi, time });
+        return;
+      }
+      const ids = seqPvNotes.get(midi);
+      if (ids && ids.length) PhaseVocoderBundle.stopNote(ids.shift(), time);
+      else if (synthNode) synthNode.noteOff({ midi, time });
+    }
+  };
+
+  // audioCtx already exists: initEngine creates it before its first await
+  const sequencer = new window.StepSequencer(audioCtx, { target: sequencerTarget, patternCount: PATTERN_NAMES.length });
+  sequencer.setTempo(transport.tempo);
+  let seqEditPattern = 0;
+  let seqSelectedStep = 0;
+
+  const renderSequencerGrid = () => {
+    seqGrid.innerHTML = '';
+    sequencer.patterns[seqEditPattern].steps.forEach((step, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'seq-step';
+      btn.classList.toggle('beat', i % 4 === 0);
+      btn.classList.toggle('on', step.on);
+      btn.classList.toggle('selected', i === seqSelectedStep);
+      btn.textContent = step.on ? midiToNoteName(step.note) : String(i + 1);
+      btn.addEventListener('click', () => {
+        sequencer.setStep(seqEditPattern, i, { on: !step.on });
+        seqSelectedStep = i;
+        showSelectedStep();
+        renderSequencerGrid();
+      });
+      seqGrid.appendChild(btn);
+    });
+  };
+
+  const showSelectedStep = () => {
+    const step = sequencer.patterns[seqEditPattern].steps[seqSelectedStep];
+    seqStepLabel.textContent = `Step ${seqSelectedStep + 1}`;
+    seqNoteInput.value = midiToNoteName(step.note);
+    seqVelocitySlider.value = step.velocity;
+    seqGateSlider.value = step.gate;
+  };
+
+  const editSelectedStep = (fields) => {
+    sequencer.setStep(seqEditPattern, seqSelectedStep, fields);
+    renderSequencerGrid();
+  };
+  seqNoteInput.addEventListener('change', () => {
+    const text = seqNoteInput.value.trim().toUpperCase();
+    const midi = /^\d+$/.test(text) ? parseInt(text, 10) : noteNameToMidi(text);
+    if (Number.isFinite(midi) && midi >= 0 && midi <= 127) editSelectedStep({ note: midi });
+    showSelectedStep();
+  });
+  seqVelocitySlider.addEventListener('input', () => editSelectedStep({ velocity: parseFloat(seqVelocitySlider.value) }));
+  seqGateSlider.addEventListener('input', () => editSelectedStep({ gate: parseFloat(seqGateSlider.value) }));
+
+  seqPatternSelect.addEventListener('change', () => {
+    seqEditPattern = parseInt(seqPatternSelect.value, 10);
+    seqLengthSelect.value = sequencer.patterns[seqEditPattern].steps.length;
+    seqSelectedStep = 0;
+    showSelectedStep();
+    renderSequencerGrid();
+  });
+  seqLengthSelect.addEventListener('change', () => {
+    sequencer.setPatternLength(seqEditPattern, parseInt(seqLengthSelect.value, 10));
+    seqSelectedStep = Math.min(seqSelectedStep, sequencer.patterns[seqEditPattern].steps.length - 1);
+    showSelectedStep();
+    renderSequencerGrid();
+  });
+  // "A A B C" (spaces optional) -> [0, 0, 1, 2]
+  seqChainInput.addEventListener('change', () => {
+    const chain = seqChainInput.value.toUpperCase().replace(/[^A-Z]/g, '').split('')
+      .map(name => PATTERN_NAMES.indexOf(name)).filter(i => i >= 0);
+    sequencer.setChain(chain);
+    seqChainInput.value = sequencer.chain.map(i => PATTERN_NAMES[i]).join(' ');
+  });
+
+  const updateSwingDisplay = () => {
+    seqSwingValue.textContent = `${Math.round(parseFloat(seqSwingSlider.value) * 100)}%`;
+  };
+  seqSwingSlider.addEventListener('input', () => {
+    sequencer.setSwing(parseFloat(seqSwingSlider.value));
+    updateSwingDisplay();
+  });
+
+  // light the step when it sounds, not when it is scheduled
+  sequencer.on('step', ({ pattern, step, time }) => {
+    setTimeout(() => {
+      seqGrid.querySelectorAll('.seq-step.playing').forEach(el => el.classList.remove('playing'));
+      if (sequencer.playing && pattern === seqEditPattern && seqGrid.children[step]) {
+        seqGrid.children[step].classList.add('playing');
+      }
+    }, Math.max(0, (time - audioCtx.currentTime) * 1000));
+  });
+  sequencer.on('stop', () => {
+    seqGrid.querySelectorAll('.seq-step.playing').forEach(el => el.classList.remove('playing'));
+  });
+
+  seqPlayBtn.addEventListener('click', async () => {
+    if (sequencer.playing) {
+      sequencer.stop();
+    } else {
+      // patterns start on a bar line of the transport, which starts with them if it is stopped
+      await startTransport();
+      sequencer.start(transport.nextBar(audioCtx.currentTime + SEQ_START_MARGIN));
+    }
+    seqPlayBtn.textContent = sequencer.playing ? 'Stop' : 'Play';
+  });
+
+  updateSwingDisplay();
+  showSelectedStep();
+  renderSequencerGrid();
+
+  /* -------------------------
+     Export / bounce
+     - a "take" records the notes played (any input) and is re-rendered offline through a fresh
+       MiniSynthNode loaded with the current instrument (see offline-renderer.js)
+     - the armed track's loop is already audio, so it is mixed down and written as is
+     - "export region" writes the selected slice of the sample being edited
+     ------------------------- */
+  let take = null;                 // { start, events, duration, recording } - times in context seconds
+
+  const updateTakeStatus = () => {
+    if (!take) takeStatus.textContent = 'no take';
+    else if (take.recording) takeStatus.textContent = 'recording…';
+    else takeStatus.textContent = `${take.events.filter(e => e.type === 'noteOn').length} notes, ${take.duration.toFixed(2)}s`;
+    takeRecordBtn.textContent = take && take.recording ? 'Stop take' : 'Record take';
+  };
+
+  // `event.time` (context seconds) is when a quantized note really plays; default now
+  function recordTakeEvent(event) {
+    if (!take || !take.recording) return;
+    take.events.push({ ...event, time: (event.time ?? audioCtx.currentTime) - take.start });
+  }
+
+  takeRecordBtn.addEventListener('click', async () => {
+    if (take && take.recording) {
+      // notes still held when the take ends are released at its end
+      const time = audioCtx.currentTime - take.start;
+      const held = new Set();
+      take.events.forEach(e => (e.type === 'noteOn' ? held.add(e.midi) : held.delete(e.midi)));
+      held.forEach(midi => take.events.push({ type: 'noteOff', midi, time }));
+      take.duration = time;
+      take.recording = false;
+    } else {
+      await ensureAudioContext();
+      notePlayer.stop();
+      take = { start: audioCtx.currentTime, events: [], duration: 0, recording: true };
+    }
+    updateTakeStatus();
+    showTakeInRoll();
+  });
+  updateTakeStatus();
+
+  const wavFileName = (name) => `${(name || 'bounce').replace(/[^\w\- ]+/g, '_').trim() || 'bounce'}.wav`;
+  const exportFormat = () => ({ format: exportFormatSelect.value });
+
+  bounceTakeBtn.addEventListener('click', async () => {
+    if (!take || take.recording || !take.events.length) {
+      createMessageBox('Record a take first (and stop it).', 'error');
+      return;
+    }
+    if (!zones.length) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    bounceTakeBtn.disabled = true;
+    try {
+      const rendered = await window.OfflineRenderer.renderNotes(collectPreset('bounce'), take.events, {
+        sampleRate: audioCtx.sampleRate,
+        duration: take.duration,
+        maxVoices: MAX_POLYPHONY,
+        tempo: transport.tempo,
+        bitcrusherUrl: 'audio/bitcrusher-processor.js'
+      });
+      downloadBlob(window.WavEncoder.toBlob(rendered, exportFormat()), wavFileName(presetNameInput.value.trim() || 'take'));
+      createMessageBox(`Bounced ${rendered.duration.toFixed(2)}s`, 'success');
+    } catch (err) {
+      console.error('Offline render failed', err);
+      createMessageBox('Bounce failed (see console).', 'error');
+    } finally {
+      bounceTakeBtn.disabled = false;
+    }
+  });
+
+  bounceLoopBtn.addEventListener('click', async () => {
+    if (!looperNode) {
+      createMessageBox('Looper not available — initialize the engine first.', 'error');
+      return;
+    }
+    const { channels, sampleRate } = await looperNode.exportLoop();
+    if (!channels[0].length) {
+      createMessageBox('The looper is empty.', 'error');
+      return;
+    }
+    downloadBlob(new Blob([window.WavEncoder.encode(channels, sampleRate, exportFormat())], { type: 'audio/wav' }), wavFileName(`${armedTrack.name} loop`));
+  });
+
+  exportRegionBtn.addEventListener('click', () => {
+    if (!audioBuffer) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    const { start, end } = selectionFrames();
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      channels.push(audioBuffer.getChannelData(ch).subarray(start, end));
+    }
+    const blob = new Blob([window.WavEncoder.encode(channels, audioBuffer.sampleRate, exportFormat())], { type: 'audio/wav' });
+    downloadBlob(blob, wavFileName(`${selectedZone.name || 'sample'} region`));
+  });
+
+  /* -------------------------
+     Performance: piano roll, MIDI files and playback
+     - the take is the performance: the roll shows it once recording stops and every edit is
+       written back to its events, so playback, bounce and export all get the edited version
+     - playback goes through the sequencer's timed routing (sequencerTarget), so each note reaches
+       the engine with its exact context time; while the transport plays it starts on a bar line
+     - files are written at the transport tempo and time signature; imports keep the file's own
+       timing (its tempo map, read as seconds)
+     ------------------------- */
+  const pianoRoll = new window.PianoRoll(pianoRollCanvas);
+  // audioCtx already exists: initEngine creates it before its first await
+  const notePlayer = new window.NotePlayer(audioCtx, { target: sequencerTarget });
+  let rollSelected = -1;           // index of the highlighted note
+  let rollDrag = null;             // { pointerId, index, mode: 'move' | 'resize', grab }
+  let rollAnimation = null;
+
+  // snap options are in quarter notes, like the transport BPM
+  const rollGrid = () => parseFloat(rollSnapSelect.value) * (60 / transport.tempo);
+
+  function drawRoll() {
+    pianoRoll.setGrid(transport.beatDuration, transport.beatsPerBar);
+    pianoRoll.draw({ selected: rollSelected, playhead: notePlayer.positionAt(audioCtx.currentTime) });
+  }
+
+  function showTakeInRoll() {
+    const notes = take && !take.recording ? window.PianoRoll.notesFromEvents(take.events, take.duration) : [];
+    rollSelected = -1;
+    pianoRoll.setNotes(notes, take && !take.recording ? take.duration : 0);
+    drawRoll();
+  }
+
+  const commitRollEdit = () => {
+    take.events = window.PianoRoll.eventsFromNotes(pianoRoll.notes);
+    take.duration = Math.max(take.duration, pianoRoll.end);
+    updateTakeStatus();
+  };
+
+  const resizeRoll = () => {
+    pianoRollCanvas.width = pianoRollCanvas.clientWidth;
+    pianoRollCanvas.height = pianoRollCanvas.clientHeight;
+    drawRoll();
+  };
+  window.addEventListener('resize', resizeRoll);
+  resizeRoll();
+  // the grid follows the transport
+  transport.on('tempo', drawRoll);
+  transport.on('signature', drawRoll);
+
+  const rollPoint = (e) => {
+    const rect = pianoRollCanvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  // a note grabbed by its body moves, by its end resizes; a click on an empty spot draws a new one
+  pianoRollCanvas.addEventListener('pointerdown', (e) => {
+    if (rollDrag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    if (take && take.recording) return;
+    if (!take) take = { start: 0, events: [], duration: 0, recording: false };
+    const { x, y } = rollPoint(e);
+    const time = pianoRoll.xToTime(x);
+    const hit = pianoRoll.noteAt(x, y);
+    if (hit) {
+      const note = pianoRoll.notes[hit.index];
+      rollDrag = { index: hit.index, mode: hit.edge ? 'resize' : 'move', grab: time - note.time };
+    } else {
+      const grid = rollGrid();
+      const index = pianoRoll.addNote({
+        midi: pianoRoll.yToMidi(y),
+        time: grid ? Math.floor(time / grid) * grid : time,
+        duration: grid || 60 / transport.tempo / 4,
+        velocity: 0.8
+      });
+      rollDrag = { index, mode: 'resize', grab: 0 };
+    }
+    rollDrag.pointerId = e.pointerId;
+    rollSelected = rollDrag.index;
+    pianoRollCanvas.setPointerCapture(e.pointerId);
+    pianoRollCanvas.focus();
+    drawRoll();
+    e.preventDefault();
+  });
+
+  pianoRollCanvas.addEventListener('pointermove', (e) => {
+    if (!rollDrag || e.pointerId !== rollDrag.pointerId) return;
+    const { x, y } = rollPoint(e);
+    const grid = rollGrid();
+    const time = pianoRoll.xToTime(x);
+    const note = pianoRoll.notes[rollDrag.index];
+    if (rollDrag.mode === 'move') {
+      pianoRoll.updateNote(rollDrag.index, { time: pianoRoll.snap(time - rollDrag.grab, grid), midi: pianoRoll.yToMidi(y) });
+    } else {
+      pianoRoll.updateNote(rollDrag.index, { duration: Math.max(grid, pianoRoll.snap(time, grid) - note.time) });
+    }
+    drawRoll();
+  });
+
+  const finishRollDrag = (e) => {
+    if (!rollDrag || e.pointerId !== rollDrag.pointerId) return;
+    rollDrag = null;
+    commitRollEdit();
+    drawRoll();
+  };
+  pianoRollCanvas.addEventListener('pointerup', finishRollDrag);
+  pianoRollCanvas.addEventListener('pointercancel', finishRollDrag);
+
+  const removeRollNote = (index) => {
+    if (index < 0 || !take || take.recording) return;
+    pianoRoll.removeNote(index);
+    rollSelected = -1;
+    commitRollEdit();
+    drawRoll();
+  };
+  pianoRollCanvas.addEventListener('dblclick', (e) => {
+    const { x, y } = rollPoint(e);
+    const hit = pianoRoll.noteAt(x, y);
+    if (hit) removeRollNote(hit.index);
+  });
+  pianoRollCanvas.addEventListener('keydown', (e) => {
+    if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+    e.preventDefault();
+    removeRollNote(rollSelected);
+  });
+
+  // the playhead follows the player while it runs
+  const animateRoll = () => {
+    drawRoll();
+    rollAnimation = notePlayer.playing ? requestAnimationFrame(animateRoll) : null;
+  };
+  notePlayer.on('start', () => {
+    takePlayBtn.textContent = 'Stop';
+    if (!rollAnimation) animateRoll();
+  });
+  notePlayer.on('stop', () => {
+    takePlayBtn.textContent = 'Play take';
+    drawRoll();
+  });
+
+  takePlayBtn.addEventListener('click', async () => {
+    if (notePlayer.playing) {
+      notePlayer.stop();
+      return;
+    }
+    if (!take || take.recording || !take.events.length) {
+      createMessageBox('Record or import a take first.', 'error');
+      return;
+    }
+    if (!zones.length && !(armedTrack && armedTrack.synth)) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+    if (audioCtx.state === 'suspended') await audioCtx.resume();
+    notePlayer.setEvents(take.events, take.duration);
+    notePlayer.start(transport.nextBar(audioCtx.currentTime + 0.05));
+  });
+
+  const midiFileName = (name) => `${(name || 'take').replace(/[^\w\- ]+/g, '_').trim() || 'take'}.mid`;
+
+  exportMidiBtn.addEventListener('click', () => {
+    if (!take || take.recording || !take.events.length) {
+      createMessageBox('Record or import a take first.', 'error');
+      return;
+    }
+    const name = presetNameInput.value.trim() || 'take';
+    downloadBlob(window.MidiFile.toBlob(take.events, {
+      format: parseInt(midiFormatSelect.value, 10),
+      tempo: transport.tempo,
+      beatsPerBar: transport.beatsPerBar,
+      beatUnit: transport.beatUnit,
+      name
+    }), midiFileName(name));
+  });
+
+  importMidiBtn.addEventListener('click', () => midiFile.click());
+  midiFile.addEventListener('change', async () => {
+    const file = midiFile.files[0];
+    midiFile.value = '';
+    if (!file) return;
+    if (take && take.recording) {
+      createMessageBox('Stop the take before importing.', 'error');
+      return;
+    }
+    try {
+      const song = window.MidiFile.parse(await file.arrayBuffer());
+      const count = song.events.filter(e => e.type === 'noteOn').length;
+      if (!count) {
+        createMessageBox(`${file.name} has no notes.`, 'error');
+        return;
+      }
+      notePlayer.stop();
+      take = { start: 0, events: song.events, duration: song.duration, recording: false };
+      updateTakeStatus();
+      showTakeInRoll();
+      createMessageBox(`Imported ${count} notes (format ${song.format}, ${song.tempo} BPM)`, 'success');
+    } catch (err) {
+      console.error('MIDI file import failed', err);
+      createMessageBox(`Could not read ${file.name}: ${err.message}`, 'error');
+    }
+  });
+
+  /* -------------------------
+     Piano keyboard play / stop
+     - uses synthNode.noteOn/noteOff when available
+     - otherwise uses PhaseVocoderBundle.startNote / stopNote if available
+     - while the transport plays, notes start on the next beat or bar (note quantize); a key let go
+       before its note started still gets a short note
+     - every source (a pointer, the computer keyboard, MIDI) holds a note separately: the note sounds
+       once and stops when the last source holding it lets go
+     ------------------------- */
+  const QUANTIZED_GATE = 0.1;      // seconds: shortest note for a key released before its start
+
+  const playNote = (source, note, keyElement, velocity = 1.0) => {
+    const held = activeNotes.get(note);
+    if (held) {
+      // already sounding for another source: hold it for this one too
+      held.holders.add(source);
+      return;
+    }
+    // a sample track plays its own synth; takes only record (and re-render) the Instrument track
+    const trackSynth = armedTrack && armedTrack.synth;
+    if (!zones.length && !trackSynth) {
+      createMessageBox('Upload a sample first.', 'error');
+      return;
+    }
+
+    if (keyElement) keyElement.classList.add('active');
+    // transpose is captured per note so changing it mid-hold can't strand a voice
+    const midi = noteNameToMidi(note) + transpose;
+    const time = transport.quantize(noteQuantizeSelect.value);
+
+    if (trackSynth) {
+      trackSynth.noteOn({ midi, velocity, time, ...getEnvelope() });
+      activeNotes.set(note, { keyElement, midi, time, via: 'track', synth: trackSynth, holders: new Set([source]) });
+      return;
+    }
+
+    // If we have a synthNode wrapper, ask it to play the note (the worklet maps it through the root note)
+    const preferVocoder = pitchEngineSelect.value === 'vocoder' && phaseVocoderReady();
+    if (!preferVocoder && synthNode && typeof synthNode.noteOn === 'function') {
+      try {
+        synthNode.noteOn({ midi, velocity, time, ...getEnvelope() });
+        activeNotes.set(note, { keyElement, midi, time, via: 'synth', holders: new Set([source]) });
+        recordTakeEvent({ type: 'noteOn', midi, velocity, time, ...getEnvelope() });
+        return;
+      } catch (err) {
+        console.warn('synthNode.noteOn error', err);
+      }
+    }
+
+    // phase vocoder when selected, or as the fallback if the synth is missing
+    if (phaseVocoderReady()) {
+      try {
+        // startNote expects the shift relative to the sample's own pitch
+        const semitoneOffset = midi - rootNote + fineTune / 100;
+        const noteId = PhaseVocoderBundle.startNote('note-' + note, semitoneOffset, {
+          gain: velocity,
+          time,
+          ...getEnvelope()
+        });
+        activeNotes.set(note, { noteId, keyElement, midi, time, via: 'pv', holders: new Set([source]) });
+        recordTakeEvent({ type: 'noteOn', midi, velocity, time, ...getEnvelope() });
+        return;
+      } catch (err) {
+        console.error('PhaseVocoderBundle.startNote failed', err);
+        createMessageBox('Failed to start note with PhaseVocoderBundle (console).', 'error');
+      }
+    }
+
+    // If no engine is available, warn the user
+    createMessageBox('No synthesis engine available — initialize the engine first.', 'error');
+  };
+
+  const stopNote = (source, note) => {
+    const info = activeNotes.get(note);
+    if (!info || !info.holders.delete(source) || info.holders.size) return;
+    const now = audioCtx.currentTime;
+    const time = info.time > now ? info.time + QUANTIZED_GATE : now;
+    if (info.via === 'track') {
+      info.synth.noteOff({ midi: info.midi, time });
+    } else if (info.via === 'synth' && synthNode && typeof synthNode.noteOff === 'function') {
+      synthNode.noteOff({ midi: info.midi, time });
+    } else if (info.via === 'pv' && typeof PhaseVocoderBundle !== 'undefined') {
+      try {
+        PhaseVocoderBundle.stopNote(info.noteId, time);
+      } catch (err) {
+        console.warn('PhaseVocoderBundle.stopNote error', err);
+      }
+    }
+    if (info.via !== 'track') recordTakeEvent({ type: 'noteOff', midi: info.midi, time });
+    if (info.keyElement) info.keyElement.classList.remove('active');
+    activeNotes.delete(note);
+  };
+
+  // Pointer events on piano UI: each pointer (mouse, pen or individual finger) owns one note.
+  // Sliding onto another key moves that pointer's note (glissando); lifting releases only its note.
+  const pointerNotes = new Map();  // pointerId -> note
+  const pointerSource = (pointerId) => `pointer ${pointerId}`;
+
+  const keyAtPoint = (x, y) => {
+    const el = document.elementFromPoint(x, y);
+    return el && el.closest ? el.closest('.white-key, .black-key') : null;
+  };
+
+  const releasePointerNote = (pointerId) => {
+    const note = pointerNotes.get(pointerId);
+    pointerNotes.delete(pointerId);
+    if (note) stopNote(pointerSource(pointerId), note);
+  };
+
+  const pressPointerKey = (pointerId, key) => {
+    const note = key ? key.dataset.note : null;
+    if (pointerNotes.get(pointerId) === note) return;
+    releasePointerNote(pointerId);
+    if (!note) {
+      // keep tracking the pointer so it can slide back onto a key
+      pointerNotes.set(pointerId, null);
+      return;
+    }
+    pointerNotes.set(pointerId, note);
+    playNote(pointerSource(pointerId), note, key);
+  };
+
+  piano.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    const key = e.target.closest('.white-key, .black-key');
+    if (!key) return;
+    e.preventDefault();
+    // capture keeps pointerup coming to the piano even if released outside it
+    piano.setPointerCapture(e.pointerId);
+    pressPointerKey(e.pointerId, key);
+  });
+
+  piano.addEventListener('pointermove', (e) => {
+    if (!pointerNotes.has(e.pointerId)) return;
+    pressPointerKey(e.pointerId, keyAtPoint(e.clientX, e.clientY));
+  });
+
+  const onPointerEnd = (e) => releasePointerNote(e.pointerId);
+  piano.addEventListener('pointerup', onPointerEnd);
+  piano.addEventListener('pointercancel', onPointerEnd);
+  piano.addEventListener('lostpointercapture', onPointerEnd);
+
+  /* -------------------------
+     Generated keyboard, octave shift / transpose and QWERTY playing
+     ------------------------- */
+  const keyboard = new window.PianoKeyboard(pianoContainer, {
+    octaves: parseInt(keyboardOctavesSelect.value, 10) || 2,
+    baseOctave: 4,
+    onNoteOn: (midi, keyElement) => playNote('keys', midiToNoteName(midi), keyElement),
+    onNoteOff: (midi) => stopNote('keys', midiToNoteName(midi)),
+    onOctaveChange: (baseOctave) => {
+      octaveDisplay.textContent = `C${baseOctave}`;
+      // keys were rebuilt: re-light the ones still sounding
+      activeNotes.forEach((info, note) => {
+        info.keyElement = keyboard.keyElementFor(noteNameToMidi(note));
+        if (info.keyElement) info.keyElement.classList.add('active');
+      });
+      highlightZoneKeys();
+    }
+  });
+  keyboard.render();
+  keyboard.attachComputerKeyboard(window);
+  renderZoneList();
+  octaveDisplay.textContent = `C${keyboard.baseOctave}`;
+
+  octaveDownBtn.addEventListener('click', () => keyboard.shiftOctave(-1));
+  octaveUpBtn.addEventListener('click', () => keyboard.shiftOctave(1));
+  keyboardOctavesSelect.addEventListener('change', () => {
+    keyboard.setRange(keyboard.baseOctave, parseInt(keyboardOctavesSelect.value, 10) || 2);
+  });
+  transposeInput.addEventListener('change', () => {
+    transpose = Math.max(-24, Math.min(24, parseInt(transposeInput.value, 10) || 0));
+    transposeInput.value = transpose;
+  });
+
+  /* -------------------------
+     Web MIDI input and MIDI learn
+     ------------------------- */
+  const PITCH_BEND_RANGE = 2; // semitones
+
+  // sliders respond by updating their value and running the normal input handler
+  const sliderTarget = (slider) => (v) => {
+    const min = parseFloat(slider.min), max = parseFloat(slider.max);
+    slider.value = min + v * (max - min);
+    slider.dispatchEvent(new Event('input'));
+  };
+  // like notes and the wheel, learned synth knobs act on the synth being played
+  const synthParamTarget = (name, map) => (v) => {
+    const synth = performanceSynth();
+    if (synth) synth.setParam(name, map(v));
+  };
+  const midiLearnTargets = [
+    { id: 'attack', label: 'Attack', apply: sliderTarget(attackSlider) },
+    { id: 'decay', label: 'Decay', apply: sliderTarget(decaySlider) },
+    { id: 'sustain', label: 'Sustain', apply: sliderTarget(sustainSlider) },
+    { id: 'release', label: 'Release', apply: sliderTarget(releaseSlider) },
+    { id: 'filterCutoff', label: 'Filter cutoff', apply: synthParamTarget('filterCutoff', v => 20 * Math.pow(1000, v)) },
+    { id: 'filterQ', label: 'Filter Q', apply: synthParamTarget('filterQ', v => 0.1 + v * 19.9) },
+    { id: 'unisonCount', label: 'Unison voices', apply: synthParamTarget('unisonCount', v => 1 + Math.round(v * 7)) },
+    { id: 'unisonDetune', label: 'Unison detune', apply: synthParamTarget('unisonDetune', v => v * 100) }
+  ];
+
+  const refreshMidiInputs = () => {
+    const inputs = midiInput ? midiInput.getInputs() : [];
+    const selected = midiInput && midiInput.input ? midiInput.input.id : '';
+    midiInputSelect.innerHTML = '<option value="">No MIDI input</option>';
+    inputs.forEach(i => {
+      const opt = document.createElement('option');
+      opt.value = i.id;
+      opt.textContent = i.name || i.id;
+      midiInputSelect.appendChild(opt);
+    });
+    midiInputSelect.value = inputs.some(i => i.id === selected) ? selected : '';
+  };
+
+  const initMidi = async () => {
+    if (typeof window.MidiInput === 'undefined') return;
+    midiInput = new window.MidiInput();
+    midiLearnTargets.forEach(t => {
+      midiInput.registerTarget(t.id, t.label, t.apply);
+      const opt = document.createElement('option');
+      opt.value = t.id;
+      opt.textContent = t.label;
+      midiLearnTarget.appendChild(opt);
+    });
+
+    midiInput.on('noteon', ({ note, velocity }) => {
+      const name = midiToNoteName(note);
+      stopNote('midi', name);
+      playNote('midi', name, keyboard.keyElementFor(note), velocity);
+    });
+    midiInput.on('noteoff', ({ note }) => stopNote('midi', midiToNoteName(note)));
+    midiInput.on('pitchbend', ({ value }) => {
+      const synth = performanceSynth();
+      if (synth) synth.setParam('pitchBend', value * PITCH_BEND_RANGE);
+    });
+    midiInput.on('modwheel', ({ value }) => {
+      modWheelSlider.value = value;
+      const synth = performanceSynth();
+      if (synth) synth.setModWheel(value);
+    });
+    midiInput.on('learned', ({ controller, target }) => {
+      midiStatus.textContent = `CC${controller} → ${target}`;
+      createMessageBox(`MIDI CC${controller} bound to ${target}`, 'success');
+    });
+    midiInput.on('devices', refreshMidiInputs);
+
+    try {
+      if (!(await midiInput.init())) {
+        midiStatus.textContent = 'Web MIDI not supported';
+        return;
+      }
+    } catch (err) {
+      console.warn('MIDI access failed:', err);
+      midiStatus.textContent = 'MIDI access denied';
+      return;
+    }
+    refreshMidiInputs();
+    // pick the first device so a plugged-in keyboard just works
+    const first = midiInput.getInputs()[0];
+    if (first) {
+      midiInput.selectInput(first.id);
+      midiInputSelect.value = first.id;
+    }
+  };
+
+  midiInputSelect.addEventListener('change', () => {
+    if (midiInput) midiInput.selectInput(midiInputSelect.value || null);
+  });
+  midiLearnBtn.addEventListener('click', () => {
+    if (!midiInput || !midiInput.access) {
+      createMessageBox('No MIDI access available.', 'error');
+      return;
+    }
+    midiInput.learn(midiLearnTarget.value);
+    midiStatus.textContent = `Move a controller to bind ${midiLearnTarget.value}…`;
+  });
+
+  initMidi().catch(err => console.error('initMidi error', err));
 
   /* -------------------------
      Expose a small API to console for testing
@@ -467,12 +3052,22 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.miniSynthDebug = {
     getAudioContext: () => audioCtx,
     getSynthNode: () => synthNode,
+    getLooperNode: () => looperNode,
+    getEffectsChain: () => effectsChain,
+    getMixer: () => mixer,
+    getTransport: () => transport,
+    getNotePlayer: () => notePlayer,
+    getTake: () => take,
+    getTracks: () => tracks,
+    getSampleRecorder: () => sampleRecorder,
+    getMidiInput: () => midiInput,
+    getZones: () => zones,
     loadSampleFromBuffer: async (buffer) => {
       // accepts an AudioBuffer - will transfer its first channel as Float32Array
       if (!buffer || !audioCtx) return;
       const arr = new Float32Array(buffer.getChannelData(0));
       if (synthNode && typeof synthNode.loadSample === 'function') {
-        synthNode.loadSample('debug-sample', [arr], buffer.sampleRate);
+        await synthNode.loadSample('debug-sample', [arr], buffer.sampleRate);
       } else if (typeof PhaseVocoderBundle !== 'undefined') {
         PhaseVocoderBundle.loadSample(arr, buffer.sampleRate);
       }
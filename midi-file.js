@@ -0,0 +1,277 @@
+/* midi-file.js
+   MidiFile - Standard MIDI File (format 0 / 1) reading and writing for note performances
+
+   Usage:
+     const song = MidiFile.parse(await file.arrayBuffer());
+     // { format, ticksPerBeat, tempo, timeSignature, duration, tracks: [{ name, notes }], events }
+     song.events.forEach(e => synthNode[e.type]({ midi: e.midi, velocity: e.velocity, time: t0 + e.time }));
+     const bytes = MidiFile.encode(events, { format: 1, tempo: 120, beatsPerBar: 4, beatUnit: 4 });
+     const blob = MidiFile.toBlob(events, { tempo: 96 });
+
+   Events are the same note events a take records: { type: 'noteOn' | 'noteOff', midi, velocity
+   (0..1, noteOn only), time (seconds from the start) }, plus channel (0..15) and track. parse()
+   follows the file's tempo map, so times are always seconds; encode() writes one tempo, so a
+   performance exported and read back keeps its timing to the tick. A noteOn with velocity 0 reads
+   as a noteOff. Everything else in a file (controllers, program changes, sysex, other meta events)
+   is skipped.
+
+   encode() writes format 0 (one track) or format 1 (a tempo / time signature track followed by one
+   track per `track` value of the events). Format 2 files hold independent sequences and are
+   rejected.
+*/
+
+import { sortNoteEvents } from './note-events.js';
+
+const DEFAULT_TICKS_PER_BEAT = 480;
+const DEFAULT_TEMPO = 120;
+const NOTE_OFF_VELOCITY = 64;
+
+const META_TRACK_NAME = 0x03;
+const META_END_OF_TRACK = 0x2f;
+const META_TEMPO = 0x51;
+const META_TIME_SIGNATURE = 0x58;
+
+// data bytes of each channel message (by status high nibble)
+const DATA_LENGTHS = { 0x8: 2, 0x9: 2, 0xa: 2, 0xb: 2, 0xc: 1, 0xd: 1, 0xe: 2 };
+
+const clamp7 = (v) => Math.max(0, Math.min(127, Math.round(v)));
+
+// variable-length quantity: 7 bits per byte, most significant first
+const writeVarLength = (out, value) => {
+  const bytes = [value & 0x7f];
+  for (let v = value >>> 7; v > 0; v >>>= 7) bytes.unshift((v & 0x7f) | 0x80);
+  out.push(...bytes);
+};
+
+const ascii = (text) => Array.from(text, c => c.charCodeAt(0) & 0x7f);
+
+class MidiFile {
+  /**
+   * Read a Standard MIDI File.
+   * @param {ArrayBuffer|Uint8Array} data
+   * @returns {Object} { format, ticksPerBeat (null for SMPTE timing), tempo (first, BPM),
+   *   timeSignature: { beatsPerBar, beatUnit }, duration (seconds, to the last track end),
+   *   tracks: [{ name, notes }], events (sorted by time; on a tie a sounding pitch's noteOff first) }
+   */
+  static parse(data) {
+    const bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunkId = (p) => String.fromCharCode(...bytes.subarray(p, p + 4));
+
+    if (bytes.length < 14 || chunkId(0) !== 'MThd') throw new Error('MidiFile: not a Standard MIDI File');
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    if (format === 2) throw new Error('MidiFile: format 2 (independent sequences) is not supported');
+    if (format > 2) throw new Error(`MidiFile: unknown format ${format}`);
+
+    const tracks = [];
+    let p = 8 + headerLength;
+    while (p + 8 <= bytes.length && tracks.length < trackCount) {
+      const id = chunkId(p);
+      const length = view.getUint32(p + 4);
+      p += 8;
+      if (p + length > bytes.length) throw new Error('MidiFile: truncated track');
+      // unknown chunk types are allowed by the spec and skipped
+      if (id === 'MTrk') tracks.push(MidiFile._readTrack(bytes.subarray(p, p + length), tracks.length));
+      p += length;
+    }
+    if (!tracks.length) throw new Error('MidiFile: no tracks');
+
+    const toSeconds = MidiFile._timeline(division, tracks.flatMap(t => t.tempos));
+    const events = sortNoteEvents(tracks.flatMap(t => t.notes), e => e.tick)
+      .map(({ tick, ...event }) => ({ ...event, time: toSeconds(tick) }));
+
+    const firstTempo = tracks.flatMap(t => t.tempos).sort((a, b) => a.tick - b.tick)[0];
+    const signature = tracks.flatMap(t => t.signatures).sort((a, b) => a.tick - b.tick)[0];
+    return {
+      format,
+      ticksPerBeat: division & 0x8000 ? null : division,
+      tempo: firstTempo ? Math.round(60e9 / firstTempo.microseconds) / 1000 : DEFAULT_TEMPO,
+      timeSignature: signature ? { beatsPerBar: signature.beatsPerBar, beatUnit: signature.beatUnit } : { beatsPerBar: 4, beatUnit: 4 },
+      duration: Math.max(0, ...tracks.map(t => toSeconds(t.endTick))),
+      tracks: tracks.map(t => ({ name: t.name, notes: t.notes.filter(e => e.type === 'noteOn').length })),
+      events
+    };
+  }
+
+  // one MTrk chunk -> { name, notes: [{ tick, type, midi, velocity?, channel, track }], tempos, signatures, endTick }
+  static _readTrack(bytes, trackIndex) {
+    const track = { name: '', notes: [], tempos: [], signatures: [], endTick: 0 };
+    let p = 0;
+    let tick = 0;
+    let running = 0;
+
+    const readVarLength = () => {
+      let value = 0;
+      for (let i = 0; i < 4; i++) {
+        if (p >= bytes.length) throw new Error('MidiFile: truncated event');
+        const b = bytes[p++];
+        value = (value << 7) | (b & 0x7f);
+        if (!(b & 0x80)) return value;
+      }
+      throw new Error('MidiFile: bad variable-length number');
+    };
+
+    while (p < bytes.length) {
+      tick += readVarLength();
+      let status = bytes[p];
+      if (status >= 0x80) {
+        p++;
+      } else {
+        // running status: the data byte belongs to the previous channel message
+        if (!running) throw new Error('MidiFile: data byte without a status');
+        status = running;
+      }
+
+      if (status === 0xff) {
+        const type = bytes[p++];
+        const length = readVarLength();
+        const data = bytes.subarray(p, p + length);
+        p += length;
+        if (type === META_END_OF_TRACK) break;
+        if (type === META_TRACK_NAME && !track.name) track.name = String.fromCharCode(...data);
+        if (type === META_TEMPO && length >= 3) {
+          track.tempos.push({ tick, microseconds: (data[0] << 16) | (data[1] << 8) | data[2] });
+        }
+        if (type === META_TIME_SIGNATURE && length >= 2) {
+          track.signatures.push({ tick, beatsPerBar: data[0], beatUnit: 2 ** data[1] });
+        }
+        running = 0;
+      } else if (status === 0xf0 || status === 0xf7) {
+        const length = readVarLength();
+        p += length;
+        running = 0;
+      } else if (status >= 0x80 && status < 0xf0) {
+        const kind = status >> 4;
+        const channel = status & 0x0f;
+        const data = bytes.subarray(p, p + DATA_LENGTHS[kind]);
+        p += DATA_LENGTHS[kind];
+        if (data.length < DATA_LENGTHS[kind]) throw new Error('MidiFile: truncated event');
+        running = status;
+        if (kind === 0x9 && data[1] > 0) {
+          track.notes.push({ tick, type: 'noteOn', midi: data[0], velocity: data[1] / 127, channel, track: trackIndex });
+        } else if (kind === 0x8 || kind === 0x9) {
+          track.notes.push({ tick, type: 'noteOff', midi: data[0], channel, track: trackIndex });
+        }
+      } else {
+        throw new Error(`MidiFile: unexpected status byte 0x${status.toString(16)}`);
+      }
+    }
+    track.endTick = tick;
+    return track;
+  }
+
+  // tick -> seconds through the tempo map (or the fixed SMPTE frame rate)
+  static _timeline(division, tempos) {
+    if (division & 0x8000) {
+      // high byte: negative frames per second (-29 means 29.97 drop frame); low byte: ticks per frame
+      const fps = -((division >> 8) << 24 >> 24);
+      const ticksPerSecond = (fps === 29 ? 29.97 : fps) * (division & 0xff);
+      return (tick) => tick / ticksPerSecond;
+    }
+    const segments = [{ tick: 0, seconds: 0, microseconds: 60e6 / DEFAULT_TEMPO }];
+    tempos.slice().sort((a, b) => a.tick - b.tick).forEach(({ tick, microseconds }) => {
+      const last = segments[segments.length - 1];
+      const seconds = last.seconds + ((tick - last.tick) * last.microseconds) / division / 1e6;
+      if (tick === last.tick) last.microseconds = microseconds;
+      else segments.push({ tick, seconds, microseconds });
+    });
+    return (tick) => {
+      let s = segments[0];
+      for (const segment of segments) {
+        if (segment.tick > tick) break;
+        s = segment;
+      }
+      return s.seconds + ((tick - s.tick) * s.microseconds) / division / 1e6;
+    };
+  }
+
+  /**
+   * Write note events as a Standard MIDI File at one tempo.
+   * @param {Object[]} events - [{ type, midi, velocity, time, channel?, track? }], any order
+   * @param {Object} opts - format: 0 (default) | 1, tempo (BPM, default 120), ticksPerBeat
+   *   (default 480), beatsPerBar / beatUnit (default 4 / 4), name (sequence name)
+   * @returns {ArrayBuffer}
+   */
+  static encode(events, opts = {}) {
+    const format = opts.format ?? 0;
+    if (format !== 0 && format !== 1) throw new Error(`MidiFile: cannot write format ${format}`);
+    const tempo = opts.tempo || DEFAULT_TEMPO;
+    const ticksPerBeat = opts.ticksPerBeat || DEFAULT_TICKS_PER_BEAT;
+    const beatUnit = opts.beatUnit || 4;
+    const toTick = (seconds) => Math.max(0, Math.round((seconds * tempo / 60) * ticksPerBeat));
+
+    const notes = sortNoteEvents(events
+      .filter(e => e.type === 'noteOn' || e.type === 'noteOff')
+      .map(e => ({ ...e, tick: toTick(e.time || 0) })), e => e.tick);
+
+    const conductor = [];
+    if (opts.name) conductor.push({ tick: 0, bytes: [0xff, META_TRACK_NAME, ...MidiFile._metaData(ascii(opts.name))] });
+    const microseconds = Math.round(60e6 / tempo);
+    conductor.push({ tick: 0, bytes: [0xff, META_TEMPO, 3, (microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff] });
+    // nn dd cc bb: numerator, log2 denominator, clocks per click, 32nds per quarter
+    conductor.push({ tick: 0, bytes: [0xff, META_TIME_SIGNATURE, 4, clamp7(opts.beatsPerBar || 4), Math.round(Math.log2(beatUnit)), 24, 8] });
+
+    const noteMessage = (e) => {
+      const channel = (e.channel || 0) & 0x0f;
+      return e.type === 'noteOn'
+        ? { tick: e.tick, bytes: [0x90 | channel, clamp7(e.midi), Math.max(1, clamp7((e.velocity ?? 1) * 127))] }
+        : { tick: e.tick, bytes: [0x80 | channel, clamp7(e.midi), NOTE_OFF_VELOCITY] };
+    };
+
+    let chunks;
+    if (format === 0) {
+      chunks = [MidiFile._trackChunk([...conductor, ...notes.map(noteMessage)])];
+    } else {
+      const trackIds = [...new Set(notes.map(e => e.track || 0))].sort((a, b) => a - b);
+      chunks = [
+        MidiFile._trackChunk(conductor),
+        ...trackIds.map(id => MidiFile._trackChunk(notes.filter(e => (e.track || 0) === id).map(noteMessage)))
+      ];
+    }
+
+    const header = [...ascii('MThd'), 0, 0, 0, 6, 0, format, (chunks.length >> 8) & 0xff, chunks.length & 0xff, (ticksPerBeat >> 8) & 0x7f, ticksPerBeat & 0xff];
+    const out = new Uint8Array(header.length + chunks.reduce((n, c) => n + c.length, 0));
+    out.set(header, 0);
+    let p = header.length;
+    chunks.forEach((chunk) => {
+      out.set(chunk, p);
+      p += chunk.length;
+    });
+    return out.buffer;
+  }
+
+  static _metaData(data) {
+    const out = [];
+    writeVarLength(out, data.length);
+    return [...out, ...data];
+  }
+
+  // sorted { tick, bytes } messages -> an MTrk chunk with delta times and an end-of-track
+  static _trackChunk(messages) {
+    const body = [];
+    let tick = 0;
+    messages.forEach((m) => {
+      writeVarLength(body, m.tick - tick);
+      body.push(...m.bytes);
+      tick = m.tick;
+    });
+    body.push(0, 0xff, META_END_OF_TRACK, 0);
+    const length = body.length;
+    return Uint8Array.from([...ascii('MTrk'), (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff, ...body]);
+  }
+
+  /** encode() wrapped in a Blob for download. */
+  static toBlob(events, opts = {}) {
+    return new Blob([MidiFile.encode(events, opts)], { type: 'audio/midi' });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.MidiFile = MidiFile;
+}
+export default MidiFile;
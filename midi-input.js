@@ -0,0 +1,265 @@
+/* midi-input.js
+   MidiInput - Web MIDI input layer with sustain pedal handling and MIDI learn
+
+   Usage:
+     const midi = new MidiInput();                // or new MidiInput({ requestMIDIAccess: fakeAccessFn })
+     await midi.init();
+     midi.selectInput(midi.getInputs()[0].id);
+     midi.on('noteon', ({ note, velocity }) => synthNode.noteOn({ midi: note, velocity }));
+     midi.on('noteoff', ({ note }) => synthNode.noteOff({ midi: note }));
+     midi.registerTarget('filterCutoff', 'Filter cutoff', (v) => synthNode.setParam('filterCutoff', 20 * Math.pow(1000, v)));
+     midi.learn('filterCutoff');                  // next CC moved gets bound to the target
+
+   Events (fn receives one object):
+     noteon    { note, velocity, channel }        // velocity 0..1
+     noteoff   { note, channel }                  // deferred while the sustain pedal is down
+     pitchbend { value, channel }                 // -1..1
+     modwheel  { value, channel }                 // CC1, 0..1 (unless CC1 is bound to a learn target)
+     sustain   { down, channel }
+     cc        { controller, value, channel }     // value 0..1, after any learned binding was applied
+     learned   { controller, target }
+     devices   { inputs }                         // input list changed (hot-plug)
+
+   Unplugging the selected input releases its held and sustained notes and lifts the pedal; it is
+   listened to again when a device with the same id comes back.
+*/
+
+const SUSTAIN_CC = 64;
+const MOD_WHEEL_CC = 1;
+const BINDINGS_KEY = 'xtron.midiBindings';
+
+class MidiInput {
+  /**
+   * @param {Object} opts - optional config
+   *   - requestMIDIAccess: function returning Promise<MIDIAccess> (defaults to navigator.requestMIDIAccess)
+   *   - storage: Storage-like object used to persist learned bindings (defaults to localStorage, null disables)
+   *   - channel: MIDI channel 0..15 to listen to, or 'all'
+   */
+  constructor(opts = {}) {
+    const nav = typeof navigator !== 'undefined' ? navigator : null;
+    this.requestMIDIAccess = opts.requestMIDIAccess ||
+      (nav && typeof nav.requestMIDIAccess === 'function' ? nav.requestMIDIAccess.bind(nav) : null);
+    this.storage = opts.storage !== undefined ? opts.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.channel = opts.channel ?? 'all';
+    this.access = null;
+    this.input = null;
+    this.selectedId = null;          // input chosen with selectInput(), kept while it is unplugged
+    this.sustainDown = false;
+    this.heldNotes = new Set();      // keys physically down
+    this.sustainedNotes = new Set(); // keys released while the pedal was down
+    this.targets = new Map();        // targetId -> { label, apply(value01) }
+    this.bindings = new Map();       // controller number -> targetId
+    this.learnTarget = null;
+    this._handlers = [];
+    this._onMidiMessage = (ev) => this.handleMessage(ev.data);
+    this._loadBindings();
+  }
+
+  /**
+   * Request MIDI access. Resolves false (instead of throwing) when Web MIDI is unsupported.
+   */
+  async init() {
+    if (!this.requestMIDIAccess) return false;
+    this.access = await this.requestMIDIAccess({ sysex: false });
+    this.access.onstatechange = () => this._onStateChange();
+    return true;
+  }
+
+  /**
+   * List available inputs: [{ id, name, manufacturer }]
+   */
+  getInputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.inputs.values()).map(i => ({ id: i.id, name: i.name, manufacturer: i.manufacturer }));
+  }
+
+  /**
+   * Listen to one input by id. Pass null to stop listening. An input that is not plugged in (yet)
+   * is picked up when it appears; returns whether it is listened to now.
+   */
+  selectInput(id) {
+    this._detach();
+    this.selectedId = id ?? null;
+    return this._attach();
+  }
+
+  /**
+   * Register a learnable destination. apply(value) receives the CC value scaled to 0..1.
+   */
+  registerTarget(id, label, apply) {
+    this.targets.set(id, { label, apply });
+  }
+
+  /**
+   * Arm MIDI learn: the next control change is bound to targetId.
+   */
+  learn(targetId) {
+    if (!this.targets.has(targetId)) throw new Error(`MidiInput: unknown learn target "${targetId}"`);
+    this.learnTarget = targetId;
+  }
+
+  cancelLearn() {
+    this.learnTarget = null;
+  }
+
+  bind(controller, targetId) {
+    // one controller per target
+    for (const [cc, t] of this.bindings) if (t === targetId) this.bindings.delete(cc);
+    this.bindings.set(controller, targetId);
+    this._saveBindings();
+  }
+
+  unbind(controller) {
+    this.bindings.delete(controller);
+    this._saveBindings();
+  }
+
+  /**
+   * Parse one raw MIDI message (Uint8Array or array of bytes).
+   */
+  handleMessage(data) {
+    if (!data || data.length < 1) return;
+    const status = data[0] & 0xf0;
+    const channel = data[0] & 0x0f;
+    if (this.channel !== 'all' && channel !== this.channel) return;
+    const d1 = data[1] ?? 0;
+    const d2 = data[2] ?? 0;
+
+    switch (status) {
+      case 0x90:
+        if (d2 > 0) this._noteOn(d1, d2 / 127, channel);
+        else this._noteOff(d1, channel); // running-status note off
+        break;
+      case 0x80:
+        this._noteOff(d1, channel);
+        break;
+      case 0xb0:
+        this._controlChange(d1, d2, channel);
+        break;
+      case 0xe0: {
+        const value14 = (d2 << 7) | d1;
+        this._emit('pitchbend', { value: Math.max(-1, (value14 - 8192) / 8191), channel });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  on(type, fn) {
+    this._handlers.push({ type, fn });
+  }
+
+  _emit(type, data) {
+    this._handlers.forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('MidiInput handler error', e); }
+      }
+    });
+  }
+
+  // hot-plug: let go of the selected input when it disappears, take it back when it returns
+  _onStateChange() {
+    if (this.input && this.input.state === 'disconnected') this._detach();
+    if (!this.input) this._attach();
+    this._emit('devices', { inputs: this.getInputs() });
+  }
+
+  _attach() {
+    if (!this.access || this.selectedId == null) return false;
+    const input = this.access.inputs.get(this.selectedId);
+    if (!input || input.state === 'disconnected') return false;
+    input.onmidimessage = this._onMidiMessage;
+    this.input = input;
+    return true;
+  }
+
+  _detach() {
+    if (this.input) this.input.onmidimessage = null;
+    this.input = null;
+    this._releaseAll();
+  }
+
+  _noteOn(note, velocity, channel) {
+    if (this.sustainedNotes.has(note)) {
+      // re-striking a sustained key: end the ringing note so the new one can start
+      this.sustainedNotes.delete(note);
+      this._emit('noteoff', { note, channel });
+    }
+    this.heldNotes.add(note);
+    this._emit('noteon', { note, velocity, channel });
+  }
+
+  _noteOff(note, channel) {
+    if (!this.heldNotes.delete(note)) return;
+    if (this.sustainDown) {
+      this.sustainedNotes.add(note);
+      return;
+    }
+    this._emit('noteoff', { note, channel });
+  }
+
+  _controlChange(controller, value, channel) {
+    if (this.learnTarget && controller !== SUSTAIN_CC) {
+      const target = this.learnTarget;
+      this.learnTarget = null;
+      this.bind(controller, target);
+      this._emit('learned', { controller, target });
+    }
+
+    const targetId = this.bindings.get(controller);
+    if (targetId && this.targets.has(targetId)) {
+      try { this.targets.get(targetId).apply(value / 127); } catch (e) { console.error('MidiInput target error', e); }
+    } else if (controller === SUSTAIN_CC) {
+      this._setSustain(value >= 64, channel);
+    } else if (controller === MOD_WHEEL_CC) {
+      this._emit('modwheel', { value: value / 127, channel });
+    }
+    this._emit('cc', { controller, value: value / 127, channel });
+  }
+
+  _setSustain(down, channel) {
+    if (down === this.sustainDown) return;
+    this.sustainDown = down;
+    this._emit('sustain', { down, channel });
+    if (!down) {
+      this.sustainedNotes.forEach(note => this._emit('noteoff', { note, channel }));
+      this.sustainedNotes.clear();
+    }
+  }
+
+  // switching or losing a device must not leave notes hanging or the pedal down
+  _releaseAll() {
+    new Set([...this.heldNotes, ...this.sustainedNotes]).forEach(note => this._emit('noteoff', { note, channel: 0 }));
+    this.heldNotes.clear();
+    this.sustainedNotes.clear();
+    if (this.sustainDown) {
+      this.sustainDown = false;
+      this._emit('sustain', { down: false, channel: 0 });
+    }
+  }
+
+  _loadBindings() {
+    if (!this.storage) return;
+    try {
+      const saved = JSON.parse(this.storage.getItem(BINDINGS_KEY) || '[]');
+      saved.forEach(([cc, target]) => this.bindings.set(cc, target));
+    } catch (e) {
+      console.warn('MidiInput: ignoring unreadable saved bindings', e);
+    }
+  }
+
+  _saveBindings() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(BINDINGS_KEY, JSON.stringify(Array.from(this.bindings.entries())));
+    } catch (e) {
+      console.warn('MidiInput: could not save bindings', e);
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.MidiInput = MidiInput;
+}
+export default MidiInput;
@@ -2,104 +2,242 @@
    MiniSynthNode - convenience wrapper around AudioWorkletNode
 
    Usage:
-     const node = new MiniSynthNode(audioContext, { maxVoices: 12 });
-     await node.init(); // loads handshake, not the worklet module itself
+     const node = new MiniSynthNode(audioContext, { maxVoices: 12, workletUrl: 'audio/mini-synth-processor.js' });
+     node.on('error', (err) => console.warn(err.code, err.message));
+     await node.init(); // adds the module, creates the node, waits for the processor's handshake
      node.connect(audioContext.destination);
      node.setParam('filterCutoff', 2000);
      node.noteOn({ midi: 60, freq: 261.6256, velocity: 0.9 });
-     node.postMessage({ type: 'load-sample', id: 'kick', channels: [...] }, [/* transferables */]);
+     node.setLfo(0, { shape: 'triangle', sync: '1/8' });
+     node.setModRoutes([{ source: 'lfo1', destination: 'filterCutoff', depth: 0.4 }]);
+     await node.loadSample('kick', [left, right], 44100);   // resolves once the processor has it
+     await node.reconnect();                                 // fresh processor after a crash
+
+   Lifecycle: state goes idle -> connecting -> ready, or failed (init rejects and an 'error' event is
+   emitted). The processor answers its construction with { ready, protocol, capabilities }; a
+   protocol outside MIN_PROTOCOL..PROTOCOL_VERSION fails the handshake, and hasCapability() tells
+   which optional features it supports. The handshake only times out while the context is running -
+   a suspended context may not run the processor yet. Messages posted before the handshake are
+   queued. dispose() rejects everything still pending; init() afterwards (or reconnect()) starts a
+   fresh processor, connected to the same destinations and given the cached params again. Samples,
+   zones and modulation are not cached and have to be sent again.
+
+   Errors are MiniSynthError instances with a code:
+     module-load-failed, node-create-failed   init could not load the module / create the node
+     handshake-timeout, protocol-mismatch     the processor did not answer / speaks another protocol
+     processor-error                          the processor threw ('processorerror') and has stopped
+     invalid-message, unknown-message         the processor rejected a message
+     post-failed                              a message could not be posted (e.g. not cloneable)
+     disposed                                 the node was disposed while a request was pending
+   Errors answering a request() (loadSample, sync, ...) reject that request's promise; every other
+   error is emitted as an 'error' event.
 */
 
+const PROTOCOL_VERSION = 2;       // message protocol this wrapper speaks (see the processor)
+const MIN_PROTOCOL = 2;           // oldest processor protocol still understood
+const HANDSHAKE_TIMEOUT = 5000;   // ms the processor gets to answer once the context runs
+// AudioParams exposed by the processor, with the values a new node starts from
+const AUDIO_PARAM_DEFAULTS = { filterCutoff: 1000, filterQ: 1.0, unisonCount: 1, unisonDetune: 12.0 };
+
+class MiniSynthError extends Error {
+  /**
+   * @param {String} code - see the list above
+   * @param {String} message
+   * @param {Object} detail - optional: requestId, requestType, cause
+   */
+  constructor(code, message, detail = {}) {
+    super(message);
+    this.name = 'MiniSynthError';
+    this.code = code;
+    Object.assign(this, detail);
+  }
+}
+
 class MiniSynthNode {
   /**
    * @param {BaseAudioContext} audioContext
    * @param {Object} opts - optional config
    *   - processorName: name registered in the worklet processor (string)
-   *   - workletUrl: path to the processor module (string). If provided and not loaded, wrapper will addModule.
+   *   - workletUrl: path to the processor module (string). If provided, init() calls addModule.
    *   - maxVoices: (number) - hint for processor initialization
+   *   - handshakeTimeout: ms to wait for the processor once the context runs (default 5000)
    */
   constructor(audioContext, opts = {}) {
     this.context = audioContext;
     this.processorName = opts.processorName || 'mini-synth-processor';
     this.workletUrl = opts.workletUrl || null; // optional: auto-add module if provided
+    this.handshakeTimeout = opts.handshakeTimeout || HANDSHAKE_TIMEOUT;
     this.node = null;
+    this.state = 'idle';             // idle | connecting | ready | failed | disposed
+    this.protocol = 0;               // negotiated in the handshake
+    this.capabilities = new Set();
     this._ready = false;
     this._pendingMessages = [];
-    this._paramCache = new Map(); // simple cache for non-AudioParam values
+    this._paramCache = new Map(); // every param set so far, replayed to a fresh processor
     this._defaultOptions = opts;
     this._onmessageHandlers = [];
+    this._requests = new Map();      // requestId -> { resolve, reject, type }
+    this._requestCounter = 0;
+    this._destinations = [];         // what connect() was given, restored by a re-init
+    this._initPromise = null;
+    this._attempt = 0;               // bumped by dispose(), so an init it interrupted stops there
+    this._handshake = null;          // { resolve, reject } while waiting for the processor
+    this._handshakeTimer = null;
   }
 
   /**
    * Initialize: add module (if workletUrl provided), create node, and handshake.
-   * Returns a Promise that resolves when the processor sends { ready: true }.
+   * Resolves when the processor has answered with a protocol this wrapper speaks; rejects with a
+   * MiniSynthError otherwise. Calling it again while connecting or ready returns the same promise.
    */
-  async init() {
+  init() {
+    if (!this._initPromise) {
+      const attempt = this._connect();
+      // a failed attempt can be retried
+      attempt.catch(() => {
+        if (this._initPromise === attempt) this._initPromise = null;
+      });
+      this._initPromise = attempt;
+    }
+    return this._initPromise;
+  }
+
+  /**
+   * Replace the processor with a fresh one, e.g. after a 'processor-error'. Pending requests are
+   * rejected; samples have to be loaded again once this resolves.
+   */
+  reconnect() {
+    this.dispose();
+    return this.init();
+  }
+
+  async _connect() {
+    const attempt = this._attempt;
+    this._releaseNode();           // the remains of a failed processor
+    this._setState('connecting');
     if (this.workletUrl) {
-      // add module only if provided (safe to call multiple times)
+      // addModule resolves right away for a module that is already loaded
       try {
         await this.context.audioWorklet.addModule(this.workletUrl);
       } catch (err) {
-        console.error('Failed to add AudioWorklet module:', err);
-        throw err;
+        throw this._fail(new MiniSynthError('module-load-failed', `MiniSynthNode: loading ${this.workletUrl} failed`, { cause: err }));
       }
+      if (attempt !== this._attempt) throw new MiniSynthError('disposed', 'MiniSynthNode: disposed during init');
     }
 
-    // Create the node with some reasonable default options
-    const nodeOptions = {
-      numberOfInputs: 0,
-      numberOfOutputs: 1,
-      outputChannelCount: [2],
-      parameterData: {
-        // basic defaults (the processor will expose actual AudioParams)
-        filterCutoff: 1000,
-        filterQ: 1.0,
-        unisonCount: 1,
-        unisonDetune: 12.0
-      }
+    // AudioParams start from their last set values, so a re-init sounds like before
+    const parameterData = {};
+    Object.entries(AUDIO_PARAM_DEFAULTS).forEach(([name, value]) => {
+      parameterData[name] = this._paramCache.has(name) ? this._paramCache.get(name) : value;
+    });
+    let node;
+    try {
+      node = new AudioWorkletNode(this.context, this.processorName, {
+        numberOfInputs: 0,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+        processorOptions: {
+          maxVoices: this._defaultOptions.maxVoices,
+          protocol: PROTOCOL_VERSION
+        },
+        parameterData
+      });
+    } catch (err) {
+      throw this._fail(new MiniSynthError('node-create-failed', `MiniSynthNode: creating "${this.processorName}" failed`, { cause: err }));
+    }
+    this.node = node;
+    this._params = node.parameters; // AudioParamMap (may be empty depending on processor)
+
+    // the one port listener; messages from a node that has been replaced since are dropped
+    node.port.onmessage = (ev) => {
+      if (this.node === node) this._handleMessage(ev.data);
+    };
+    node.onprocessorerror = (ev) => {
+      if (this.node !== node) return;
+      this._fail(new MiniSynthError('processor-error', 'MiniSynthNode: the processor threw an exception and has stopped', { cause: ev }));
     };
 
-    this.node = new AudioWorkletNode(this.context, this.processorName, nodeOptions);
+    await new Promise((resolve, reject) => {
+      this._handshake = { resolve, reject };
+      this._armHandshakeTimeout();
+    });
+    this._destinations.forEach(d => node.connect(d));
+  }
 
-    // hook message port
-    this.node.port.onmessage = (ev) => this._handleMessage(ev.data);
+  _armHandshakeTimeout() {
+    clearTimeout(this._handshakeTimer);
+    this._handshakeTimer = setTimeout(() => {
+      if (!this._handshake) return;
+      if (this.context.state === 'suspended') {
+        this._armHandshakeTimeout();
+        return;
+      }
+      this._fail(new MiniSynthError('handshake-timeout', `MiniSynthNode: no answer from "${this.processorName}" after ${this.handshakeTimeout}ms`));
+    }, this.handshakeTimeout);
+  }
 
-    // set up parameter map reference for quick lookups
-    this._params = this.node.parameters; // AudioParamMap (may be empty depending on processor)
+  _onHandshake(data) {
+    if (!this._handshake) return;
+    const handshake = this._handshake;
+    clearTimeout(this._handshakeTimer);
+    const protocol = data.protocol || 1;
+    if (protocol < MIN_PROTOCOL || protocol > PROTOCOL_VERSION) {
+      this._fail(new MiniSynthError('protocol-mismatch',
+        `MiniSynthNode: processor speaks protocol ${protocol}, expected ${MIN_PROTOCOL}..${PROTOCOL_VERSION}`));
+      return;
+    }
+    this._handshake = null;
+    this.protocol = protocol;
+    this.capabilities = new Set(data.capabilities || []);
+    this._ready = true;
 
-    // handshake: wait for ready message from the processor
-    const readyPromise = new Promise((resolve) => {
-      const onReady = (data) => {
-        if (data && data.ready) {
-          this._ready = true;
-          // flush pending messages
-          this._pendingMessages.forEach(m => this.node.port.postMessage(m.msg, m.transfer));
-          this._pendingMessages = [];
-          this._callHandlers('ready', data);
-          resolve();
-        }
-      };
-      // temporary listener
-      const tempListener = (ev) => onReady(ev.data);
-      const prev = this.node.port.onmessage;
-      // augment existing handler
-      this.node.port.onmessage = (ev) => {
-        // call internal handler then original handler logic
-        this._handleMessage(ev.data);
-        if (typeof prev === 'function') prev(ev);
-      };
-      // If the processor already posted ready synchronously, our node.port.onmessage will catch it via _handleMessage
-      // fallback: set a timeout to resolve to avoid hang (optional)
-      setTimeout(() => {
-        if (!this._ready) {
-          console.warn('MiniSynthNode: no ready message received from worklet after 2s - proceeding anyway.');
-          this._ready = true;
-          resolve();
-        }
-      }, 2000);
+    // cached params first (a re-init starts from scratch), then whatever was queued meanwhile
+    this._paramCache.forEach((value, name) => {
+      if (!(name in AUDIO_PARAM_DEFAULTS)) this._send({ type: 'param', name, value }, []);
     });
+    const queued = this._pendingMessages;
+    this._pendingMessages = [];
+    queued.forEach(m => this._send(m.msg, m.transfer));
+    this._setState('ready');
+    this._callHandlers('ready', data);
+    handshake.resolve();
+  }
+
+  // The processor can't be used (any more): reject what waits on it and report the error
+  _fail(error) {
+    clearTimeout(this._handshakeTimer);
+    this._ready = false;
+    this._initPromise = null;      // init() may try again
+    this._setState('failed');
+    if (this._handshake) {
+      this._handshake.reject(error);
+      this._handshake = null;
+    }
+    this._rejectAll(error);
+    this._pendingMessages = [];
+    this._callHandlers('error', error);
+    return error;
+  }
 
-    return readyPromise;
+  _rejectAll(error) {
+    const requests = Array.from(this._requests.values());
+    this._requests.clear();
+    requests.forEach(r => r.reject(error));
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this._callHandlers('statechange', { state });
+  }
+
+  /** Whether the connected processor announced an optional feature (see its CAPABILITIES). */
+  hasCapability(name) {
+    return this.capabilities.has(name);
+  }
+
+  get isReady() {
+    return this._ready;
   }
 
   /**
@@ -107,26 +245,49 @@ class MiniSynthNode {
    */
   _handleMessage(data) {
     if (!data) return;
+    if (data.ready) {
+      this._onHandshake(data);
+      return;
+    }
+    if (data.type === 'ack') {
+      const pending = this._requests.get(data.requestId);
+      if (!pending) return;
+      this._requests.delete(data.requestId);
+      pending.resolve();
+      return;
+    }
+    if (data.type === 'error') {
+      const error = new MiniSynthError(data.code || 'invalid-message', `MiniSynthNode: ${data.message}`, {
+        requestId: data.requestId,
+        requestType: data.requestType
+      });
+      const pending = this._requests.get(data.requestId);
+      if (pending) {
+        this._requests.delete(data.requestId);
+        pending.reject(error);
+      } else {
+        this._callHandlers('error', error);
+      }
+      return;
+    }
     // emit event-like callbacks
     if (data.type) {
       this._callHandlers(data.type, data);
     }
-    // example: the processor might post parameter updates or status
-    if (data.paramUpdate) {
-      // update local cache if needed
-      Object.entries(data.paramUpdate).forEach(([k, v]) => this._paramCache.set(k, v));
-    }
   }
 
   /**
-   * Register a message-type handler: fn(typeData)
+   * Register a message-type handler: fn(typeData). Besides the processor's own messages
+   * ('playhead', 'voices', ...) there are 'ready', 'statechange' { state } and 'error'
+   * (a MiniSynthError). Use '*' for everything.
    */
   on(type, fn) {
     this._onmessageHandlers.push({ type, fn });
   }
 
   _callHandlers(type, data) {
-    this._onmessageHandlers.forEach(h => {
+    // copy: a handler may remove itself
+    this._onmessageHandlers.slice().forEach(h => {
       if (h.type === type || h.type === '*') {
         try { h.fn(data); } catch (e) { console.error('MiniSynthNode handler error', e); }
       }
@@ -134,7 +295,8 @@ class MiniSynthNode {
   }
 
   /**
-   * Connect to destination or other AudioNode
+   * Connect to destination or other AudioNode. Remembered, so a re-initialized node is connected
+   * the same way.
    */
   connect(destination) {
     if (!this.node) {
@@ -142,6 +304,7 @@ class MiniSynthNode {
       return;
     }
     this.node.connect(destination);
+    if (!this._destinations.includes(destination)) this._destinations.push(destination);
   }
 
   /**
@@ -149,6 +312,7 @@ class MiniSynthNode {
    */
   disconnect() {
     if (this.node) this.node.disconnect();
+    this._destinations = [];
   }
 
   /**
@@ -160,10 +324,10 @@ class MiniSynthNode {
    * @param {Object} opts - optional: { ramp: 'linear'|'exponential', time: seconds, now: false }
    */
   setParam(name, value, opts = {}) {
+    this._paramCache.set(name, value);
     if (!this.node) {
-      // cache locally until ready
-      this._paramCache.set(name, value);
-      this._pendingMessages.push({ msg: { type: 'param', name, value }, transfer: [] });
+      // AudioParams get the cached value when the node is created, the rest is queued
+      if (!(name in AUDIO_PARAM_DEFAULTS)) this.postMessage({ type: 'param', name, value });
       return;
     }
 
@@ -187,7 +351,6 @@ class MiniSynthNode {
     } else {
       // not an AudioParam, send over message port
       this.postMessage({ type: 'param', name, value });
-      this._paramCache.set(name, value);
     }
   }
 
@@ -201,31 +364,69 @@ class MiniSynthNode {
   }
 
   /**
-   * Post a message to the processor. If node not ready, enqueue.
+   * Post a message to the processor. Queued until the handshake while idle or connecting; dropped
+   * (a request is rejected) once the node has failed or been disposed, so stale notes never reach
+   * a re-initialized processor.
    * @param {Object} msg
    * @param {ArrayBuffer[]} transfer - optionally transfer typed arrays
    */
   postMessage(msg, transfer = []) {
+    if (msg && msg.type === 'param' && msg.name) this._paramCache.set(msg.name, msg.value);
+    if (this.state === 'failed' || this.state === 'disposed') {
+      this._settle(msg, new MiniSynthError(this.state === 'failed' ? 'processor-error' : 'disposed',
+        `MiniSynthNode: "${msg.type}" posted to a ${this.state} node`, { requestType: msg.type, requestId: msg.requestId }));
+      return;
+    }
     if (!this.node || !this._ready) {
-      // queue until ready
       this._pendingMessages.push({ msg, transfer });
-      // still update local cache for param-style messages
-      if (msg && msg.type === 'param' && msg.name) this._paramCache.set(msg.name, msg.value);
       return;
     }
+    this._send(msg, transfer);
+  }
+
+  _send(msg, transfer) {
     try {
       this.node.port.postMessage(msg, transfer);
     } catch (err) {
-      console.error('MiniSynthNode.postMessage error:', err, msg);
+      this._settle(msg, new MiniSynthError('post-failed', `MiniSynthNode: posting "${msg.type}" failed: ${err.message}`, {
+        requestType: msg.type, requestId: msg.requestId, cause: err
+      }), true);
+    }
+  }
+
+  // reject the request `msg` belongs to; without one, report `error` if `emit` is set
+  _settle(msg, error, emit = false) {
+    const pending = msg && this._requests.get(msg.requestId);
+    if (pending) {
+      this._requests.delete(msg.requestId);
+      pending.reject(error);
+    } else if (emit) {
+      this._callHandlers('error', error);
     }
   }
 
+  /**
+   * Post a message and wait for the processor to apply it.
+   * @returns {Promise<void>} resolves on its ack, rejects with a MiniSynthError
+   */
+  request(msg, transfer = []) {
+    const requestId = ++this._requestCounter;
+    return new Promise((resolve, reject) => {
+      this._requests.set(requestId, { resolve, reject, type: msg.type });
+      this.postMessage({ ...msg, requestId }, transfer);
+    });
+  }
+
   /**
    * Convenience: schedule a noteOn
-   * @param {Object} note - { midi, freq, velocity, time }
+   * @param {Object} note - { midi, freq, velocity, time, attack, decay, sustain, release }
+   *   Envelope fields are optional; omitted ones use the processor defaults set through setParam.
    */
   noteOn(note = {}) {
     const msg = { type: 'noteOn', midi: note.midi, freq: note.freq, velocity: note.velocity ?? 1.0, time: note.time ?? 0 };
+    ['attack', 'decay', 'sustain', 'release'].forEach((k) => {
+      if (typeof note[k] === 'number') msg[k] = note[k];
+    });
     this.postMessage(msg);
   }
 
@@ -243,33 +444,169 @@ class MiniSynthNode {
    * @param {String} sampleId - user key
    * @param {Float32Array[]} channels - array of Float32Array typed arrays (transfer these)
    * @param {Number} sampleRate - sample rate of the buffers
+   * @param {Object} region - optional playback region, all positions in frames:
+   *   { start, end, loopStart, loopEnd, loopMode: 'off'|'forward'|'pingpong', crossfade }
+   *   Defaults to the whole buffer with no sustain loop. May also carry rootNote / fineTune
+   *   (see setSampleTuning; the root defaults to C4) and slices / baseNote (see setSlices).
+   * @returns {Promise<void>} resolves once the processor has stored the sample
+   */
+  loadSample(sampleId, channels, sampleRate, region = {}) {
+    // one message: the buffers are transferred (detached here) exactly once
+    const transfer = Array.from(new Set(channels.map(ch => ch.buffer)));
+    return this.request({ ...region, type: 'load-sample', id: sampleId, channels, sampleRate }, transfer);
+  }
+
+  /**
+   * Change the region / sustain loop of an already loaded sample without re-sending its audio.
+   * Voices already sounding finish with the settings they started with.
+   * @param {String} sampleId
+   * @param {Object} region - same shape as loadSample's region argument
+   */
+  setSampleRegion(sampleId, region) {
+    this.postMessage({ ...region, type: 'sample-region', id: sampleId });
+  }
+
+  /**
+   * Set the pitch a loaded sample was recorded at. Key-to-rate mapping is relative to it:
+   * playing rootNote reproduces the sample unshifted.
+   * @param {String} sampleId
+   * @param {Number} rootNote - MIDI note number (60 = C4)
+   * @param {Number} fineTune - correction in cents (-100..100), positive plays sharper
+   */
+  setSampleTuning(sampleId, rootNote, fineTune = 0) {
+    this.postMessage({ type: 'sample-tuning', id: sampleId, rootNote, fineTune });
+  }
+
+  /**
+   * Slice mode: chop a loaded sample into slices mapped to successive keys from baseNote up.
+   * Slices play once through at their recorded pitch. Pass [] to go back to normal playback.
+   * @param {String} sampleId
+   * @param {Object[]} slices - [{ start, end, reverse }] in frames
+   * @param {Number} baseNote - MIDI note of the first slice
+   */
+  setSlices(sampleId, slices, baseNote = 60) {
+    this.postMessage({ type: 'slices', id: sampleId, baseNote, slices: slices.map(s => ({ ...s })) });
+  }
+
+  /**
+   * Free a loaded sample. Voices already playing it finish normally.
+   * @param {String} sampleId
+   */
+  unloadSample(sampleId) {
+    this.postMessage({ type: 'unload-sample', id: sampleId });
+  }
+
+  /**
+   * Replace the instrument's keymap. Each zone maps a loaded sample to a key and velocity range;
+   * notes outside every range play the nearest zone, overlapping velocity ranges crossfade.
+   * Pass [] to go back to playing the most recently loaded sample on every key.
+   * @param {Object[]} zones - [{ sampleId, lowKey, highKey, lowVel, highVel }]
+   *   keys are MIDI notes 0..127, velocities 1..127; omitted bounds cover the full range
+   */
+  setZones(zones) {
+    this.postMessage({ type: 'zones', zones: zones.map(z => ({ ...z })) });
+  }
+
+  static get MOD_SOURCES() {
+    return ['lfo1', 'lfo2', 'lfo3', 'lfo4', 'env1', 'env2', 'velocity', 'modWheel'];
+  }
+
+  static get MOD_DESTINATIONS() {
+    return ['filterCutoff', 'filterQ', 'unisonDetune', 'gain', 'pitchBend'];
+  }
+
+  static get LFO_SHAPES() {
+    return ['sine', 'triangle', 'saw', 'square', 'sampleHold'];
+  }
+
+  static get LFO_SYNC() {
+    return ['4/1', '2/1', '1/1', '1/2', '1/4', '1/4t', '1/8', '1/8t', '1/16'];
+  }
+
+  /**
+   * Configure one of the four LFOs (free-running, shared by all voices, output -1..1).
+   * @param {Number} index - 0..3 (mod source 'lfo1'..'lfo4')
+   * @param {Object} lfo - { shape, rate (Hz), sync: null | note value from LFO_SYNC (follows setTempo) }
    */
-  loadSample(sampleId, channels, sampleRate) {
-    // send metadata first
-    const meta = { type: 'load-sample-meta', id: sampleId, channels: channels.length, sampleRate };
-    const transfer = channels.map(ch => ch.buffer);
-    this.postMessage(meta, transfer);
-    // then send actual channel data message (some processors expect single message)
-    // You can also combine meta + channels in one message if the processor accepts it.
-    const payload = { type: 'load-sample-data', id: sampleId, channels };
-    this.postMessage(payload, transfer);
+  setLfo(index, lfo = {}) {
+    this.postMessage({ type: 'lfo', index, shape: lfo.shape, rate: lfo.rate, sync: lfo.sync ?? null });
   }
 
   /**
-   * Dispose / release
+   * Configure one of the two modulation envelopes (mod sources 'env1' / 'env2', 0..1).
+   * They restart with every note; changes apply to notes started afterwards.
+   * @param {Number} index - 0..1
+   * @param {Object} env - { attack, decay, release } in seconds, sustain 0..1
+   */
+  setModEnvelope(index, env = {}) {
+    this.postMessage({ type: 'mod-envelope', index, ...env });
+  }
+
+  /**
+   * Replace the mod matrix. Each route adds source * depth to a destination, scaled to its range
+   * (cutoff +-5 octaves, Q +-10, unison detune +-50 cents, gain +-100 %, pitch +-12 semitones).
+   * @param {Object[]} routes - [{ source, destination, depth (-1..1) }], names from MOD_SOURCES /
+   *   MOD_DESTINATIONS
+   */
+  setModRoutes(routes) {
+    this.postMessage({ type: 'mod-routes', routes: routes.map(r => ({ ...r })) });
+  }
+
+  /** Mod wheel position 0..1 (mod source 'modWheel'). */
+  setModWheel(value) {
+    this.setParam('modWheel', Math.max(0, Math.min(1, value)));
+  }
+
+  /** Tempo in BPM for synced LFOs. */
+  setTempo(bpm) {
+    this.setParam('tempo', bpm);
+  }
+
+  /**
+   * Resolves once the processor has applied every message posted before this call - e.g. so an
+   * OfflineAudioContext doesn't start rendering before its samples and notes have arrived.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    return this.request({ type: 'sync' });
+  }
+
+  /**
+   * Release the processor. Pending requests (and an init still waiting for its handshake) reject
+   * with a 'disposed' error. init() may be called again afterwards.
    */
   dispose() {
-    if (this.node) {
-      try { this.node.port.postMessage({ type: 'dispose' }); } catch {}
-      try { this.node.disconnect(); } catch {}
-      try { this.node = null; } catch {}
+    clearTimeout(this._handshakeTimer);
+    const error = new MiniSynthError('disposed', 'MiniSynthNode: disposed');
+    if (this._handshake) {
+      this._handshake.reject(error);
+      this._handshake = null;
     }
+    this._rejectAll(error);
+    this._pendingMessages = [];
+    this._releaseNode();
     this._ready = false;
+    this._initPromise = null;
+    this._attempt++;
+    this._setState('disposed');
+  }
+
+  _releaseNode() {
+    if (!this.node) return;
+    const node = this.node;
+    this.node = null;
+    node.onprocessorerror = null;
+    node.port.onmessage = null;
+    try { node.port.postMessage({ type: 'dispose' }); } catch {}
+    try { node.disconnect(); } catch {}
+    try { node.port.close(); } catch {}
   }
 }
 
 // Export to window/global so it can be used in simple script includes
 if (typeof window !== 'undefined') {
   window.MiniSynthNode = MiniSynthNode;
+  window.MiniSynthError = MiniSynthError;
 }
+export { MiniSynthError };
 export default MiniSynthNode;
@@ -0,0 +1,262 @@
+/* mixer.js
+   Mixer - channel strips (volume, pan, mute / solo, sends) summed into a master, plus shared send
+   buses that return into it
+
+   Usage:
+     const mixer = new Mixer(audioContext, { busCount: 2 });
+     mixer.connect(audioContext.destination);
+     const ch = mixer.addChannel('Drums');           // -> channel id
+     synthNode.connect(mixer.channelInput(ch));
+     mixer.setVolume(ch, 0.8); mixer.setPan(ch, -0.3);
+     mixer.setMute(ch, true); mixer.setSolo(ch, true);
+     mixer.setSend(ch, 0, 0.4);                      // to bus 0
+     mixer.setBusInsert(0, reverbChain);             // anything with input / output nodes, e.g. an EffectsChain
+     mixer.setBusLevel(0, 0.8); mixer.setMasterVolume(0.9);
+     mixer.on('change', ({ id }) => ...);
+
+   Per channel: input -> volume -> pan -> mute gate -> master. Sends are post-fader and tapped after
+   the gate, so a muted channel (or one silenced by another channel's solo) sends nothing either.
+   A bus sums its sends, runs them through its insert (straight through without one) and returns
+   into the master at its level. While any channel is soloed only soloed channels are heard.
+   Volume and level changes are smoothed so faders don't click.
+*/
+
+const DEFAULT_BUS_COUNT = 2;
+const SMOOTHING = 0.01;           // time constant for gain changes, seconds
+const MAX_GAIN = 2;               // faders go to +6 dB
+
+const clampGain = (v) => Math.max(0, Math.min(MAX_GAIN, +v || 0));
+const clampPan = (v) => Math.max(-1, Math.min(1, +v || 0));
+
+class Mixer {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - busCount: number of send buses (default 2)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.output = audioContext.createGain();
+    this.masterVolume = 1;
+    this.channels = [];            // in strip order: { id, name, volume, pan, mute, solo, sends, ... }
+    this.buses = [];
+    for (let i = 0; i < (opts.busCount ?? DEFAULT_BUS_COUNT); i++) {
+      const bus = { index: i, level: 1, insert: null, input: audioContext.createGain(), return: audioContext.createGain() };
+      bus.input.connect(bus.return);
+      bus.return.connect(this.output);
+      this.buses.push(bus);
+    }
+    this._idCounter = 0;
+    this._onmessageHandlers = [];
+  }
+
+  /**
+   * Register an event handler: fn(data). Events: 'change' ({ id } of the channel, { bus } or
+   * { master: true }), 'add' / 'remove' ({ id }). Use '*' for every event.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    this._onmessageHandlers.slice().forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('Mixer handler error', e); }
+      }
+    });
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /* -------------------------
+     Channels
+     ------------------------- */
+  /**
+   * Add a channel strip at the end.
+   * @param {String} name
+   * @param {Object} opts - initial volume (0..2, default 1), pan (-1..1), mute, solo, sends (level per bus)
+   * @returns {Number} channel id
+   */
+  addChannel(name = '', opts = {}) {
+    const ctx = this.context;
+    const channel = {
+      id: ++this._idCounter,
+      name,
+      volume: clampGain(opts.volume ?? 1),
+      pan: clampPan(opts.pan ?? 0),
+      mute: !!opts.mute,
+      solo: !!opts.solo,
+      sends: this.buses.map((bus, i) => clampGain((opts.sends && opts.sends[i]) || 0)),
+      input: ctx.createGain(),
+      _volume: ctx.createGain(),
+      _panner: ctx.createStereoPanner(),
+      _gate: ctx.createGain(),
+      _sendGains: []
+    };
+    channel.input.connect(channel._volume);
+    channel._volume.connect(channel._panner);
+    channel._panner.connect(channel._gate);
+    channel._gate.connect(this.output);
+    channel._volume.gain.value = channel.volume;
+    channel._panner.pan.value = channel.pan;
+    channel._gate.gain.value = this._audible(channel, channel.solo || this.channels.some(c => c.solo)) ? 1 : 0;
+    channel._sendGains = this.buses.map((bus, i) => {
+      const send = ctx.createGain();
+      send.gain.value = channel.sends[i];
+      channel._gate.connect(send);
+      send.connect(bus.input);
+      return send;
+    });
+    this.channels.push(channel);
+    if (channel.solo) this._applyGates();
+    this._callHandlers('add', { id: channel.id });
+    return channel.id;
+  }
+
+  removeChannel(id) {
+    const index = this.channels.findIndex(c => c.id === id);
+    if (index < 0) return;
+    const [channel] = this.channels.splice(index, 1);
+    [channel.input, channel._volume, channel._panner, channel._gate, ...channel._sendGains].forEach(n => n.disconnect());
+    // removing the only soloed channel un-silences the rest
+    this._applyGates();
+    this._callHandlers('remove', { id });
+  }
+
+  getChannel(id) {
+    return this.channels.find(c => c.id === id) || null;
+  }
+
+  /** The node a channel's source connects to. */
+  channelInput(id) {
+    const channel = this.getChannel(id);
+    return channel ? channel.input : null;
+  }
+
+  setVolume(id, volume) {
+    this._update(id, (channel) => {
+      channel.volume = clampGain(volume);
+      this._ramp(channel._volume.gain, channel.volume);
+    });
+  }
+
+  /** -1 (left) .. 1 (right), equal power. */
+  setPan(id, pan) {
+    this._update(id, (channel) => {
+      channel.pan = clampPan(pan);
+      this._ramp(channel._panner.pan, channel.pan);
+    });
+  }
+
+  setMute(id, mute) {
+    this._update(id, (channel) => {
+      channel.mute = !!mute;
+      this._applyGates();
+    });
+  }
+
+  setSolo(id, solo) {
+    this._update(id, (channel) => {
+      channel.solo = !!solo;
+      this._applyGates();
+    });
+  }
+
+  setSend(id, busIndex, level) {
+    if (!this.buses[busIndex]) return;
+    this._update(id, (channel) => {
+      channel.sends[busIndex] = clampGain(level);
+      this._ramp(channel._sendGains[busIndex].gain, channel.sends[busIndex]);
+    });
+  }
+
+  /** Whether a channel can be heard right now (not muted, not silenced by someone's solo). */
+  isAudible(id) {
+    const channel = this.getChannel(id);
+    return !!channel && this._audible(channel, this.channels.some(c => c.solo));
+  }
+
+  _audible(channel, anySolo) {
+    return !channel.mute && (!anySolo || channel.solo);
+  }
+
+  _update(id, fn) {
+    const channel = this.getChannel(id);
+    if (!channel) return;
+    fn(channel);
+    this._callHandlers('change', { id });
+  }
+
+  // mute and solo interact across channels, so every gate is recomputed together
+  _applyGates() {
+    const anySolo = this.channels.some(c => c.solo);
+    this.channels.forEach(channel => this._ramp(channel._gate.gain, this._audible(channel, anySolo) ? 1 : 0));
+  }
+
+  /* -------------------------
+     Buses / master
+     ------------------------- */
+  /**
+   * Put a processor between a bus's summed sends and its return, e.g. an EffectsChain holding a
+   * reverb at full mix. null takes it out again.
+   * @param {Number} busIndex
+   * @param {Object|null} insert - { input: AudioNode, output: AudioNode }
+   */
+  setBusInsert(busIndex, insert) {
+    const bus = this.buses[busIndex];
+    if (!bus) return;
+    bus.input.disconnect();
+    if (bus.insert) bus.insert.output.disconnect(bus.return);
+    bus.insert = insert || null;
+    if (bus.insert) {
+      bus.input.connect(bus.insert.input);
+      bus.insert.output.connect(bus.return);
+    } else {
+      bus.input.connect(bus.return);
+    }
+    this._callHandlers('change', { bus: busIndex });
+  }
+
+  /** Return level of a bus into the master (0..2). */
+  setBusLevel(busIndex, level) {
+    const bus = this.buses[busIndex];
+    if (!bus) return;
+    bus.level = clampGain(level);
+    this._ramp(bus.return.gain, bus.level);
+    this._callHandlers('change', { bus: busIndex });
+  }
+
+  setMasterVolume(volume) {
+    this.masterVolume = clampGain(volume);
+    this._ramp(this.output.gain, this.masterVolume);
+    this._callHandlers('change', { master: true });
+  }
+
+  _ramp(param, value) {
+    const now = this.context.currentTime;
+    param.cancelScheduledValues(now);
+    param.setTargetAtTime(value, now, SMOOTHING);
+  }
+
+  dispose() {
+    this.channels.slice().forEach(c => this.removeChannel(c.id));
+    this.buses.forEach((bus) => {
+      bus.input.disconnect();
+      bus.return.disconnect();
+      if (bus.insert) bus.insert.output.disconnect();
+    });
+    this.output.disconnect();
+    this._onmessageHandlers = [];
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.Mixer = Mixer;
+}
+export default Mixer;
@@ -0,0 +1,42 @@
+/* note-events.js
+   sortNoteEvents - time order for noteOn / noteOff events, shared by MidiFile, NotePlayer and
+   PianoRoll
+
+   Usage:
+     import { sortNoteEvents } from './note-events.js';
+     const sorted = sortNoteEvents(take.events);               // by e.time, a new array
+     const byTick = sortNoteEvents(messages, e => e.tick);     // any numeric position
+
+   On a tie a noteOff goes first only when its pitch is already sounding, so a note repeated at the
+   same time is released before it starts again. Anything else keeps the given order: a zero-length
+   note (on and off at the same time, common in drum files) stays on, then off, instead of turning
+   into an off followed by a note that never ends.
+*/
+
+export function sortNoteEvents(events, timeOf = e => e.time) {
+  const sorted = events.slice().sort((a, b) => timeOf(a) - timeOf(b));
+  const open = new Map();      // midi -> notes started and not yet released
+  const sounding = (midi) => open.get(midi) || 0;
+  const result = [];
+  for (let i = 0, j = 0; i < sorted.length; i = j) {
+    while (j < sorted.length && timeOf(sorted[j]) === timeOf(sorted[i])) j++;
+    const releases = [];
+    const rest = [];
+    sorted.slice(i, j).forEach((e) => {
+      if (e.type === 'noteOff' && sounding(e.midi) > 0) {
+        open.set(e.midi, sounding(e.midi) - 1);
+        releases.push(e);
+      } else {
+        rest.push(e);
+      }
+    });
+    rest.forEach((e) => {
+      if (e.type === 'noteOn') open.set(e.midi, sounding(e.midi) + 1);
+      else if (sounding(e.midi) > 0) open.set(e.midi, sounding(e.midi) - 1);
+    });
+    result.push(...releases, ...rest);
+  }
+  return result;
+}
+
+export default sortNoteEvents;
@@ -0,0 +1,166 @@
+/* note-player.js
+   NotePlayer - plays back a recorded or imported performance (timed note events) with a lookahead
+   scheduler
+
+   Usage:
+     const player = new NotePlayer(audioContext, { target: synthNode });  // anything with noteOn / noteOff
+     player.setEvents(take.events);           // [{ type: 'noteOn' | 'noteOff', midi, velocity, time }]
+     player.start();                          // or start(time, { offset: 2.5 }) to begin 2.5s in
+     player.positionAt(audioContext.currentTime);   // seconds into the performance, null when stopped
+     player.on('stop', ({ ended }) => ...);   // ended: true when it played to the end
+     player.stop();
+
+   Scheduling works like the step sequencer's: a timer wakes every `interval` ms and hands every
+   event due within the next `lookahead` seconds to target.noteOn / noteOff with its exact context
+   time, so playback is sample accurate however late the timer runs; after a stall, notes whose
+   start has passed are skipped rather than fired in a burst. Event fields other than
+   `type` (velocity, envelope, channel, ...) are passed along. stop() releases whatever is still
+   sounding, including notes already scheduled to start.
+*/
+
+import { sortNoteEvents } from './note-events.js';
+
+const DEFAULT_LOOKAHEAD = 0.1;     // seconds scheduled ahead of currentTime
+const DEFAULT_INTERVAL = 25;       // ms between scheduler wake-ups
+const START_DELAY = 0.05;          // seconds between start() and the first event
+const LATE_TOLERANCE = 0.02;       // seconds: a note due this far in the past is skipped, not started late
+
+class NotePlayer {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - target: object with noteOn(note) / noteOff(note), e.g. a MiniSynthNode
+   *   - lookahead: seconds (default 0.1)
+   *   - interval: scheduler period in ms (default 25)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.target = opts.target || null;
+    this.lookahead = opts.lookahead || DEFAULT_LOOKAHEAD;
+    this.interval = opts.interval || DEFAULT_INTERVAL;
+    this.events = [];
+    this.duration = 0;
+
+    this.playing = false;
+    this._timer = null;
+    this._startTime = 0;           // context time of performance time `_offset`
+    this._offset = 0;
+    this._index = 0;               // next event to schedule
+    this._sounding = [];           // { midi, on, off } notes started and not yet released (off: Infinity)
+    this._onmessageHandlers = [];
+  }
+
+  /**
+   * Register an event handler: fn(data). Events: 'start' ({ time, offset }), 'stop' ({ time,
+   * ended }). Use '*' for every event.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    this._onmessageHandlers.slice().forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('NotePlayer handler error', e); }
+      }
+    });
+  }
+
+  setTarget(target) {
+    this.target = target;
+  }
+
+  /**
+   * The performance to play; times are seconds from its start. Takes effect on the next start().
+   * @param {Object[]} events
+   * @param {Number} duration - seconds (default: the last event's time)
+   */
+  setEvents(events, duration) {
+    this.events = sortNoteEvents(events.filter(e => e.type === 'noteOn' || e.type === 'noteOff'));
+    const last = this.events.length ? this.events[this.events.length - 1].time : 0;
+    this.duration = Math.max(last, duration || 0);
+  }
+
+  /**
+   * @param {Number} time - context time to start at (default: now + a small margin)
+   * @param {Object} opts - offset: performance time to start from (seconds, default 0)
+   */
+  start(time = 0, opts = {}) {
+    if (this.playing) return;
+    this.playing = true;
+    this._offset = Math.max(0, opts.offset || 0);
+    this._startTime = Math.max(time, this.context.currentTime + START_DELAY);
+    // notes that began before the offset are skipped, not started late
+    this._index = this.events.findIndex(e => e.time >= this._offset);
+    if (this._index < 0) this._index = this.events.length;
+    this._sounding = [];
+    this._callHandlers('start', { time: this._startTime, offset: this._offset });
+    this._tick();
+    if (this.playing) this._timer = setInterval(() => this._tick(), this.interval);
+  }
+
+  stop() {
+    this._finish(false);
+  }
+
+  dispose() {
+    this.stop();
+    this._onmessageHandlers = [];
+  }
+
+  /** Seconds into the performance at context time `time`, or null while stopped. */
+  positionAt(time) {
+    if (!this.playing) return null;
+    return Math.max(this._offset, this._offset + time - this._startTime);
+  }
+
+  _finish(ended) {
+    if (!this.playing) return;
+    this.playing = false;
+    clearInterval(this._timer);
+    this._timer = null;
+    const now = this.context.currentTime;
+    if (this.target) {
+      // a note scheduled to start later is released as it starts; at the end only notes the
+      // performance never released are left
+      this._sounding.forEach(note => {
+        if (note.off > now) this.target.noteOff({ midi: note.midi, time: Math.max(now, note.on) });
+      });
+    }
+    this._sounding = [];
+    this._callHandlers('stop', { time: now, ended });
+  }
+
+  _tick() {
+    const now = this.context.currentTime;
+    const horizon = now + this.lookahead;
+    this._sounding = this._sounding.filter(n => n.off > now);
+    while (this._index < this.events.length) {
+      const { type, ...event } = this.events[this._index];
+      const time = this._startTime + event.time - this._offset;
+      if (time >= horizon) break;
+      this._index++;
+      if (type === 'noteOn') {
+        // after a stalled timer missed notes are dropped; their noteOffs find nothing to release
+        if (time < now - LATE_TOLERANCE) continue;
+        this._sounding.push({ midi: event.midi, on: time, off: Infinity });
+        if (this.target) this.target.noteOn({ ...event, time });
+      } else {
+        // a noteOff without a noteOn after the offset belongs to a skipped note
+        const note = this._sounding.find(n => n.midi === event.midi && n.off === Infinity);
+        if (!note) continue;
+        note.off = Math.max(time, now);
+        if (this.target) this.target.noteOff({ ...event, time: note.off });
+      }
+    }
+    const end = this._startTime + this.duration - this._offset;
+    if (this._index >= this.events.length && now >= end) {
+      this._finish(true);
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.NotePlayer = NotePlayer;
+}
+export default NotePlayer;
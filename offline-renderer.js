@@ -0,0 +1,114 @@
+/* offline-renderer.js
+   OfflineRenderer - faster-than-realtime bounce of a note sequence through the sampler
+
+   Usage:
+     const preset = InstrumentPreset.create({ ... });       // the instrument to play (see instrument-preset.js)
+     const events = [
+       { time: 0, type: 'noteOn', midi: 60, velocity: 0.8 },
+       { time: 1, type: 'noteOff', midi: 60 }
+     ];
+     const audioBuffer = await OfflineRenderer.renderNotes(preset, events, { sampleRate: 48000 });
+     const wav = WavEncoder.toBlob(audioBuffer, { format: 'pcm16' });
+
+   Rendering builds the same graph the live instrument uses - a MiniSynthNode in an
+   OfflineAudioContext, loaded with the preset's zones, envelope and params, feeding the preset's
+   effects chain - so a bounce sounds like what was played, delay and reverb tails included.
+   Event times are seconds from the start of the render; noteOn events may carry their own
+   attack / decay / sustain / release like MiniSynthNode.noteOn.
+*/
+
+const DEFAULT_RENDER_RATE = 48000;
+const RENDER_TAIL = 0.25;           // seconds rendered after the last release has finished
+
+class OfflineRenderer {
+  /**
+   * @param {Object} preset - current-version instrument preset
+   * @param {Object[]} events - [{ time, type: 'noteOn'|'noteOff', midi, velocity, ... }]
+   * @param {Object} opts - optional config
+   *   - sampleRate: render rate (default 48000)
+   *   - duration: seconds to render before the release tail (default: time of the last event)
+   *   - workletUrl: processor module (default 'audio/mini-synth-processor.js')
+   *   - maxVoices: polyphony of the rendering synth
+   *   - tempo: BPM for tempo-synced LFOs and effects (default 120)
+   *   - bitcrusherUrl: passed to EffectsChain
+   * @returns {Promise<AudioBuffer>} stereo
+   */
+  static async renderNotes(preset, events, opts = {}) {
+    if (typeof OfflineAudioContext === 'undefined') {
+      throw new Error('OfflineRenderer: OfflineAudioContext is not supported in this browser');
+    }
+    const sampleRate = opts.sampleRate || DEFAULT_RENDER_RATE;
+    const lastEvent = events.reduce((t, ev) => Math.max(t, ev.time || 0), 0);
+    const longestRelease = events.reduce((t, ev) => Math.max(t, ev.release || 0), preset.envelope.release || 0);
+    const hasEffects = (preset.effects || []).length && typeof window.EffectsChain !== 'undefined';
+    const effectsTail = hasEffects ? window.EffectsChain.tailLength(preset.effects, opts.tempo) : 0;
+    const seconds = (opts.duration ?? lastEvent) + longestRelease + effectsTail + RENDER_TAIL;
+
+    const ctx = new OfflineAudioContext(2, Math.max(1, Math.ceil(seconds * sampleRate)), sampleRate);
+    const synth = new window.MiniSynthNode(ctx, {
+      workletUrl: opts.workletUrl || 'audio/mini-synth-processor.js',
+      maxVoices: opts.maxVoices
+    });
+    await synth.init();
+    synth.setTempo(opts.tempo || 120);
+    const loaded = OfflineRenderer.loadPreset(synth, preset);
+
+    let chain = null;
+    if (hasEffects) {
+      chain = new window.EffectsChain(ctx, { tempo: opts.tempo, bitcrusherUrl: opts.bitcrusherUrl });
+      await chain.init();
+      chain.setState(preset.effects);
+      synth.connect(chain.input);
+      chain.connect(ctx.destination);
+    } else {
+      synth.connect(ctx.destination);
+    }
+
+    const sorted = events.slice().sort((a, b) => a.time - b.time);
+    for (const ev of sorted) {
+      if (ev.type === 'noteOn') synth.noteOn(ev);
+      else if (ev.type === 'noteOff') synth.noteOff(ev);
+    }
+
+    try {
+      // rendering runs ahead of the message port - wait until the processor has everything
+      await loaded;
+      await synth.sync();
+      return await ctx.startRendering();
+    } finally {
+      synth.dispose();
+      if (chain) chain.dispose();
+    }
+  }
+
+  /**
+   * Load a preset's zones, envelope, params and modulation into a MiniSynthNode.
+   * Sample channels are copied, so the preset stays usable.
+   * @returns {Promise<void>} resolves once every sample is loaded (rejects with a MiniSynthError)
+   */
+  static loadPreset(synth, preset) {
+    Object.entries(preset.envelope || {}).forEach(([name, value]) => synth.setParam(name, value));
+    Object.entries(preset.params || {}).forEach(([name, value]) => synth.setParam(name, value));
+    if (preset.modulation) {
+      preset.modulation.lfos.forEach((lfo, i) => synth.setLfo(i, lfo));
+      preset.modulation.envelopes.forEach((env, i) => synth.setModEnvelope(i, env));
+      synth.setModRoutes(preset.modulation.routes);
+    }
+    const loads = [];
+    const zones = preset.zones.map((zone, i) => {
+      const sampleId = `render-${i}`;
+      const channels = zone.sample.channels.map(ch => new Float32Array(ch));
+      loads.push(synth.loadSample(sampleId, channels, zone.sample.sampleRate, {
+        ...zone.region, rootNote: zone.rootNote, fineTune: zone.fineTune, baseNote: zone.lowKey
+      }));
+      return { sampleId, lowKey: zone.lowKey, highKey: zone.highKey, lowVel: zone.lowVel, highVel: zone.highVel };
+    });
+    synth.setZones(zones);
+    return Promise.all(loads).then(() => {});
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.OfflineRenderer = OfflineRenderer;
+}
+export default OfflineRenderer;
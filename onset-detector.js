@@ -0,0 +1,172 @@
+/* onset-detector.js
+   OnsetDetector - spectral-flux transient detection for chopping a sample into slices
+
+   Usage:
+     const onsets = OnsetDetector.detect(audioBuffer, { start, end, sensitivity: 0.5 });
+     // -> ascending frame positions inside [start, end), e.g. [0, 11025, 22050, ...]
+
+   The region is mixed to mono and cut into Hann-windowed frames. Spectral flux (the summed
+   increase of log magnitude per bin from one frame to the next) peaks where new energy appears,
+   i.e. on hits. A peak counts as an onset when it is the local maximum and rises above the moving
+   median of the flux by a margin set by `sensitivity` (0 = only the strongest hits, 1 = everything).
+   Each onset is then moved onto the hit's attack in the waveform (frames are too coarse for a
+   clean cut), keeping a millisecond of pre-roll.
+   The region start is always the first onset, so the result can be used as slice starts as is.
+*/
+
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 256;
+const MEDIAN_RADIUS = 8;        // frames either side for the adaptive threshold
+const PEAK_RADIUS = 3;          // a peak must be the maximum of this many frames either side
+const DEFAULT_MIN_GAP = 0.05;   // seconds - shortest slice
+const ATTACK_LEVEL = 0.25;      // fraction of the hit's peak that marks where it starts
+const PRE_ROLL = 0.001;         // seconds kept before the attack so it isn't clipped
+
+// In-place iterative radix-2 FFT (re / im length must be a power of two)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = Math.cos(step * k), wi = Math.sin(step * k);
+        const a = start + k, b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+      }
+    }
+  }
+}
+
+class OnsetDetector {
+  /**
+   * Find the onsets in a region of an AudioBuffer (or anything with getChannelData / length /
+   * sampleRate / numberOfChannels).
+   * @param {AudioBuffer} buffer
+   * @param {Object} opts - { start, end } in frames, sensitivity (0..1, default 0.5),
+   *   minGap (seconds between onsets, default 0.05)
+   * @returns {Number[]} frame positions, the first one being `start`
+   */
+  static detect(buffer, opts = {}) {
+    const start = Math.max(0, Math.floor(opts.start ?? 0));
+    const end = Math.min(buffer.length, Math.floor(opts.end ?? buffer.length));
+    const sensitivity = Math.max(0, Math.min(1, opts.sensitivity ?? 0.5));
+    const minGap = Math.round((opts.minGap ?? DEFAULT_MIN_GAP) * buffer.sampleRate);
+
+    const mono = OnsetDetector.mixToMono(buffer, start, end);
+    const flux = OnsetDetector.spectralFlux(mono);
+    const preRoll = Math.round(PRE_ROLL * buffer.sampleRate);
+    const onsets = [start];
+    if (flux.length < 3) return onsets;
+
+    // margin above the local median, in standard deviations of the flux
+    let mean = 0;
+    for (const v of flux) mean += v;
+    mean /= flux.length;
+    let variance = 0;
+    for (const v of flux) variance += (v - mean) * (v - mean);
+    const deviation = Math.sqrt(variance / flux.length);
+    if (deviation <= 0) return onsets;
+    const margin = (0.1 + (1 - sensitivity) * 1.5) * deviation;
+    const window = [];
+    for (let i = 1; i < flux.length; i++) {
+      const lo = Math.max(0, i - MEDIAN_RADIUS);
+      const hi = Math.min(flux.length, i + MEDIAN_RADIUS + 1);
+      window.length = 0;
+      for (let k = lo; k < hi; k++) window.push(flux[k]);
+      window.sort((a, b) => a - b);
+      if (flux[i] < window[window.length >> 1] + margin) continue;
+
+      let isPeak = true;
+      for (let k = Math.max(0, i - PEAK_RADIUS); k <= Math.min(flux.length - 1, i + PEAK_RADIUS); k++) {
+        if (flux[k] > flux[i] || (flux[k] === flux[i] && k < i)) { isPeak = false; break; }
+      }
+      if (!isPeak) continue;
+
+      // the flux peaks while the hit is still entering the window: look for its attack in the
+      // samples from there on
+      const frame = start + OnsetDetector._attackStart(mono, i, preRoll);
+      if (frame - onsets[onsets.length - 1] >= minGap && end - frame >= minGap) onsets.push(frame);
+    }
+    return onsets;
+  }
+
+  /**
+   * Onset strength per hop: the positive change of log magnitude summed over bins.
+   * @param {Float32Array} mono
+   * @returns {Float32Array} one value per frame (the first is 0)
+   */
+  static spectralFlux(mono) {
+    const frames = mono.length >= FRAME_SIZE ? Math.floor((mono.length - FRAME_SIZE) / HOP_SIZE) + 1 : 0;
+    const flux = new Float32Array(frames);
+    const bins = FRAME_SIZE / 2;
+    const hann = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+    const re = new Float32Array(FRAME_SIZE);
+    const im = new Float32Array(FRAME_SIZE);
+    let previous = new Float32Array(bins);
+    let current = new Float32Array(bins);
+
+    for (let f = 0; f < frames; f++) {
+      const offset = f * HOP_SIZE;
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        re[i] = mono[offset + i] * hann[i];
+        im[i] = 0;
+      }
+      fft(re, im);
+      let sum = 0;
+      for (let k = 0; k < bins; k++) {
+        // log compression keeps quiet hits visible next to loud ones
+        current[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+        const rise = current[k] - previous[k];
+        if (rise > 0) sum += rise;
+      }
+      flux[f] = f === 0 ? 0 : sum;
+      [previous, current] = [current, previous];
+    }
+    return flux;
+  }
+
+  // Where the hit found at flux frame `index` starts: the first sample that climbs ATTACK_LEVEL of
+  // the way from the level just before the frame to the hit's peak, moved back by preRoll. Falls
+  // back to the frame estimate when the hit doesn't stand out from what is already sounding.
+  static _attackStart(mono, index, preRoll) {
+    const from = index * HOP_SIZE;
+    const to = Math.min(mono.length, from + 2 * FRAME_SIZE);
+    let before = 0;
+    for (let i = Math.max(0, from - HOP_SIZE); i < from; i++) before = Math.max(before, Math.abs(mono[i]));
+    let peak = 0;
+    for (let i = from; i < to; i++) peak = Math.max(peak, Math.abs(mono[i]));
+    if (peak <= before * 1.1) return from + FRAME_SIZE / 2 - HOP_SIZE;
+    const level = before + (peak - before) * ATTACK_LEVEL;
+    let i = from;
+    while (i < to && Math.abs(mono[i]) < level) i++;
+    return Math.max(0, i - preRoll);
+  }
+
+  static mixToMono(buffer, start, end) {
+    const out = new Float32Array(Math.max(0, end - start));
+    const channels = buffer.numberOfChannels || 1;
+    for (let ch = 0; ch < channels; ch++) {
+      const data = buffer.getChannelData(ch);
+      for (let i = 0; i < out.length; i++) out[i] += data[start + i] / channels;
+    }
+    return out;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.OnsetDetector = OnsetDetector;
+}
+export default OnsetDetector;
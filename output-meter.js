@@ -0,0 +1,135 @@
+/* output-meter.js
+   OutputMeter - master output tap: per-channel peak / RMS with peak hold and clip latch, plus the
+   spectrum and oscilloscope data a SpectrumView draws
+
+   Usage:
+     const meter = new OutputMeter(audioContext);
+     synthNode.connect(meter.input);
+     meter.connect(audioContext.destination);
+     // once per animation frame:
+     const levels = meter.read();        // [{ peak, rms, hold, clipped }] for left and right (linear)
+     meter.getSpectrum(spectrum);        // Float32Array(meter.binCount), dB per bin
+     meter.getWaveform(waveform);        // Float32Array(meter.fftSize), mono -1..1
+     meter.resetClip();
+
+   Levels are read from AnalyserNodes holding the last fftSize frames; at display rate that window is
+   longer than the audio between two reads, so no peak (and no clip) is missed. The hold marker stays
+   on the highest peak for HOLD_TIME seconds, then falls at FALL_RATE dB per second. Clip indicators
+   latch until resetClip(). A mono input shows on both channels.
+*/
+
+const DEFAULT_FFT_SIZE = 2048;
+const HOLD_TIME = 1.5;            // seconds the peak-hold marker stays put
+const FALL_RATE = 20;             // dB per second once the hold time is over
+const CLIP_LEVEL = 1;             // linear peak counted as a clip
+
+class OutputMeter {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - fftSize: analyser window (power of two, default 2048)
+   *   - smoothing: spectrum smoothingTimeConstant (default 0.8)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.fftSize = opts.fftSize || DEFAULT_FFT_SIZE;
+    this.input = audioContext.createGain();
+    this.input.channelCount = 2;
+    this.input.channelCountMode = 'explicit';
+    this.output = audioContext.createGain();
+    this.input.connect(this.output);
+
+    // level meters: one analyser per channel, unsmoothed
+    this._splitter = audioContext.createChannelSplitter(2);
+    this.input.connect(this._splitter);
+    this._levelAnalysers = [0, 1].map(ch => {
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = this.fftSize;
+      analyser.smoothingTimeConstant = 0;
+      this._splitter.connect(analyser, ch);
+      return analyser;
+    });
+    this._channels = [0, 1].map(() => ({ hold: 0, holdTime: 0, lastRead: 0, clipped: false }));
+    this._scratch = new Float32Array(this.fftSize);
+
+    // spectrum / scope: an analyser mixes its input down to mono
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = this.fftSize;
+    this.analyser.smoothingTimeConstant = opts.smoothing ?? 0.8;
+    this.input.connect(this.analyser);
+  }
+
+  get binCount() {
+    return this.analyser.frequencyBinCount;
+  }
+
+  get sampleRate() {
+    return this.context.sampleRate;
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /**
+   * Current levels, updating peak hold and clip state.
+   * @param {Number} now - seconds (default: the context time)
+   * @returns {Array<{peak, rms, hold, clipped}>} left, right - linear
+   */
+  read(now = this.context.currentTime) {
+    const data = this._scratch;
+    return this._levelAnalysers.map((analyser, ch) => {
+      analyser.getFloatTimeDomainData(data);
+      let peak = 0, sum = 0;
+      for (let i = 0; i < data.length; i++) {
+        const a = Math.abs(data[i]);
+        if (a > peak) peak = a;
+        sum += data[i] * data[i];
+      }
+
+      const state = this._channels[ch];
+      if (peak >= CLIP_LEVEL) state.clipped = true;
+      if (peak >= state.hold) {
+        state.hold = peak;
+        state.holdTime = now;
+      } else if (now - state.holdTime > HOLD_TIME) {
+        const elapsed = now - Math.max(state.lastRead, state.holdTime + HOLD_TIME);
+        state.hold = Math.max(peak, state.hold * Math.pow(10, (-FALL_RATE * elapsed) / 20));
+      }
+      state.lastRead = now;
+      return { peak, rms: Math.sqrt(sum / data.length), hold: state.hold, clipped: state.clipped };
+    });
+  }
+
+  resetClip() {
+    this._channels.forEach(state => { state.clipped = false; });
+  }
+
+  /** Magnitude per frequency bin in dB (bin k is at k * sampleRate / fftSize Hz). */
+  getSpectrum(array) {
+    this.analyser.getFloatFrequencyData(array);
+    return array;
+  }
+
+  /** The last fftSize frames of the output, mixed to mono. */
+  getWaveform(array) {
+    this.analyser.getFloatTimeDomainData(array);
+    return array;
+  }
+
+  dispose() {
+    this.input.disconnect();
+    this._splitter.disconnect();
+    this.output.disconnect();
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.OutputMeter = OutputMeter;
+}
+export default OutputMeter;
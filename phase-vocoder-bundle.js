@@ -0,0 +1,268 @@
+/* phase-vocoder-bundle.js
+   PhaseVocoderBundle - host for the phase vocoder worklet and PhaseVocoderModule.wasm
+
+   Usage:
+     await PhaseVocoderBundle.init(audioContext);             // adds the worklet, creates the node
+     PhaseVocoderBundle.connect(audioContext.destination);
+     await PhaseVocoderBundle.loadWasmFromUrl('./PhaseVocoderModule.wasm');   // may reject
+     PhaseVocoderBundle.loadSample(float32Mono, sampleRate);
+     const id = PhaseVocoderBundle.startNote('note-C5', 12, { gain: 0.8, release: 0.3 });
+     PhaseVocoderBundle.stopNote(id);
+     PhaseVocoderBundle.setTempo(0.5);                        // half speed, same pitch
+     await PhaseVocoderBundle.fitToTempo(120, 4);             // loop lasts 4 beats at 120 BPM
+
+   The worklet always has a pure-JS kernel, so the bundle is usable as soon as init() resolves
+   (isReady()). loadWasmFromUrl hands PhaseVocoderModule.wasm (built from wasm/phase-vocoder.ts,
+   see audio/phase-vocoder-kernel.js for its ABI) to the worklet, where it runs every voice started
+   afterwards (isWasmReady()); if it does not compile, lacks the ABI or fails to instantiate there,
+   loadWasmFromUrl rejects and everything keeps running on the JS kernel.
+
+   Fitting stretches the last loaded sample in a Worker (audio/phase-vocoder-fit-worker.js), on the
+   WASM kernel when it is loaded, and sends the result to the worklet as a new sample: the audio
+   thread never runs a whole-sample stretch.
+*/
+
+const WASM_EXPORTS = ['memory', 'init', 'input_ptr', 'output_ptr', 'reset', 'frame', 'drain'];
+const MIN_FIT_FRAMES = 2048;        // one analysis window
+
+class PhaseVocoderBundle {
+  constructor() {
+    this.context = null;
+    this.node = null;
+    this.engine = 'js';             // 'wasm' once the module is instantiated in the worklet
+    this.sampleRate = 0;
+    this.sampleLength = 0;          // frames of the loaded (possibly fitted) sample
+    this._ready = false;
+    this._sample = null;            // last sample given to loadSample, what fitting stretches
+    this._module = null;            // compiled PhaseVocoderModule, for the fit worker too
+    this._worker = null;
+    this._fitWorkerUrl = null;
+    this._notes = new Map();        // noteId -> true while sounding
+    this._noteCounter = 0;
+    this._requests = new Map();     // requestId -> { resolve, reject }
+    this._requestCounter = 0;
+    this._wasmWaiter = null;
+  }
+
+  /**
+   * Add the worklet module and create the node. Safe to call more than once.
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - workletUrl (default 'audio/phase-vocoder-processor.js'), kernelUrl (default
+   *   'audio/phase-vocoder-kernel.js'), fitWorkerUrl (default 'audio/phase-vocoder-fit-worker.js')
+   */
+  async init(audioContext, opts = {}) {
+    if (this._ready && this.context === audioContext) return;
+    this.context = audioContext;
+    this._fitWorkerUrl = opts.fitWorkerUrl || 'audio/phase-vocoder-fit-worker.js';
+    await audioContext.audioWorklet.addModule(opts.kernelUrl || 'audio/phase-vocoder-kernel.js');
+    await audioContext.audioWorklet.addModule(opts.workletUrl || 'audio/phase-vocoder-processor.js');
+    this.node = new AudioWorkletNode(audioContext, 'phase-vocoder-processor', {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2]
+    });
+    await new Promise((resolve) => {
+      this.node.port.onmessage = (ev) => {
+        if (ev.data && ev.data.ready) {
+          this.node.port.onmessage = (e) => this._handleMessage(e.data);
+          this._ready = true;
+          resolve();
+        }
+      };
+    });
+  }
+
+  isReady() {
+    return this._ready;
+  }
+
+  isWasmReady() {
+    return this.engine === 'wasm';
+  }
+
+  connect(destination) {
+    this._requireNode();
+    this.node.connect(destination);
+  }
+
+  disconnect() {
+    if (this.node) this.node.disconnect();
+  }
+
+  /**
+   * Fetch and compile the module, then instantiate it inside the worklet.
+   * Rejects (leaving engine === 'js') when any of those steps fails.
+   */
+  async loadWasmFromUrl(url) {
+    this._requireNode();
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`PhaseVocoderBundle: fetching ${url} failed (${response.status})`);
+    const bytes = await response.arrayBuffer();
+    if (!WebAssembly.validate(bytes)) {
+      throw new Error(`PhaseVocoderBundle: ${url} is not a WebAssembly binary - using the JS vocoder`);
+    }
+    const module = await WebAssembly.compile(bytes);
+    const names = WebAssembly.Module.exports(module).map(e => e.name);
+    const missing = WASM_EXPORTS.filter(n => !names.includes(n));
+    if (missing.length) throw new Error(`PhaseVocoderBundle: module lacks exports ${missing.join(', ')}`);
+
+    // compiled modules are structured-cloneable, so the worklet instantiates its own copy
+    const status = await new Promise((resolve) => {
+      this._wasmWaiter = resolve;
+      this.node.port.postMessage({ type: 'wasm', module });
+    });
+    if (!status.ok) throw new Error(`PhaseVocoderBundle: instantiation failed - ${status.error}`);
+    this._module = module;
+    this.engine = 'wasm';
+  }
+
+  /**
+   * Load the sample every voice plays. Mono; `data` is copied.
+   */
+  loadSample(data, sampleRate) {
+    this._requireNode();
+    this._sample = new Float32Array(data);
+    this.sampleRate = sampleRate;
+    this._sendSample(new Float32Array(data));
+  }
+
+  _sendSample(data) {
+    this.sampleLength = data.length;
+    this.node.port.postMessage({ type: 'load-sample', data, sampleRate: this.sampleRate }, [data.buffer]);
+  }
+
+  /**
+   * Start a voice. Returns the id to pass to stopNote.
+   * @param {String} name - caller's label, used as a prefix of the id
+   * @param {Number} semitones - pitch relative to the sample (fractional allowed)
+   * @param {Object} opts - gain, time, attack, decay, sustain, release
+   */
+  startNote(name, semitones, opts = {}) {
+    this._requireNode();
+    const id = `${name}#${++this._noteCounter}`;
+    this._notes.set(id, true);
+    this.node.port.postMessage({
+      type: 'noteOn', id, semitones, gain: opts.gain ?? 1, time: opts.time ?? 0,
+      attack: opts.attack, decay: opts.decay, sustain: opts.sustain, release: opts.release
+    });
+    return id;
+  }
+
+  stopNote(id, time = 0) {
+    if (!this.node || !this._notes.delete(id)) return;
+    this.node.port.postMessage({ type: 'noteOff', id, time });
+  }
+
+  /** Playback speed independent of pitch (1 = original, 0.5 = half speed). */
+  setTempo(ratio) {
+    this._setParam('tempo', Math.max(0, ratio));
+  }
+
+  /** Extra transposition in semitones for every voice. */
+  setPitch(semitones) {
+    this._setParam('pitch', semitones);
+  }
+
+  setFormantPreserve(on) {
+    this._setParam('formant', !!on);
+  }
+
+  /** Loop the whole sample while a note is held (for rhythmic loops). */
+  setLoop(on) {
+    this._setParam('loop', !!on);
+  }
+
+  /**
+   * Stretch the loaded sample (in the fit worker) so it lasts `seconds`, then play that one.
+   * Resolves with { engine, length } once the fitted sample has been sent to the worklet.
+   */
+  fitToLength(seconds) {
+    this._requireNode();
+    if (!this._sample || !(seconds > 0)) {
+      return Promise.reject(new Error('PhaseVocoderBundle: no sample loaded or invalid length'));
+    }
+    const worker = this._fitWorker();
+    const target = Math.max(MIN_FIT_FRAMES, Math.round(seconds * this.sampleRate));
+    return new Promise((resolve, reject) => {
+      const requestId = ++this._requestCounter;
+      this._requests.set(requestId, { resolve, reject });
+      const data = new Float32Array(this._sample);
+      worker.postMessage({ requestId, data, target, module: this._module }, [data.buffer]);
+    });
+  }
+
+  /** fitToLength for a number of beats at a tempo. */
+  fitToTempo(bpm, beats) {
+    return this.fitToLength((beats * 60) / bpm);
+  }
+
+  dispose() {
+    if (!this.node) return;
+    this.node.port.postMessage({ type: 'dispose' });
+    this.node.disconnect();
+    this.node = null;
+    this._ready = false;
+    this.engine = 'js';
+    this._module = null;
+    this._sample = null;
+    this._notes.clear();
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._rejectRequests(new Error('PhaseVocoderBundle: disposed'));
+  }
+
+  _fitWorker() {
+    if (this._worker) return this._worker;
+    this._worker = new Worker(this._fitWorkerUrl);
+    this._worker.onmessage = (ev) => this._handleFit(ev.data);
+    this._worker.onerror = (ev) => {
+      this._worker.terminate();
+      this._worker = null;
+      this._rejectRequests(new Error(`PhaseVocoderBundle: fit worker failed - ${ev.message || 'not loaded'}`));
+    };
+    return this._worker;
+  }
+
+  _handleFit(data) {
+    const pending = data && this._requests.get(data.requestId);
+    if (!pending) return;
+    this._requests.delete(data.requestId);
+    if (data.error || !this.node) {
+      pending.reject(new Error(`PhaseVocoderBundle: ${data.error || 'disposed'}`));
+      return;
+    }
+    const length = data.data.length;
+    this._sendSample(data.data);
+    pending.resolve({ engine: data.engine, length });
+  }
+
+  _rejectRequests(err) {
+    this._requests.forEach(pending => pending.reject(err));
+    this._requests.clear();
+  }
+
+  _setParam(name, value) {
+    this._requireNode();
+    this.node.port.postMessage({ type: 'param', name, value });
+  }
+
+  _requireNode() {
+    if (!this.node) throw new Error('PhaseVocoderBundle: call init() first');
+  }
+
+  _handleMessage(data) {
+    if (!data || !data.type) return;
+    if (data.type === 'wasm-status' && this._wasmWaiter) {
+      this._wasmWaiter(data);
+      this._wasmWaiter = null;
+    }
+  }
+}
+
+const bundle = new PhaseVocoderBundle();
+if (typeof window !== 'undefined') {
+  window.PhaseVocoderBundle = bundle;
+}
+export default bundle;
@@ -0,0 +1,289 @@
+/* piano-roll.js
+   PianoRoll - canvas piano-roll view and editing model for a note performance
+
+   Usage:
+     const roll = new PianoRoll(canvas);
+     roll.setNotes(PianoRoll.notesFromEvents(take.events), take.duration);
+     roll.setGrid(transport.beatDuration, transport.beatsPerBar);
+     const hit = roll.noteAt(x, y);           // { index, edge } or null; edge: grabbed by its end
+     roll.updateNote(hit.index, { time: roll.xToTime(x), midi: roll.yToMidi(y) });
+     roll.addNote({ midi: 60, time: 1, duration: 0.25, velocity: 0.8 });
+     roll.removeNote(index);
+     roll.draw({ selected: index, playhead: 1.5 });
+     take.events = PianoRoll.eventsFromNotes(roll.notes);
+
+   Notes are { midi, time, duration, velocity, ... } in seconds; any other fields (envelope,
+   channel, track) ride along into the events again. The view always shows the whole performance
+   across the canvas and the played pitch range (at least two octaves); x / y are canvas pixels.
+   Pointer handling is left to the page, as with WaveformView.
+*/
+
+import { sortNoteEvents } from './note-events.js';
+
+const KEY_WIDTH = 32;          // px: key column on the left
+const MIN_SPAN = 24;           // semitones shown at least
+const RANGE_MARGIN = 2;        // semitones above and below the played range
+const MIN_VIEW = 2;            // seconds shown at least
+const EDGE = 6;                // px: grabbing a note this close to its end resizes it
+const MIN_DURATION = 0.02;     // seconds
+const BLACK_PITCH_CLASSES = new Set([1, 3, 6, 8, 10]);
+
+const clampMidi = (midi) => Math.max(0, Math.min(127, Math.round(midi)));
+
+class PianoRoll {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} opts - optional colours: background, blackRow, line, bar, beat, keys, label,
+   *   note, selected, playhead
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.colors = {
+      background: opts.background || '#2b2f33',
+      blackRow: opts.blackRow || 'rgba(0, 0, 0, 0.18)',
+      line: opts.line || 'rgba(255, 255, 255, 0.06)',
+      bar: opts.bar || 'rgba(255, 255, 255, 0.22)',
+      beat: opts.beat || 'rgba(255, 255, 255, 0.08)',
+      keys: opts.keys || '#1f2326',
+      label: opts.label || 'rgba(255, 255, 255, 0.5)',
+      note: opts.note || '53, 242, 154',
+      selected: opts.selected || '250, 204, 21',
+      playhead: opts.playhead || 'rgba(255, 255, 255, 0.85)'
+    };
+    this.notes = [];
+    this.duration = 0;         // seconds, at least the end of the last note
+    this.lowNote = 48;
+    this.highNote = 71;
+    this.beatDuration = 0.5;
+    this.beatsPerBar = 4;
+  }
+
+  /**
+   * Pair noteOn / noteOff events into notes (first on, first off per pitch). A note never released
+   * lasts to `duration`.
+   * @param {Object[]} events - [{ type, midi, velocity, time, ... }]
+   * @param {Number} duration - seconds (default: the last event's time)
+   */
+  static notesFromEvents(events, duration = 0) {
+    const sorted = sortNoteEvents(events);
+    const end = sorted.reduce((t, e) => Math.max(t, e.time), duration);
+    const open = new Map();    // midi -> notes waiting for their noteOff, oldest first
+    const notes = [];
+    sorted.forEach(({ type, time, ...fields }) => {
+      if (type === 'noteOn') {
+        const note = { ...fields, time, duration: 0 };
+        notes.push(note);
+        if (!open.has(note.midi)) open.set(note.midi, []);
+        open.get(note.midi).push(note);
+      } else if (type === 'noteOff') {
+        const waiting = open.get(fields.midi);
+        if (!waiting || !waiting.length) return;
+        const note = waiting.shift();
+        note.duration = Math.max(MIN_DURATION, time - note.time);
+      }
+    });
+    open.forEach(waiting => waiting.forEach(note => { note.duration = Math.max(MIN_DURATION, end - note.time); }));
+    return notes;
+  }
+
+  /** Notes back to time-sorted noteOn / noteOff events. */
+  static eventsFromNotes(notes) {
+    const events = [];
+    notes.forEach(({ time, duration, ...fields }) => {
+      // the noteOff carries the note's pitch, channel and track, not its velocity
+      const { velocity, ...off } = fields;
+      events.push({ ...fields, type: 'noteOn', time });
+      events.push({ ...off, type: 'noteOff', time: time + duration });
+    });
+    return sortNoteEvents(events);
+  }
+
+  /**
+   * Replace the notes (copied) and fit the pitch range to them.
+   * @param {Object[]} notes
+   * @param {Number} duration - seconds of the performance (default: the last note's end)
+   */
+  setNotes(notes, duration = 0) {
+    this.notes = notes.map(n => ({ ...n }));
+    this.duration = Math.max(duration, this.end);
+    this.fitRange();
+  }
+
+  /** Where the last note ends (seconds). */
+  get end() {
+    return this.notes.reduce((t, n) => Math.max(t, n.time + n.duration), 0);
+  }
+
+  /** Beat / bar lines to draw and snap to. */
+  setGrid(beatDuration, beatsPerBar = 4) {
+    this.beatDuration = beatDuration > 0 ? beatDuration : 0.5;
+    this.beatsPerBar = Math.max(1, Math.round(beatsPerBar) || 4);
+  }
+
+  /** Show the played pitches with a little room, at least MIN_SPAN semitones. */
+  fitRange() {
+    if (!this.notes.length) {
+      this.lowNote = 48;
+      this.highNote = 48 + MIN_SPAN - 1;
+      return;
+    }
+    let low = Math.min(...this.notes.map(n => n.midi)) - RANGE_MARGIN;
+    let high = Math.max(...this.notes.map(n => n.midi)) + RANGE_MARGIN;
+    const missing = MIN_SPAN - (high - low + 1);
+    if (missing > 0) {
+      low -= Math.floor(missing / 2);
+      high += Math.ceil(missing / 2);
+    }
+    this.lowNote = Math.max(0, low);
+    this.highNote = Math.min(127, Math.max(high, this.lowNote + MIN_SPAN - 1));
+  }
+
+  /* -------------------------
+     Coordinates (canvas pixels)
+     ------------------------- */
+  get viewDuration() {
+    return Math.max(MIN_VIEW, this.duration, this.end);
+  }
+
+  timeToX(time, width = this.canvas.width) {
+    return KEY_WIDTH + (time / this.viewDuration) * (width - KEY_WIDTH);
+  }
+
+  xToTime(x, width = this.canvas.width) {
+    return Math.max(0, ((x - KEY_WIDTH) / (width - KEY_WIDTH)) * this.viewDuration);
+  }
+
+  rowHeight(height = this.canvas.height) {
+    return height / (this.highNote - this.lowNote + 1);
+  }
+
+  /** Top of a pitch's row. */
+  midiToY(midi, height = this.canvas.height) {
+    return (this.highNote - midi) * this.rowHeight(height);
+  }
+
+  yToMidi(y, height = this.canvas.height) {
+    return Math.max(this.lowNote, Math.min(this.highNote, this.highNote - Math.floor(y / this.rowHeight(height))));
+  }
+
+  /**
+   * The note under a point; the last drawn (topmost) wins.
+   * @returns {{ index: Number, edge: Boolean }|null} edge: the point is on the note's end
+   */
+  noteAt(x, y, width = this.canvas.width, height = this.canvas.height) {
+    const midi = this.yToMidi(y, height);
+    for (let i = this.notes.length - 1; i >= 0; i--) {
+      const note = this.notes[i];
+      if (note.midi !== midi) continue;
+      const x0 = this.timeToX(note.time, width);
+      const x1 = Math.max(x0 + EDGE, this.timeToX(note.time + note.duration, width));
+      if (x >= x0 && x <= x1) return { index: i, edge: x >= x1 - EDGE };
+    }
+    return null;
+  }
+
+  /** Round a time to a grid of `grid` seconds (0: unchanged). */
+  snap(time, grid) {
+    return grid > 0 ? Math.round(time / grid) * grid : time;
+  }
+
+  /* -------------------------
+     Editing
+     ------------------------- */
+  /** @returns {Number} index of the new note */
+  addNote(note) {
+    this.notes.push({ velocity: 0.8, ...note });
+    return this.updateNote(this.notes.length - 1, {});
+  }
+
+  /**
+   * Change a note's fields; time, pitch and length are kept in range and the performance grows to
+   * fit it.
+   * @returns {Number} the note's index
+   */
+  updateNote(index, fields) {
+    const note = this.notes[index];
+    if (!note) return -1;
+    Object.assign(note, fields);
+    note.time = Math.max(0, note.time);
+    note.midi = clampMidi(note.midi);
+    note.duration = Math.max(MIN_DURATION, note.duration);
+    note.velocity = Math.max(0.01, Math.min(1, note.velocity));
+    this.duration = Math.max(this.duration, note.time + note.duration);
+    return index;
+  }
+
+  removeNote(index) {
+    this.notes.splice(index, 1);
+  }
+
+  /* -------------------------
+     Drawing
+     ------------------------- */
+  /**
+   * @param {Object} state - selected: index of the highlighted note, playhead: seconds or null
+   */
+  draw(state = {}) {
+    const { ctx, canvas, colors } = this;
+    const width = canvas.width;
+    const height = canvas.height;
+    const row = this.rowHeight(height);
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, width, height);
+
+    for (let midi = this.lowNote; midi <= this.highNote; midi++) {
+      const y = this.midiToY(midi, height);
+      if (BLACK_PITCH_CLASSES.has(midi % 12)) {
+        ctx.fillStyle = colors.blackRow;
+        ctx.fillRect(KEY_WIDTH, y, width - KEY_WIDTH, row);
+      }
+      if (midi % 12 === 0) {
+        ctx.fillStyle = colors.line;
+        ctx.fillRect(KEY_WIDTH, Math.round(y + row) - 1, width - KEY_WIDTH, 1);
+      }
+    }
+
+    // beat lines unless they would crowd together; bar lines always
+    const beatWidth = (this.beatDuration / this.viewDuration) * (width - KEY_WIDTH);
+    for (let beat = 0; beat * this.beatDuration <= this.viewDuration; beat++) {
+      const isBar = beat % this.beatsPerBar === 0;
+      if (!isBar && beatWidth < 6) continue;
+      ctx.fillStyle = isBar ? colors.bar : colors.beat;
+      ctx.fillRect(Math.round(this.timeToX(beat * this.beatDuration, width)), 0, 1, height);
+    }
+
+    this.notes.forEach((note, i) => {
+      if (note.midi < this.lowNote || note.midi > this.highNote) return;
+      const x = this.timeToX(note.time, width);
+      const w = Math.max(2, this.timeToX(note.time + note.duration, width) - x);
+      const y = this.midiToY(note.midi, height);
+      const rgb = i === state.selected ? colors.selected : colors.note;
+      ctx.fillStyle = `rgba(${rgb}, ${0.35 + 0.65 * (note.velocity ?? 0.8)})`;
+      ctx.fillRect(x, y + 1, w, Math.max(1, row - 2));
+      ctx.strokeStyle = `rgb(${rgb})`;
+      ctx.strokeRect(x + 0.5, y + 1.5, w - 1, Math.max(0, row - 3));
+    });
+
+    // key column, with every C named
+    ctx.fillStyle = colors.keys;
+    ctx.fillRect(0, 0, KEY_WIDTH, height);
+    ctx.font = `${Math.max(8, Math.min(11, row))}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = colors.label;
+    for (let midi = this.lowNote; midi <= this.highNote; midi++) {
+      if (midi % 12 === 0) ctx.fillText(`C${midi / 12 - 1}`, 4, this.midiToY(midi, height) + row / 2);
+    }
+
+    if (state.playhead != null) {
+      ctx.fillStyle = colors.playhead;
+      ctx.fillRect(Math.round(this.timeToX(state.playhead, width)), 0, 1, height);
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PianoRoll = PianoRoll;
+}
+export default PianoRoll;
@@ -0,0 +1,139 @@
+/* pitch-detector.js
+   PitchDetector - YIN fundamental-frequency estimation for finding a sample's root note
+
+   Usage:
+     const result = PitchDetector.detect(audioBuffer, { start: 0, end: audioBuffer.length });
+     if (result) synthNode.setSampleTuning('kick', result.rootNote, result.fineTune);
+
+   detect() mixes the region to mono, runs YIN on several frames spread across it (skipping the
+   attack) and returns the median estimate:
+     { freq, midi, rootNote, fineTune, confidence }
+   midi is the exact (fractional) note, rootNote the nearest MIDI note and fineTune the correction
+   in cents that makes rootNote play in tune. Returns null for unpitched or silent material.
+*/
+
+const YIN_THRESHOLD = 0.15;   // cumulative-mean-normalized difference below which a dip counts as the period
+const MIN_FREQ = 40;          // Hz - sets the analysis window length
+const MAX_FREQ = 2000;        // Hz
+const MAX_FRAMES = 8;         // frames analysed per region
+const SILENCE_RMS = 0.001;
+
+class PitchDetector {
+  /**
+   * Estimate the pitch of a region of an AudioBuffer (or anything with getChannelData / length /
+   * sampleRate / numberOfChannels).
+   * @param {AudioBuffer} buffer
+   * @param {Object} opts - { start, end } in frames, minFreq, maxFreq, threshold
+   * @returns {Object|null}
+   */
+  static detect(buffer, opts = {}) {
+    const start = Math.max(0, Math.floor(opts.start ?? 0));
+    const end = Math.min(buffer.length, Math.floor(opts.end ?? buffer.length));
+    const sr = buffer.sampleRate;
+    const minFreq = opts.minFreq || MIN_FREQ;
+    const maxFreq = opts.maxFreq || MAX_FREQ;
+
+    // window long enough to hold two periods of the lowest frequency
+    let size = 256;
+    while (size < (2 * sr) / minFreq && size < 8192) size *= 2;
+    const mono = PitchDetector.mixToMono(buffer, start, end);
+    if (mono.length < size) {
+      if (mono.length < 256) return null;
+      size = mono.length;
+    }
+
+    // skip the first 10% (attack transients rarely carry a stable pitch)
+    const first = Math.floor((mono.length - size) * 0.1);
+    const span = mono.length - size - first;
+    const frames = Math.max(1, Math.min(MAX_FRAMES, Math.floor(span / (size / 2)) + 1));
+    const estimates = [];
+    for (let f = 0; f < frames; f++) {
+      const offset = first + (frames === 1 ? 0 : Math.floor((span * f) / (frames - 1)));
+      const frame = mono.subarray(offset, offset + size);
+      const est = PitchDetector.yin(frame, sr, { minFreq, maxFreq, threshold: opts.threshold });
+      if (est) estimates.push(est);
+    }
+    // a pitched sound should be pitched in most of its frames
+    if (estimates.length < Math.ceil(frames / 2)) return null;
+
+    estimates.sort((a, b) => a.freq - b.freq);
+    const median = estimates[estimates.length >> 1];
+    const midi = 69 + 12 * Math.log2(median.freq / 440);
+    const rootNote = Math.round(midi);
+    return {
+      freq: median.freq,
+      midi,
+      rootNote,
+      fineTune: Math.round((rootNote - midi) * 100),
+      confidence: estimates.length / frames * (1 - median.aperiodicity)
+    };
+  }
+
+  /**
+   * YIN on a single frame. The lag search covers the first half of the frame.
+   * @param {Float32Array} frame
+   * @param {Number} sampleRate
+   * @param {Object} opts - minFreq, maxFreq, threshold
+   * @returns {{ freq: Number, aperiodicity: Number }|null}
+   */
+  static yin(frame, sampleRate, opts = {}) {
+    const threshold = opts.threshold || YIN_THRESHOLD;
+    const half = frame.length >> 1;
+    const tauMin = Math.max(2, Math.floor(sampleRate / (opts.maxFreq || MAX_FREQ)));
+    const tauMax = Math.min(half - 1, Math.ceil(sampleRate / (opts.minFreq || MIN_FREQ)));
+    if (tauMax <= tauMin) return null;
+
+    let energy = 0;
+    for (let i = 0; i < half; i++) energy += frame[i] * frame[i];
+    if (Math.sqrt(energy / half) < SILENCE_RMS) return null;
+
+    // difference function, then cumulative mean normalization
+    const d = new Float32Array(tauMax + 2);
+    for (let tau = 1; tau <= tauMax + 1; tau++) {
+      let sum = 0;
+      for (let i = 0; i < half; i++) {
+        const diff = frame[i] - frame[i + tau];
+        sum += diff * diff;
+      }
+      d[tau] = sum;
+    }
+    d[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= tauMax + 1; tau++) {
+      running += d[tau];
+      d[tau] = running > 0 ? (d[tau] * tau) / running : 1;
+    }
+
+    // first dip under the threshold, followed down to its local minimum
+    let tau = -1;
+    for (let t = tauMin; t <= tauMax; t++) {
+      if (d[t] < threshold) {
+        while (t + 1 <= tauMax && d[t + 1] < d[t]) t++;
+        tau = t;
+        break;
+      }
+    }
+    if (tau < 0) return null;
+
+    // parabolic interpolation around the minimum for sub-sample precision
+    const a = d[tau - 1], b = d[tau], c = d[tau + 1];
+    const denom = a - 2 * b + c;
+    const shift = denom !== 0 ? Math.max(-0.5, Math.min(0.5, (a - c) / (2 * denom))) : 0;
+    return { freq: sampleRate / (tau + shift), aperiodicity: b };
+  }
+
+  static mixToMono(buffer, start, end) {
+    const out = new Float32Array(Math.max(0, end - start));
+    const channels = buffer.numberOfChannels || 1;
+    for (let ch = 0; ch < channels; ch++) {
+      const data = buffer.getChannelData(ch);
+      for (let i = 0; i < out.length; i++) out[i] += data[start + i] / channels;
+    }
+    return out;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PitchDetector = PitchDetector;
+}
+export default PitchDetector;
@@ -0,0 +1,122 @@
+/* preset-store.js
+   PresetStore - IndexedDB persistence for instrument presets (the preset browser's backing store)
+
+   Usage:
+     const store = new PresetStore();              // or new PresetStore({ indexedDB: fakeIndexedDB })
+     await store.open();
+     const id = await store.save(preset);          // preset from InstrumentPreset.create
+     const list = await store.list();              // [{ id, name, created, version }] newest first
+     const preset = await store.load(id);          // migrated to the current version
+     await store.remove(id);
+
+   Presets are stored as structured clones, so sample channels stay Float32Arrays. Records written
+   by an older version are migrated on load (InstrumentPreset.migrate); the stored copy is left as is.
+   A second store keeps each preset's summary, written in the same transaction, so list() never
+   reads sample data.
+*/
+
+const DB_NAME = 'xtron';
+const DB_VERSION = 2;
+const STORE = 'presets';
+const SUMMARY_STORE = 'presetSummaries';
+
+const summaryOf = (record) => ({
+  id: record.id, name: record.name, created: record.created, saved: record.saved, version: record.version
+});
+
+// IDBRequest -> Promise
+const requestToPromise = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// IDBTransaction -> Promise, resolved once it commits
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('PresetStore: transaction aborted'));
+});
+
+class PresetStore {
+  /**
+   * @param {Object} opts - optional config
+   *   - indexedDB: IDBFactory to use (defaults to window.indexedDB)
+   */
+  constructor(opts = {}) {
+    this.idb = opts.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.db = null;
+  }
+
+  /**
+   * Open (and create / upgrade) the database. Resolves false when IndexedDB is unavailable.
+   */
+  async open() {
+    if (this.db) return true;
+    if (!this.idb) return false;
+    const req = this.idb.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('name', 'name');
+      }
+      if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+        const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+        // presets saved before version 2 get their summaries here, one record at a time
+        req.transaction.objectStore(STORE).openCursor().onsuccess = (ev) => {
+          const cursor = ev.target.result;
+          if (!cursor) return;
+          summaries.put(summaryOf(cursor.value));
+          cursor.continue();
+        };
+      }
+    };
+    this.db = await requestToPromise(req);
+    return true;
+  }
+
+  /**
+   * Save a preset. A preset that carries an id (it was loaded from the store) is overwritten.
+   * @returns {Promise<number>} the record id
+   */
+  async save(preset) {
+    const record = { ...preset, saved: new Date().toISOString() };
+    if (record.id == null) delete record.id;
+    const tx = this._transaction('readwrite');
+    const req = tx.objectStore(STORE).put(record);
+    req.onsuccess = () => tx.objectStore(SUMMARY_STORE).put(summaryOf({ ...record, id: req.result }));
+    await transactionDone(tx);
+    return req.result;
+  }
+
+  /**
+   * Summaries of every stored preset, newest first (read from the summary store, not the presets).
+   */
+  async list() {
+    const summaries = await requestToPromise(this._transaction('readonly').objectStore(SUMMARY_STORE).getAll());
+    return summaries.sort((a, b) => String(b.saved).localeCompare(String(a.saved)));
+  }
+
+  async load(id) {
+    const record = await requestToPromise(this._transaction('readonly').objectStore(STORE).get(id));
+    if (!record) throw new Error(`PresetStore: no preset with id ${id}`);
+    return window.InstrumentPreset.migrate(record);
+  }
+
+  async remove(id) {
+    const tx = this._transaction('readwrite');
+    tx.objectStore(STORE).delete(id);
+    tx.objectStore(SUMMARY_STORE).delete(id);
+    await transactionDone(tx);
+  }
+
+  _transaction(mode) {
+    if (!this.db) throw new Error('PresetStore: call open() first');
+    return this.db.transaction([STORE, SUMMARY_STORE], mode);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PresetStore = PresetStore;
+}
+export default PresetStore;
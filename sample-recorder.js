@@ -0,0 +1,213 @@
+/* sample-recorder.js
+   SampleRecorder - captures mic / line-in (or any AudioNode) into a sample through a recording worklet
+
+   Usage:
+     const rec = new SampleRecorder(audioContext, { workletUrl: 'audio/recorder-processor.js' });
+     await rec.init();
+     await rec.open();                                  // getUserMedia, or rec.setSource(anyAudioNode)
+     rec.on('level', ({ peak, rms }) => meter(peak));   // always reported while the node runs
+     rec.record({ time: ctx.currentTime + countIn, threshold: 0.05 });
+     const take = await rec.stop();                     // { channels: [L, R], sampleRate, length, reason }
+     rec.close();
+
+   Events: 'level' { peak, rms } (linear), 'state' { state, frame } (idle | waiting | armed |
+   recording), 'take' (every finished take, including ones ended by the max length). Use '*' for
+   every event.
+
+   open() takes an optional getUserMedia function, so tests can hand in a fake MediaStream; the
+   browser's echo cancellation, noise suppression and gain control are turned off because they
+   would colour the sample.
+*/
+
+const DEFAULT_MAX_SECONDS = 60;
+
+class SampleRecorder {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - processorName: name registered in the worklet processor (string)
+   *   - workletUrl: path to the processor module (string). If provided, init() calls addModule.
+   *   - maxSeconds: longest take (default 60)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.processorName = opts.processorName || 'recorder-processor';
+    this.workletUrl = opts.workletUrl || null;
+    this.maxSeconds = opts.maxSeconds || DEFAULT_MAX_SECONDS;
+    this.node = null;
+    this.source = null;             // AudioNode feeding the recorder
+    this.stream = null;             // MediaStream opened by open(), stopped by close()
+    this.state = 'idle';
+    this._ready = false;
+    this._pendingMessages = [];
+    this._onmessageHandlers = [];
+    this._chunks = [];
+    this._stopWaiters = [];
+  }
+
+  async init() {
+    if (this.workletUrl) {
+      await this.context.audioWorklet.addModule(this.workletUrl);
+    }
+    this.node = new AudioWorkletNode(this.context, this.processorName, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [1],
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      processorOptions: { maxSeconds: this.maxSeconds }
+    });
+    // the output is silent; connecting it keeps the node processed in every browser
+    this.node.connect(this.context.destination);
+
+    return new Promise((resolve) => {
+      this.node.port.onmessage = (ev) => {
+        const data = ev.data;
+        if (data && data.ready && !this._ready) {
+          this._ready = true;
+          this._pendingMessages.forEach(m => this.node.port.postMessage(m));
+          this._pendingMessages = [];
+          resolve();
+          return;
+        }
+        this._handleMessage(data);
+      };
+    });
+  }
+
+  /**
+   * Open an audio input and record from it.
+   * @param {Object} opts - deviceId, getUserMedia (function(constraints) -> Promise<MediaStream>)
+   */
+  async open(opts = {}) {
+    const getUserMedia = opts.getUserMedia || ((constraints) => navigator.mediaDevices.getUserMedia(constraints));
+    const stream = await getUserMedia({
+      audio: {
+        deviceId: opts.deviceId ? { exact: opts.deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      }
+    });
+    this.close();
+    this.stream = stream;
+    this.setSource(this.context.createMediaStreamSource(stream));
+  }
+
+  /** Record from any AudioNode instead of a device (null disconnects). */
+  setSource(node) {
+    if (this.source) this.source.disconnect(this.node);
+    this.source = node;
+    if (node) node.connect(this.node);
+  }
+
+  /** Disconnect the source and release the device opened by open(). */
+  close() {
+    this.setSource(null);
+    if (this.stream) {
+      this.stream.getTracks().forEach(t => t.stop());
+      this.stream = null;
+    }
+  }
+
+  get isOpen() {
+    return this.source !== null;
+  }
+
+  /**
+   * Register a message-type handler: fn(data). Use '*' for every message.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    this._onmessageHandlers.slice().forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('SampleRecorder handler error', e); }
+      }
+    });
+  }
+
+  _handleMessage(data) {
+    if (!data || !data.type) return;
+    if (data.type === 'data') {
+      this._chunks.push(data.channels);
+      return;
+    }
+    if (data.type === 'state') this.state = data.state;
+    if (data.type === 'stopped') {
+      // the processor's 'state' message follows; the take is over already
+      this.state = 'idle';
+      const take = this._assemble(data);
+      this._callHandlers('take', take);
+      this._stopWaiters.splice(0).forEach(resolve => resolve(take));
+      return;
+    }
+    this._callHandlers(data.type, data);
+  }
+
+  // join the chunks of a finished take
+  _assemble({ length, reason }) {
+    const channels = [new Float32Array(length), new Float32Array(length)];
+    let offset = 0;
+    for (const chunk of this._chunks) {
+      const n = Math.min(chunk[0].length, length - offset);
+      channels.forEach((out, ch) => out.set(chunk[ch].subarray(0, n), offset));
+      offset += n;
+    }
+    this._chunks = [];
+    return { channels, sampleRate: this.context.sampleRate, length, reason };
+  }
+
+  postMessage(msg) {
+    if (!this.node || !this._ready) {
+      this._pendingMessages.push(msg);
+      return;
+    }
+    this.node.port.postMessage(msg);
+  }
+
+  /**
+   * Start a take.
+   * @param {Object} opts - time: context seconds to start at (0 = now, e.g. the end of a count-in);
+   *   threshold: linear peak that starts the take (0 = start right away); preRoll: seconds kept
+   *   from before the threshold was crossed (default 0.05)
+   */
+  record(opts = {}) {
+    this._chunks = [];
+    // until the processor reports back, so an early stop() still reaches it
+    this.state = 'waiting';
+    this.postMessage({ type: 'record', time: opts.time || 0, threshold: opts.threshold || 0, preRoll: opts.preRoll });
+  }
+
+  /**
+   * End the take. Resolves with { channels, sampleRate, length, reason } - length 0 when the take
+   * was still waiting for its start time or threshold.
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (this.state === 'idle') {
+        resolve({ channels: [new Float32Array(0), new Float32Array(0)], sampleRate: this.context.sampleRate, length: 0, reason: 'stop' });
+        return;
+      }
+      this._stopWaiters.push(resolve);
+      this.postMessage({ type: 'stop' });
+    });
+  }
+
+  dispose() {
+    this.close();
+    if (this.node) {
+      this.node.port.postMessage({ type: 'dispose' });
+      this.node.disconnect();
+      this.node = null;
+    }
+    this._ready = false;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SampleRecorder = SampleRecorder;
+}
+export default SampleRecorder;
@@ -0,0 +1,155 @@
+/* spectrum-view.js
+   SpectrumView - real-time spectrum analyzer / oscilloscope renderer for a canvas
+
+   Usage:
+     const view = new SpectrumView(canvas);
+     // once per animation frame, with data from an OutputMeter (or an AnalyserNode):
+     view.drawSpectrum(meter.getSpectrum(spectrum), meter.sampleRate);
+     view.drawScope(meter.getWaveform(waveform));
+
+   The spectrum uses a logarithmic frequency axis from MIN_FREQ to Nyquist and a dB axis from minDb
+   to maxDb. Where one pixel spans several bins it shows their maximum, so narrow peaks stay visible
+   up top. The scope starts each trace at a rising zero crossing, which keeps periodic sounds still.
+*/
+
+const MIN_FREQ = 20;              // Hz, left edge of the spectrum
+const GRID_FREQS = [100, 1000, 10000];
+const SCOPE_FRAMES = 1024;        // frames across the scope (at most half the waveform)
+
+class SpectrumView {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} opts - optional colours (background, trace, fill, grid, label) and the dB range
+   *   (minDb, default -100; maxDb, default 0)
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.colors = {
+      background: opts.background || '#2b2f33',
+      trace: opts.trace || '#35f29a',
+      fill: opts.fill || 'rgba(53, 242, 154, 0.2)',
+      grid: opts.grid || 'rgba(255, 255, 255, 0.08)',
+      label: opts.label || 'rgba(255, 255, 255, 0.35)'
+    };
+    this.minDb = opts.minDb ?? -100;
+    this.maxDb = opts.maxDb ?? 0;
+  }
+
+  /* -------------------------
+     Coordinate mapping
+     ------------------------- */
+  frequencyToX(freq, nyquist, width) {
+    return (Math.log(freq / MIN_FREQ) / Math.log(nyquist / MIN_FREQ)) * width;
+  }
+
+  xToFrequency(x, nyquist, width) {
+    return MIN_FREQ * Math.pow(nyquist / MIN_FREQ, x / width);
+  }
+
+  dbToY(db, height) {
+    const t = (db - this.minDb) / (this.maxDb - this.minDb);
+    return height - Math.max(0, Math.min(1, t)) * height;
+  }
+
+  /** Blank the canvas (e.g. while the display is switched off). */
+  clear() {
+    const { ctx, canvas } = this;
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  /* -------------------------
+     Drawing
+     ------------------------- */
+  /**
+   * @param {Float32Array} spectrum - dB per bin, bins evenly spaced from 0 to Nyquist
+   * @param {Number} sampleRate
+   */
+  drawSpectrum(spectrum, sampleRate) {
+    const { ctx, canvas } = this;
+    const width = canvas.width;
+    const height = canvas.height;
+    const nyquist = sampleRate / 2;
+    const binWidth = nyquist / spectrum.length;
+    this.clear();
+
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+    for (const freq of GRID_FREQS) {
+      if (freq >= nyquist) continue;
+      const x = Math.round(this.frequencyToX(freq, nyquist, width));
+      ctx.fillStyle = this.colors.grid;
+      ctx.fillRect(x, 0, 1, height);
+      ctx.fillStyle = this.colors.label;
+      ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x + 3, 3);
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    for (let x = 0; x < width; x++) {
+      const lo = this.xToFrequency(x, nyquist, width) / binWidth;
+      const hi = this.xToFrequency(x + 1, nyquist, width) / binWidth;
+      let db;
+      if (hi - lo < 1) {
+        // wider bins than pixels: interpolate between neighbouring bins
+        const k = Math.min(spectrum.length - 2, Math.floor(lo));
+        const t = lo - k;
+        db = spectrum[k] * (1 - t) + spectrum[k + 1] * t;
+      } else {
+        db = -Infinity;
+        for (let k = Math.floor(lo); k < Math.min(spectrum.length, Math.ceil(hi)); k++) {
+          if (spectrum[k] > db) db = spectrum[k];
+        }
+      }
+      // silent bins come back as -Infinity
+      if (!(db > this.minDb)) db = this.minDb;
+      ctx.lineTo(x, this.dbToY(db, height));
+    }
+    ctx.lineTo(width, height);
+    ctx.closePath();
+    ctx.fillStyle = this.colors.fill;
+    ctx.fill();
+    ctx.strokeStyle = this.colors.trace;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  /**
+   * @param {Float32Array} waveform - time-domain samples, -1..1
+   */
+  drawScope(waveform) {
+    const { ctx, canvas } = this;
+    const width = canvas.width;
+    const height = canvas.height;
+    this.clear();
+
+    ctx.fillStyle = this.colors.grid;
+    ctx.fillRect(0, Math.round(height / 2), width, 1);
+
+    const frames = Math.min(SCOPE_FRAMES, Math.floor(waveform.length / 2));
+    let trigger = 0;
+    for (let i = 1; i < waveform.length - frames; i++) {
+      if (waveform[i - 1] < 0 && waveform[i] >= 0) {
+        trigger = i;
+        break;
+      }
+    }
+
+    ctx.beginPath();
+    for (let x = 0; x < width; x++) {
+      const v = waveform[trigger + Math.floor((x / width) * frames)];
+      const y = height / 2 - Math.max(-1, Math.min(1, v)) * (height / 2);
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.strokeStyle = this.colors.trace;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SpectrumView = SpectrumView;
+}
+export default SpectrumView;
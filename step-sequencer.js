@@ -0,0 +1,217 @@
+/* step-sequencer.js
+   StepSequencer - pattern step sequencer with a lookahead scheduler
+
+   Usage:
+     const seq = new StepSequencer(audioContext, { target: synthNode });  // anything with noteOn / noteOff
+     seq.setPattern(0, StepSequencer.createPattern({ length: 16 }));
+     seq.setStep(0, 4, { on: true, note: 62, velocity: 0.8, gate: 0.5 });
+     seq.setChain([0, 0, 1]);                 // pattern order, repeats
+     seq.setTempo(120); seq.setSwing(0.2);
+     seq.on('step', ({ pattern, step, time }) => ...);  // for UI, `time` is when the step sounds
+     seq.start(); seq.stop();
+
+   Timing never depends on when the main thread gets to run: a timer wakes every `interval` ms and
+   schedules every step that starts within the next `lookahead` seconds, passing its exact
+   AudioContext time to target.noteOn / noteOff ({ midi, velocity, time }). The worklet then starts
+   the note on the right frame. A late timer only shrinks the margin - it never moves a note. A
+   stalled one (a background tab throttled to one wake-up a second) drops the steps whose time has
+   passed instead of firing them all at once.
+
+   Steps are sixteenths (stepsPerBeat = 4). Swing delays every second step of a pattern by
+   swing * step length (0 = straight, 0.5 = hard shuffle). Gate is the fraction of the step a note
+   is held (0..1).
+*/
+
+const DEFAULT_LOOKAHEAD = 0.1;     // seconds scheduled ahead of currentTime
+const DEFAULT_INTERVAL = 25;       // ms between scheduler wake-ups
+const START_DELAY = 0.05;          // seconds between start() and the first step
+const MAX_SWING = 0.75;
+const MIN_GATE = 0.01;
+const LATE_TOLERANCE = 0.02;       // seconds: a step this far in the past is dropped, not played late
+
+class StepSequencer {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - target: object with noteOn(note) / noteOff(note), e.g. a MiniSynthNode
+   *   - patternCount: number of pattern slots (default 4)
+   *   - lookahead: seconds (default 0.1)
+   *   - interval: scheduler period in ms (default 25)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.target = opts.target || null;
+    this.lookahead = opts.lookahead || DEFAULT_LOOKAHEAD;
+    this.interval = opts.interval || DEFAULT_INTERVAL;
+    this.tempo = 120;
+    this.swing = 0;
+    this.stepsPerBeat = 4;
+    this.patterns = [];
+    for (let i = 0; i < (opts.patternCount || 4); i++) this.patterns.push(StepSequencer.createPattern());
+    this.chain = [0];              // pattern indexes, played in order and repeated
+
+    this.playing = false;
+    this._timer = null;
+    this._chainPos = 0;            // index into chain of the pattern being scheduled
+    this._step = 0;                // next step to schedule within that pattern
+    this._nextStepTime = 0;        // context time of the next step, before swing
+    this._sounding = [];           // { midi, off } notes whose noteOff lies in the future
+    this._onmessageHandlers = [];
+  }
+
+  /**
+   * A pattern of `length` empty steps.
+   * @param {Object} opts - length (default 16), note (default 60)
+   */
+  static createPattern(opts = {}) {
+    const steps = [];
+    for (let i = 0; i < (opts.length || 16); i++) {
+      steps.push({ on: false, note: opts.note ?? 60, velocity: 0.8, gate: 0.5 });
+    }
+    return { steps };
+  }
+
+  /**
+   * Register an event handler: fn(data). Events: 'step' ({ pattern, step, time }),
+   * 'start', 'stop'. Use '*' for every event.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    this._onmessageHandlers.forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('StepSequencer handler error', e); }
+      }
+    });
+  }
+
+  setTarget(target) {
+    this.target = target;
+  }
+
+  setTempo(bpm) {
+    this.tempo = Math.max(20, Math.min(300, +bpm || 120));
+  }
+
+  setSwing(amount) {
+    this.swing = Math.max(0, Math.min(MAX_SWING, +amount || 0));
+  }
+
+  /** Replace a pattern slot; edits apply from the next time a step comes round. */
+  setPattern(index, pattern) {
+    this.patterns[index] = { steps: pattern.steps.map(s => ({ ...s })) };
+  }
+
+  /** Change one step of a pattern. */
+  setStep(patternIndex, stepIndex, fields) {
+    const step = this.patterns[patternIndex].steps[stepIndex];
+    Object.assign(step, fields);
+  }
+
+  /**
+   * Resize a pattern; new steps copy the last one's note but start off.
+   */
+  setPatternLength(patternIndex, length) {
+    const steps = this.patterns[patternIndex].steps;
+    while (steps.length > length) steps.pop();
+    while (steps.length < length) {
+      const last = steps[steps.length - 1];
+      steps.push({ on: false, note: last ? last.note : 60, velocity: 0.8, gate: 0.5 });
+    }
+  }
+
+  /**
+   * Pattern order. Invalid indexes are dropped; an empty chain plays pattern 0.
+   * @param {Number[]} chain
+   */
+  setChain(chain) {
+    const valid = (chain || []).filter(i => Number.isInteger(i) && i >= 0 && i < this.patterns.length);
+    this.chain = valid.length ? valid : [0];
+    if (this._chainPos >= this.chain.length) this._chainPos = 0;
+  }
+
+  /** Length of one step in seconds at the current tempo. */
+  get stepDuration() {
+    return 60 / this.tempo / this.stepsPerBeat;
+  }
+
+  /**
+   * Start from the first step of the chain.
+   * @param {Number} time - context time of the first step (default: now + a small margin)
+   */
+  start(time = 0) {
+    if (this.playing) return;
+    this.playing = true;
+    this._chainPos = 0;
+    this._step = 0;
+    this._nextStepTime = Math.max(time, this.context.currentTime + START_DELAY);
+    this._callHandlers('start', { time: this._nextStepTime });
+    this._tick();
+    this._timer = setInterval(() => this._tick(), this.interval);
+  }
+
+  /** Stop scheduling and release notes that are still held. */
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    clearInterval(this._timer);
+    this._timer = null;
+    const now = this.context.currentTime;
+    for (const note of this._sounding) {
+      if (note.off > now && this.target) this.target.noteOff({ midi: note.midi, time: 0 });
+    }
+    this._sounding = [];
+    this._callHandlers('stop', { time: now });
+  }
+
+  dispose() {
+    this.stop();
+    this._onmessageHandlers = [];
+  }
+
+  _tick() {
+    const now = this.context.currentTime;
+    const horizon = now + this.lookahead;
+    this._sounding = this._sounding.filter(n => n.off > now);
+    while (this._nextStepTime < horizon) {
+      if (this._nextStepTime >= now - LATE_TOLERANCE) this._scheduleStep();
+      this._advance();
+    }
+  }
+
+  _scheduleStep() {
+    const patternIndex = this.chain[this._chainPos];
+    const pattern = this.patterns[patternIndex];
+    const step = pattern.steps[this._step];
+    const duration = this.stepDuration;
+    const swingOffset = this._step % 2 === 1 ? this.swing * duration : 0;
+    const time = this._nextStepTime + swingOffset;
+
+    if (step && step.on && this.target) {
+      const gate = Math.max(MIN_GATE, Math.min(1, step.gate));
+      // never hold past the next step's start, so a repeated note retriggers cleanly
+      const off = time + Math.min(gate * duration, duration - swingOffset);
+      this.target.noteOn({ midi: step.note, velocity: step.velocity, time });
+      this.target.noteOff({ midi: step.note, time: off });
+      this._sounding.push({ midi: step.note, off });
+    }
+    this._callHandlers('step', { pattern: patternIndex, step: this._step, time });
+  }
+
+  _advance() {
+    this._nextStepTime += this.stepDuration;
+    this._step++;
+    const pattern = this.patterns[this.chain[this._chainPos]];
+    if (this._step >= pattern.steps.length) {
+      this._step = 0;
+      this._chainPos = (this._chainPos + 1) % this.chain.length;
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.StepSequencer = StepSequencer;
+}
+export default StepSequencer;
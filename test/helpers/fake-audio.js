@@ -0,0 +1,417 @@
+/* test/helpers/fake-audio.js
+   FakeAudioContext - just enough Web Audio to run the worklet processors and their node wrappers
+   in Node, offline and deterministically
+
+   Usage:
+     const ctx = new FakeAudioContext({ sampleRate: 48000 });
+     installGlobals();                                   // AudioWorkletNode for the wrappers
+     const synth = new MiniSynthNode(ctx, { workletUrl: 'audio/mini-synth-processor.js' });
+     await synth.init();
+     synth.connect(ctx.destination);
+     synth.noteOn({ midi: 60, time: 0.01 });
+     await ctx.flush();                                  // deliver every posted message
+     const [left, right] = ctx.render(0.5);              // seconds (or { frames }) of the destination mix
+
+   addModule(url) evaluates the processor file (relative to the repo root) in one vm context per
+   audio context - the AudioWorkletGlobalScope - with sampleRate / currentFrame / currentTime kept
+   up to date and a seeded Math.random, so renders repeat exactly.
+
+   Message ports behave like the real ones where it matters: data is structured-cloned (transferred
+   buffers are detached), delivery is asynchronous on the main-thread side, and the processor side
+   receives its messages at the start of each render quantum. A processor whose process() throws is
+   stopped and its node gets a 'processorerror'.
+
+   AudioParams support setValueAtTime, linear / exponential ramps and cancelScheduledValues; the
+   processor sees one value per quantum (k-rate).
+
+   createMediaStreamSource(new FakeMediaStream(signal)) stands in for a microphone: signal(frame,
+   channel) gives each sample, and the source feeds the input of the worklet nodes it is connected
+   to (the only audio connection into a processor the fakes model).
+*/
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const RENDER_QUANTUM = 128;
+
+// Small seeded PRNG (mulberry32), standing in for Math.random inside the worklet scope
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* -------------------------
+   MessagePort
+   ------------------------- */
+export class FakeMessagePort {
+  /**
+   * @param {Object} opts - deferred: deliver on a later macrotask (main thread) instead of when
+   *   drain() is called (the processor side, drained by the render loop)
+   */
+  constructor(opts = {}) {
+    this.onmessage = null;
+    this.peer = null;
+    this.queue = [];
+    this.closed = false;
+    this._deferred = !!opts.deferred;
+    this._scheduled = false;
+  }
+
+  static pair() {
+    const main = new FakeMessagePort({ deferred: true });
+    const worklet = new FakeMessagePort();
+    main.peer = worklet;
+    worklet.peer = main;
+    return [main, worklet];
+  }
+
+  postMessage(data, transfer = []) {
+    if (this.closed || this.peer.closed) return;
+    // throws a DataCloneError for uncloneable data / already detached buffers, like the real port
+    const clone = structuredClone(data, { transfer });
+    this.peer.queue.push(clone);
+    if (this.peer._deferred) this.peer._schedule();
+  }
+
+  _schedule() {
+    if (this._scheduled) return;
+    this._scheduled = true;
+    setImmediate(() => {
+      this._scheduled = false;
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.queue.length && !this.closed) {
+      const data = this.queue.shift();
+      if (this.onmessage) this.onmessage({ data });
+    }
+  }
+
+  close() {
+    this.closed = true;
+    this.queue = [];
+  }
+}
+
+/* -------------------------
+   AudioParam
+   ------------------------- */
+export class FakeAudioParam {
+  constructor(context, descriptor, initial) {
+    this.context = context;
+    this.name = descriptor.name;
+    this.defaultValue = descriptor.defaultValue ?? 0;
+    this.minValue = descriptor.minValue ?? -3.4028234663852886e38;
+    this.maxValue = descriptor.maxValue ?? 3.4028234663852886e38;
+    this.automationRate = descriptor.automationRate || 'a-rate';
+    this._base = initial ?? this.defaultValue;
+    this.events = [];               // { type: 'set' | 'linear' | 'exponential', time, value }, by time
+  }
+
+  get value() {
+    return this.valueAt(this.context.currentTime);
+  }
+
+  set value(v) {
+    this.setValueAtTime(v, this.context.currentTime);
+  }
+
+  _insert(ev) {
+    let i = this.events.length;
+    while (i > 0 && this.events[i - 1].time > ev.time) i--;
+    this.events.splice(i, 0, ev);
+    return this;
+  }
+
+  setValueAtTime(value, time) {
+    return this._insert({ type: 'set', time, value });
+  }
+
+  // a ramp runs from the previous event; without one it starts now, from the current value
+  _ramp(type, value, time) {
+    const now = this.context.currentTime;
+    if (!this.events.some(ev => ev.time <= time)) this._insert({ type: 'set', time: now, value: this.valueAt(now) });
+    return this._insert({ type, time, value });
+  }
+
+  linearRampToValueAtTime(value, time) {
+    return this._ramp('linear', value, time);
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    if (value <= 0) throw new RangeError('exponentialRampToValueAtTime: value must be positive');
+    return this._ramp('exponential', value, time);
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter(ev => ev.time < time);
+    return this;
+  }
+
+  /** The automated value at context time `t`, clamped to the nominal range. */
+  valueAt(t) {
+    let value = this._base;
+    let prevTime = 0;
+    for (const ev of this.events) {
+      if (ev.time <= t) {
+        value = ev.value;
+        prevTime = ev.time;
+        continue;
+      }
+      // the first event after t: interpolate when it is a ramp
+      const span = ev.time - prevTime;
+      const k = span > 0 ? (t - prevTime) / span : 1;
+      if (ev.type === 'linear') value = value + (ev.value - value) * k;
+      else if (ev.type === 'exponential' && value > 0) value = value * Math.pow(ev.value / value, k);
+      break;
+    }
+    return Math.max(this.minValue, Math.min(this.maxValue, value));
+  }
+}
+
+/* -------------------------
+   MediaStream
+   ------------------------- */
+export class FakeMediaStream {
+  /**
+   * @param {Function} signal - (frame, channel) -> sample, frame counted from the context's start
+   * @param {Object} opts - channelCount (default 1)
+   */
+  constructor(signal = () => 0, opts = {}) {
+    this.signal = signal;
+    this.channelCount = opts.channelCount || 1;
+    this.tracks = [{ kind: 'audio', readyState: 'live', stop() { this.readyState = 'ended'; } }];
+  }
+
+  getTracks() {
+    return this.tracks.slice();
+  }
+}
+
+export class FakeMediaStreamAudioSourceNode {
+  constructor(context, { mediaStream }) {
+    this.context = context;
+    this.mediaStream = mediaStream;
+    this.connections = [];
+  }
+
+  connect(destination) {
+    this.connections.push(destination);
+    return destination;
+  }
+
+  // no argument drops every connection, like the real one
+  disconnect(destination) {
+    this.connections = destination ? this.connections.filter(d => d !== destination) : [];
+  }
+
+  // one render quantum from the current frame; silence once the stream's tracks have been stopped
+  _process(frames) {
+    const live = this.mediaStream.tracks.some(t => t.readyState === 'live');
+    return Array.from({ length: this.mediaStream.channelCount }, (_, ch) => {
+      const out = new Float32Array(frames);
+      if (live) for (let i = 0; i < frames; i++) out[i] = this.mediaStream.signal(this.context.currentFrame + i, ch);
+      return out;
+    });
+  }
+}
+
+/* -------------------------
+   AudioWorkletNode
+   ------------------------- */
+export class FakeAudioWorkletNode {
+  constructor(context, name, options = {}) {
+    const Processor = context._processors.get(name);
+    if (!Processor) throw new DOMException(`AudioWorkletNode: "${name}" is not registered`, 'InvalidStateError');
+    this.context = context;
+    this.numberOfInputs = options.numberOfInputs ?? 1;
+    this.numberOfOutputs = options.numberOfOutputs ?? 1;
+    this.outputChannelCount = options.outputChannelCount || Array(this.numberOfOutputs).fill(1);
+    this.onprocessorerror = null;
+    this.connections = [];
+    this.alive = true;
+
+    this.parameters = new Map();
+    for (const d of Processor.parameterDescriptors || []) {
+      this.parameters.set(d.name, new FakeAudioParam(context, d, options.parameterData && options.parameterData[d.name]));
+    }
+
+    const [port, workletPort] = FakeMessagePort.pair();
+    this.port = port;
+    this._workletPort = workletPort;
+    context._nextPort = workletPort;
+    this.processor = new Processor({
+      numberOfInputs: this.numberOfInputs,
+      numberOfOutputs: this.numberOfOutputs,
+      outputChannelCount: this.outputChannelCount,
+      processorOptions: structuredClone(options.processorOptions || {})
+    });
+    context._nodes.push(this);
+  }
+
+  connect(destination) {
+    this.connections.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.connections = [];
+  }
+
+  // one render quantum; returns the node's outputs (silence once the processor has stopped)
+  _process(frames) {
+    const outputs = this.outputChannelCount.map(count => Array.from({ length: count }, () => new Float32Array(frames)));
+    this._workletPort.drain();
+    if (!this.alive) return outputs;
+    const parameters = {};
+    this.parameters.forEach((param, name) => {
+      parameters[name] = new Float32Array([param.valueAt(this.context.currentTime)]);
+    });
+    const inputs = Array.from({ length: this.numberOfInputs }, () => []);
+    if (inputs.length) inputs[0] = this.context._inputFor(this, frames);
+    try {
+      this.alive = this.processor.process(inputs, outputs, parameters) !== false;
+    } catch (err) {
+      this.alive = false;
+      this.error = err;
+      if (this.onprocessorerror) setImmediate(() => this.onprocessorerror && this.onprocessorerror({ type: 'processorerror', error: err }));
+    }
+    return outputs;
+  }
+}
+
+/* -------------------------
+   AudioContext
+   ------------------------- */
+export class FakeAudioContext {
+  /**
+   * @param {Object} opts - sampleRate (default 48000), seed for Math.random in the worklet scope
+   *   (default 1), root the worklet urls are relative to (default the repo root), state
+   */
+  constructor(opts = {}) {
+    this.sampleRate = opts.sampleRate || 48000;
+    this.state = opts.state || 'running';
+    this.currentFrame = 0;
+    this.destination = { context: this, isDestination: true };
+    this._root = opts.root || REPO_ROOT;
+    this._nodes = [];
+    this._sources = [];
+    this._processors = new Map();
+    this._modules = new Set();
+    this._nextPort = null;
+
+    const workletMath = Object.create(Math);
+    workletMath.random = random(opts.seed ?? 1);
+    const context = this;
+    this.scope = vm.createContext({
+      console,
+      Math: workletMath,
+      sampleRate: this.sampleRate,
+      currentFrame: 0,
+      currentTime: 0,
+      AudioWorkletProcessor: class AudioWorkletProcessor {
+        constructor() {
+          this.port = context._nextPort;
+          context._nextPort = null;
+        }
+      },
+      registerProcessor: (name, cls) => {
+        if (this._processors.has(name)) throw new DOMException(`"${name}" is already registered`, 'NotSupportedError');
+        this._processors.set(name, cls);
+      }
+    });
+    this.audioWorklet = {
+      addModule: async (url) => {
+        const file = path.resolve(this._root, url);
+        if (this._modules.has(file)) return;
+        vm.runInContext(fs.readFileSync(file, 'utf8'), this.scope, { filename: file });
+        this._modules.add(file);
+      }
+    };
+  }
+
+  get currentTime() {
+    return this.currentFrame / this.sampleRate;
+  }
+
+  createMediaStreamSource(mediaStream) {
+    const source = new FakeMediaStreamAudioSourceNode(this, { mediaStream });
+    this._sources.push(source);
+    return source;
+  }
+
+  // the channels of every source connected to `node`, summed (a source with fewer channels only
+  // adds to the first ones; the processors up-mix a mono input themselves)
+  _inputFor(node, frames) {
+    const channels = [];
+    for (const source of this._sources) {
+      if (!source.connections.includes(node)) continue;
+      source._process(frames).forEach((data, ch) => {
+        if (!channels[ch]) channels[ch] = new Float32Array(frames);
+        for (let i = 0; i < frames; i++) channels[ch][i] += data[i];
+      });
+    }
+    return channels;
+  }
+
+  async resume() {
+    this.state = 'running';
+  }
+
+  async suspend() {
+    this.state = 'suspended';
+  }
+
+  /** Deliver every pending message in both directions (including replies to replies). */
+  async flush() {
+    for (let round = 0; round < 100; round++) {
+      await new Promise(resolve => setImmediate(resolve));
+      const busy = this._nodes.some(n => n.port.queue.length || n._workletPort.queue.length);
+      if (!busy) return;
+      this._nodes.forEach(n => n._workletPort.drain());
+    }
+    throw new Error('FakeAudioContext.flush: messages keep coming');
+  }
+
+  /**
+   * Run every node for `seconds` (or { frames }) and return the stereo mix of the nodes connected to
+   * the destination. The processors' messages are delivered before each quantum.
+   * @returns {Float32Array[]} [left, right]
+   */
+  render(length) {
+    const frames = typeof length === 'number' ? Math.round(length * this.sampleRate) : length.frames;
+    const mix = [new Float32Array(frames), new Float32Array(frames)];
+    for (let offset = 0; offset < frames; offset += RENDER_QUANTUM) {
+      this.scope.currentFrame = this.currentFrame;
+      this.scope.currentTime = this.currentTime;
+      for (const node of this._nodes.slice()) {
+        const outputs = node._process(RENDER_QUANTUM);
+        if (!node.connections.includes(this.destination)) continue;
+        const [l, r = l] = outputs[0] || [];
+        const n = Math.min(RENDER_QUANTUM, frames - offset);
+        for (let i = 0; i < n; i++) {
+          mix[0][offset + i] += l[i];
+          mix[1][offset + i] += r[i];
+        }
+      }
+      this.currentFrame += RENDER_QUANTUM;
+    }
+    return mix;
+  }
+}
+
+/** Make the fakes the globals the node wrappers construct (AudioWorkletNode). */
+export function installGlobals() {
+  globalThis.AudioWorkletNode = FakeAudioWorkletNode;
+}
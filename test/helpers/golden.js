@@ -0,0 +1,50 @@
+/* test/helpers/golden.js
+   Golden checksums for rendered audio
+
+   Usage:
+     assertGolden('single-note', [left, right]);
+
+   The checksum is a SHA-256 over the samples quantized to 1/2^20, which ignores last-bit float noise
+   but catches any audible change. Checksums live in test/golden/renders.json. Run the tests with
+   UPDATE_GOLDEN=1 (npm run test:update-golden) to record new ones after an intended engine change,
+   and commit the file together with that change.
+*/
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { REPO_ROOT } from './fake-audio.js';
+
+const GOLDEN_FILE = path.join(REPO_ROOT, 'test/golden/renders.json');
+const QUANTIZE = 2 ** 20;
+
+export function checksum(channels) {
+  const hash = crypto.createHash('sha256');
+  for (const data of channels) {
+    const ints = new Int32Array(data.length);
+    for (let i = 0; i < data.length; i++) ints[i] = Math.round(data[i] * QUANTIZE);
+    hash.update(new Uint8Array(ints.buffer));
+  }
+  return hash.digest('hex');
+}
+
+function readGolden() {
+  return fs.existsSync(GOLDEN_FILE) ? JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8')) : {};
+}
+
+export function assertGolden(name, channels) {
+  const actual = checksum(channels);
+  if (process.env.UPDATE_GOLDEN) {
+    // re-read each time: several tests update the file in one run
+    const golden = readGolden();
+    golden[name] = actual;
+    const sorted = Object.fromEntries(Object.entries(golden).sort(([a], [b]) => a.localeCompare(b)));
+    fs.mkdirSync(path.dirname(GOLDEN_FILE), { recursive: true });
+    fs.writeFileSync(GOLDEN_FILE, `${JSON.stringify(sorted, null, 2)}\n`);
+    return;
+  }
+  const expected = readGolden()[name];
+  assert.ok(expected, `no golden checksum for "${name}" - run with UPDATE_GOLDEN=1 to record it`);
+  assert.equal(actual, expected, `render "${name}" changed - if intended, run with UPDATE_GOLDEN=1`);
+}
@@ -0,0 +1,169 @@
+/* test/looper-node.test.js
+   LooperNode against the real processor in the fake audio context: loop timing reported in state
+   messages, which the tracks use to start their loops in phase with each other
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeAudioContext, installGlobals } from './helpers/fake-audio.js';
+import LooperNode from '../looper-node.js';
+
+installGlobals();
+const SAMPLE_RATE = 48000;
+
+async function createLooper(ctx) {
+  const looper = new LooperNode(ctx, { workletUrl: 'audio/looper-processor.js', maxSeconds: 4 });
+  const ready = looper.init();
+  await ctx.flush();
+  await ready;
+  return looper;
+}
+
+test('a free-length loop starts where its first take closes', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const looper = await createLooper(ctx);
+  assert.equal(looper.loopStartTime, null);
+
+  looper.record(0.1);
+  looper.record(0.6);
+  await ctx.flush();
+  ctx.render(0.3);
+  await ctx.flush();
+  assert.equal(looper.state.state, 'recording');
+  assert.equal(looper.loopStartTime, null);
+
+  ctx.render(0.5);
+  await ctx.flush();
+  assert.equal(looper.state.state, 'playing');
+  assert.equal(looper.state.length, 0.5 * SAMPLE_RATE);
+  assert.equal(looper.loopStartTime, 0.6);
+});
+
+test('a fixed-length take closes by itself and reports its start', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const looper = await createLooper(ctx);
+  looper.setLength(0.25);
+  looper.record(0.05);
+  await ctx.flush();
+  ctx.render(0.5);
+  await ctx.flush();
+  assert.equal(looper.state.state, 'playing');
+  assert.equal(looper.state.length, 0.25 * SAMPLE_RATE);
+  assert.equal(looper.loopStartTime, 0.3);
+});
+
+test('a second loop recorded from the first one\'s next pass stays in phase with it', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const first = await createLooper(ctx);
+  const second = await createLooper(ctx);
+  first.record(0);
+  first.record(0.4);
+  await ctx.flush();
+  ctx.render(0.5);
+  await ctx.flush();
+
+  // what the tracks do: one pass of the running loop, starting with its next pass
+  const length = first.state.length / first.state.sampleRate;
+  const next = first.loopStartTime + Math.ceil((ctx.currentTime - first.loopStartTime) / length) * length;
+  second.setLength(length);
+  second.record(next);
+  await ctx.flush();
+  ctx.render(1.5);
+  await ctx.flush();
+
+  assert.equal(second.state.state, 'playing');
+  assert.equal(second.state.length, first.state.length);
+  const phase = (second.loopStartTime - first.loopStartTime) / length;
+  assert.ok(Math.abs(phase - Math.round(phase)) < 1e-9, `loops start a whole number of passes apart (${phase})`);
+});
+
+test('play restarts the loop at its scheduled time', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const looper = await createLooper(ctx);
+  looper.setLength(0.2);
+  looper.record(0);
+  looper.play(0.5);
+  await ctx.flush();
+  ctx.render(0.6);
+  await ctx.flush();
+  assert.equal(looper.loopStartTime, 0.5);
+});
+
+// the record buffer frames each command went out with (0 = none); read before the transfer detaches them
+function recordSends(looper) {
+  const sends = [];
+  const port = looper.node.port;
+  const post = port.postMessage.bind(port);
+  port.postMessage = (msg, transfer) => {
+    if (msg.type !== 'trim') sends.push([msg.type, msg.left ? msg.left.length : 0]);
+    post(msg, transfer);
+  };
+  return sends;
+}
+
+test('record buffers go out only with the commands that may start a take', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const looper = await createLooper(ctx);
+  const sends = recordSends(looper);
+  looper.record(0);
+  looper.record(0.2);                            // closes the first take
+  looper.overdub(0.2);                           // the loop length is not known yet
+  looper.multiply(2);                            // no loop yet: nothing to multiply
+  looper.overdub(0.5);                           // toggles the overdub off
+  await ctx.flush();
+  ctx.render(0.6);
+  await ctx.flush();
+  assert.equal(looper.state.state, 'playing');
+  assert.equal(looper.state.layers, 2);
+
+  const take = 0.2 * SAMPLE_RATE;
+  looper.multiply(2);                            // reported length known by now
+  looper.overdub(0);
+  looper.overdub(0);
+  looper.play(0);
+  looper.record(0);
+  const max = looper.maxFrames;
+  assert.deepEqual(sends, [
+    ['record', max], ['record', 0], ['overdub', max], ['multiply', 0], ['overdub', 0],
+    ['multiply', 0], ['overdub', 2 * take], ['overdub', 0], ['play', 0], ['record', 2 * take]
+  ]);
+});
+
+test('layers recorded into oversized buffers are copied into storage of their own length', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const looper = await createLooper(ctx);
+  looper.record(0);
+  looper.record(0.2);
+  looper.overdub(0.2);
+  looper.overdub(0.5);
+  await ctx.flush();
+  ctx.render(0.4);
+  await ctx.flush();
+  ctx.render(0.05);                              // the copy runs a slice per quantum
+  const { processor } = looper.node;
+  assert.equal(processor.state, 'overdubbing');
+  // the first layer is trimmed, the overdub waits until it is no longer written to
+  assert.deepEqual(Array.from(processor.layers, l => l.left.length), [0.2 * SAMPLE_RATE, looper.maxFrames]);
+
+  ctx.render(0.3);
+  await ctx.flush();
+  ctx.render(0.05);
+  assert.equal(processor.state, 'playing');
+  assert.deepEqual(Array.from(processor.layers, l => [l.left.length, l.right.length]),
+    [[0.2 * SAMPLE_RATE, 0.2 * SAMPLE_RATE], [0.2 * SAMPLE_RATE, 0.2 * SAMPLE_RATE]]);
+});
+
+test('a fixed-length take is recorded into a buffer of its length', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const looper = await createLooper(ctx);
+  const sends = recordSends(looper);
+  looper.setLength(0.25);
+  looper.record(0);
+  looper.overdub(0.5);
+  await ctx.flush();
+  ctx.render(0.6);
+  await ctx.flush();
+  assert.deepEqual(sends, [['set-length', 0], ['record', 0.25 * SAMPLE_RATE], ['overdub', 0.25 * SAMPLE_RATE]]);
+  assert.equal(looper.state.state, 'overdubbing');
+  assert.deepEqual(Array.from(looper.node.processor.layers, l => l.left.length), [0.25 * SAMPLE_RATE, 0.25 * SAMPLE_RATE]);
+});
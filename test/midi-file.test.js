@@ -0,0 +1,116 @@
+/* test/midi-file.test.js
+   MidiFile reading and writing: round trips in both formats, tempo maps, running status, SMPTE
+   timing and files it cannot read
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MidiFile from '../midi-file.js';
+
+// a raw file from header fields and track bodies (delta-timed event bytes, end of track included)
+function smf(format, division, tracks) {
+  const bytes = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, tracks.length, division >> 8, division & 0xff];
+  tracks.forEach((body) => {
+    const n = body.length;
+    bytes.push(0x4d, 0x54, 0x72, 0x6b, (n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff, ...body);
+  });
+  return Uint8Array.from(bytes);
+}
+
+const END = [0, 0xff, 0x2f, 0];
+
+const near = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'value'}: ${actual} != ${expected}`);
+};
+
+const PERFORMANCE = [
+  { type: 'noteOn', midi: 60, velocity: 1, time: 0 },
+  { type: 'noteOn', midi: 64, velocity: 0.5, time: 0.25 },
+  { type: 'noteOff', midi: 60, time: 0.5 },
+  { type: 'noteOff', midi: 64, time: 1 },
+  { type: 'noteOn', midi: 60, velocity: 0.8, time: 1 },
+  { type: 'noteOff', midi: 60, time: 1.75 }
+];
+
+test('a format 0 file reads back with the same notes and timing', () => {
+  const song = MidiFile.parse(MidiFile.encode(PERFORMANCE, { tempo: 90, beatsPerBar: 3, beatUnit: 4, name: 'Take' }));
+  assert.equal(song.format, 0);
+  assert.equal(song.ticksPerBeat, 480);
+  assert.equal(song.tempo, 90);
+  assert.deepEqual(song.timeSignature, { beatsPerBar: 3, beatUnit: 4 });
+  assert.equal(song.tracks.length, 1);
+  assert.equal(song.tracks[0].name, 'Take');
+
+  // the sounding 60 is released before it starts again at the same time
+  assert.deepEqual(song.events.map(e => `${e.type} ${e.midi}`), [
+    'noteOn 60', 'noteOn 64', 'noteOff 60', 'noteOff 64', 'noteOn 60', 'noteOff 60'
+  ]);
+  [0, 0.25, 0.5, 1, 1, 1.75].forEach((time, i) => near(song.events[i].time, time, `event ${i}`));
+  near(song.events[1].velocity, 64 / 127, 'velocity in 1/127 steps');
+  near(song.duration, 1.75);
+});
+
+test('format 1 puts the tempo in its own track and one track per event track', () => {
+  const events = PERFORMANCE.map(e => ({ ...e, track: e.midi === 64 ? 1 : 0, channel: e.midi === 64 ? 9 : 0 }));
+  const song = MidiFile.parse(MidiFile.encode(events, { format: 1, tempo: 150 }));
+  assert.equal(song.format, 1);
+  assert.equal(song.tracks.length, 3);
+  assert.deepEqual(song.tracks.map(t => t.notes), [0, 2, 1]);
+  assert.equal(song.tempo, 150);
+  const drum = song.events.filter(e => e.midi === 64);
+  assert.deepEqual(drum.map(e => [e.track, e.channel]), [[2, 9], [2, 9]]);
+  near(drum[1].time, 1);
+});
+
+test('running status, velocity-0 note offs and a tempo change are followed', () => {
+  const file = smf(0, 96, [[
+    0, 0xff, 0x51, 3, 0x07, 0xa1, 0x20,          // 120 BPM
+    0, 0x90, 60, 100,
+    48, 62, 80,                                  // running status: another noteOn
+    0, 0xb0, 7, 100,                             // a controller, skipped
+    0, 0xf0, 2, 0x7e, 0xf7,                      // sysex, skipped
+    48, 0x90, 60, 0,                             // velocity 0: noteOff
+    0, 0xff, 0x51, 3, 0x0f, 0x42, 0x40,          // 60 BPM from beat 1 on
+    96, 0x80, 62, 0,
+    ...END
+  ]]);
+  const song = MidiFile.parse(file);
+  assert.equal(song.tempo, 120);
+  assert.deepEqual(song.events.map(e => [e.type, e.midi]), [['noteOn', 60], ['noteOn', 62], ['noteOff', 60], ['noteOff', 62]]);
+  near(song.events[1].time, 0.25);
+  near(song.events[2].time, 0.5);
+  near(song.events[3].time, 1.5, 'one beat at 60 BPM after the change');
+});
+
+test('a zero-length drum hit stays on, then off', () => {
+  const file = smf(0, 96, [[
+    0, 0x99, 36, 100, 0, 0x89, 36, 0,            // kick: on and off on the same tick
+    0, 0x99, 42, 90,
+    48, 0x89, 42, 0, 0, 0x99, 42, 90,            // hi-hat released and struck again
+    48, 0x89, 42, 0,
+    ...END
+  ]]);
+  const song = MidiFile.parse(file);
+  assert.deepEqual(song.events.map(e => `${e.type} ${e.midi}`), [
+    'noteOn 36', 'noteOff 36', 'noteOn 42', 'noteOff 42', 'noteOn 42', 'noteOff 42'
+  ]);
+  const again = MidiFile.parse(MidiFile.encode(song.events, { tempo: song.tempo }));
+  assert.deepEqual(again.events.map(e => `${e.type} ${e.midi}`), song.events.map(e => `${e.type} ${e.midi}`));
+});
+
+test('SMPTE timing counts ticks per second', () => {
+  // 25 frames per second, 40 ticks per frame: 1000 ticks a second
+  const file = smf(0, 0xe728, [[0, 0x90, 60, 64, 0x83, 0x74, 0x80, 60, 0, ...END]]);
+  const song = MidiFile.parse(file);
+  assert.equal(song.ticksPerBeat, null);
+  near(song.events[1].time, 0.5);
+});
+
+test('files it cannot read are rejected', () => {
+  assert.throws(() => MidiFile.parse(new Uint8Array(20)), /not a Standard MIDI File/);
+  assert.throws(() => MidiFile.parse(smf(2, 96, [END])), /format 2/);
+  assert.throws(() => MidiFile.parse(smf(0, 96, [[0, 60, 100, ...END]])), /without a status/);
+  const truncated = smf(0, 96, [[0, 0x90, 60, 100, ...END]]).slice(0, 24);
+  assert.throws(() => MidiFile.parse(truncated), /truncated/);
+  assert.throws(() => MidiFile.encode(PERFORMANCE, { format: 2 }), /cannot write format 2/);
+});
@@ -0,0 +1,85 @@
+/* test/midi-input.test.js
+   MidiInput with an injected MIDIAccess: messages to events, the sustain pedal, and hot-plugging
+   the selected device
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MidiInput from '../midi-input.js';
+
+// a MIDIAccess with plug / unplug; a device that comes back is a new port object with the same id
+function createAccess() {
+  const access = { inputs: new Map(), onstatechange: null };
+  const change = (port) => access.onstatechange && access.onstatechange({ port });
+  return {
+    access,
+    plug(id) {
+      const port = { id, name: `Keys ${id}`, manufacturer: 'Test', state: 'connected', onmidimessage: null };
+      access.inputs.set(id, port);
+      change(port);
+      return port;
+    },
+    unplug(id) {
+      const port = access.inputs.get(id);
+      port.state = 'disconnected';
+      access.inputs.delete(id);
+      change(port);
+    }
+  };
+}
+
+async function createMidi() {
+  const device = createAccess();
+  const port = device.plug('a');
+  const midi = new MidiInput({ requestMIDIAccess: async () => device.access, storage: null });
+  const events = [];
+  ['noteon', 'noteoff', 'sustain', 'devices'].forEach(type => midi.on(type, e => events.push([type, e.note ?? e.down ?? e.inputs.length])));
+  assert.equal(await midi.init(), true);
+  midi.selectInput('a');
+  return { device, port, midi, events };
+}
+
+const send = (port, ...bytes) => port.onmidimessage({ data: Uint8Array.from(bytes) });
+
+test('notes and the sustain pedal come through as events', async () => {
+  const { port, events } = await createMidi();
+  send(port, 0x90, 60, 127);
+  send(port, 0xb0, 64, 127);
+  send(port, 0x80, 60, 0);
+  assert.deepEqual(events, [['noteon', 60], ['sustain', true]], 'the pedal holds the note');
+  send(port, 0xb0, 64, 0);
+  assert.deepEqual(events.slice(2), [['sustain', false], ['noteoff', 60]]);
+});
+
+test('unplugging the selected input releases its notes and lifts the pedal', async () => {
+  const { device, port, midi, events } = await createMidi();
+  send(port, 0x90, 60, 100);
+  send(port, 0xb0, 64, 127);
+  send(port, 0x90, 64, 100);
+  send(port, 0x80, 64, 0);
+  events.length = 0;
+  device.unplug('a');
+  assert.equal(midi.input, null);
+  assert.equal(port.onmidimessage, null);
+  assert.deepEqual(events, [['noteoff', 60], ['noteoff', 64], ['sustain', false], ['devices', 0]]);
+  assert.equal(midi.sustainDown, false);
+});
+
+test('the selected input is listened to again when it comes back', async () => {
+  const { device, midi, events } = await createMidi();
+  device.unplug('a');
+  const other = device.plug('b');
+  assert.equal(midi.input, null, 'another device is not picked up');
+  assert.equal(other.onmidimessage, null);
+
+  const back = device.plug('a');
+  assert.equal(midi.input, back);
+  events.length = 0;
+  send(back, 0x90, 62, 100);
+  assert.deepEqual(events, [['noteon', 62]]);
+
+  midi.selectInput(null);
+  device.unplug('a');
+  device.plug('a');
+  assert.equal(midi.input, null, 'nothing to re-attach once deselected');
+});
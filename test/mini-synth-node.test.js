@@ -0,0 +1,273 @@
+/* test/mini-synth-node.test.js
+   MiniSynthNode against the real processor in the fake audio context: handshake and lifecycle,
+   message queueing, setParam ramps, sample transfer and note scheduling
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { FakeAudioContext, installGlobals } from './helpers/fake-audio.js';
+import MiniSynthNode, { MiniSynthError } from '../mini-synth-node.js';
+
+installGlobals();
+const WORKLET = 'audio/mini-synth-processor.js';
+const SAMPLE_RATE = 48000;
+
+async function createSynth(opts = {}) {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const synth = new MiniSynthNode(ctx, { workletUrl: WORKLET, ...opts });
+  await synth.init();
+  synth.connect(ctx.destination);
+  return { ctx, synth };
+}
+
+// cosine, so the very first frame of a note is already audible
+function tone(seconds = 1, freq = 440) {
+  const data = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < data.length; i++) data[i] = 0.5 * Math.cos((2 * Math.PI * freq * i) / SAMPLE_RATE);
+  return data;
+}
+
+const firstSound = (data) => data.findIndex(v => v !== 0);
+const lastSound = (data) => {
+  for (let i = data.length - 1; i >= 0; i--) if (data[i] !== 0) return i;
+  return -1;
+};
+
+// a processor that never answers the handshake, or answers with another protocol
+function registerStub(ctx, name, ready) {
+  ctx.scope.stubReady = ready;
+  vm.runInContext(`registerProcessor(${JSON.stringify(name)}, class extends AudioWorkletProcessor {
+    constructor() { super(); if (stubReady) this.port.postMessage(stubReady); }
+    process() { return true; }
+  });`, ctx.scope);
+}
+
+/* -------------------------
+   Handshake / lifecycle
+   ------------------------- */
+test('init negotiates protocol and capabilities', async () => {
+  const { synth } = await createSynth();
+  assert.equal(synth.state, 'ready');
+  assert.equal(synth.protocol, 2);
+  assert.ok(synth.hasCapability('load-sample'));
+  assert.ok(!synth.hasCapability('time-travel'));
+  assert.equal(synth.init(), synth.init(), 'a second init returns the same promise');
+});
+
+test('init rejects when the processor never answers', async () => {
+  const ctx = new FakeAudioContext();
+  registerStub(ctx, 'silent-processor', null);
+  const synth = new MiniSynthNode(ctx, { processorName: 'silent-processor', handshakeTimeout: 20 });
+  const errors = [];
+  synth.on('error', e => errors.push(e.code));
+  await assert.rejects(synth.init(), { name: 'MiniSynthError', code: 'handshake-timeout' });
+  assert.equal(synth.state, 'failed');
+  assert.deepEqual(errors, ['handshake-timeout']);
+});
+
+test('the handshake waits while the context is suspended', async () => {
+  const ctx = new FakeAudioContext({ state: 'suspended' });
+  registerStub(ctx, 'silent-processor', null);
+  const synth = new MiniSynthNode(ctx, { processorName: 'silent-processor', handshakeTimeout: 10 });
+  let settled = false;
+  synth.init().catch(() => {}).finally(() => { settled = true; });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(settled, false);
+  assert.equal(synth.state, 'connecting');
+  synth.dispose();
+});
+
+test('init rejects a processor speaking another protocol', async () => {
+  const ctx = new FakeAudioContext();
+  registerStub(ctx, 'old-processor', { ready: true });
+  const synth = new MiniSynthNode(ctx, { processorName: 'old-processor' });
+  await assert.rejects(synth.init(), { code: 'protocol-mismatch' });
+});
+
+test('init reports an unregistered processor', async () => {
+  const ctx = new FakeAudioContext();
+  const synth = new MiniSynthNode(ctx, { processorName: 'missing-processor' });
+  await assert.rejects(synth.init(), { code: 'node-create-failed' });
+});
+
+test('dispose rejects pending requests and allows a fresh init', async () => {
+  const { ctx, synth } = await createSynth();
+  const pending = assert.rejects(synth.sync(), { code: 'disposed' });
+  synth.dispose();
+  await pending;
+  assert.equal(synth.state, 'disposed');
+  await assert.rejects(synth.sync(), { code: 'disposed' });
+
+  await synth.init();
+  assert.equal(synth.state, 'ready');
+  assert.ok(synth.node.connections.includes(ctx.destination), 'reconnected to the old destination');
+  const synced = synth.sync();
+  await ctx.flush();
+  await synced;
+});
+
+test('a processor error fails the node; reconnect restores params and drops stale notes', async () => {
+  const { ctx, synth } = await createSynth();
+  synth.setParam('gain', 0.3);
+  synth.setParam('filterCutoff', 700);
+  await ctx.flush();
+  const errors = [];
+  synth.on('error', e => errors.push(e));
+
+  synth.node.processor.process = () => { throw new Error('boom'); };
+  ctx.render({ frames: 128 });
+  await ctx.flush();
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof MiniSynthError);
+  assert.equal(errors[0].code, 'processor-error');
+  assert.equal(synth.state, 'failed');
+
+  synth.noteOn({ midi: 60 });     // dropped: the old processor is gone
+  const reconnected = synth.reconnect();
+  await ctx.flush();
+  await reconnected;
+  await ctx.flush();
+  const processor = synth.node.processor;
+  assert.equal(processor.settings.gain, 0.3);
+  assert.equal(synth.node.parameters.get('filterCutoff').value, 700);
+  assert.equal(processor.events.length, 0);
+});
+
+/* -------------------------
+   Queueing
+   ------------------------- */
+test('messages posted before the handshake are delivered in order once ready', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const synth = new MiniSynthNode(ctx, { workletUrl: WORKLET });
+  synth.setParam('gain', 0.25);
+  synth.setParam('unisonCount', 3);  // an AudioParam: becomes the node's initial value
+  const loaded = synth.loadSample('a', [tone()], SAMPLE_RATE);
+  synth.setZones([{ sampleId: 'a', lowKey: 40, highKey: 80 }]);
+  synth.noteOn({ midi: 69, time: 0.01 });
+
+  await synth.init();
+  synth.connect(ctx.destination);
+  await ctx.flush();
+  await loaded;
+
+  const processor = synth.node.processor;
+  assert.equal(processor.settings.gain, 0.25);
+  assert.equal(synth.node.parameters.get('unisonCount').value, 3);
+  assert.deepEqual(processor.zones.map(z => [z.sampleId, z.lowKey, z.highKey]), [['a', 40, 80]]);
+  const [left] = ctx.render(0.05);
+  assert.equal(firstSound(left), 480, 'the queued note plays the queued sample');
+});
+
+test('sync resolves after every earlier message is applied', async () => {
+  const { ctx, synth } = await createSynth();
+  synth.setParam('gain', 0.5);
+  synth.setModRoutes([{ source: 'lfo1', destination: 'gain', depth: 0.5 }]);
+  const synced = synth.sync();
+  await ctx.flush();
+  await synced;
+  assert.equal(synth.node.processor.settings.gain, 0.5);
+  assert.equal(synth.node.processor.routes.length, 1);
+});
+
+test('rejected messages reject their request or surface as error events', async () => {
+  const { ctx, synth } = await createSynth();
+  const errors = [];
+  synth.on('error', e => errors.push(e.code));
+  const bogus = assert.rejects(synth.request({ type: 'no-such-message' }), {
+    code: 'unknown-message', requestType: 'no-such-message'
+  });
+  synth.postMessage({ type: 'also-unknown' });
+  await ctx.flush();
+  await bogus;
+  assert.deepEqual(errors, ['unknown-message']);
+});
+
+/* -------------------------
+   setParam
+   ------------------------- */
+test('setParam ramps AudioParams and sends other params as messages', async () => {
+  const { ctx, synth } = await createSynth();
+  const cutoff = synth.node.parameters.get('filterCutoff');
+  synth.setParam('filterCutoff', 3000, { ramp: 'linear', time: 0.1 });
+  ctx.render(0.05);
+  assert.ok(Math.abs(cutoff.value - 2000) < 30, `halfway through a linear ramp (${cutoff.value})`);
+  ctx.render(0.06);
+  assert.equal(cutoff.value, 3000);
+
+  // without an earlier event the ramp starts now, from the current value
+  const q = synth.node.parameters.get('filterQ');
+  synth.setParam('filterQ', 4, { ramp: 'exponential', time: 0.1 });
+  ctx.render(0.05);
+  assert.ok(Math.abs(q.value - 2) < 0.05, `halfway through an exponential ramp (${q.value})`);
+
+  synth.setParam('unisonDetune', 20);
+  assert.equal(synth.getParam('unisonDetune'), 20);
+
+  synth.setParam('release', 0.2);
+  assert.equal(synth.getParam('release'), 0.2);
+  await ctx.flush();
+  assert.equal(synth.node.processor.settings.release, 0.2);
+});
+
+/* -------------------------
+   Sample transfer
+   ------------------------- */
+test('loadSample transfers the channels once in a single message', async () => {
+  const { ctx, synth } = await createSynth();
+  const left = tone(0.5);
+  const right = tone(0.5, 220);
+  const sent = [];
+  const post = synth.node.port.postMessage.bind(synth.node.port);
+  synth.node.port.postMessage = (msg, transfer) => { sent.push(msg.type); return post(msg, transfer); };
+
+  const loaded = synth.loadSample('pad', [left, right], 44100, { start: 100, end: 20000, rootNote: 57 });
+  assert.equal(left.byteLength, 0, 'transferred, not copied');
+  assert.equal(right.byteLength, 0);
+  assert.deepEqual(sent, ['load-sample']);
+  await ctx.flush();
+  await loaded;
+
+  const sample = synth.node.processor.samples.get('pad');
+  assert.equal(sample.channels.length, 2);
+  assert.equal(sample.length, 24000);
+  assert.equal(sample.sampleRate, 44100);
+  assert.deepEqual([sample.start, sample.end, sample.rootNote], [100, 20000, 57]);
+});
+
+test('loadSample rejects data the processor cannot use', async () => {
+  const { ctx, synth } = await createSynth();
+  const loaded = assert.rejects(synth.loadSample('empty', [new Float32Array(0)], SAMPLE_RATE), {
+    code: 'invalid-message', requestType: 'load-sample'
+  });
+  await ctx.flush();
+  await loaded;
+  assert.equal(synth.node.processor.samples.has('empty'), false);
+});
+
+/* -------------------------
+   Note scheduling
+   ------------------------- */
+test('notes start on their scheduled frame and stop after their release', async () => {
+  const { ctx, synth } = await createSynth();
+  await Promise.all([synth.loadSample('a', [tone()], SAMPLE_RATE), ctx.flush()]);
+  synth.noteOn({ midi: 69, time: 0.0101, attack: 0.01, release: 0.05 });
+  synth.noteOff({ midi: 69, time: 0.2 });
+  await ctx.flush();
+
+  const [left, right] = ctx.render(0.4);
+  assert.equal(firstSound(left), Math.round(0.0101 * SAMPLE_RATE));
+  assert.equal(firstSound(right), firstSound(left));
+  const end = lastSound(left) / SAMPLE_RATE;
+  assert.ok(end > 0.2 && end < 0.26, `silent after the release (last sound at ${end.toFixed(3)}s)`);
+});
+
+test('notes without a time play from the next quantum', async () => {
+  const { ctx, synth } = await createSynth();
+  await Promise.all([synth.loadSample('a', [tone()], SAMPLE_RATE), ctx.flush()]);
+  ctx.render({ frames: 256 });
+  synth.noteOn({ midi: 69 });
+  await ctx.flush();
+  const [left] = ctx.render({ frames: 256 });
+  assert.equal(firstSound(left), 0);
+});
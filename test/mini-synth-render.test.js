@@ -0,0 +1,136 @@
+/* test/mini-synth-render.test.js
+   Offline renders of the synth engine checked against golden checksums (test/golden/renders.json).
+   Each scenario exercises one part of the engine; a failing checksum after an intended change is
+   re-recorded with UPDATE_GOLDEN=1.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeAudioContext, installGlobals } from './helpers/fake-audio.js';
+import { assertGolden, checksum } from './helpers/golden.js';
+import MiniSynthNode from '../mini-synth-node.js';
+
+installGlobals();
+const SAMPLE_RATE = 48000;
+
+// a decaying sawtooth-like tone (first eight harmonics) at 220 Hz, slightly different per channel
+function pluck(seconds = 1) {
+  const length = Math.round(seconds * SAMPLE_RATE);
+  const channels = [new Float32Array(length), new Float32Array(length)];
+  channels.forEach((data, ch) => {
+    for (let i = 0; i < length; i++) {
+      const t = i / SAMPLE_RATE;
+      let v = 0;
+      for (let h = 1; h <= 8; h++) v += Math.sin(2 * Math.PI * 220 * h * t + ch * 0.3 * h) / h;
+      data[i] = 0.3 * v * Math.exp(-3 * t);
+    }
+  });
+  return channels;
+}
+
+// four short clicks a quarter second apart, for slicing
+function hits() {
+  const data = new Float32Array(SAMPLE_RATE);
+  for (let k = 0; k < 4; k++) {
+    const start = k * SAMPLE_RATE / 4;
+    for (let i = 0; i < 2000; i++) data[start + i] = Math.sin(i * (0.05 + k * 0.02)) * Math.exp(-i / 400);
+  }
+  return [data];
+}
+
+/**
+ * Render `seconds` of a scenario. setup(synth) sends samples, params and notes.
+ * @returns {Promise<Float32Array[]>}
+ */
+async function render(seconds, setup) {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE, seed: 7 });
+  const synth = new MiniSynthNode(ctx, { workletUrl: 'audio/mini-synth-processor.js', maxVoices: 8 });
+  await synth.init();
+  synth.connect(ctx.destination);
+  const done = Promise.all([setup(synth), synth.sync()]);
+  await ctx.flush();
+  await done;
+  return ctx.render(seconds);
+}
+
+const peak = (channels) => channels.reduce((m, data) => data.reduce((n, v) => Math.max(n, Math.abs(v)), m), 0);
+
+const SCENARIOS = {
+  'single-note': (synth) => {
+    synth.noteOn({ midi: 72, velocity: 0.8, time: 0.01, attack: 0.02, decay: 0.1, sustain: 0.6, release: 0.1 });
+    synth.noteOff({ midi: 72, time: 0.3 });
+    return synth.loadSample('pluck', pluck(), SAMPLE_RATE, { rootNote: 57 });
+  },
+
+  'sustain-loop-pingpong': (synth) => {
+    synth.noteOn({ midi: 60, time: 0, attack: 0.005, sustain: 1, release: 0.05 });
+    synth.noteOff({ midi: 60, time: 0.6 });
+    return synth.loadSample('pluck', pluck(0.5), SAMPLE_RATE, {
+      start: 0, end: 24000, loopStart: 4800, loopEnd: 9600, loopMode: 'pingpong'
+    });
+  },
+
+  'chord-filter-unison': (synth) => {
+    synth.setParam('filterCutoff', 900);
+    synth.setParam('filterQ', 4);
+    synth.setParam('unisonCount', 3);
+    synth.setParam('unisonDetune', 15);
+    [57, 61, 64].forEach((midi, i) => {
+      synth.noteOn({ midi, velocity: 0.6, time: 0.02 * i });
+      synth.noteOff({ midi, time: 0.35 });
+    });
+    return synth.loadSample('pluck', pluck(), SAMPLE_RATE, { rootNote: 57 });
+  },
+
+  'velocity-zones': (synth) => {
+    const loads = [
+      synth.loadSample('soft', pluck(0.5), SAMPLE_RATE, { rootNote: 57 }),
+      synth.loadSample('hard', hits(), SAMPLE_RATE, { rootNote: 60 })
+    ];
+    synth.setZones([
+      { sampleId: 'soft', lowKey: 0, highKey: 127, lowVel: 1, highVel: 80 },
+      { sampleId: 'hard', lowKey: 0, highKey: 127, lowVel: 60, highVel: 127 }
+    ]);
+    synth.noteOn({ midi: 60, velocity: 40 / 127, time: 0 });
+    synth.noteOn({ midi: 64, velocity: 70 / 127, time: 0.1 });
+    synth.noteOn({ midi: 67, velocity: 1, time: 0.2 });
+    return Promise.all(loads);
+  },
+
+  'slices-reversed': (synth) => {
+    const slices = [0, 12000, 24000, 36000].map((start, i) => ({ start, end: start + 12000, reverse: i === 2 }));
+    [0, 1, 2, 3].forEach((i) => synth.noteOn({ midi: 36 + i, time: 0.1 * i, attack: 0.002, release: 0.01 }));
+    return synth.loadSample('drums', hits(), SAMPLE_RATE, { slices, baseNote: 36 });
+  },
+
+  'mod-matrix': (synth) => {
+    synth.setTempo(128);
+    synth.setLfo(0, { shape: 'triangle', sync: '1/8' });
+    synth.setLfo(1, { shape: 'sampleHold', rate: 12 });
+    synth.setModEnvelope(0, { attack: 0.05, decay: 0.2, sustain: 0.2, release: 0.1 });
+    synth.setModRoutes([
+      { source: 'lfo1', destination: 'filterCutoff', depth: 0.5 },
+      { source: 'lfo2', destination: 'pitchBend', depth: 0.05 },
+      { source: 'env1', destination: 'gain', depth: -0.5 },
+      { source: 'velocity', destination: 'filterQ', depth: 0.3 }
+    ]);
+    synth.setModWheel(0.5);
+    synth.noteOn({ midi: 60, velocity: 0.9, time: 0 });
+    synth.noteOff({ midi: 60, time: 0.4 });
+    return synth.loadSample('pluck', pluck(), SAMPLE_RATE, { rootNote: 57 });
+  }
+};
+
+for (const [name, setup] of Object.entries(SCENARIOS)) {
+  test(`render: ${name}`, async () => {
+    const channels = await render(0.5, setup);
+    assert.ok(peak(channels) > 0.01, 'the scenario makes sound');
+    assertGolden(name, channels);
+  });
+}
+
+test('renders are repeatable, including sample & hold modulation', async () => {
+  const a = await render(0.3, SCENARIOS['mod-matrix']);
+  const b = await render(0.3, SCENARIOS['mod-matrix']);
+  assert.equal(checksum(a), checksum(b));
+});
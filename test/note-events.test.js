@@ -0,0 +1,38 @@
+/* test/note-events.test.js
+   sortNoteEvents: time order, and which noteOff goes first on a tie
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortNoteEvents } from '../note-events.js';
+
+const on = (midi, time) => ({ type: 'noteOn', midi, time });
+const off = (midi, time) => ({ type: 'noteOff', midi, time });
+const names = (events) => events.map(e => `${e.type === 'noteOn' ? 'on' : 'off'} ${e.midi} @${e.time}`);
+
+test('events come back in time order without touching the input', () => {
+  const events = [off(60, 1), on(60, 0), on(64, 0.5)];
+  assert.deepEqual(names(sortNoteEvents(events)), ['on 60 @0', 'on 64 @0.5', 'off 60 @1']);
+  assert.equal(events[0].type, 'noteOff', 'the input keeps its order');
+});
+
+test('a sounding note repeated at the same time is released first', () => {
+  assert.deepEqual(names(sortNoteEvents([on(60, 0), on(60, 1), off(60, 1), off(60, 2)])), [
+    'on 60 @0', 'off 60 @1', 'on 60 @1', 'off 60 @2'
+  ]);
+});
+
+test('a zero-length note keeps its on, then off order', () => {
+  assert.deepEqual(names(sortNoteEvents([on(36, 0), off(36, 0), on(42, 0), off(42, 0.5)])), [
+    'on 36 @0', 'off 36 @0', 'on 42 @0', 'off 42 @0.5'
+  ]);
+  // one of two notes on the pitch sounds already: that one is released, the new one stays
+  assert.deepEqual(names(sortNoteEvents([on(36, 0), on(36, 1), off(36, 1), off(36, 1)])), [
+    'on 36 @0', 'off 36 @1', 'on 36 @1', 'off 36 @1'
+  ]);
+});
+
+test('any position can be sorted on', () => {
+  const events = [{ ...off(60, 0), tick: 96 }, { ...on(60, 0), tick: 0 }];
+  assert.deepEqual(sortNoteEvents(events, e => e.tick).map(e => e.tick), [0, 96]);
+});
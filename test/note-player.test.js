@@ -0,0 +1,119 @@
+/* test/note-player.test.js
+   NotePlayer against a hand-driven clock: events reach the target with exact context times, from
+   an offset, and stop() / the end of the performance release what is still sounding
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import NotePlayer from '../note-player.js';
+
+function createPlayer() {
+  const ctx = { currentTime: 0 };
+  const calls = [];
+  const target = {
+    noteOn: (note) => calls.push(['on', note.midi, note.time, note.velocity]),
+    noteOff: (note) => calls.push(['off', note.midi, note.time])
+  };
+  const player = new NotePlayer(ctx, { target, interval: 1000 });
+  return { ctx, calls, player };
+}
+
+// advance the clock in scheduler-sized steps
+const run = (ctx, player, until) => {
+  for (let t = ctx.currentTime; t <= until + 1e-9; t += 0.025) {
+    ctx.currentTime = t;
+    player._tick();
+  }
+};
+
+const EVENTS = [
+  { type: 'noteOff', midi: 60, time: 0.5 },
+  { type: 'noteOn', midi: 60, velocity: 0.9, time: 0 },
+  { type: 'noteOn', midi: 64, velocity: 0.5, time: 0.25 },
+  { type: 'noteOff', midi: 64, time: 1 }
+];
+
+test('events are scheduled ahead with their context times', () => {
+  const { ctx, calls, player } = createPlayer();
+  player.setEvents(EVENTS);
+  assert.equal(player.duration, 1);
+  player.start(2);
+  try {
+    assert.deepEqual(calls, [], 'nothing within the lookahead yet');
+    run(ctx, player, 2.2);
+    assert.deepEqual(calls, [['on', 60, 2, 0.9], ['on', 64, 2.25, 0.5]]);
+    assert.ok(Math.abs(player.positionAt(2.2) - 0.2) < 1e-9);
+  } finally {
+    player.stop();
+  }
+});
+
+test('playback ends by itself after the last event', () => {
+  const { ctx, calls, player } = createPlayer();
+  const stops = [];
+  player.on('stop', ({ ended }) => stops.push(ended));
+  player.setEvents(EVENTS, 1.5);
+  player.start(0);
+  run(ctx, player, 1.4);
+  assert.equal(player.playing, true, 'runs to the given duration');
+  run(ctx, player, 1.6);
+  assert.equal(player.playing, false);
+  assert.deepEqual(stops, [true]);
+  assert.deepEqual(calls.filter(c => c[0] === 'off'), [['off', 60, 0.55], ['off', 64, 1.05]]);
+  assert.equal(player.positionAt(1.6), null);
+});
+
+test('stop releases sounding and already scheduled notes', () => {
+  const { ctx, calls, player } = createPlayer();
+  player.setEvents(EVENTS);
+  player.start(1);
+  run(ctx, player, 1.2);                        // the 0.25 note is scheduled, not started
+  calls.length = 0;
+  ctx.currentTime = 1.2;
+  player.stop();
+  assert.deepEqual(calls, [['off', 60, 1.2], ['off', 64, 1.25]]);
+});
+
+test('starting from an offset skips notes that began earlier', () => {
+  const { ctx, calls, player } = createPlayer();
+  player.setEvents(EVENTS);
+  player.start(1, { offset: 0.2 });
+  try {
+    run(ctx, player, 2);
+    assert.deepEqual(calls, [['on', 64, 1.05, 0.5], ['off', 64, 1.8]]);
+  } finally {
+    player.stop();
+  }
+});
+
+test('a zero-length note is released, not held', () => {
+  const { ctx, calls, player } = createPlayer();
+  player.setEvents([
+    { type: 'noteOn', midi: 36, velocity: 1, time: 0 },
+    { type: 'noteOff', midi: 36, time: 0 },
+    { type: 'noteOn', midi: 36, velocity: 1, time: 0.5 },
+    { type: 'noteOff', midi: 36, time: 0.5 }
+  ], 1);
+  player.start(1);
+  try {
+    run(ctx, player, 1.6);
+  } finally {
+    player.stop();
+  }
+  assert.deepEqual(calls, [['on', 36, 1, 1], ['off', 36, 1], ['on', 36, 1.5, 1], ['off', 36, 1.5]]);
+});
+
+test('notes missed while the timer stalled are skipped, their noteOffs still release', () => {
+  const { ctx, calls, player } = createPlayer();
+  player.setEvents(EVENTS);
+  player.start(1);
+  try {
+    ctx.currentTime = 0.95;                      // 60 is scheduled on time ...
+    player._tick();
+    ctx.currentTime = 1.6;                       // ... then the timer slept through 64's start and 60's end
+    player._tick();
+    assert.deepEqual(calls, [['on', 60, 1, 0.9], ['off', 60, 1.6]]);
+  } finally {
+    player.stop();
+  }
+});
@@ -0,0 +1,186 @@
+/* test/phase-vocoder.test.js
+   PhaseVocoderBundle, its worklet and PhaseVocoderModule.wasm in the fake audio context: the WASM
+   kernel against the JS one, voices on pooled streams (stolen ones fading out) and fitting in the
+   worker
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { FakeAudioContext, REPO_ROOT, installGlobals } from './helpers/fake-audio.js';
+import PhaseVocoderBundle from '../phase-vocoder-bundle.js';
+
+installGlobals();
+const SAMPLE_RATE = 48000;
+const WASM_FILE = path.join(REPO_ROOT, 'PhaseVocoderModule.wasm');
+
+// the page fetches the module; here it comes from the repo
+globalThis.fetch = async () => new Response(fs.readFileSync(WASM_FILE));
+
+// Just enough of a dedicated Worker for the fit worker: its own global scope, importScripts
+// relative to the script and structured-cloned messages both ways
+class FakeWorker {
+  constructor(url) {
+    const file = path.resolve(REPO_ROOT, url);
+    const scope = vm.createContext({ console });
+    scope.self = scope;
+    scope.importScripts = (...urls) => urls.forEach((u) => {
+      const dep = path.resolve(path.dirname(file), u);
+      vm.runInContext(fs.readFileSync(dep, 'utf8'), scope, { filename: dep });
+    });
+    scope.postMessage = (data, transfer = []) => {
+      const clone = structuredClone(data, { transfer });
+      setImmediate(() => this.onmessage && this.onmessage({ data: clone }));
+    };
+    vm.runInContext(fs.readFileSync(file, 'utf8'), scope, { filename: file });
+    this.scope = scope;
+    this.onmessage = null;
+    this.onerror = null;
+  }
+
+  postMessage(data, transfer = []) {
+    const clone = structuredClone(data, { transfer });
+    setImmediate(() => this.scope.onmessage({ data: clone }));
+  }
+
+  terminate() {
+    this.scope.onmessage = () => {};
+  }
+}
+globalThis.Worker = FakeWorker;
+
+function tone(frames) {
+  const data = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    data[i] = 0.5 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE) + 0.2 * Math.sin((2 * Math.PI * 1234 * i) / SAMPLE_RATE);
+  }
+  return data;
+}
+
+async function createBundle(ctx) {
+  const ready = PhaseVocoderBundle.init(ctx);
+  await ctx.flush();
+  await ready;
+  PhaseVocoderBundle.connect(ctx.destination);
+  return PhaseVocoderBundle;
+}
+
+// keep the worklet running until a request is answered (compiling the module takes real time)
+async function settle(ctx, promise) {
+  let result;
+  let error;
+  let done = false;
+  promise.then((r) => { result = r; done = true; }, (e) => { error = e; done = true; });
+  for (let i = 0; i < 400 && !done; i++) {
+    ctx.render({ frames: 128 });
+    await ctx.flush();
+    if (!done) await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  if (error) throw error;
+  assert.ok(done, 'request answered');
+  return result;
+}
+
+test('the WASM kernel renders what the JS kernel does', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  await ctx.audioWorklet.addModule('audio/phase-vocoder-kernel.js');
+  const kernel = ctx.scope.PhaseVocoderKernel;
+  const [fitSlot, voiceSlot] = kernel.instantiateWasm(new WebAssembly.Module(fs.readFileSync(WASM_FILE)), 2);
+  const source = tone(SAMPLE_RATE / 2);
+
+  const js = kernel.stretch(source, 36000);
+  const wasm = kernel.stretch(source, 36000, fitSlot);
+  assert.equal(wasm.length, 36000);
+  assert.ok(js.some(s => Math.abs(s) > 0.1));
+  assert.deepEqual(Array.from(wasm), Array.from(js));
+
+  // a fifth up with formant preservation
+  const ratio = Math.pow(2, 7 / 12);
+  const outputs = [new kernel.JsFrameKernel(), voiceSlot].map((k) => {
+    const stream = new kernel.VocoderStream(k);
+    stream.reset(source);
+    const out = new Float32Array(8192);
+    stream.render(out, 0, out.length, { pitch: ratio, rate: 1, formant: ratio });
+    return Array.from(out);
+  });
+  assert.deepEqual(outputs[1], outputs[0]);
+});
+
+test('voices run on the loaded module, on streams made with the processor', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const bundle = await createBundle(ctx);
+  try {
+    const processor = bundle.node.processor;
+    const streams = processor.pool.map(v => v.stream);
+    assert.ok(!bundle.isWasmReady());
+    await settle(ctx, bundle.loadWasmFromUrl('./PhaseVocoderModule.wasm'));
+    assert.ok(bundle.isWasmReady());
+
+    bundle.loadSample(tone(SAMPLE_RATE), SAMPLE_RATE);
+    const ids = [0, 7, 12].map(semitones => bundle.startNote('n', semitones));
+    await ctx.flush();
+    const [left] = ctx.render(0.1);
+    assert.ok(left.some(s => Math.abs(s) > 0.1));
+    assert.equal(processor.voices.length, ids.length);
+    assert.ok(processor.voices.every(v => processor.pool.includes(v)));
+    assert.ok(processor.voices.every(v => v.stream.kernel.constructor.name === 'WasmFrameKernel'));
+
+    ids.forEach(id => bundle.stopNote(id));
+    await ctx.flush();
+    ctx.render(0.5);
+    assert.equal(processor.voices.length, 0);
+    bundle.startNote('n', 0);
+    await ctx.flush();
+    ctx.render(0.05);
+    assert.ok(processor.pool.every((v, i) => v.stream === streams[i]));
+  } finally {
+    bundle.dispose();
+  }
+});
+
+test('a stolen voice fades out instead of stopping dead', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const bundle = await createBundle(ctx);
+  try {
+    const processor = bundle.node.processor;
+    bundle.loadSample(tone(SAMPLE_RATE), SAMPLE_RATE);
+    for (let i = 0; i < 8; i++) bundle.startNote('n', i, { attack: 0.002 });
+    await ctx.flush();
+    ctx.render(0.05);
+    const oldest = processor.voices[0];
+
+    bundle.startNote('n', 8, { attack: 0.002 });
+    await ctx.flush();
+    ctx.render({ frames: 128 });
+    assert.equal(processor.voices.length, 9);
+    assert.ok(oldest.stolen);
+    assert.ok(oldest.level > 0 && oldest.level < 1, `fading (${oldest.level})`);
+
+    ctx.render(0.01);
+    assert.equal(processor.voices.length, 8);
+    assert.ok(!processor.voices.includes(oldest));
+  } finally {
+    bundle.dispose();
+  }
+});
+
+test('fitting stretches in the worker and sends the worklet the result', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const bundle = await createBundle(ctx);
+  try {
+    await settle(ctx, bundle.loadWasmFromUrl('./PhaseVocoderModule.wasm'));
+    bundle.loadSample(tone(SAMPLE_RATE / 2), SAMPLE_RATE);
+    const result = await settle(ctx, bundle.fitToTempo(120, 2));
+    assert.deepEqual(result, { engine: 'wasm', length: SAMPLE_RATE });
+    assert.equal(bundle.sampleLength, SAMPLE_RATE);
+
+    ctx.render({ frames: 128 });
+    assert.equal(bundle.node.processor.sample.data.length, SAMPLE_RATE);
+
+    await assert.rejects(bundle.fitToLength(0), /invalid length/);
+  } finally {
+    bundle.dispose();
+  }
+});
@@ -0,0 +1,71 @@
+/* test/piano-roll.test.js
+   PianoRoll's model without drawing: pairing events into notes and back, hit testing and edits
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PianoRoll from '../piano-roll.js';
+
+// 32 px of keys, then 400 px for the performance; 24 rows of 10 px
+const createRoll = () => new PianoRoll({ width: 432, height: 240, getContext: () => null });
+
+test('events pair into notes first on, first off, and back into events', () => {
+  const events = [
+    { type: 'noteOn', midi: 60, velocity: 0.5, time: 0, attack: 0.01 },
+    { type: 'noteOn', midi: 60, velocity: 0.7, time: 0.5 },
+    { type: 'noteOff', midi: 60, time: 1 },
+    { type: 'noteOff', midi: 60, time: 1.5 },
+    { type: 'noteOff', midi: 62, time: 1.6 },   // never started: dropped
+    { type: 'noteOn', midi: 64, velocity: 1, time: 1.8 }
+  ];
+  const notes = PianoRoll.notesFromEvents(events, 3);
+  assert.deepEqual(notes, [
+    { midi: 60, velocity: 0.5, attack: 0.01, time: 0, duration: 1 },
+    { midi: 60, velocity: 0.7, time: 0.5, duration: 1 },
+    { midi: 64, velocity: 1, time: 1.8, duration: 1.2 }
+  ]);
+
+  const back = PianoRoll.eventsFromNotes(notes);
+  assert.deepEqual(back.map(e => [e.type, e.midi, e.time]), [
+    ['noteOn', 60, 0], ['noteOn', 60, 0.5], ['noteOff', 60, 1], ['noteOff', 60, 1.5],
+    ['noteOn', 64, 1.8], ['noteOff', 64, 3]
+  ]);
+  assert.equal(back[0].attack, 0.01, 'extra fields ride along');
+  assert.equal(back[2].velocity, undefined, 'noteOffs carry no velocity');
+});
+
+test('the view fits the performance and at least two octaves', () => {
+  const roll = createRoll();
+  roll.setNotes([{ midi: 60, time: 0, duration: 1, velocity: 1 }, { midi: 64, time: 3, duration: 1, velocity: 1 }], 2);
+  assert.equal(roll.duration, 4);
+  assert.equal(roll.highNote - roll.lowNote + 1, 24);
+  assert.ok(roll.lowNote <= 58 && roll.highNote >= 66);
+  assert.equal(roll.timeToX(2), 232);
+  assert.equal(roll.xToTime(132), 1);
+  assert.equal(roll.yToMidi(roll.midiToY(64) + 5), 64);
+});
+
+test('hit testing tells a note\'s body from its end', () => {
+  const roll = createRoll();
+  roll.setNotes([{ midi: 60, time: 1, duration: 1, velocity: 1 }], 4);
+  const y = roll.midiToY(60) + 5;
+  assert.deepEqual(roll.noteAt(150, y), { index: 0, edge: false });
+  assert.deepEqual(roll.noteAt(230, y), { index: 0, edge: true });
+  assert.equal(roll.noteAt(250, y), null);
+  assert.equal(roll.noteAt(150, y + 10), null, 'another pitch');
+});
+
+test('edits stay in range and grow the performance', () => {
+  const roll = createRoll();
+  roll.setNotes([], 1);
+  const index = roll.addNote({ midi: 60, time: 0.5, duration: 0.25 });
+  assert.equal(roll.notes[index].velocity, 0.8);
+  roll.updateNote(index, { time: -1, midi: 200, duration: 0 });
+  assert.deepEqual(roll.notes[index], { midi: 127, time: 0, duration: 0.02, velocity: 0.8 });
+  roll.updateNote(index, { time: 3 });
+  assert.equal(roll.duration, 3.02);
+  assert.equal(roll.snap(0.3, 0.25), 0.25);
+  assert.equal(roll.snap(0.3, 0), 0.3);
+  roll.removeNote(index);
+  assert.equal(roll.notes.length, 0);
+});
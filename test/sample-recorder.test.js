@@ -0,0 +1,147 @@
+/* test/sample-recorder.test.js
+   SampleRecorder against the real processor in the fake audio context, fed by a fake microphone
+   through open({ getUserMedia }): count-in, threshold trigger with pre-roll, chunked takes and
+   cancelled takes
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeAudioContext, FakeMediaStream, installGlobals } from './helpers/fake-audio.js';
+import SampleRecorder from '../sample-recorder.js';
+
+installGlobals();
+const SAMPLE_RATE = 48000;
+
+// a different value on every frame, so a take can be checked sample by sample
+const ramp = frame => (frame % 1000) / 2000;
+
+async function createRecorder(ctx, signal, opts = {}) {
+  const rec = new SampleRecorder(ctx, { workletUrl: 'audio/recorder-processor.js', ...opts });
+  const ready = rec.init();
+  await ctx.flush();
+  await ready;
+  const stream = new FakeMediaStream(signal);
+  const requests = [];
+  await rec.open({ getUserMedia: async (constraints) => { requests.push(constraints); return stream; } });
+  return { rec, stream, requests };
+}
+
+// stop() is answered once the processor has seen it (next quantum) and its reply has come back
+async function stopTake(ctx, rec) {
+  const taken = rec.stop();
+  ctx.render({ frames: 128 });
+  await ctx.flush();
+  return taken;
+}
+
+test('open() asks for an unprocessed input and close() releases it', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const { rec, stream, requests } = await createRecorder(ctx, ramp);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].audio.echoCancellation, false);
+  assert.equal(requests[0].audio.noiseSuppression, false);
+  assert.equal(requests[0].audio.autoGainControl, false);
+  assert.ok(rec.isOpen);
+
+  rec.close();
+  assert.ok(!rec.isOpen);
+  assert.deepEqual(stream.getTracks().map(t => t.readyState), ['ended']);
+});
+
+test('a take started after a count-in begins on its start frame', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const { rec } = await createRecorder(ctx, ramp);
+  const states = [];
+  rec.on('state', ({ state, frame }) => states.push([state, frame]));
+
+  rec.record({ time: 0.5 });
+  ctx.render(0.25);
+  await ctx.flush();
+  assert.equal(rec.state, 'waiting');
+
+  ctx.render(0.75);
+  await ctx.flush();
+  assert.equal(rec.state, 'recording');
+  assert.deepEqual(states, [['waiting', 0], ['recording', 0.5 * SAMPLE_RATE]]);
+
+  // the stop lands on the next quantum: everything rendered since the start frame is in the take
+  const rendered = ctx.currentFrame;
+  const take = await stopTake(ctx, rec);
+  assert.equal(take.reason, 'stop');
+  assert.equal(take.length, rendered - 0.5 * SAMPLE_RATE);
+  assert.equal(take.sampleRate, SAMPLE_RATE);
+  assert.equal(take.channels[0][0], Math.fround(ramp(0.5 * SAMPLE_RATE)));
+  assert.equal(rec.state, 'idle');
+});
+
+test('a threshold take starts on the first loud frame and keeps its pre-roll', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const onset = 10000;
+  const quiet = frame => (frame % 100) / 10000;
+  const { rec } = await createRecorder(ctx, frame => (frame < onset ? quiet(frame) : 0.5));
+  const states = [];
+  rec.on('state', ({ state, frame }) => states.push([state, frame]));
+
+  rec.record({ threshold: 0.1, preRoll: 0.01 });
+  ctx.render({ frames: 8192 });
+  await ctx.flush();
+  assert.equal(rec.state, 'armed');
+
+  ctx.render({ frames: 4096 });
+  await ctx.flush();
+  const preRoll = 0.01 * SAMPLE_RATE;
+  assert.deepEqual(states.map(s => s[0]), ['waiting', 'armed', 'recording']);
+  assert.equal(states[2][1], onset - preRoll);
+
+  const take = await stopTake(ctx, rec);
+  assert.equal(take.length, 8192 + 4096 - onset + preRoll);
+  for (let i = 0; i < preRoll; i++) assert.equal(take.channels[0][i], Math.fround(quiet(onset - preRoll + i)));
+  assert.equal(take.channels[0][preRoll], 0.5);
+});
+
+test('a long take is assembled from its chunks without gaps, and ends at the max length', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  // a second of audio arrives in three chunks of at most 16384 frames
+  const { rec } = await createRecorder(ctx, ramp, { maxSeconds: 1 });
+  const takes = [];
+  rec.on('take', take => takes.push(take));
+
+  rec.record();
+  ctx.render(1.5);
+  await ctx.flush();
+  assert.equal(rec.state, 'idle');
+  assert.equal(takes.length, 1);
+
+  const [take] = takes;
+  assert.equal(take.reason, 'max-length');
+  assert.equal(take.length, SAMPLE_RATE);
+  let mismatches = 0;
+  for (let i = 0; i < take.length; i++) {
+    const expected = Math.fround(ramp(i));
+    // a mono input is up-mixed to both channels
+    if (take.channels[0][i] !== expected || take.channels[1][i] !== expected) mismatches++;
+  }
+  assert.equal(mismatches, 0);
+});
+
+test('stop() cancels a take still waiting for its count-in or armed for its threshold', async () => {
+  const ctx = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+  const { rec } = await createRecorder(ctx, () => 0.01);
+
+  rec.record({ time: 10 });
+  ctx.render(0.1);
+  await ctx.flush();
+  assert.equal(rec.state, 'waiting');
+  let take = await stopTake(ctx, rec);
+  assert.equal(take.length, 0);
+  assert.equal(rec.state, 'idle');
+
+  rec.record({ threshold: 0.5 });
+  ctx.render(0.1);
+  await ctx.flush();
+  assert.equal(rec.state, 'armed');
+  take = await stopTake(ctx, rec);
+  assert.equal(take.length, 0);
+  assert.equal(take.channels[0].length, 0);
+  assert.equal(rec.state, 'idle');
+});
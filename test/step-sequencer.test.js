@@ -0,0 +1,47 @@
+/* test/step-sequencer.test.js
+   StepSequencer against a hand-driven clock: steps reach the target with their context times, and
+   a stalled timer drops the steps it missed
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import StepSequencer from '../step-sequencer.js';
+
+function createSequencer() {
+  const ctx = { currentTime: 0 };
+  const calls = [];
+  const target = {
+    noteOn: (note) => calls.push(['on', note.midi, note.time]),
+    noteOff: () => {}
+  };
+  const seq = new StepSequencer(ctx, { target, interval: 1000 });
+  seq.setTempo(120);                             // sixteenths of 0.125s
+  for (let i = 0; i < 16; i++) seq.setStep(0, i, { on: true, note: 60 + i });
+  return { ctx, calls, seq };
+}
+
+test('steps are scheduled ahead with their context times', () => {
+  const { ctx, calls, seq } = createSequencer();
+  seq.start(1);
+  try {
+    for (let t = 0.9; t <= 1.2; t += 0.025) {
+      ctx.currentTime = t;
+      seq._tick();
+    }
+    assert.deepEqual(calls, [['on', 60, 1], ['on', 61, 1.125], ['on', 62, 1.25]]);
+  } finally {
+    seq.stop();
+  }
+});
+
+test('steps missed while the timer stalled are dropped, not played in a burst', () => {
+  const { ctx, calls, seq } = createSequencer();
+  seq.start(1);
+  try {
+    ctx.currentTime = 1.51;                      // slept through the steps at 1 .. 1.375
+    seq._tick();
+    assert.deepEqual(calls, [['on', 64, 1.5]], 'the pattern kept its place');
+  } finally {
+    seq.stop();
+  }
+});
@@ -0,0 +1,138 @@
+/* test/transport.test.js
+   Transport timing against a hand-driven clock: beat / bar quantization, tempo changes while
+   playing, tap tempo and time signature changes at the bar line
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Transport from '../transport.js';
+
+// only the clock matters here; no clicks are scheduled while the metronome is off
+function createContext() {
+  return { currentTime: 0, createGain: () => ({ connect() {}, disconnect() {} }) };
+}
+
+function createTransport(opts = {}) {
+  const ctx = createContext();
+  const transport = new Transport(ctx, { tempo: 120, ...opts });
+  return { ctx, transport };
+}
+
+const near = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || 'value'}: ${actual} != ${expected}`);
+};
+
+test('stopped, nothing is quantized', () => {
+  const { transport } = createTransport();
+  assert.equal(transport.quantize('bar', 1.23), 1.23);
+  assert.equal(transport.quantize('beat', 1.23), 1.23);
+  assert.equal(transport.positionAt(1.23), null);
+  near(transport.barsToSeconds(2), 4);
+});
+
+test('triggers snap to the next beat or bar line', () => {
+  const { ctx, transport } = createTransport();
+  transport.start(1);
+  try {
+    ctx.currentTime = 1.2;
+    near(transport.quantize('beat'), 1.5);
+    near(transport.quantize('bar'), 3);
+    near(transport.quantize('off'), 1.2);
+    near(transport.nextBeat(2.5), 2.5, 'a time on a beat stays there');
+    near(transport.nextBar(0.5), 1, 'before the start: bar 1');
+    assert.deepEqual(transport.positionAt(3.75), { bar: 2, beat: 2, fraction: 0.5 });
+  } finally {
+    transport.stop();
+  }
+});
+
+test('a beat is the time signature\'s unit, tempo counts quarters', () => {
+  const { transport } = createTransport({ beatsPerBar: 6, beatUnit: 8 });
+  near(transport.beatDuration, 0.25);
+  near(transport.barDuration, 1.5);
+});
+
+test('a tempo change while playing keeps the current position', () => {
+  const { ctx, transport } = createTransport();
+  const tempos = [];
+  transport.on('tempo', ({ tempo }) => tempos.push(tempo));
+  transport.start(1);
+  try {
+    ctx.currentTime = 2;                      // beat 2 at 120 BPM
+    transport.setTempo(60);
+    assert.deepEqual(tempos, [60]);
+    near(transport.beatAt(2), 2);
+    near(transport.nextBar(2.1), 4, 'two beats of a second each to bar 2');
+  } finally {
+    transport.stop();
+  }
+});
+
+test('tap tempo follows the average tap interval', () => {
+  const { transport } = createTransport();
+  assert.equal(transport.tap(10), null);
+  assert.equal(transport.tap(10.5), 120);
+  assert.equal(transport.tap(11.1), 109);
+  assert.equal(transport.tap(20), null, 'a long pause starts over');
+  assert.equal(transport.tempo, 109);
+  assert.equal(transport.tap(20.4), 150);
+});
+
+test('a new time signature waits for the next bar line while playing', () => {
+  const { ctx, transport } = createTransport({ interval: 1000 });
+  const beats = [];
+  transport.on('beat', ({ bar, beat }) => beats.push(`${bar}.${beat}`));
+  transport.start(1);
+  try {
+    for (let t = 0.9; t < 1.6; t += 0.025) {
+      ctx.currentTime = t;
+      transport._tick();
+    }
+    ctx.currentTime = 1.6;
+    transport.setTimeSignature(3, 4);
+    assert.equal(transport.beatsPerBar, 4, 'not before the bar line');
+    for (let t = 1.6; t < 5.5; t += 0.025) {
+      ctx.currentTime = t;
+      transport._tick();
+    }
+    assert.equal(transport.beatsPerBar, 3);
+    assert.deepEqual(beats.slice(0, 10), ['1.1', '1.2', '1.3', '1.4', '2.1', '2.2', '2.3', '3.1', '3.2', '3.3']);
+    near(transport.nextBar(3.1), 4.5);
+  } finally {
+    transport.stop();
+  }
+});
+
+test('a new beat unit changes the beat length from its bar line on', () => {
+  const { ctx, transport } = createTransport({ interval: 1000 });
+  transport.start(1);
+  try {
+    ctx.currentTime = 1.6;
+    transport.setTimeSignature(6, 8);
+    for (let t = 1.6; t < 3.5; t += 0.025) {
+      ctx.currentTime = t;
+      transport._tick();
+    }
+    near(transport.beatDuration, 0.25);
+    near(transport.nextBar(3.1), 4.5, 'bar 2 starts at 3s and lasts 1.5s');
+    const { bar, beat, fraction } = transport.positionAt(3.3);
+    assert.deepEqual([bar, beat], [2, 2]);
+    near(fraction, 0.2, 'fraction');
+  } finally {
+    transport.stop();
+  }
+});
+
+test('beats missed while the timer stalled are skipped, not clicked late', () => {
+  const { ctx, transport } = createTransport({ interval: 1000 });
+  const beats = [];
+  transport.on('beat', ({ bar, beat, time }) => beats.push([`${bar}.${beat}`, time]));
+  transport.start(1);
+  try {
+    ctx.currentTime = 2.02;                       // the timer slept through 1.0 and 1.5
+    transport._tick();
+    assert.deepEqual(beats, [['1.3', 2]], 'only the beat still within the tolerance');
+  } finally {
+    transport.stop();
+  }
+});
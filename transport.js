@@ -0,0 +1,316 @@
+/* transport.js
+   Transport - the shared musical clock: tempo, time signature, play / stop, metronome, tap tempo,
+   and beat / bar quantization of context times
+
+   Usage:
+     const transport = new Transport(audioContext, { tempo: 120, beatsPerBar: 4, beatUnit: 4 });
+     transport.connect(audioContext.destination);      // metronome clicks
+     transport.start();                                // bar 1 starts a moment from now
+     transport.setMetronome(true);
+     looper.record(transport.quantize('bar'));         // context time of the next bar line
+     synthNode.noteOn({ midi: 60, time: transport.quantize('beat') });
+     transport.barsToSeconds(2);                       // loop length for two bars
+     transport.positionAt(audioContext.currentTime);   // { bar, beat, fraction } (1-based) or null
+     transport.tap();                                  // tap tempo: call once per beat
+     transport.on('beat', ({ bar, beat, time }) => ...);
+     transport.stop();
+
+   Tempo is in quarter notes per minute, like the sequencer, synced delays and LFOs; a beat is the
+   time signature's unit (a quarter in 4/4, an eighth in 6/8) and clicks once. The position is kept
+   as an anchor (context time, beat number): a tempo change while playing re-anchors at the current
+   position, so everything already played stays put and later beats move. A new time signature takes
+   effect at the next bar line (right away while stopped).
+
+   The metronome is scheduled like the step sequencer: a timer wakes every `interval` ms and
+   schedules every beat due within the next `lookahead` seconds at its exact context time, so clicks
+   never depend on when the main thread runs. 'beat' events carry that time too.
+
+   While stopped there is no grid: quantize() returns the time it was given.
+*/
+
+const DEFAULT_LOOKAHEAD = 0.1;     // seconds scheduled ahead of currentTime
+const DEFAULT_INTERVAL = 25;       // ms between scheduler wake-ups
+const START_DELAY = 0.05;          // seconds between start() and bar 1
+const MIN_TEMPO = 20;
+const MAX_TEMPO = 300;
+const BEAT_UNITS = [2, 4, 8, 16];
+const MAX_BEATS_PER_BAR = 16;
+const TAP_TIMEOUT = 2;             // seconds between taps before a new tap sequence starts
+const TAP_HISTORY = 4;             // intervals averaged by tap tempo
+const CLICK_LENGTH = 0.05;         // seconds
+const EPSILON = 1e-9;              // beats: a time on a grid line counts as that line
+const LATE_TOLERANCE = 0.02;       // seconds: a beat this far in the past passes without a click
+
+const clampTempo = (bpm) => Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, +bpm || 120));
+
+class Transport {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} opts - optional config
+   *   - tempo: BPM (default 120)
+   *   - beatsPerBar / beatUnit: time signature (default 4 / 4)
+   *   - lookahead: seconds (default 0.1)
+   *   - interval: scheduler period in ms (default 25)
+   */
+  constructor(audioContext, opts = {}) {
+    this.context = audioContext;
+    this.lookahead = opts.lookahead || DEFAULT_LOOKAHEAD;
+    this.interval = opts.interval || DEFAULT_INTERVAL;
+    this.tempo = clampTempo(opts.tempo);
+    this.beatsPerBar = 4;
+    this.beatUnit = 4;
+    this._applySignature(opts.beatsPerBar, opts.beatUnit);
+    this.metronome = false;
+    this.output = audioContext.createGain();
+
+    this.playing = false;
+    this._timer = null;
+    this._anchorTime = 0;          // context time of beat _anchorBeat
+    this._anchorBeat = 0;
+    this._barBeat = 0;             // a beat where a bar line falls (bar _barIndex starts there)
+    this._barIndex = 0;
+    this._pendingSignature = null; // { beatsPerBar, beatUnit, beat } waiting for its bar line
+    this._nextBeat = 0;            // next whole beat to schedule
+    this._taps = [];
+    this._onmessageHandlers = [];
+  }
+
+  static get BEAT_UNITS() {
+    return BEAT_UNITS.slice();
+  }
+
+  /**
+   * Register an event handler: fn(data). Events: 'beat' ({ bar, beat, time }, 1-based, sent ahead
+   * with the time it sounds), 'start' ({ time }), 'stop' ({ time }), 'tempo' ({ tempo }),
+   * 'signature' ({ beatsPerBar, beatUnit }). Use '*' for every event.
+   */
+  on(type, fn) {
+    this._onmessageHandlers.push({ type, fn });
+  }
+
+  _callHandlers(type, data) {
+    this._onmessageHandlers.slice().forEach(h => {
+      if (h.type === type || h.type === '*') {
+        try { h.fn(data); } catch (e) { console.error('Transport handler error', e); }
+      }
+    });
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  disconnect() {
+    this.output.disconnect();
+  }
+
+  /* -------------------------
+     Tempo / time signature
+     ------------------------- */
+  /** Seconds per beat (of the signature's unit) at the current tempo. */
+  get beatDuration() {
+    return (60 / this.tempo) * (4 / this.beatUnit);
+  }
+
+  get barDuration() {
+    return this.beatsPerBar * this.beatDuration;
+  }
+
+  barsToSeconds(bars) {
+    return Math.max(0, +bars || 0) * this.barDuration;
+  }
+
+  setTempo(bpm) {
+    const tempo = clampTempo(bpm);
+    if (tempo === this.tempo) return;
+    if (this.playing) {
+      const now = this.context.currentTime;
+      this._anchorBeat = this.beatAt(now);
+      this._anchorTime = now;
+    }
+    this.tempo = tempo;
+    this._callHandlers('tempo', { tempo });
+  }
+
+  /**
+   * @param {Number} beatsPerBar - 1..16
+   * @param {Number} beatUnit - 2, 4, 8 or 16
+   */
+  setTimeSignature(beatsPerBar, beatUnit = this.beatUnit) {
+    if (!this.playing) {
+      this._applySignature(beatsPerBar, beatUnit);
+      this._callHandlers('signature', { beatsPerBar: this.beatsPerBar, beatUnit: this.beatUnit });
+      return;
+    }
+    const beat = this._barBeat + Math.ceil((this.beatAt(this.context.currentTime) - this._barBeat) / this.beatsPerBar - EPSILON) * this.beatsPerBar;
+    this._pendingSignature = { beatsPerBar, beatUnit, beat };
+  }
+
+  _applySignature(beatsPerBar, beatUnit) {
+    this.beatsPerBar = Math.max(1, Math.min(MAX_BEATS_PER_BAR, Math.round(+beatsPerBar) || 4));
+    this.beatUnit = BEAT_UNITS.includes(+beatUnit) ? +beatUnit : 4;
+  }
+
+  /**
+   * Tap tempo: call on every beat (of the signature's unit). From the second tap on, the tempo
+   * follows the average of the last few intervals; a pause longer than TAP_TIMEOUT starts over.
+   * @returns {Number|null} the new tempo, or null while there is only one tap
+   */
+  tap(time = this.context.currentTime) {
+    const last = this._taps[this._taps.length - 1];
+    if (last === undefined || time - last > TAP_TIMEOUT || time <= last) this._taps = [];
+    this._taps.push(time);
+    if (this._taps.length > TAP_HISTORY + 1) this._taps.shift();
+    if (this._taps.length < 2) return null;
+    const average = (this._taps[this._taps.length - 1] - this._taps[0]) / (this._taps.length - 1);
+    this.setTempo(Math.round((60 / average) * (4 / this.beatUnit)));
+    return this.tempo;
+  }
+
+  /* -------------------------
+     Play / stop
+     ------------------------- */
+  /**
+   * Start from bar 1.
+   * @param {Number} time - context time of bar 1 (default: now + a small margin)
+   */
+  start(time = 0) {
+    if (this.playing) return;
+    this.playing = true;
+    this._anchorTime = Math.max(time, this.context.currentTime + START_DELAY);
+    this._anchorBeat = 0;
+    this._barBeat = 0;
+    this._barIndex = 0;
+    this._nextBeat = 0;
+    this._callHandlers('start', { time: this._anchorTime });
+    this._tick();
+    this._timer = setInterval(() => this._tick(), this.interval);
+  }
+
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    clearInterval(this._timer);
+    this._timer = null;
+    if (this._pendingSignature) {
+      const { beatsPerBar, beatUnit } = this._pendingSignature;
+      this._pendingSignature = null;
+      this.setTimeSignature(beatsPerBar, beatUnit);
+    }
+    this._callHandlers('stop', { time: this.context.currentTime });
+  }
+
+  dispose() {
+    this.stop();
+    this.output.disconnect();
+    this._onmessageHandlers = [];
+  }
+
+  /* -------------------------
+     Position / quantization
+     ------------------------- */
+  /** Beats since bar 1 at context time `time` (negative before the start). */
+  beatAt(time) {
+    return this._anchorBeat + (time - this._anchorTime) / this.beatDuration;
+  }
+
+  timeOfBeat(beat) {
+    return this._anchorTime + (beat - this._anchorBeat) * this.beatDuration;
+  }
+
+  /**
+   * Musical position at a context time, or null while stopped.
+   * @returns {{ bar: Number, beat: Number, fraction: Number }|null} bar and beat 1-based, fraction
+   *   0..1 of the way through the beat
+   */
+  positionAt(time) {
+    if (!this.playing) return null;
+    const beats = Math.max(0, this.beatAt(time));
+    const whole = Math.floor(beats + EPSILON);
+    const barOffset = Math.floor((whole - this._barBeat) / this.beatsPerBar);
+    const beatInBar = whole - this._barBeat - barOffset * this.beatsPerBar;
+    return { bar: this._barIndex + barOffset + 1, beat: beatInBar + 1, fraction: Math.max(0, beats - whole) };
+  }
+
+  /** The first beat at or after `time` (while stopped: `time`). */
+  nextBeat(time = this.context.currentTime) {
+    if (!this.playing) return time;
+    return this.timeOfBeat(Math.max(0, Math.ceil(this.beatAt(time) - EPSILON)));
+  }
+
+  /** The first bar line at or after `time` (while stopped: `time`). */
+  nextBar(time = this.context.currentTime) {
+    if (!this.playing) return time;
+    const beats = Math.max(0, this.beatAt(time));
+    const bars = Math.ceil((beats - this._barBeat) / this.beatsPerBar - EPSILON);
+    return this.timeOfBeat(this._barBeat + bars * this.beatsPerBar);
+  }
+
+  /**
+   * Snap a trigger to the grid.
+   * @param {String} grid - 'beat', 'bar' or 'off'
+   * @param {Number} time - when the trigger happened (default now)
+   * @returns {Number} context time to schedule it at
+   */
+  quantize(grid, time = this.context.currentTime) {
+    if (grid === 'beat') return this.nextBeat(time);
+    if (grid === 'bar') return this.nextBar(time);
+    return time;
+  }
+
+  /* -------------------------
+     Metronome
+     ------------------------- */
+  setMetronome(on) {
+    this.metronome = !!on;
+  }
+
+  /**
+   * Schedule one click on the output (also used for count-ins).
+   * @param {Number} time - context time
+   * @param {Boolean} accent - the higher downbeat click
+   * @returns {OscillatorNode} stop() it to cancel the click
+   */
+  click(time, accent = false) {
+    const ctx = this.context;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.frequency.value = accent ? 1500 : 1000;
+    gain.gain.setValueAtTime(0.3, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_LENGTH);
+    osc.connect(gain).connect(this.output);
+    osc.start(time);
+    osc.stop(time + CLICK_LENGTH + 0.01);
+    return osc;
+  }
+
+  _tick() {
+    const now = this.context.currentTime;
+    const horizon = now + this.lookahead;
+    while (this.timeOfBeat(this._nextBeat) < horizon) {
+      const beat = this._nextBeat++;
+      const pending = this._pendingSignature;
+      if (pending && beat >= pending.beat) {
+        // a new beat unit changes the beat length from the bar line on
+        this._anchorTime = this.timeOfBeat(pending.beat);
+        this._anchorBeat = pending.beat;
+        this._barIndex += Math.round((pending.beat - this._barBeat) / this.beatsPerBar);
+        this._barBeat = pending.beat;
+        this._applySignature(pending.beatsPerBar, pending.beatUnit);
+        this._pendingSignature = null;
+        this._callHandlers('signature', { beatsPerBar: this.beatsPerBar, beatUnit: this.beatUnit });
+      }
+      const time = this.timeOfBeat(beat);
+      // after a stalled timer the missed beats are skipped rather than clicked in a burst
+      if (time < now - LATE_TOLERANCE) continue;
+      const position = this.positionAt(time);
+      if (this.metronome) this.click(time, position.beat === 1);
+      this._callHandlers('beat', { bar: position.bar, beat: position.beat, time });
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.Transport = Transport;
+}
+export default Transport;
@@ -0,0 +1,215 @@
+/* wasm/phase-vocoder.ts
+   Source of PhaseVocoderModule.wasm - the phase vocoder frame kernel, in AssemblyScript
+
+   Build: npm run build:wasm (writes PhaseVocoderModule.wasm at the repo root, which is committed)
+
+   The same analysis / resynthesis hop as JsFrameKernel in audio/phase-vocoder-kernel.js, which
+   hosts it: the host walks the source and resamples, the module turns FFT_SIZE input samples into
+   HOP finished output samples. Every stream has a fixed block of memory, so nothing is allocated
+   after init().
+
+   ABI:
+     init(streams)                        // reserve the stream blocks and build the tables; call once
+     input_ptr(stream) -> ptr             // FFT_SIZE f32: the next analysis window, unwindowed
+     output_ptr(stream) -> ptr            // HOP f32: the samples finished by the last frame / drain
+     reset(stream)                        // forget the phases and the overlap-add tail
+     frame(stream, hop, first, warp)      // one hop; hop = analysis advance in frames, first = no
+                                          // previous frame, warp = formant correction ratio (0 = off)
+     drain(stream)                        // one hop of the overlap-add tail, no new input
+*/
+
+const FFT_SIZE: i32 = 2048;
+const HOP: i32 = FFT_SIZE / 4;
+const BINS: i32 = FFT_SIZE / 2 + 1;
+const FORMANT_SMOOTH_BINS: i32 = 24;
+const OLA_GAIN: f64 = 2.0 / 3.0;
+
+// f32 offsets inside a stream's block
+const INPUT: i32 = 0;
+const RE: i32 = INPUT + FFT_SIZE;
+const IM: i32 = RE + FFT_SIZE;
+const OLA: i32 = IM + FFT_SIZE;
+const OUTPUT: i32 = OLA + FFT_SIZE;
+const MAG: i32 = OUTPUT + HOP;
+const FREQ: i32 = MAG + BINS;
+const PREV_PHASE: i32 = FREQ + BINS;
+const SYNTH_PHASE: i32 = PREV_PHASE + BINS;
+const ENVELOPE: i32 = SYNTH_PHASE + BINS;
+const PREFIX: i32 = ENVELOPE + BINS;
+const STREAM_BYTES: usize = ((<usize>(PREFIX + BINS) << 2) + 15) & ~15;
+
+let cosTable: usize = 0;
+let sinTable: usize = 0;
+let revTable: usize = 0;
+let hannTable: usize = 0;
+let streams: usize = 0;
+
+@inline function get(ptr: usize, i: i32): f64 {
+  return <f64>load<f32>(ptr + (<usize>i << 2));
+}
+
+@inline function set(ptr: usize, i: i32, value: f64): void {
+  store<f32>(ptr + (<usize>i << 2), <f32>value);
+}
+
+@inline function block(stream: i32, offset: i32): usize {
+  return streams + <usize>stream * STREAM_BYTES + (<usize>offset << 2);
+}
+
+function wrapPhase(p: f64): f64 {
+  return p - 2 * Math.PI * Math.round(p / (2 * Math.PI));
+}
+
+export function init(count: i32): void {
+  cosTable = heap.alloc(<usize>(FFT_SIZE / 2) << 2);
+  sinTable = heap.alloc(<usize>(FFT_SIZE / 2) << 2);
+  revTable = heap.alloc(<usize>FFT_SIZE << 2);
+  hannTable = heap.alloc(<usize>FFT_SIZE << 2);
+  streams = heap.alloc(<usize>count * STREAM_BYTES);
+  memory.fill(streams, 0, <usize>count * STREAM_BYTES);
+
+  for (let i = 0; i < FFT_SIZE / 2; i++) {
+    set(cosTable, i, Math.cos((2 * Math.PI * i) / FFT_SIZE));
+    set(sinTable, i, Math.sin((2 * Math.PI * i) / FFT_SIZE));
+  }
+  const bits = <i32>Math.log2(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    store<i32>(revTable + (<usize>i << 2), r);
+  }
+  for (let i = 0; i < FFT_SIZE; i++) set(hannTable, i, 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE));
+}
+
+export function input_ptr(stream: i32): usize {
+  return block(stream, INPUT);
+}
+
+export function output_ptr(stream: i32): usize {
+  return block(stream, OUTPUT);
+}
+
+export function reset(stream: i32): void {
+  memory.fill(block(stream, OLA), 0, <usize>(FFT_SIZE + HOP) << 2);
+  memory.fill(block(stream, FREQ), 0, <usize>(3 * BINS) << 2);
+}
+
+// in-place iterative radix-2; inverse = true computes the unscaled inverse transform
+function transform(re: usize, im: usize, inverse: bool): void {
+  const n = FFT_SIZE;
+  for (let i = 0; i < n; i++) {
+    const j = load<i32>(revTable + (<usize>i << 2));
+    if (j > i) {
+      let t = get(re, i); set(re, i, get(re, j)); set(re, j, t);
+      t = get(im, i); set(im, i, get(im, j)); set(im, j, t);
+    }
+  }
+  const sign: f64 = inverse ? 1 : -1;
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len >> 1;
+    const step = n / len;
+    for (let start = 0; start < n; start += len) {
+      for (let k = 0; k < half; k++) {
+        const wr = get(cosTable, k * step);
+        const wi = sign * get(sinTable, k * step);
+        const a = start + k;
+        const b = a + half;
+        const tr = get(re, b) * wr - get(im, b) * wi;
+        const ti = get(re, b) * wi + get(im, b) * wr;
+        set(re, b, get(re, a) - tr); set(im, b, get(im, a) - ti);
+        set(re, a, get(re, a) + tr); set(im, a, get(im, a) + ti);
+      }
+    }
+  }
+}
+
+// overlap-add re[] into the tail and hand out the completed first hop
+function emit(stream: i32): void {
+  const re = block(stream, RE);
+  const ola = block(stream, OLA);
+  for (let i = 0; i < FFT_SIZE; i++) set(ola, i, get(ola, i) + get(re, i));
+  memory.copy(block(stream, OUTPUT), ola, <usize>HOP << 2);
+  memory.copy(ola, ola + (<usize>HOP << 2), <usize>(FFT_SIZE - HOP) << 2);
+  memory.fill(ola + (<usize>(FFT_SIZE - HOP) << 2), 0, <usize>HOP << 2);
+}
+
+export function drain(stream: i32): void {
+  memory.fill(block(stream, RE), 0, <usize>FFT_SIZE << 2);
+  emit(stream);
+}
+
+export function frame(stream: i32, hop: i32, first: bool, warp: f64): void {
+  const input = block(stream, INPUT);
+  const re = block(stream, RE);
+  const im = block(stream, IM);
+  const mag = block(stream, MAG);
+  const freq = block(stream, FREQ);
+  const prevPhase = block(stream, PREV_PHASE);
+  const synthPhase = block(stream, SYNTH_PHASE);
+  const envelope = block(stream, ENVELOPE);
+  const prefix = block(stream, PREFIX);
+
+  for (let i = 0; i < FFT_SIZE; i++) {
+    set(re, i, get(input, i) * get(hannTable, i));
+    set(im, i, 0);
+  }
+  transform(re, im, false);
+
+  for (let k = 0; k < BINS; k++) {
+    const phase = Math.atan2(get(im, k), get(re, k));
+    const omega = (2 * Math.PI * k) / FFT_SIZE;
+    set(mag, k, Math.hypot(get(re, k), get(im, k)));
+    if (hop > 0) {
+      set(freq, k, omega + wrapPhase(phase - get(prevPhase, k) - omega * hop) / hop);
+      set(synthPhase, k, get(synthPhase, k) + get(freq, k) * HOP);
+    } else if (first) {
+      set(freq, k, omega);
+      set(synthPhase, k, phase);
+    } else {
+      // frozen (tempo 0): keep spinning at the last frequency estimate
+      set(synthPhase, k, get(synthPhase, k) + get(freq, k) * HOP);
+    }
+    set(prevPhase, k, phase);
+  }
+
+  if (warp > 0) {
+    // spectral envelope: moving average of the magnitudes over prefix sums
+    let acc: f64 = 0;
+    for (let k = 0; k < BINS; k++) { acc += get(mag, k); set(prefix, k, acc); }
+    for (let k = 0; k < BINS; k++) {
+      const lo = max(0, k - FORMANT_SMOOTH_BINS);
+      const hi = min(BINS - 1, k + FORMANT_SMOOTH_BINS);
+      set(envelope, k, (get(prefix, hi) - (lo > 0 ? get(prefix, lo - 1) : 0)) / (hi - lo + 1) + 1e-9);
+    }
+    // swap the envelope at k for the one at k * warp, keeping the frame's energy
+    let before: f64 = 0, after: f64 = 0;
+    for (let k = 0; k < BINS; k++) {
+      const w = Math.min(<f64>(BINS - 1), k * warp);
+      const w0 = <i32>Math.floor(w);
+      const w1 = min(BINS - 1, w0 + 1);
+      const target = get(envelope, w0) + (get(envelope, w1) - get(envelope, w0)) * (w - w0);
+      const m = get(mag, k);
+      before += m * m;
+      set(mag, k, m * (target / get(envelope, k)));
+      const m2 = get(mag, k);
+      after += m2 * m2;
+    }
+    const norm = after > 0 ? Math.sqrt(before / after) : 0;
+    for (let k = 0; k < BINS; k++) set(mag, k, get(mag, k) * norm);
+  }
+
+  for (let k = 0; k < BINS; k++) {
+    const m = get(mag, k);
+    const p = get(synthPhase, k);
+    set(re, k, m * Math.cos(p));
+    set(im, k, m * Math.sin(p));
+  }
+  // Hermitian mirror so the inverse transform is real
+  for (let k = BINS; k < FFT_SIZE; k++) {
+    set(re, k, get(re, FFT_SIZE - k));
+    set(im, k, -get(im, FFT_SIZE - k));
+  }
+  transform(re, im, true);
+  for (let i = 0; i < FFT_SIZE; i++) set(re, i, (get(re, i) / FFT_SIZE) * get(hannTable, i) * OLA_GAIN);
+  emit(stream);
+}
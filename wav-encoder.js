@@ -0,0 +1,95 @@
+/* wav-encoder.js
+   WavEncoder - RIFF/WAVE encoding of rendered audio for download
+
+   Usage:
+     const blob = WavEncoder.toBlob(audioBuffer, { format: 'pcm16' });       // or 'float32'
+     const bytes = WavEncoder.encode([left, right], 48000, { format: 'float32' });
+
+   'pcm16' writes 16-bit integer PCM (clipped to -1..1, TPDF dithered); 'float32' writes
+   IEEE float samples unchanged, so nothing above 0 dBFS is lost. Channels are interleaved.
+*/
+
+const WAV_FORMATS = {
+  pcm16: { tag: 1, bytes: 2 },      // WAVE_FORMAT_PCM
+  float32: { tag: 3, bytes: 4 }     // WAVE_FORMAT_IEEE_FLOAT
+};
+
+class WavEncoder {
+  static get FORMATS() {
+    return Object.keys(WAV_FORMATS);
+  }
+
+  /**
+   * @param {Float32Array[]} channels - one array per channel (the shortest sets the length)
+   * @param {Number} sampleRate
+   * @param {Object} opts - format: 'pcm16' (default) | 'float32', dither (pcm16 only, default true)
+   * @returns {ArrayBuffer}
+   */
+  static encode(channels, sampleRate, opts = {}) {
+    const format = WAV_FORMATS[opts.format || 'pcm16'];
+    if (!format) throw new Error(`WavEncoder: unknown format "${opts.format}"`);
+    if (!channels.length) throw new Error('WavEncoder: no channels to encode');
+
+    const numChannels = channels.length;
+    const frames = channels.reduce((n, ch) => Math.min(n, ch.length), Infinity);
+    const blockAlign = numChannels * format.bytes;
+    const dataBytes = frames * blockAlign;
+    const isFloat = format.tag === 3;
+    // non-PCM formats carry a cbSize field and a fact chunk
+    const fmtBytes = isFloat ? 18 : 16;
+    const factBytes = isFloat ? 12 : 0;
+    const headerBytes = 12 + (8 + fmtBytes) + factBytes + 8;
+
+    const buffer = new ArrayBuffer(headerBytes + dataBytes);
+    const view = new DataView(buffer);
+    let p = 0;
+    const text = (s) => { for (let i = 0; i < s.length; i++) view.setUint8(p++, s.charCodeAt(i)); };
+    const u32 = (v) => { view.setUint32(p, v, true); p += 4; };
+    const u16 = (v) => { view.setUint16(p, v, true); p += 2; };
+
+    text('RIFF'); u32(buffer.byteLength - 8); text('WAVE');
+    text('fmt '); u32(fmtBytes);
+    u16(format.tag);
+    u16(numChannels);
+    u32(sampleRate);
+    u32(sampleRate * blockAlign);
+    u16(blockAlign);
+    u16(format.bytes * 8);
+    if (isFloat) {
+      u16(0);
+      text('fact'); u32(4); u32(frames);
+    }
+    text('data'); u32(dataBytes);
+
+    const dither = !isFloat && opts.dither !== false;
+    for (let i = 0; i < frames; i++) {
+      for (let ch = 0; ch < numChannels; ch++) {
+        const s = channels[ch][i];
+        if (isFloat) {
+          view.setFloat32(p, s, true);
+        } else {
+          // triangular dither of +-1 LSB before rounding to 16 bits
+          const noise = dither ? Math.random() - Math.random() : 0;
+          const v = Math.round(Math.max(-1, Math.min(1, s)) * 32767 + noise);
+          view.setInt16(p, Math.max(-32768, Math.min(32767, v)), true);
+        }
+        p += format.bytes;
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Encode an AudioBuffer (or { numberOfChannels, sampleRate, getChannelData }) into a WAV Blob.
+   */
+  static toBlob(audioBuffer, opts = {}) {
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) channels.push(audioBuffer.getChannelData(ch));
+    return new Blob([WavEncoder.encode(channels, audioBuffer.sampleRate, opts)], { type: 'audio/wav' });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.WavEncoder = WavEncoder;
+}
+export default WavEncoder;
@@ -0,0 +1,264 @@
+/* waveform-view.js
+   WaveformView - zoomable, scrollable stereo waveform renderer backed by a min/max peak cache
+
+   Usage:
+     const view = new WaveformView(canvas);
+     view.setBuffer(audioBuffer);                 // builds the peak cache once
+     view.zoomAt(2, 0.5);                         // zoom in 2x around the middle of the view
+     view.draw({ selection: { start: 0.1, end: 0.6 }, loop: null, playheads: [0.3] });
+     const p = view.xToPosition(x, canvas.clientWidth); // normalized 0..1 position in the buffer
+
+   All positions are normalized to the whole buffer (0..1) so callers never deal with zoom.
+*/
+
+const BASE_BIN = 64;          // frames summarized by one entry of the finest cache level
+const MIN_VIEW_FRAMES = 32;   // deepest zoom: this many frames across the canvas
+
+class WaveformView {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} opts - optional colours: background, wave, selection, loop, playhead, slice
+   */
+  constructor(canvas, opts = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.colors = {
+      background: opts.background || '#2b2f33',
+      wave: opts.wave || '#35f29a',
+      divider: opts.divider || 'rgba(255, 255, 255, 0.08)',
+      selection: opts.selection || 'rgba(15, 185, 129, 0.12)',
+      loop: opts.loop || 'rgba(244, 114, 182, 0.15)',
+      playhead: opts.playhead || 'rgba(255, 255, 255, 0.85)',
+      slice: opts.slice || 'rgba(250, 204, 21, 0.9)',
+      sliceSelected: opts.sliceSelected || 'rgba(250, 204, 21, 0.18)',
+      scrollbar: opts.scrollbar || 'rgba(255, 255, 255, 0.25)'
+    };
+    this.buffer = null;
+    this.levels = [];         // [{ bin, channels: [{ min: Float32Array, max: Float32Array }] }]
+    this.viewStart = 0;       // normalized
+    this.viewEnd = 1;         // normalized
+  }
+
+  /**
+   * Set (or clear) the buffer and rebuild the peak cache. Resets the view to the whole buffer.
+   */
+  setBuffer(buffer) {
+    this.buffer = buffer;
+    this.viewStart = 0;
+    this.viewEnd = 1;
+    this.levels = buffer ? WaveformView.buildPeakCache(buffer) : [];
+  }
+
+  /**
+   * Multi-resolution min/max cache. Level 0 summarizes BASE_BIN frames per entry and every
+   * following level halves the resolution, until a level has only a handful of entries.
+   */
+  static buildPeakCache(buffer) {
+    const levels = [];
+    const channelCount = Math.min(2, buffer.numberOfChannels);
+
+    const first = { bin: BASE_BIN, channels: [] };
+    for (let ch = 0; ch < channelCount; ch++) {
+      const data = buffer.getChannelData(ch);
+      const count = Math.ceil(data.length / BASE_BIN);
+      const min = new Float32Array(count);
+      const max = new Float32Array(count);
+      for (let b = 0; b < count; b++) {
+        let lo = Infinity, hi = -Infinity;
+        const end = Math.min(data.length, (b + 1) * BASE_BIN);
+        for (let i = b * BASE_BIN; i < end; i++) {
+          const v = data[i];
+          if (v < lo) lo = v;
+          if (v > hi) hi = v;
+        }
+        min[b] = lo;
+        max[b] = hi;
+      }
+      first.channels.push({ min, max });
+    }
+    levels.push(first);
+
+    while (levels[levels.length - 1].channels[0].min.length > 16) {
+      const prev = levels[levels.length - 1];
+      const next = { bin: prev.bin * 2, channels: [] };
+      for (const { min: pmin, max: pmax } of prev.channels) {
+        const count = Math.ceil(pmin.length / 2);
+        const min = new Float32Array(count);
+        const max = new Float32Array(count);
+        for (let b = 0; b < count; b++) {
+          const j = b * 2;
+          const k = Math.min(j + 1, pmin.length - 1);
+          min[b] = Math.min(pmin[j], pmin[k]);
+          max[b] = Math.max(pmax[j], pmax[k]);
+        }
+        next.channels.push({ min, max });
+      }
+      levels.push(next);
+    }
+    return levels;
+  }
+
+  /* -------------------------
+     View / coordinate mapping
+     ------------------------- */
+  get zoom() {
+    return 1 / (this.viewEnd - this.viewStart);
+  }
+
+  xToPosition(x, width) {
+    const p = this.viewStart + (x / width) * (this.viewEnd - this.viewStart);
+    return Math.max(0, Math.min(1, p));
+  }
+
+  positionToX(p, width) {
+    return ((p - this.viewStart) / (this.viewEnd - this.viewStart)) * width;
+  }
+
+  isVisible(p) {
+    return p >= this.viewStart && p <= this.viewEnd;
+  }
+
+  /**
+   * Zoom by factor (>1 zooms in) keeping the normalized position `anchor` fixed on screen.
+   */
+  zoomAt(factor, anchor) {
+    if (!this.buffer) return;
+    const minSpan = Math.min(1, MIN_VIEW_FRAMES / this.buffer.length);
+    const span = this.viewEnd - this.viewStart;
+    const newSpan = Math.max(minSpan, Math.min(1, span / factor));
+    const rel = (anchor - this.viewStart) / span;
+    this._setView(anchor - rel * newSpan, newSpan);
+  }
+
+  /**
+   * Scroll by a fraction of the visible span (positive = later in the buffer).
+   */
+  scrollBy(fraction) {
+    const span = this.viewEnd - this.viewStart;
+    this._setView(this.viewStart + fraction * span, span);
+  }
+
+  _setView(start, span) {
+    const s = Math.max(0, Math.min(1 - span, start));
+    this.viewStart = s;
+    this.viewEnd = s + span;
+  }
+
+  /* -------------------------
+     Drawing
+     ------------------------- */
+  // min/max of one channel over frames [a, b), from the coarsest cache level that still fits
+  _peak(ch, a, b) {
+    const span = b - a;
+    if (span < BASE_BIN * 2) {
+      const data = this.buffer.getChannelData(ch);
+      let lo = Infinity, hi = -Infinity;
+      for (let i = a; i < b; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      return lo === Infinity ? [0, 0] : [lo, hi];
+    }
+    let level = this.levels[0];
+    for (const l of this.levels) {
+      if (l.bin * 2 <= span) level = l;
+      else break;
+    }
+    const { min, max } = level.channels[ch];
+    const first = Math.floor(a / level.bin);
+    const last = Math.min(min.length, Math.ceil(b / level.bin));
+    let lo = Infinity, hi = -Infinity;
+    for (let i = first; i < last; i++) {
+      if (min[i] < lo) lo = min[i];
+      if (max[i] > hi) hi = max[i];
+    }
+    return lo === Infinity ? [0, 0] : [lo, hi];
+  }
+
+  /**
+   * Render the waveform plus overlays. All overlay positions are normalized 0..1.
+   * @param {Object} overlays - { selection: {start,end}, loop: {start,end}|null, playheads: number[],
+   *   slices: { starts: number[], end, reversed: boolean[], selected: index }|null }
+   */
+  draw(overlays = {}) {
+    const { ctx, canvas } = this;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, width, height);
+    if (!this.buffer) return;
+
+    const channelCount = this.levels[0].channels.length;
+    const laneHeight = height / channelCount;
+    const total = this.buffer.length;
+    const startFrame = this.viewStart * total;
+    const framesPerPixel = ((this.viewEnd - this.viewStart) * total) / width;
+
+    ctx.fillStyle = this.colors.wave;
+    for (let ch = 0; ch < channelCount; ch++) {
+      const mid = laneHeight * ch + laneHeight / 2;
+      const amp = laneHeight / 2;
+      for (let x = 0; x < width; x++) {
+        const a = Math.floor(startFrame + x * framesPerPixel);
+        const b = Math.min(total, Math.max(a + 1, Math.floor(startFrame + (x + 1) * framesPerPixel)));
+        const [lo, hi] = this._peak(ch, a, b);
+        const top = mid - hi * amp;
+        const bottom = mid - lo * amp;
+        ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+      }
+      if (ch > 0) {
+        ctx.fillStyle = this.colors.divider;
+        ctx.fillRect(0, laneHeight * ch, width, 1);
+        ctx.fillStyle = this.colors.wave;
+      }
+    }
+
+    const span = (range, color) => {
+      const x0 = this.positionToX(range.start, width);
+      const x1 = this.positionToX(range.end, width);
+      ctx.fillStyle = color;
+      ctx.fillRect(x0, 0, Math.max(2, x1 - x0), height);
+    };
+    if (overlays.selection) span(overlays.selection, this.colors.selection);
+    if (overlays.loop) span(overlays.loop, this.colors.loop);
+    if (overlays.slices) this._drawSlices(overlays.slices, width, height, span);
+
+    if (overlays.playheads && overlays.playheads.length) {
+      ctx.fillStyle = this.colors.playhead;
+      for (const p of overlays.playheads) {
+        if (this.isVisible(p)) ctx.fillRect(Math.round(this.positionToX(p, width)), 0, 1, height);
+      }
+    }
+
+    // scroll indicator while zoomed in
+    if (this.zoom > 1) {
+      ctx.fillStyle = this.colors.scrollbar;
+      ctx.fillRect(this.viewStart * width, height - 3, Math.max(4, (this.viewEnd - this.viewStart) * width), 3);
+    }
+  }
+
+  // slice boundaries with their number (and R when reversed) at the top of each slice
+  _drawSlices(slices, width, height, span) {
+    const { ctx } = this;
+    const { starts, reversed = [], selected = -1 } = slices;
+    if (selected >= 0 && selected < starts.length) {
+      span({ start: starts[selected], end: starts[selected + 1] ?? slices.end }, this.colors.sliceSelected);
+    }
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+    starts.forEach((p, i) => {
+      if (!this.isVisible(p)) return;
+      const x = Math.round(this.positionToX(p, width));
+      ctx.fillStyle = this.colors.slice;
+      ctx.fillRect(x, 0, 1, height);
+      ctx.fillText(`${i + 1}${reversed[i] ? ' R' : ''}`, x + 3, 3);
+    });
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.WaveformView = WaveformView;
+}
+export default WaveformView;